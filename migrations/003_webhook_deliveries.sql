@@ -0,0 +1,31 @@
+-- Outgoing webhook delivery log
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    delivery_id UUID NOT NULL,
+    event VARCHAR(100) NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    status_code INTEGER,
+    success BOOLEAN NOT NULL DEFAULT false,
+    error TEXT,
+    duration_ms INTEGER,
+    response_body TEXT,
+    next_retry_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for fast lookups
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_delivery ON webhook_deliveries(delivery_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_workspace ON webhooks(workspace_id);
+
+-- Enable RLS
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage webhook deliveries"
+    ON webhook_deliveries
+    FOR ALL
+    USING (auth.role() = 'service_role');
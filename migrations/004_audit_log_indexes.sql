@@ -0,0 +1,6 @@
+-- Indexes for filtering and exporting workspace audit logs
+-- Run this in Supabase SQL Editor
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_workspace_created ON audit_logs(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_workspace_action ON audit_logs(workspace_id, action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_workspace_user ON audit_logs(workspace_id, user_id, created_at DESC);
@@ -0,0 +1,120 @@
+-- Full-text search index for channel messages
+-- Messages live in Firestore; this table mirrors their searchable fields
+-- and is kept in sync by the message service.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS message_search_index (
+    message_id TEXT PRIMARY KEY,
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    channel_id UUID NOT NULL REFERENCES channels(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    content TEXT NOT NULL DEFAULT '',
+    reply_to_id TEXT,
+    has_file BOOLEAN NOT NULL DEFAULT false,
+    has_link BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    search_vector TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', content)) STORED
+);
+
+-- Indexes for matching and filtering
+CREATE INDEX IF NOT EXISTS idx_message_search_vector ON message_search_index USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_message_search_workspace ON message_search_index(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_search_channel ON message_search_index(channel_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_search_user ON message_search_index(user_id);
+
+-- Enable RLS
+ALTER TABLE message_search_index ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage message search index"
+    ON message_search_index
+    FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- Ranked message search, restricted to channels the searching user can see.
+-- p_query uses web search syntax: quoted phrases, OR, and -exclusions.
+-- An empty p_query returns filtered messages newest first.
+CREATE OR REPLACE FUNCTION search_messages(
+    p_workspace_id UUID,
+    p_user_id UUID,
+    p_query TEXT DEFAULT NULL,
+    p_channel_ids UUID[] DEFAULT NULL,
+    p_author_ids TEXT[] DEFAULT NULL,
+    p_before TIMESTAMPTZ DEFAULT NULL,
+    p_after TIMESTAMPTZ DEFAULT NULL,
+    p_has_file BOOLEAN DEFAULT NULL,
+    p_has_link BOOLEAN DEFAULT NULL,
+    p_sort TEXT DEFAULT 'relevance',
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    message_id TEXT,
+    channel_id UUID,
+    user_id TEXT,
+    created_at TIMESTAMPTZ,
+    rank REAL,
+    headline TEXT,
+    total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH search AS (
+        SELECT CASE
+            WHEN COALESCE(TRIM(p_query), '') = '' THEN NULL
+            ELSE websearch_to_tsquery('english', p_query)
+        END AS tsq
+    ),
+    visible_channels AS (
+        SELECT c.id
+        FROM channels c
+        WHERE c.workspace_id = p_workspace_id
+          AND (
+              c.is_private = false
+              OR EXISTS (
+                  SELECT 1 FROM channel_members cm
+                  WHERE cm.channel_id = c.id AND cm.user_id = p_user_id
+              )
+          )
+    ),
+    matches AS (
+        SELECT
+            m.message_id,
+            m.channel_id,
+            m.user_id,
+            m.content,
+            m.created_at,
+            CASE WHEN s.tsq IS NULL THEN 0 ELSE ts_rank_cd(m.search_vector, s.tsq, 32) END AS rank,
+            s.tsq
+        FROM message_search_index m
+        CROSS JOIN search s
+        WHERE m.workspace_id = p_workspace_id
+          AND m.channel_id IN (SELECT id FROM visible_channels)
+          AND (s.tsq IS NULL OR m.search_vector @@ s.tsq)
+          AND (p_channel_ids IS NULL OR m.channel_id = ANY(p_channel_ids))
+          AND (p_author_ids IS NULL OR m.user_id = ANY(p_author_ids))
+          AND (p_before IS NULL OR m.created_at < p_before)
+          AND (p_after IS NULL OR m.created_at > p_after)
+          AND (p_has_file IS NULL OR m.has_file = p_has_file)
+          AND (p_has_link IS NULL OR m.has_link = p_has_link)
+    )
+    SELECT
+        message_id,
+        channel_id,
+        user_id,
+        created_at,
+        rank::REAL,
+        CASE
+            WHEN tsq IS NULL THEN LEFT(content, 200)
+            ELSE ts_headline('english', content, tsq, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30')
+        END AS headline,
+        COUNT(*) OVER () AS total_count
+    FROM matches
+    ORDER BY
+        CASE WHEN p_sort = 'recent' THEN 0 ELSE rank END DESC,
+        created_at DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+$$;
@@ -0,0 +1,110 @@
+-- Search index columns for has:reaction, is:pinned and is:thread
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE message_search_index ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE message_search_index ADD COLUMN IF NOT EXISTS reaction_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_message_search_reply_to ON message_search_index(reply_to_id) WHERE reply_to_id IS NOT NULL;
+
+-- Replace search_messages with a version that understands the new filters.
+-- after is now inclusive and before exclusive, matching day ranges from the query parser.
+DROP FUNCTION IF EXISTS search_messages(UUID, UUID, TEXT, UUID[], TEXT[], TIMESTAMPTZ, TIMESTAMPTZ, BOOLEAN, BOOLEAN, TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_messages(
+    p_workspace_id UUID,
+    p_user_id UUID,
+    p_query TEXT DEFAULT NULL,
+    p_channel_ids UUID[] DEFAULT NULL,
+    p_author_ids TEXT[] DEFAULT NULL,
+    p_before TIMESTAMPTZ DEFAULT NULL,
+    p_after TIMESTAMPTZ DEFAULT NULL,
+    p_has_file BOOLEAN DEFAULT NULL,
+    p_has_link BOOLEAN DEFAULT NULL,
+    p_has_reaction BOOLEAN DEFAULT NULL,
+    p_is_pinned BOOLEAN DEFAULT NULL,
+    p_is_thread BOOLEAN DEFAULT NULL,
+    p_sort TEXT DEFAULT 'relevance',
+    p_limit INTEGER DEFAULT 20,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    message_id TEXT,
+    channel_id UUID,
+    user_id TEXT,
+    created_at TIMESTAMPTZ,
+    rank REAL,
+    headline TEXT,
+    total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH search AS (
+        SELECT CASE
+            WHEN COALESCE(TRIM(p_query), '') = '' THEN NULL
+            ELSE websearch_to_tsquery('english', p_query)
+        END AS tsq
+    ),
+    visible_channels AS (
+        SELECT c.id
+        FROM channels c
+        WHERE c.workspace_id = p_workspace_id
+          AND (
+              c.is_private = false
+              OR EXISTS (
+                  SELECT 1 FROM channel_members cm
+                  WHERE cm.channel_id = c.id AND cm.user_id = p_user_id
+              )
+          )
+    ),
+    matches AS (
+        SELECT
+            m.message_id,
+            m.channel_id,
+            m.user_id,
+            m.content,
+            m.created_at,
+            CASE WHEN s.tsq IS NULL THEN 0 ELSE ts_rank_cd(m.search_vector, s.tsq, 32) END AS rank,
+            s.tsq
+        FROM message_search_index m
+        CROSS JOIN search s
+        WHERE m.workspace_id = p_workspace_id
+          AND m.channel_id IN (SELECT id FROM visible_channels)
+          AND (s.tsq IS NULL OR m.search_vector @@ s.tsq)
+          AND (p_channel_ids IS NULL OR m.channel_id = ANY(p_channel_ids))
+          AND (p_author_ids IS NULL OR m.user_id = ANY(p_author_ids))
+          AND (p_before IS NULL OR m.created_at < p_before)
+          AND (p_after IS NULL OR m.created_at >= p_after)
+          AND (p_has_file IS NULL OR m.has_file = p_has_file)
+          AND (p_has_link IS NULL OR m.has_link = p_has_link)
+          AND (p_has_reaction IS NULL OR (m.reaction_count > 0) = p_has_reaction)
+          AND (p_is_pinned IS NULL OR m.is_pinned = p_is_pinned)
+          AND (
+              p_is_thread IS NULL
+              OR (
+                  m.reply_to_id IS NOT NULL
+                  OR EXISTS (
+                      SELECT 1 FROM message_search_index r
+                      WHERE r.reply_to_id = m.message_id
+                  )
+              ) = p_is_thread
+          )
+    )
+    SELECT
+        message_id,
+        channel_id,
+        user_id,
+        created_at,
+        rank::REAL,
+        CASE
+            WHEN tsq IS NULL THEN LEFT(content, 200)
+            ELSE ts_headline('english', content, tsq, 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30')
+        END AS headline,
+        COUNT(*) OVER () AS total_count
+    FROM matches
+    ORDER BY
+        CASE WHEN p_sort = 'recent' THEN 0 ELSE rank END DESC,
+        created_at DESC
+    LIMIT p_limit
+    OFFSET p_offset;
+$$;
@@ -0,0 +1,8 @@
+-- Track group DMs that were converted into private channels
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE dm_groups ADD COLUMN IF NOT EXISTS converted_channel_id UUID REFERENCES channels(id) ON DELETE SET NULL;
+
+-- Index for participant lookups
+CREATE INDEX IF NOT EXISTS idx_dm_group_members_user ON dm_group_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_dm_groups_workspace ON dm_groups(workspace_id);
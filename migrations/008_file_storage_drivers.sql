@@ -0,0 +1,12 @@
+-- Pluggable file storage drivers
+-- Run this in Supabase SQL Editor
+
+-- Driver-specific object key (local path, S3 key, Drive file ID, Supabase path)
+ALTER TABLE files ADD COLUMN IF NOT EXISTS storage_key TEXT;
+
+-- Backfill keys for files stored before drivers existed
+UPDATE files SET storage_key = google_drive_id
+WHERE storage_key IS NULL AND storage_provider = 'google_drive' AND google_drive_id IS NOT NULL;
+
+UPDATE files SET storage_key = supabase_path
+WHERE storage_key IS NULL AND storage_provider = 'supabase' AND supabase_path IS NOT NULL;
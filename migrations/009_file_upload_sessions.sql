@@ -0,0 +1,50 @@
+-- Resumable chunked uploads
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS file_upload_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    channel_id UUID REFERENCES channels(id) ON DELETE SET NULL,
+    dm_group_id UUID,
+    uploader_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    total_size BIGINT NOT NULL,
+    received_bytes BIGINT NOT NULL DEFAULT 0,
+    checksum_sha256 VARCHAR(64),
+    storage_provider VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading', -- uploading, completing, completed, failed, aborted
+    file_id UUID REFERENCES files(id) ON DELETE SET NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Chunks in offset order; storage_key is whatever the driver returned
+CREATE TABLE IF NOT EXISTS file_upload_chunks (
+    session_id UUID NOT NULL REFERENCES file_upload_sessions(id) ON DELETE CASCADE,
+    byte_offset BIGINT NOT NULL,
+    size INTEGER NOT NULL,
+    storage_key TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (session_id, byte_offset)
+);
+
+-- Index for fast lookups
+CREATE INDEX IF NOT EXISTS idx_file_upload_sessions_uploader ON file_upload_sessions(uploader_id, status);
+CREATE INDEX IF NOT EXISTS idx_file_upload_sessions_expires ON file_upload_sessions(expires_at) WHERE status = 'uploading';
+
+-- Enable RLS
+ALTER TABLE file_upload_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE file_upload_chunks ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage upload sessions"
+    ON file_upload_sessions
+    FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage upload chunks"
+    ON file_upload_chunks
+    FOR ALL
+    USING (auth.role() = 'service_role');
@@ -0,0 +1,63 @@
+-- Workspace storage quotas and usage reporting
+-- Run this in Supabase SQL Editor
+
+-- Index for per-user usage
+CREATE INDEX IF NOT EXISTS idx_files_workspace_uploader ON files(workspace_id, uploader_id);
+
+-- Current usage for quota checks.
+-- Includes resumable uploads still in progress so parallel sessions can't overshoot the quota.
+CREATE OR REPLACE FUNCTION get_storage_usage(
+    p_workspace_id UUID,
+    p_user_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    workspace_bytes BIGINT,
+    user_bytes BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    WITH usage AS (
+        SELECT uploader_id, file_size_bytes AS bytes
+        FROM files
+        WHERE workspace_id = p_workspace_id
+        UNION ALL
+        SELECT uploader_id, total_size AS bytes
+        FROM file_upload_sessions
+        WHERE workspace_id = p_workspace_id
+          AND status = 'uploading'
+          AND expires_at > NOW()
+    )
+    SELECT
+        COALESCE(SUM(bytes), 0)::BIGINT AS workspace_bytes,
+        COALESCE(SUM(bytes) FILTER (WHERE uploader_id = p_user_id), 0)::BIGINT AS user_bytes
+    FROM usage;
+$$;
+
+-- Stored files grouped by channel, uploader and file type
+CREATE OR REPLACE FUNCTION get_storage_breakdown(p_workspace_id UUID)
+RETURNS TABLE (
+    dimension TEXT,
+    key TEXT,
+    file_count BIGINT,
+    bytes BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT 'channel', channel_id::TEXT, COUNT(*), COALESCE(SUM(file_size_bytes), 0)::BIGINT
+    FROM files
+    WHERE workspace_id = p_workspace_id
+    GROUP BY channel_id
+    UNION ALL
+    SELECT 'user', uploader_id::TEXT, COUNT(*), COALESCE(SUM(file_size_bytes), 0)::BIGINT
+    FROM files
+    WHERE workspace_id = p_workspace_id
+    GROUP BY uploader_id
+    UNION ALL
+    SELECT 'type', file_type, COUNT(*), COALESCE(SUM(file_size_bytes), 0)::BIGINT
+    FROM files
+    WHERE workspace_id = p_workspace_id
+    GROUP BY file_type
+    ORDER BY 4 DESC;
+$$;
@@ -0,0 +1,33 @@
+-- External sign-in providers linked to users (Google, ...)
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS user_auth_providers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider TEXT NOT NULL,
+    provider_user_id TEXT NOT NULL,
+    email TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- An external account signs in to exactly one user
+    UNIQUE(provider, provider_user_id),
+    -- A user links at most one account per provider
+    UNIQUE(user_id, provider)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_auth_providers_user_id ON user_auth_providers(user_id);
+
+-- Enable RLS
+ALTER TABLE user_auth_providers ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Users can view their own auth providers"
+    ON user_auth_providers
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage all auth providers"
+    ON user_auth_providers
+    FOR ALL
+    USING (auth.role() = 'service_role');
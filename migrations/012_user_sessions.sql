@@ -0,0 +1,36 @@
+-- Server-side sessions backing access and refresh tokens
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- SHA-256 of the current refresh token's jti; rotated on every refresh
+    refresh_token_hash TEXT NOT NULL,
+    device TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active
+    ON user_sessions(user_id, last_used_at DESC)
+    WHERE revoked_at IS NULL;
+
+-- Enable RLS
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Users can view their own sessions"
+    ON user_sessions
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage all sessions"
+    ON user_sessions
+    FOR ALL
+    USING (auth.role() = 'service_role');
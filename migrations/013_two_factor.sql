@@ -0,0 +1,43 @@
+-- TOTP two-factor authentication
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT false;
+
+-- Secrets live outside users so they never come back with a user row
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    -- AES-256-GCM encrypted base32 secrets
+    secret_encrypted TEXT,
+    pending_secret_encrypted TEXT,
+    -- Last accepted time step, so a code can't be used twice
+    last_used_step BIGINT,
+    enabled_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(user_id, code_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Enable RLS (server access only)
+ALTER TABLE user_two_factor ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage two-factor secrets"
+    ON user_two_factor
+    FOR ALL
+    USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage recovery codes"
+    ON user_recovery_codes
+    FOR ALL
+    USING (auth.role() = 'service_role');
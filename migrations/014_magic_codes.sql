@@ -0,0 +1,53 @@
+-- Hashed passwordless sign-in codes with per-email attempt limits
+-- Run this in Supabase SQL Editor
+
+-- Keyed by email so no user row is created before the code is verified
+CREATE TABLE IF NOT EXISTS magic_codes (
+    email TEXT PRIMARY KEY,
+    -- HMAC-SHA256 of the code; NULL once consumed or locked out
+    code_hash TEXT,
+    expires_at TIMESTAMPTZ NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMPTZ,
+    sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Count a wrong guess atomically; reaching the limit locks the email out
+-- and invalidates the outstanding code
+CREATE OR REPLACE FUNCTION record_magic_code_failure(
+    p_email TEXT,
+    p_max_attempts INTEGER,
+    p_lockout_seconds INTEGER
+)
+RETURNS TABLE (
+    attempts INTEGER,
+    locked BOOLEAN
+)
+LANGUAGE sql
+AS $$
+    UPDATE magic_codes
+    SET attempts = magic_codes.attempts + 1,
+        code_hash = CASE
+            WHEN magic_codes.attempts + 1 >= p_max_attempts THEN NULL
+            ELSE magic_codes.code_hash
+        END,
+        locked_until = CASE
+            WHEN magic_codes.attempts + 1 >= p_max_attempts THEN NOW() + make_interval(secs => p_lockout_seconds)
+            ELSE magic_codes.locked_until
+        END
+    WHERE magic_codes.email = p_email
+    RETURNING magic_codes.attempts, magic_codes.locked_until IS NOT NULL;
+$$;
+
+-- Enable RLS (server access only)
+ALTER TABLE magic_codes ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage magic codes"
+    ON magic_codes
+    FOR ALL
+    USING (auth.role() = 'service_role');
+
+-- Codes used to be stored in plain text on users
+ALTER TABLE users DROP COLUMN IF EXISTS magic_code;
+ALTER TABLE users DROP COLUMN IF EXISTS magic_code_expiry;
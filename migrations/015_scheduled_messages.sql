@@ -0,0 +1,49 @@
+-- Scheduled ("send later") messages
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Exactly one target: a channel, or a DM conversation (Firestore ID)
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+    dm_conversation_id TEXT,
+    content TEXT NOT NULL,
+    -- replyToId, fileIds, mentions, attachments, blocks
+    payload JSONB NOT NULL DEFAULT '{}',
+    send_at TIMESTAMPTZ NOT NULL,
+    -- pending, sending, sent, failed, cancelled
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    -- Claim lease while sending, retry backoff while pending
+    locked_until TIMESTAMPTZ,
+    last_error TEXT,
+    message_id TEXT,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK ((channel_id IS NULL) <> (dm_conversation_id IS NULL))
+);
+
+-- Due-message scan by the scheduler worker
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_due
+    ON scheduled_messages(send_at)
+    WHERE status IN ('pending', 'sending');
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_user
+    ON scheduled_messages(user_id, send_at);
+
+-- Enable RLS
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Users can view their own scheduled messages"
+    ON scheduled_messages
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage all scheduled messages"
+    ON scheduled_messages
+    FOR ALL
+    USING (auth.role() = 'service_role');
@@ -0,0 +1,43 @@
+-- Personal reminders, on a message or free text
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+    -- Set for reminders about a message (Firestore ID), with where it lives
+    message_id TEXT,
+    channel_id UUID REFERENCES channels(id) ON DELETE CASCADE,
+    dm_conversation_id TEXT,
+    text TEXT NOT NULL,
+    remind_at TIMESTAMPTZ NOT NULL,
+    -- pending, fired (notified, awaiting completion), completed
+    status TEXT NOT NULL DEFAULT 'pending',
+    fired_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Due-reminder scan by the scheduler worker
+CREATE INDEX IF NOT EXISTS idx_reminders_due
+    ON reminders(remind_at)
+    WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_reminders_user
+    ON reminders(user_id, status, remind_at);
+
+-- Enable RLS
+ALTER TABLE reminders ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies
+CREATE POLICY "Users can view their own reminders"
+    ON reminders
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage all reminders"
+    ON reminders
+    FOR ALL
+    USING (auth.role() = 'service_role');
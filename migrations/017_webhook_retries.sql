@@ -0,0 +1,29 @@
+-- Durable webhook delivery retries
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS webhook_retries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    -- Attempt number this retry will be
+    attempt INTEGER NOT NULL,
+    retry_at TIMESTAMPTZ NOT NULL,
+    -- Claim lease while a worker is delivering
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Due-retry scan by the scheduler worker
+CREATE INDEX IF NOT EXISTS idx_webhook_retries_due ON webhook_retries(retry_at);
+
+-- Receivers' responses are no longer stored
+ALTER TABLE webhook_deliveries DROP COLUMN IF EXISTS response_body;
+
+-- Enable RLS
+ALTER TABLE webhook_retries ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage webhook retries"
+    ON webhook_retries
+    FOR ALL
+    USING (auth.role() = 'service_role');
@@ -0,0 +1,51 @@
+-- Per-user second-factor attempt limits and single-use sign-in challenges
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE user_two_factor ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE user_two_factor ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+-- One row per outstanding challenge token (id is the token's jti);
+-- deleted when the sign-in completes so the token can't be replayed
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    method TEXT NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_challenges_user ON two_factor_challenges(user_id);
+
+-- Count a wrong code atomically; reaching the limit locks the user out
+CREATE OR REPLACE FUNCTION record_two_factor_failure(
+    p_user_id UUID,
+    p_max_attempts INTEGER,
+    p_lockout_seconds INTEGER
+)
+RETURNS TABLE (
+    attempts INTEGER,
+    locked BOOLEAN
+)
+LANGUAGE sql
+AS $$
+    UPDATE user_two_factor
+    SET failed_attempts = CASE
+            WHEN user_two_factor.failed_attempts + 1 >= p_max_attempts THEN 0
+            ELSE user_two_factor.failed_attempts + 1
+        END,
+        locked_until = CASE
+            WHEN user_two_factor.failed_attempts + 1 >= p_max_attempts THEN NOW() + make_interval(secs => p_lockout_seconds)
+            ELSE user_two_factor.locked_until
+        END
+    WHERE user_two_factor.user_id = p_user_id
+    RETURNING user_two_factor.failed_attempts, user_two_factor.locked_until > NOW();
+$$;
+
+-- Enable RLS (server access only)
+ALTER TABLE two_factor_challenges ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage two-factor challenges"
+    ON two_factor_challenges
+    FOR ALL
+    USING (auth.role() = 'service_role');
@@ -0,0 +1,38 @@
+-- Durable queue for upload malware scans and preview generation
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS file_processing_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    file_id UUID NOT NULL REFERENCES files(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL CHECK (kind IN ('scan', 'previews')),
+    -- Attempt number this run will be
+    attempt INTEGER NOT NULL DEFAULT 1,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Claim lease while a worker is processing
+    locked_until TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Due-job scan by the scheduler worker
+CREATE INDEX IF NOT EXISTS idx_file_processing_jobs_due ON file_processing_jobs(run_at);
+
+-- Re-queue files left pending by the old in-memory queue
+INSERT INTO file_processing_jobs (file_id, kind)
+SELECT id, 'scan' FROM files
+WHERE metadata->>'scan_status' = 'pending'
+  AND NOT EXISTS (SELECT 1 FROM file_processing_jobs j WHERE j.file_id = files.id);
+
+INSERT INTO file_processing_jobs (file_id, kind)
+SELECT id, 'previews' FROM files
+WHERE metadata->>'preview_status' = 'pending'
+  AND COALESCE(metadata->>'scan_status', '') <> 'pending'
+  AND NOT EXISTS (SELECT 1 FROM file_processing_jobs j WHERE j.file_id = files.id);
+
+-- Enable RLS
+ALTER TABLE file_processing_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Service role can do anything
+CREATE POLICY "Service role can manage file processing jobs"
+    ON file_processing_jobs
+    FOR ALL
+    USING (auth.role() = 'service_role');
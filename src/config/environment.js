@@ -11,6 +11,27 @@ module.exports = {
     expiresIn: process.env.JWT_EXPIRES_IN || '7d',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
   },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'Nextus',
+    // Encrypts stored TOTP secrets; a key derived from JWT_SECRET is used when empty
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || '',
+    challengeExpiresIn: '5m',
+    recoveryCodeCount: 10,
+    // Wrong codes per user before second-factor checks are locked out
+    maxAttempts: 5,
+    lockoutMs: 15 * 60 * 1000, // 15 minutes
+  },
+
+  // Passwordless (magic code) sign-in
+  magicCode: {
+    ttlMs: 10 * 60 * 1000, // 10 minutes
+    // Wrong guesses per email before it is locked out
+    maxAttempts: 5,
+    lockoutMs: 15 * 60 * 1000, // 15 minutes
+    resendIntervalMs: 30 * 1000,
+  },
   
   // Supabase Configuration
   supabase: {
@@ -33,8 +54,58 @@ module.exports = {
     clientSecret: process.env.GOOGLE_CLIENT_SECRET || '',
     redirectUri: process.env.GOOGLE_REDIRECT_URI || '',
     refreshToken: process.env.GOOGLE_REFRESH_TOKEN || '',
+    folderId: process.env.GOOGLE_DRIVE_FOLDER_ID || '',
+  },
+
+  // File Storage Configuration
+  // Driver: local, s3, google_drive or supabase (workspaces can override via settings.storageProvider)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'google_drive',
+    signedUrlExpiresIn: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_IN) || 3600, // seconds
+    downloadBaseUrl: process.env.FILE_DOWNLOAD_BASE_URL || '/api/v1/files',
+    downloadUrlExpiresIn: parseInt(process.env.FILE_DOWNLOAD_URL_EXPIRES_IN) || 300, // seconds
+    local: {
+      root: process.env.STORAGE_LOCAL_ROOT || './uploads',
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || '',
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false', // required by MinIO
+    },
+    supabase: {
+      bucket: process.env.SUPABASE_STORAGE_BUCKET || 'files',
+    },
   },
   
+  // Malware scanning of uploads
+  // Scanner: none or clamav (clamd over a local socket, or TCP when no socket is set)
+  scanner: {
+    driver: process.env.FILE_SCANNER || 'none',
+    clamav: {
+      socket: process.env.CLAMAV_SOCKET || '/var/run/clamav/clamd.ctl',
+      host: process.env.CLAMAV_HOST || '',
+      port: parseInt(process.env.CLAMAV_PORT) || 3310,
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS) || 60000,
+    },
+  },
+
+  // Background scheduler (scheduled messages, reminders, webhook retries, file scans and previews,
+  // expired upload cleanup)
+  scheduler: {
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 5000,
+    batchSize: 50,
+    // A send not finished within this is assumed lost (e.g. the worker crashed) and retried
+    leaseMs: 60 * 1000,
+    // Scans and previews of large files run longer than a send
+    fileJobLeaseMs: 10 * 60 * 1000,
+    maxAttempts: 5,
+    maxScheduleAheadDays: 120,
+    maxReminderAheadDays: 365,
+  },
+
   // CORS Configuration
   cors: {
     origin: process.env.CORS_ORIGIN?.split(',') || ['http://localhost:3000', 'http://localhost:8080'],
@@ -50,6 +121,21 @@ module.exports = {
   // File Upload Limits
   upload: {
     maxFileSize: 50 * 1024 * 1024, // 50MB
+    // Default per-user cap within a workspace (0 = no cap); workspaces can set settings.userStorageQuotaGb
+    userQuotaGb: parseFloat(process.env.USER_STORAGE_QUOTA_GB) || 0,
+    // Resumable (chunked) uploads
+    resumable: {
+      maxFileSize: parseInt(process.env.UPLOAD_MAX_RESUMABLE_SIZE) || 2 * 1024 * 1024 * 1024, // 2GB
+      maxChunkSize: 8 * 1024 * 1024, // 8MB
+      sessionTtlMs: 24 * 60 * 60 * 1000, // 24 hours
+    },
+    // Always rejected, whatever workspaces allow (matched against sniffed and declared types)
+    deniedFileTypes: [
+      'application/x-msdownload', 'application/x-dosexec', 'application/x-executable',
+      'application/x-elf', 'application/x-mach-binary', 'application/x-sh',
+      'application/vnd.microsoft.portable-executable', 'application/x-msi',
+      '.exe', '.dll', '.bat', '.cmd', '.com', '.scr', '.msi', '.ps1', '.vbs', '.jar',
+    ],
     allowedMimeTypes: [
       'image/jpeg', 'image/png', 'image/gif', 'image/webp',
       'application/pdf',
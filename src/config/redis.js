@@ -57,68 +57,142 @@ const getPubSub = () => {
     return { pubClient, subClient };
 };
 
+/**
+ * Find keys matching a pattern without blocking Redis (SCAN, not KEYS)
+ * @param {string} pattern - Key pattern
+ * @returns {Array} Matching keys
+ */
+const scanKeys = async (pattern) => {
+    const redis = getRedis();
+    const keys = [];
+    let cursor = '0';
+
+    do {
+        const [nextCursor, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 100);
+        cursor = nextCursor;
+        keys.push(...batch);
+    } while (cursor !== '0');
+
+    return keys;
+};
+
 // Presence tracking
+// presence:{workspaceId}:{userId} holds the user's status (shared by all devices);
+// presence-sockets:{workspaceId}:{userId} is a sorted set of connected socket IDs
+// scored by last heartbeat, so a user stays online until their last device leaves.
 const PRESENCE_PREFIX = 'presence:';
+const PRESENCE_SOCKETS_PREFIX = 'presence-sockets:';
 const PRESENCE_TTL = 60; // seconds
 
 /**
- * Set user online status
+ * Drop sockets that have missed their heartbeat and count the rest
+ * @param {string} socketsKey - Sorted set key
+ * @returns {number} Live socket count
+ */
+const countLiveSockets = async (socketsKey) => {
+    const redis = getRedis();
+    const cutoff = Date.now() - PRESENCE_TTL * 1000;
+
+    await redis.zremrangebyscore(socketsKey, '-inf', cutoff);
+    return redis.zcard(socketsKey);
+};
+
+/**
+ * Set user online status and register a connected socket
  * @param {string} userId - User ID
  * @param {string} workspaceId - Workspace ID
  * @param {Object} data - Status data
+ * @param {string} socketId - Socket ID (optional, for status-only updates)
+ * @returns {number} Live socket count for the user
  */
-const setUserOnline = async (userId, workspaceId, data = {}) => {
+const setUserOnline = async (userId, workspaceId, data = {}, socketId = null) => {
     const redis = getRedis();
     const key = `${PRESENCE_PREFIX}${workspaceId}:${userId}`;
+    const socketsKey = `${PRESENCE_SOCKETS_PREFIX}${workspaceId}:${userId}`;
+
+    const multi = redis.multi()
+        .setex(key, PRESENCE_TTL, JSON.stringify({
+            status: 'online',
+            lastSeen: new Date().toISOString(),
+            ...data,
+        }));
+
+    if (socketId) {
+        multi.zadd(socketsKey, Date.now(), socketId);
+    }
+
+    await multi.expire(socketsKey, PRESENCE_TTL).exec();
 
-    await redis.setex(key, PRESENCE_TTL, JSON.stringify({
-        status: 'online',
-        lastSeen: new Date().toISOString(),
-        ...data,
-    }));
+    return countLiveSockets(socketsKey);
 };
 
 /**
- * Set user offline
+ * Unregister a socket, and mark the user offline if it was their last one
  * @param {string} userId - User ID
  * @param {string} workspaceId - Workspace ID
+ * @param {string} socketId - Socket ID (omit to force the user offline)
+ * @returns {number} Remaining live socket count
  */
-const setUserOffline = async (userId, workspaceId) => {
+const setUserOffline = async (userId, workspaceId, socketId = null) => {
     const redis = getRedis();
     const key = `${PRESENCE_PREFIX}${workspaceId}:${userId}`;
-    await redis.del(key);
+    const socketsKey = `${PRESENCE_SOCKETS_PREFIX}${workspaceId}:${userId}`;
+
+    if (socketId) {
+        await redis.zrem(socketsKey, socketId);
+        const remaining = await countLiveSockets(socketsKey);
+        if (remaining > 0) {
+            return remaining;
+        }
+    }
+
+    await redis.del(key, socketsKey);
+    return 0;
 };
 
 /**
  * Get online users in workspace
  * @param {string} workspaceId - Workspace ID
- * @returns {Array} Online user IDs
+ * @returns {Array} Online users with their status data
  */
 const getOnlineUsers = async (workspaceId) => {
     const redis = getRedis();
-    const pattern = `${PRESENCE_PREFIX}${workspaceId}:*`;
-    const keys = await redis.keys(pattern);
-
-    const users = [];
-    for (const key of keys) {
-        const userId = key.split(':').pop();
-        const data = await redis.get(key);
-        if (data) {
-            users.push({ userId, ...JSON.parse(data) });
-        }
+    const keys = await scanKeys(`${PRESENCE_PREFIX}${workspaceId}:*`);
+
+    if (keys.length === 0) {
+        return [];
     }
-    return users;
+
+    const values = await redis.mget(keys);
+
+    return keys
+        .map((key, index) => {
+            if (!values[index]) return null;
+            return { userId: key.split(':').pop(), ...JSON.parse(values[index]) };
+        })
+        .filter(Boolean);
 };
 
 /**
  * Refresh user presence (heartbeat)
  * @param {string} userId - User ID
  * @param {string} workspaceId - Workspace ID
+ * @param {string} socketId - Socket ID sending the heartbeat
+ * @returns {boolean} False if the presence key had already expired
  */
-const refreshPresence = async (userId, workspaceId) => {
+const refreshPresence = async (userId, workspaceId, socketId = null) => {
     const redis = getRedis();
     const key = `${PRESENCE_PREFIX}${workspaceId}:${userId}`;
-    await redis.expire(key, PRESENCE_TTL);
+    const socketsKey = `${PRESENCE_SOCKETS_PREFIX}${workspaceId}:${userId}`;
+
+    const multi = redis.multi().expire(key, PRESENCE_TTL);
+
+    if (socketId) {
+        multi.zadd(socketsKey, Date.now(), socketId);
+    }
+
+    const results = await multi.expire(socketsKey, PRESENCE_TTL).exec();
+    return results[0][1] === 1;
 };
 
 // Typing indicators
@@ -129,33 +203,58 @@ const TYPING_TTL = 5; // seconds
  * Set typing indicator
  * @param {string} userId - User ID
  * @param {string} channelId - Channel ID
+ * @param {string} userName - Display name shown to other users
  */
-const setTyping = async (userId, channelId) => {
+const setTyping = async (userId, channelId, userName = '') => {
     const redis = getRedis();
     const key = `${TYPING_PREFIX}${channelId}:${userId}`;
-    await redis.setex(key, TYPING_TTL, Date.now());
+    await redis.setex(key, TYPING_TTL, userName);
+};
+
+/**
+ * Clear typing indicator
+ * @param {string} userId - User ID
+ * @param {string} channelId - Channel ID
+ */
+const clearTyping = async (userId, channelId) => {
+    const redis = getRedis();
+    await redis.del(`${TYPING_PREFIX}${channelId}:${userId}`);
 };
 
 /**
  * Get users typing in channel
  * @param {string} channelId - Channel ID
- * @returns {Array} Typing user IDs
+ * @returns {Array} Typing users ({ userId, userName })
  */
 const getTypingUsers = async (channelId) => {
     const redis = getRedis();
-    const pattern = `${TYPING_PREFIX}${channelId}:*`;
-    const keys = await redis.keys(pattern);
-    return keys.map(key => key.split(':').pop());
+    const keys = await scanKeys(`${TYPING_PREFIX}${channelId}:*`);
+
+    if (keys.length === 0) {
+        return [];
+    }
+
+    const names = await redis.mget(keys);
+
+    return keys
+        .map((key, index) => (names[index] === null ? null : {
+            userId: key.split(':').pop(),
+            userName: names[index],
+        }))
+        .filter(Boolean);
 };
 
 module.exports = {
     initRedis,
     getRedis,
     getPubSub,
+    scanKeys,
+    PRESENCE_TTL,
     setUserOnline,
     setUserOffline,
     getOnlineUsers,
     refreshPresence,
     setTyping,
+    clearTyping,
     getTypingUsers,
 };
@@ -1,7 +1,17 @@
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { Emitter } = require('@socket.io/redis-emitter');
 const config = require('./environment');
+const { getPubSub } = require('./redis');
 
 let io = null;
+let emitter = null;
+
+/**
+ * Whether broadcasts should be shared between instances through Redis
+ * @returns {boolean} True when REDIS_URL is configured
+ */
+const isRedisEnabled = () => Boolean(process.env.REDIS_URL);
 
 /**
  * Initialize Socket.IO server
@@ -19,18 +29,36 @@ const initializeSocket = (httpServer) => {
         pingInterval: 25000,
     });
 
+    // Share rooms (channel:, user:, workspace:, huddle:, ...) across replicas
+    if (isRedisEnabled()) {
+        const { pubClient, subClient } = getPubSub();
+        io.adapter(createAdapter(pubClient, subClient));
+        console.log('Socket.IO Redis adapter enabled');
+    }
+
     return io;
 };
 
 /**
  * Get Socket.IO instance
- * @returns {Object} Socket.IO instance
+ * Processes without a Socket.IO server (e.g. SERVICE_TYPE=api with
+ * SEPARATE_SERVICES) get a Redis emitter, which supports to(room).emit()
+ * and reaches clients connected to any WebSocket replica.
+ * @returns {Object} Socket.IO instance or Redis emitter
  */
 const getIO = () => {
-    if (!io) {
-        throw new Error('Socket.IO not initialized');
+    if (io) {
+        return io;
     }
-    return io;
+
+    if (isRedisEnabled()) {
+        if (!emitter) {
+            emitter = new Emitter(getPubSub().pubClient);
+        }
+        return emitter;
+    }
+
+    throw new Error('Socket.IO not initialized');
 };
 
 module.exports = {
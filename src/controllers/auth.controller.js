@@ -1,4 +1,6 @@
 const authService = require('../services/auth.service');
+const auditService = require('../services/audit.service');
+const sessionService = require('../services/session.service');
 const { success } = require('../utils/response.utils');
 
 /**
@@ -7,7 +9,7 @@ const { success } = require('../utils/response.utils');
  */
 const register = async (req, res, next) => {
     try {
-        const result = await authService.register(req.body);
+        const result = await authService.register(req.body, auditService.getRequestContext(req));
         res.status(201).json(success(result, 'Registration successful'));
     } catch (error) {
         if (error.statusCode) {
@@ -26,7 +28,11 @@ const register = async (req, res, next) => {
  */
 const login = async (req, res, next) => {
     try {
-        const result = await authService.login(req.body);
+        const result = await authService.login(req.body, auditService.getRequestContext(req));
+        if (result.twoFactorRequired) {
+            return res.json(success(result, 'Two-factor authentication required'));
+        }
+        auditService.recordLogin(req, result.user.id, 'password');
         res.json(success(result, 'Login successful'));
     } catch (error) {
         if (error.statusCode) {
@@ -40,13 +46,22 @@ const login = async (req, res, next) => {
 };
 
 /**
- * Logout user
+ * Logout user (revokes the current session)
  * POST /api/v1/auth/logout
  */
-const logout = async (req, res) => {
-    // JWT is stateless, so we just return success
-    // In production, you might want to blacklist the token
-    res.json(success(null, 'Logout successful'));
+const logout = async (req, res, next) => {
+    try {
+        await sessionService.revokeSession(req.userId, req.sessionId, 'logout');
+        res.json(success(null, 'Logout successful'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
 };
 
 /**
@@ -56,7 +71,7 @@ const logout = async (req, res) => {
 const refresh = async (req, res, next) => {
     try {
         const { refreshToken } = req.body;
-        const result = await authService.refreshToken(refreshToken);
+        const result = await authService.refreshToken(refreshToken, auditService.getRequestContext(req));
         res.json(success(result, 'Token refreshed successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -129,8 +144,12 @@ const verifyEmail = async (req, res, next) => {
 const googleAuth = async (req, res, next) => {
     try {
         const { idToken } = req.body;
-        const result = await authService.googleAuth(idToken);
-        res.json(success(result, 'Google authentication successful'));
+        const result = await authService.googleAuth(idToken, auditService.getRequestContext(req));
+        if (result.twoFactorRequired) {
+            return res.json(success(result, 'Two-factor authentication required'));
+        }
+        auditService.recordLogin(req, result.user.id, 'google');
+        res.status(result.isNewUser ? 201 : 200).json(success(result, 'Google authentication successful'));
     } catch (error) {
         if (error.statusCode) {
             return res.status(error.statusCode).json({
@@ -169,7 +188,36 @@ const sendCode = async (req, res, next) => {
 const verifyCode = async (req, res, next) => {
     try {
         const { email, code } = req.body;
-        const result = await authService.verifyMagicCode(email, code);
+        const result = await authService.verifyMagicCode(email, code, auditService.getRequestContext(req));
+        if (result.twoFactorRequired) {
+            return res.json(success(result, 'Two-factor authentication required'));
+        }
+        auditService.recordLogin(req, result.user.id, 'magic_code');
+        res.status(result.isNewUser ? 201 : 200).json(success(result, 'Login successful'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Complete sign-in with a TOTP or recovery code
+ * POST /api/v1/auth/2fa/verify
+ */
+const verifyTwoFactor = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const result = await authService.verifyTwoFactorLogin(
+            challengeToken,
+            { code, recoveryCode },
+            auditService.getRequestContext(req)
+        );
+        auditService.recordLogin(req, result.user.id, result.method);
         res.json(success(result, 'Login successful'));
     } catch (error) {
         if (error.statusCode) {
@@ -193,4 +241,5 @@ module.exports = {
     googleAuth,
     sendCode,
     verifyCode,
+    verifyTwoFactor,
 };
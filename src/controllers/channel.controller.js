@@ -1,4 +1,5 @@
 const channelService = require('../services/channel.service');
+const auditService = require('../services/audit.service');
 const { success } = require('../utils/response.utils');
 
 /**
@@ -90,7 +91,17 @@ const updateChannel = async (req, res, next) => {
  */
 const deleteChannel = async (req, res, next) => {
     try {
+        const channel = req.channel || await channelService.getChannelById(req.params.id);
         await channelService.deleteChannel(req.params.id);
+
+        auditService.recordAuditLog(req, {
+            workspaceId: channel.workspace_id,
+            action: auditService.AUDIT_ACTIONS.CHANNEL_DELETED,
+            resourceType: 'channel',
+            resourceId: channel.id,
+            metadata: { name: channel.name },
+        });
+
         res.json(success(null, 'Channel deleted successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -110,6 +121,15 @@ const deleteChannel = async (req, res, next) => {
 const archiveChannel = async (req, res, next) => {
     try {
         const channel = await channelService.archiveChannel(req.params.id);
+
+        auditService.recordAuditLog(req, {
+            workspaceId: channel.workspace_id,
+            action: auditService.AUDIT_ACTIONS.CHANNEL_ARCHIVED,
+            resourceType: 'channel',
+            resourceId: channel.id,
+            metadata: { name: channel.name },
+        });
+
         res.json(success(channel, 'Channel archived successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -129,6 +149,15 @@ const archiveChannel = async (req, res, next) => {
 const unarchiveChannel = async (req, res, next) => {
     try {
         const channel = await channelService.unarchiveChannel(req.params.id);
+
+        auditService.recordAuditLog(req, {
+            workspaceId: channel.workspace_id,
+            action: auditService.AUDIT_ACTIONS.CHANNEL_UNARCHIVED,
+            resourceType: 'channel',
+            resourceId: channel.id,
+            metadata: { name: channel.name },
+        });
+
         res.json(success(channel, 'Channel unarchived successfully'));
     } catch (error) {
         if (error.statusCode) {
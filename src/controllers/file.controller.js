@@ -1,5 +1,8 @@
 const fileService = require('../services/file.service');
+const uploadService = require('../services/upload.service');
+const auditService = require('../services/audit.service');
 const { success, paginated, parsePagination } = require('../utils/response.utils');
+const { buildContentDisposition } = require('../utils/file.utils');
 
 /**
  * Upload file(s)
@@ -35,7 +38,7 @@ const uploadFile = async (req, res, next) => {
             }
         );
 
-        res.status(201).json(success(file, 'File uploaded successfully'));
+        res.status(201).json(success(fileService.serializeFile(file), 'File uploaded successfully'));
     } catch (error) {
         if (error.statusCode) {
             return res.status(error.statusCode).json({
@@ -53,8 +56,8 @@ const uploadFile = async (req, res, next) => {
  */
 const getFile = async (req, res, next) => {
     try {
-        const file = await fileService.getFileById(req.params.id);
-        res.json(success(file, 'File retrieved successfully'));
+        const file = await fileService.getFileForUser(req.params.id, req.userId);
+        res.json(success(fileService.serializeFile(file), 'File retrieved successfully'));
     } catch (error) {
         if (error.statusCode) {
             return res.status(error.statusCode).json({
@@ -75,7 +78,7 @@ const getChannelFiles = async (req, res, next) => {
         const pagination = parsePagination(req.query);
         const result = await fileService.getChannelFiles(req.params.channelId, pagination);
 
-        res.json(paginated(result.files, {
+        res.json(paginated(result.files.map((file) => fileService.serializeFile(file)), {
             page: result.page,
             limit: result.limit,
             total: result.total,
@@ -100,12 +103,12 @@ const getWorkspaceFiles = async (req, res, next) => {
         const pagination = parsePagination(req.query);
         const { fileType } = req.query;
 
-        const result = await fileService.getWorkspaceFiles(req.params.workspaceId, {
+        const result = await fileService.getWorkspaceFiles(req.params.workspaceId, req.userId, {
             ...pagination,
             fileType,
         });
 
-        res.json(paginated(result.files, {
+        res.json(paginated(result.files.map((file) => fileService.serializeFile(file)), {
             page: result.page,
             limit: result.limit,
             total: result.total,
@@ -127,7 +130,16 @@ const getWorkspaceFiles = async (req, res, next) => {
  */
 const deleteFile = async (req, res, next) => {
     try {
-        await fileService.deleteFile(req.params.id, req.userId);
+        const { file } = await fileService.deleteFile(req.params.id, req.userId);
+
+        auditService.recordAuditLog(req, {
+            workspaceId: file.workspace_id,
+            action: auditService.AUDIT_ACTIONS.FILE_DELETED,
+            resourceType: 'file',
+            resourceId: file.id,
+            metadata: { name: file.original_name, channelId: file.channel_id, size: file.file_size_bytes },
+        });
+
         res.json(success(null, 'File deleted successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -141,13 +153,191 @@ const deleteFile = async (req, res, next) => {
 };
 
 /**
- * Get file download URL
- * GET /api/v1/files/:id/download
+ * Get a short-lived signed download URL for a file or one of its previews
+ * GET /api/v1/files/:id/download?disposition=attachment|inline&variant=thumb_360|preview
  */
 const getDownloadUrl = async (req, res, next) => {
     try {
-        const url = await fileService.getDownloadUrl(req.params.id);
-        res.json(success({ url }, 'Download URL generated'));
+        const download = await fileService.getDownloadUrl(req.params.id, req.userId, {
+            disposition: req.query.disposition,
+            variant: req.query.variant,
+        });
+        res.json(success(download, 'Download URL generated'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Stream file content through a signed download link
+ * Supports single HTTP byte ranges for seeking and resumed downloads
+ * GET /api/v1/files/:id/content?disposition=&variant=&expires=&signature=
+ */
+const streamFile = async (req, res, next) => {
+    try {
+        const target = await fileService.verifyDownloadLink(req.params.id, req.query);
+        const size = target.size || 0;
+
+        let range = null;
+        if (req.headers.range && size) {
+            const ranges = req.range(size, { combine: true });
+
+            if (ranges === -1) {
+                res.setHeader('Content-Range', `bytes */${size}`);
+                return res.status(416).json({
+                    success: false,
+                    error: 'Requested range not satisfiable',
+                });
+            }
+
+            // Malformed or multi-part ranges fall back to the whole file
+            if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+                range = ranges[0];
+            }
+        }
+
+        const stream = await fileService.openFileStream(target, range);
+
+        res.setHeader('Content-Type', target.mimeType || 'application/octet-stream');
+        res.setHeader('Content-Disposition', buildContentDisposition(req.query.disposition, target.fileName));
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.setHeader('Accept-Ranges', 'bytes');
+
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+        } else if (size) {
+            res.setHeader('Content-Length', size);
+        }
+
+        stream.on('error', (error) => {
+            console.error('Stream file error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Start a resumable upload
+ * POST /api/v1/files/uploads
+ */
+const createUpload = async (req, res, next) => {
+    try {
+        const session = await uploadService.createUploadSession(req.body, req.userId);
+        res.status(201).json(success(session, 'Upload started'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get a resumable upload's status and offset
+ * GET /api/v1/files/uploads/:uploadId
+ */
+const getUpload = async (req, res, next) => {
+    try {
+        const session = await uploadService.getUploadSession(req.params.uploadId, req.userId);
+        res.json(success(session, 'Upload retrieved'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Append a chunk to a resumable upload
+ * Body is the raw chunk (application/octet-stream); headers:
+ * Upload-Offset (required) and Upload-Checksum (optional SHA-256 hex of the chunk)
+ * PATCH /api/v1/files/uploads/:uploadId
+ */
+const appendUploadChunk = async (req, res, next) => {
+    try {
+        const offset = Number(req.get('Upload-Offset'));
+
+        if (!Number.isInteger(offset) || offset < 0 || !Buffer.isBuffer(req.body)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Upload-Offset header and an application/octet-stream body are required',
+            });
+        }
+
+        const session = await uploadService.appendChunk(
+            req.params.uploadId,
+            req.userId,
+            offset,
+            req.body,
+            req.get('Upload-Checksum')
+        );
+
+        res.setHeader('Upload-Offset', session.offset);
+        res.json(success(session, 'Chunk received'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+                ...(error.offset !== undefined && { offset: error.offset }),
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Verify and finalize a resumable upload
+ * POST /api/v1/files/uploads/:uploadId/complete
+ */
+const completeUpload = async (req, res, next) => {
+    try {
+        const file = await uploadService.completeUpload(req.params.uploadId, req.userId, req.body.checksum);
+        res.status(201).json(success(fileService.serializeFile(file), 'File uploaded successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Abort a resumable upload
+ * DELETE /api/v1/files/uploads/:uploadId
+ */
+const abortUpload = async (req, res, next) => {
+    try {
+        await uploadService.abortUpload(req.params.uploadId, req.userId);
+        res.json(success(null, 'Upload aborted'));
     } catch (error) {
         if (error.statusCode) {
             return res.status(error.statusCode).json({
@@ -166,4 +356,10 @@ module.exports = {
     getWorkspaceFiles,
     deleteFile,
     getDownloadUrl,
+    streamFile,
+    createUpload,
+    getUpload,
+    appendUploadChunk,
+    completeUpload,
+    abortUpload,
 };
@@ -0,0 +1,29 @@
+const incomingWebhookService = require('../services/incoming-webhook.service');
+const { success } = require('../utils/response.utils');
+
+/**
+ * Post a message through an incoming webhook
+ * POST /api/v1/hooks/:token
+ */
+const postMessage = async (req, res, next) => {
+    try {
+        const message = await incomingWebhookService.postMessage(req.params.token, req.body);
+        res.status(201).json(success({
+            messageId: message.id,
+            channelId: message.channelId,
+            ephemeral: Boolean(message.isEphemeral),
+        }, 'Message posted'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    postMessage,
+};
@@ -1,4 +1,8 @@
 const messageService = require('../services/message.service');
+const channelService = require('../services/channel.service');
+const dmGroupService = require('../services/dm-group.service');
+const scheduledMessageService = require('../services/scheduled-message.service');
+const slashCommandService = require('../services/slash-command.service');
 const { success } = require('../utils/response.utils');
 
 /**
@@ -7,8 +11,21 @@ const { success } = require('../utils/response.utils');
  */
 const sendMessage = async (req, res, next) => {
     try {
+        if (slashCommandService.parseCommand(req.body.content)) {
+            const result = await slashCommandService.executeCommand(req.body.content, {
+                user: req.user,
+                channel: req.channel,
+                req,
+            });
+            return res.json(success(result, 'Command executed'));
+        }
+
+        await messageService.assertCanPost(req.channel, req.user);
+
+        // Attachments and blocks come only from integrations, which validate them
+        const { content, replyToId, fileIds, clientMessageId } = req.body;
         const message = await messageService.sendMessage(
-            { ...req.body, workspaceId: req.channel?.workspace_id },
+            { content, replyToId, fileIds, clientMessageId, workspaceId: req.channel?.workspace_id },
             req.params.channelId,
             req.user
         );
@@ -24,6 +41,30 @@ const sendMessage = async (req, res, next) => {
     }
 };
 
+/**
+ * Get channel changes since the client's last seen message
+ * GET /api/v1/messages/channel/:channelId/sync
+ */
+const syncMessages = async (req, res, next) => {
+    try {
+        const { lastMessageId, cursor, limit } = req.query;
+        const result = await messageService.getMessagesSince(
+            req.params.channelId,
+            { lastMessageId, cursor },
+            { limit: parseInt(limit) || undefined }
+        );
+        res.json(success(result, 'Messages synced'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
 /**
  * Get messages
  * GET /api/v1/channels/:channelId/messages
@@ -55,6 +96,7 @@ const getMessages = async (req, res, next) => {
 const getMessage = async (req, res, next) => {
     try {
         const message = await messageService.getMessageById(req.params.id);
+        await channelService.checkChannelAccess(message.channelId, req.userId);
         res.json(success(message, 'Message retrieved successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -180,8 +222,12 @@ const replyToMessage = async (req, res, next) => {
         // Get parent message to get channel ID
         const parentMessage = await messageService.getMessageById(req.params.id);
 
+        // Replies follow the same access and posting rules as channel messages
+        const channel = await channelService.checkChannelAccess(parentMessage.channelId, req.userId);
+        await messageService.assertCanPost(channel, req.user);
+
         const message = await messageService.sendMessage(
-            { ...req.body, replyToId: req.params.id, workspaceId: parentMessage.workspaceId },
+            { ...req.body, replyToId: req.params.id, workspaceId: channel.workspace_id },
             parentMessage.channelId,
             req.user
         );
@@ -278,16 +324,21 @@ const getDmConversations = async (req, res, next) => {
 
 /**
  * Create or get DM conversation
+ * Pass user_ids with more than one other user to open a group DM
  * POST /api/v1/messages/workspace/:workspaceId/dms
  */
 const createDmConversation = async (req, res, next) => {
     try {
-        const { user_id } = req.body;
-        const conversation = await messageService.getOrCreateDmConversation(
-            req.params.workspaceId,
-            req.userId,
-            user_id
-        );
+        const { user_id, user_ids, name } = req.body;
+        const otherIds = (user_ids || [user_id]).filter((id) => id !== req.userId);
+
+        const conversation = otherIds.length > 1
+            ? await dmGroupService.createGroupDm(req.params.workspaceId, req.userId, otherIds, name)
+            : await messageService.getOrCreateDmConversation(
+                req.params.workspaceId,
+                req.userId,
+                otherIds[0] || user_id
+            );
         res.status(201).json(success(conversation, 'DM conversation created'));
     } catch (error) {
         if (error.statusCode) {
@@ -333,11 +384,12 @@ const getDmMessages = async (req, res, next) => {
  */
 const sendDmMessage = async (req, res, next) => {
     try {
-        const { content } = req.body;
+        const { content, clientMessageId } = req.body;
         const message = await messageService.sendDmMessage(
             req.params.conversationId,
             req.userId,
-            content
+            content,
+            { clientMessageId }
         );
         res.status(201).json(success(message, 'DM sent'));
     } catch (error) {
@@ -351,8 +403,263 @@ const sendDmMessage = async (req, res, next) => {
     }
 };
 
+/**
+ * Rename group DM
+ * PATCH /api/v1/messages/dm/:conversationId
+ */
+const renameDmConversation = async (req, res, next) => {
+    try {
+        const conversation = await dmGroupService.renameGroupDm(
+            req.params.conversationId,
+            req.userId,
+            req.body.name
+        );
+        res.json(success(conversation, 'Conversation renamed'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Add participants to group DM
+ * POST /api/v1/messages/dm/:conversationId/participants
+ */
+const addDmParticipants = async (req, res, next) => {
+    try {
+        const conversation = await dmGroupService.addGroupParticipants(
+            req.params.conversationId,
+            req.userId,
+            req.body.user_ids
+        );
+        res.json(success(conversation, 'Participants added'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Remove participant from group DM (or leave it)
+ * DELETE /api/v1/messages/dm/:conversationId/participants/:userId
+ */
+const removeDmParticipant = async (req, res, next) => {
+    try {
+        const conversation = await dmGroupService.removeGroupParticipant(
+            req.params.conversationId,
+            req.userId,
+            req.params.userId
+        );
+        res.json(success(conversation, 'Participant removed'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Convert group DM into a private channel
+ * POST /api/v1/messages/dm/:conversationId/convert
+ */
+const convertDmToChannel = async (req, res, next) => {
+    try {
+        const channel = await dmGroupService.convertToPrivateChannel(
+            req.params.conversationId,
+            req.userId,
+            req.body
+        );
+        res.status(201).json(success(channel, 'Conversation converted to a private channel'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Schedule a channel message
+ * POST /api/v1/messages/channel/:channelId/scheduled
+ */
+const scheduleMessage = async (req, res, next) => {
+    try {
+        const scheduled = await scheduledMessageService.createScheduledMessage(
+            { ...req.body, channelId: req.params.channelId, workspaceId: req.channel?.workspace_id },
+            req.user
+        );
+        res.status(201).json(success(scheduled, 'Message scheduled'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Schedule a DM message
+ * POST /api/v1/messages/dm/:conversationId/scheduled
+ */
+const scheduleDmMessage = async (req, res, next) => {
+    try {
+        const scheduled = await scheduledMessageService.createScheduledMessage(
+            { content: req.body.content, sendAt: req.body.sendAt, conversationId: req.params.conversationId },
+            req.user
+        );
+        res.status(201).json(success(scheduled, 'Message scheduled'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * List the current user's scheduled messages
+ * GET /api/v1/messages/scheduled
+ */
+const getScheduledMessages = async (req, res, next) => {
+    try {
+        const scheduled = await scheduledMessageService.getScheduledMessages(req.userId, req.query);
+        res.json(success(scheduled, 'Scheduled messages retrieved'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Edit or reschedule a scheduled message
+ * PATCH /api/v1/messages/scheduled/:scheduledId
+ */
+const updateScheduledMessage = async (req, res, next) => {
+    try {
+        const scheduled = await scheduledMessageService.updateScheduledMessage(
+            req.params.scheduledId,
+            req.userId,
+            { content: req.body.content, sendAt: req.body.sendAt }
+        );
+        res.json(success(scheduled, 'Scheduled message updated'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Cancel a scheduled message
+ * DELETE /api/v1/messages/scheduled/:scheduledId
+ */
+const cancelScheduledMessage = async (req, res, next) => {
+    try {
+        await scheduledMessageService.cancelScheduledMessage(req.params.scheduledId, req.userId);
+        res.json(success(null, 'Scheduled message cancelled'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * List slash commands available in a channel
+ * GET /api/v1/messages/channel/:channelId/commands
+ */
+const getCommands = async (req, res, next) => {
+    try {
+        const commands = await slashCommandService.getAvailableCommands(req.channel.workspace_id);
+        res.json(success(commands, 'Commands retrieved'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get the current user's kept ephemeral messages in a channel
+ * GET /api/v1/messages/channel/:channelId/ephemeral
+ */
+const getEphemeralMessages = async (req, res, next) => {
+    try {
+        const messages = await messageService.getEphemeralMessages(req.params.channelId, req.userId);
+        res.json(success(messages, 'Ephemeral messages retrieved'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Dismiss a kept ephemeral message
+ * DELETE /api/v1/messages/ephemeral/:ephemeralId
+ */
+const dismissEphemeralMessage = async (req, res, next) => {
+    try {
+        await messageService.dismissEphemeralMessage(req.params.ephemeralId, req.userId);
+        res.json(success(null, 'Message dismissed'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
 module.exports = {
     sendMessage,
+    syncMessages,
     getMessages,
     getMessage,
     updateMessage,
@@ -368,5 +675,17 @@ module.exports = {
     createDmConversation,
     getDmMessages,
     sendDmMessage,
+    renameDmConversation,
+    addDmParticipants,
+    removeDmParticipant,
+    convertDmToChannel,
+    scheduleMessage,
+    scheduleDmMessage,
+    getScheduledMessages,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+    getCommands,
+    getEphemeralMessages,
+    dismissEphemeralMessage,
 };
 
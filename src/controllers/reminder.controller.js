@@ -0,0 +1,105 @@
+const reminderService = require('../services/reminder.service');
+const { success } = require('../utils/response.utils');
+
+/**
+ * Create a reminder about a message or free text
+ * POST /api/v1/reminders
+ */
+const createReminder = async (req, res, next) => {
+    try {
+        const reminder = await reminderService.createReminder(req.userId, req.body);
+        res.status(201).json(success(reminder, 'Reminder created'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * List the current user's reminders
+ * GET /api/v1/reminders
+ */
+const getReminders = async (req, res, next) => {
+    try {
+        const reminders = await reminderService.getReminders(req.userId, req.query);
+        res.json(success(reminders, 'Reminders retrieved'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Snooze a reminder
+ * POST /api/v1/reminders/:id/snooze
+ */
+const snoozeReminder = async (req, res, next) => {
+    try {
+        const reminder = await reminderService.snoozeReminder(req.params.id, req.userId, req.body);
+        res.json(success(reminder, 'Reminder snoozed'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Mark a reminder as complete
+ * POST /api/v1/reminders/:id/complete
+ */
+const completeReminder = async (req, res, next) => {
+    try {
+        const reminder = await reminderService.completeReminder(req.params.id, req.userId);
+        res.json(success(reminder, 'Reminder completed'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Delete a reminder
+ * DELETE /api/v1/reminders/:id
+ */
+const deleteReminder = async (req, res, next) => {
+    try {
+        await reminderService.deleteReminder(req.params.id, req.userId);
+        res.json(success(null, 'Reminder deleted'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    createReminder,
+    getReminders,
+    snoozeReminder,
+    completeReminder,
+    deleteReminder,
+};
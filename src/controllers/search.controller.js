@@ -1,5 +1,37 @@
 const searchService = require('../services/search.service');
 const { success } = require('../utils/response.utils');
+const { parseSearchQuery, describeSearchQuery, hasSearchModifiers } = require('../utils/search-query.utils');
+
+/**
+ * Parse the q parameter and reject malformed queries
+ * Sends a 400 response and returns null if the query cannot be used
+ * @param {Object} res - Express response
+ * @param {string} q - Raw search query
+ * @returns {Object|null} Parsed query
+ */
+const parseQueryOrReject = (res, q) => {
+    const parsed = parseSearchQuery(q || '');
+
+    if (parsed.errors.length > 0) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid search query',
+            details: parsed.errors.map((error) => ({ field: 'q', ...error })),
+            query: describeSearchQuery(parsed),
+        });
+        return null;
+    }
+
+    if (parsed.text.length < 2 && !hasSearchModifiers(parsed)) {
+        res.status(400).json({
+            success: false,
+            error: 'Search query must be at least 2 characters',
+        });
+        return null;
+    }
+
+    return parsed;
+};
 
 /**
  * Search messages
@@ -7,14 +39,7 @@ const { success } = require('../utils/response.utils');
  */
 const searchMessages = async (req, res, next) => {
     try {
-        const { q, workspaceId, channelId, userId, limit, before, after } = req.query;
-
-        if (!q || q.length < 2) {
-            return res.status(400).json({
-                success: false,
-                error: 'Search query must be at least 2 characters',
-            });
-        }
+        const { q, workspaceId, channelId, userId, limit, offset, before, after, sort } = req.query;
 
         if (!workspaceId) {
             return res.status(400).json({
@@ -23,15 +48,24 @@ const searchMessages = async (req, res, next) => {
             });
         }
 
-        const results = await searchService.searchMessages(workspaceId, q, {
-            limit: parseInt(limit) || 20,
+        const parsed = parseQueryOrReject(res, q);
+        if (!parsed) return;
+
+        const results = await searchService.searchMessages(workspaceId, parsed, {
+            limit: Math.min(parseInt(limit) || 20, 100),
+            offset: parseInt(offset) || 0,
             channelId,
             userId,
             before,
             after,
+            sort: sort === 'recent' ? 'recent' : 'relevance',
+            viewerId: req.userId,
         });
 
-        res.json(success(results, 'Search completed'));
+        res.json({
+            ...success(results, 'Search completed'),
+            query: describeSearchQuery(parsed),
+        });
     } catch (error) {
         next(error);
     }
@@ -133,13 +167,6 @@ const globalSearch = async (req, res, next) => {
     try {
         const { q, workspaceId, types, limit } = req.query;
 
-        if (!q || q.length < 2) {
-            return res.status(400).json({
-                success: false,
-                error: 'Search query must be at least 2 characters',
-            });
-        }
-
         if (!workspaceId) {
             return res.status(400).json({
                 success: false,
@@ -147,27 +174,53 @@ const globalSearch = async (req, res, next) => {
             });
         }
 
+        const parsed = parseQueryOrReject(res, q);
+        if (!parsed) return;
+
         const searchTypes = types ? types.split(',') : undefined;
 
         const results = await searchService.globalSearch(
             workspaceId,
-            q,
+            parsed,
             req.userId,
             {
                 types: searchTypes,
                 limit: parseInt(limit) || 10,
             }
         );
-        res.json(success(results, 'Search completed'));
+        res.json({
+            ...success(results, 'Search completed'),
+            query: describeSearchQuery(parsed),
+        });
     } catch (error) {
         next(error);
     }
 };
 
+/**
+ * Rebuild the message search index for a workspace
+ * POST /api/v1/search/reindex
+ */
+const reindexMessages = async (req, res, next) => {
+    try {
+        const result = await searchService.reindexWorkspace(req.body.workspaceId);
+        res.json(success(result, 'Search index rebuilt'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
 module.exports = {
     searchMessages,
     searchChannels,
     searchUsers,
     searchFiles,
     globalSearch,
+    reindexMessages,
 };
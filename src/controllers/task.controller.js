@@ -0,0 +1,232 @@
+const taskService = require('../services/task.service');
+const { success, paginated, parsePagination } = require('../utils/response.utils');
+
+/**
+ * Create task in a channel
+ * POST /api/v1/tasks/channel/:channelId/tasks
+ */
+const createTask = async (req, res, next) => {
+    try {
+        const task = await taskService.createTask(req.body, req.channel, req.userId);
+        res.status(201).json(success(task, 'Task created successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get channel tasks
+ * GET /api/v1/tasks/channel/:channelId/tasks
+ */
+const getChannelTasks = async (req, res, next) => {
+    try {
+        const { assigneeId, status, label, includeSubtasks } = req.query;
+        const tasks = await taskService.getChannelTasks(req.params.channelId, {
+            assigneeId,
+            status,
+            label,
+            includeSubtasks: includeSubtasks === 'true',
+        });
+        res.json(success(tasks, 'Tasks retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get channel task board
+ * GET /api/v1/tasks/channel/:channelId/board
+ */
+const getChannelBoard = async (req, res, next) => {
+    try {
+        const { assigneeId, label } = req.query;
+        const board = await taskService.getChannelBoard(req.params.channelId, { assigneeId, label });
+        res.json(success(board, 'Task board retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get workspace tasks
+ * GET /api/v1/tasks/workspace/:workspaceId/tasks
+ */
+const getWorkspaceTasks = async (req, res, next) => {
+    try {
+        const pagination = parsePagination(req.query);
+        const { status, label, mine } = req.query;
+        const assigneeId = mine === 'true' ? req.userId : req.query.assigneeId;
+
+        const result = await taskService.getWorkspaceTasks(req.params.workspaceId, req.userId, {
+            ...pagination,
+            assigneeId,
+            status,
+            label,
+        });
+
+        res.json(paginated(result.tasks, {
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+        }, 'Tasks retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get task by ID
+ * GET /api/v1/tasks/:id
+ */
+const getTask = async (req, res, next) => {
+    try {
+        const task = await taskService.getTaskById(req.params.id);
+        res.json(success(task, 'Task retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Update task
+ * PATCH /api/v1/tasks/:id
+ */
+const updateTask = async (req, res, next) => {
+    try {
+        const task = await taskService.updateTask(req.params.id, req.body);
+        res.json(success(task, 'Task updated successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Move task to a status column and position
+ * POST /api/v1/tasks/:id/move
+ */
+const moveTask = async (req, res, next) => {
+    try {
+        const task = await taskService.moveTask(req.params.id, req.body);
+        res.json(success(task, 'Task moved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Delete task
+ * DELETE /api/v1/tasks/:id
+ */
+const deleteTask = async (req, res, next) => {
+    try {
+        await taskService.deleteTask(req.params.id);
+        res.json(success(null, 'Task deleted successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get subtasks
+ * GET /api/v1/tasks/:id/subtasks
+ */
+const getSubtasks = async (req, res, next) => {
+    try {
+        const task = await taskService.getTaskById(req.params.id);
+        res.json(success(task.subtasks, 'Subtasks retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Create subtask
+ * POST /api/v1/tasks/:id/subtasks
+ */
+const createSubtask = async (req, res, next) => {
+    try {
+        const parentTask = await taskService.getTaskById(req.params.id);
+
+        const task = await taskService.createTask(
+            { ...req.body, parentTaskId: parentTask.id },
+            { id: parentTask.channel_id, workspace_id: parentTask.workspace_id },
+            req.userId
+        );
+        res.status(201).json(success(task, 'Subtask created successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    createTask,
+    getChannelTasks,
+    getChannelBoard,
+    getWorkspaceTasks,
+    getTask,
+    updateTask,
+    moveTask,
+    deleteTask,
+    getSubtasks,
+    createSubtask,
+};
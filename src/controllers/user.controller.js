@@ -1,4 +1,7 @@
 const userService = require('../services/user.service');
+const authService = require('../services/auth.service');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/two-factor.service');
 const { success } = require('../utils/response.utils');
 
 /**
@@ -173,6 +176,219 @@ const deleteFcmToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Get sign-in methods linked to the current user
+ * GET /api/v1/users/me/providers
+ */
+const getProviders = async (req, res, next) => {
+    try {
+        const result = await authService.getLinkedProviders(req.userId);
+        res.json(success(result, 'Sign-in methods retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Link a sign-in provider to the current user
+ * POST /api/v1/users/me/providers/:provider
+ */
+const linkProvider = async (req, res, next) => {
+    try {
+        const provider = await authService.linkProvider(req.userId, req.params.provider, req.body.idToken);
+        res.status(201).json(success(provider, 'Account linked successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Unlink a sign-in provider from the current user
+ * DELETE /api/v1/users/me/providers/:provider
+ */
+const unlinkProvider = async (req, res, next) => {
+    try {
+        await authService.unlinkProvider(req.userId, req.params.provider);
+        res.json(success(null, 'Account unlinked successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get the current user's active sessions
+ * GET /api/v1/users/me/sessions
+ */
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await sessionService.listSessions(req.userId, req.sessionId);
+        res.json(success(sessions, 'Sessions retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/v1/users/me/sessions/:sessionId
+ */
+const revokeSession = async (req, res, next) => {
+    try {
+        await sessionService.revokeSession(req.userId, req.params.sessionId);
+        res.json(success(null, 'Session revoked successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Sign out everywhere (optionally keeping the current session)
+ * DELETE /api/v1/users/me/sessions?keepCurrent=true
+ */
+const revokeAllSessions = async (req, res, next) => {
+    try {
+        const revoked = await sessionService.revokeAllSessions(req.userId, {
+            exceptSessionId: req.query.keepCurrent === 'true' ? req.sessionId : null,
+        });
+        res.json(success({ revoked }, 'Signed out of all sessions'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get the current user's two-factor status
+ * GET /api/v1/users/me/2fa
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.getStatus(req.user);
+        res.json(success(result, 'Two-factor status retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Start two-factor setup (returns the secret and provisioning URI)
+ * POST /api/v1/users/me/2fa/setup
+ */
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.startEnrollment(req.user);
+        res.json(success(result, 'Scan the QR code with your authenticator app'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Confirm two-factor setup with a code from the authenticator app
+ * POST /api/v1/users/me/2fa/enable
+ */
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const result = await twoFactorService.confirmEnrollment(req.user, req.body.code);
+        res.json(success(result, 'Two-factor authentication enabled'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Turn off two-factor authentication
+ * POST /api/v1/users/me/2fa/disable
+ */
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        await twoFactorService.disable(req.user, { code, recoveryCode });
+        res.json(success(null, 'Two-factor authentication disabled'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Replace the current user's recovery codes
+ * POST /api/v1/users/me/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const { code, recoveryCode } = req.body;
+        const result = await twoFactorService.regenerateRecoveryCodes(req.user, { code, recoveryCode });
+        res.json(success(result, 'Recovery codes regenerated'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
 module.exports = {
     getMe,
     updateMe,
@@ -182,5 +398,16 @@ module.exports = {
     searchUsers,
     saveFcmToken,
     deleteFcmToken,
+    getProviders,
+    linkProvider,
+    unlinkProvider,
+    getSessions,
+    revokeSession,
+    revokeAllSessions,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
 };
 
@@ -0,0 +1,180 @@
+const webhookService = require('../services/webhook.service');
+const { success, paginated, parsePagination } = require('../utils/response.utils');
+
+/**
+ * Create webhook
+ * POST /api/v1/webhooks/workspace/:workspaceId/webhooks
+ */
+const createWebhook = async (req, res, next) => {
+    try {
+        const webhook = await webhookService.createWebhook(req.params.workspaceId, req.body, req.userId);
+        res.status(201).json(success(webhook, 'Webhook created successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get workspace webhooks
+ * GET /api/v1/webhooks/workspace/:workspaceId/webhooks
+ */
+const getWebhooks = async (req, res, next) => {
+    try {
+        const webhooks = await webhookService.getWorkspaceWebhooks(req.params.workspaceId, req.query.type);
+        res.json(success(webhooks, 'Webhooks retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get available webhook events
+ * GET /api/v1/webhooks/events
+ */
+const getEvents = (req, res) => {
+    res.json(success(webhookService.WEBHOOK_EVENTS, 'Webhook events retrieved successfully'));
+};
+
+/**
+ * Get webhook by ID
+ * GET /api/v1/webhooks/workspace/:workspaceId/webhooks/:id
+ */
+const getWebhook = async (req, res, next) => {
+    try {
+        const webhook = await webhookService.getWebhookById(req.params.workspaceId, req.params.id);
+        res.json(success(webhook, 'Webhook retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Update webhook
+ * PATCH /api/v1/webhooks/workspace/:workspaceId/webhooks/:id
+ */
+const updateWebhook = async (req, res, next) => {
+    try {
+        const webhook = await webhookService.updateWebhook(req.params.workspaceId, req.params.id, req.body);
+        res.json(success(webhook, 'Webhook updated successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Delete webhook
+ * DELETE /api/v1/webhooks/workspace/:workspaceId/webhooks/:id
+ */
+const deleteWebhook = async (req, res, next) => {
+    try {
+        await webhookService.deleteWebhook(req.params.workspaceId, req.params.id);
+        res.json(success(null, 'Webhook deleted successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Rotate webhook secret (outgoing) or token (incoming)
+ * POST /api/v1/webhooks/workspace/:workspaceId/webhooks/:id/rotate-secret
+ */
+const rotateSecret = async (req, res, next) => {
+    try {
+        const webhook = await webhookService.rotateSecret(req.params.workspaceId, req.params.id);
+        res.json(success(webhook, 'Webhook secret rotated successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Send a test event
+ * POST /api/v1/webhooks/workspace/:workspaceId/webhooks/:id/test
+ */
+const testWebhook = async (req, res, next) => {
+    try {
+        const result = await webhookService.sendTestEvent(req.params.workspaceId, req.params.id, req.user);
+        res.json(success(result, result.success ? 'Test event delivered' : 'Test event delivery failed'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get webhook delivery attempts
+ * GET /api/v1/webhooks/workspace/:workspaceId/webhooks/:id/deliveries
+ */
+const getDeliveries = async (req, res, next) => {
+    try {
+        const pagination = parsePagination(req.query);
+        const result = await webhookService.getDeliveries(req.params.workspaceId, req.params.id, pagination);
+
+        res.json(paginated(result.deliveries, {
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+        }, 'Webhook deliveries retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    createWebhook,
+    getWebhooks,
+    getEvents,
+    getWebhook,
+    updateWebhook,
+    deleteWebhook,
+    rotateSecret,
+    testWebhook,
+    getDeliveries,
+};
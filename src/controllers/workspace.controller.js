@@ -1,4 +1,6 @@
 const workspaceService = require('../services/workspace.service');
+const auditService = require('../services/audit.service');
+const quotaService = require('../services/quota.service');
 const { success, paginated, parsePagination } = require('../utils/response.utils');
 
 /**
@@ -54,11 +56,11 @@ const getWorkspace = async (req, res, next) => {
 
 /**
  * Update workspace
- * PATCH /api/v1/workspaces/:id
+ * PATCH /api/v1/workspaces/:workspaceId
  */
 const updateWorkspace = async (req, res, next) => {
     try {
-        const workspace = await workspaceService.updateWorkspace(req.params.id, req.body);
+        const workspace = await workspaceService.updateWorkspace(req.params.workspaceId, req.body, req.user);
         res.json(success(workspace, 'Workspace updated successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -73,11 +75,11 @@ const updateWorkspace = async (req, res, next) => {
 
 /**
  * Delete workspace
- * DELETE /api/v1/workspaces/:id
+ * DELETE /api/v1/workspaces/:workspaceId
  */
 const deleteWorkspace = async (req, res, next) => {
     try {
-        await workspaceService.deleteWorkspace(req.params.id);
+        await workspaceService.deleteWorkspace(req.params.workspaceId);
         res.json(success(null, 'Workspace deleted successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -92,12 +94,12 @@ const deleteWorkspace = async (req, res, next) => {
 
 /**
  * Get workspace members
- * GET /api/v1/workspaces/:id/members
+ * GET /api/v1/workspaces/:workspaceId/members
  */
 const getMembers = async (req, res, next) => {
     try {
         const pagination = parsePagination(req.query);
-        const result = await workspaceService.getWorkspaceMembers(req.params.id, pagination);
+        const result = await workspaceService.getWorkspaceMembers(req.params.workspaceId, pagination);
         res.json(paginated(result.members, {
             page: result.page,
             limit: result.limit,
@@ -116,11 +118,11 @@ const getMembers = async (req, res, next) => {
 
 /**
  * Invite member to workspace
- * POST /api/v1/workspaces/:id/members
+ * POST /api/v1/workspaces/:workspaceId/members
  */
 const inviteMember = async (req, res, next) => {
     try {
-        const result = await workspaceService.inviteMember(req.params.id, req.body, req.userId);
+        const result = await workspaceService.inviteMember(req.params.workspaceId, req.body, req.userId);
         res.status(201).json(success(result, 'Member invited successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -135,11 +137,19 @@ const inviteMember = async (req, res, next) => {
 
 /**
  * Remove member from workspace
- * DELETE /api/v1/workspaces/:id/members/:userId
+ * DELETE /api/v1/workspaces/:workspaceId/members/:userId
  */
 const removeMember = async (req, res, next) => {
     try {
-        await workspaceService.removeMember(req.params.id, req.params.userId);
+        await workspaceService.removeMember(req.params.workspaceId, req.params.userId);
+
+        auditService.recordAuditLog(req, {
+            workspaceId: req.params.workspaceId,
+            action: auditService.AUDIT_ACTIONS.MEMBER_REMOVED,
+            resourceType: 'user',
+            resourceId: req.params.userId,
+        });
+
         res.json(success(null, 'Member removed successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -154,12 +164,21 @@ const removeMember = async (req, res, next) => {
 
 /**
  * Update member role
- * PATCH /api/v1/workspaces/:id/members/:userId
+ * PATCH /api/v1/workspaces/:workspaceId/members/:userId
  */
 const updateMemberRole = async (req, res, next) => {
     try {
         const { role } = req.body;
-        const member = await workspaceService.updateMemberRole(req.params.id, req.params.userId, role);
+        const member = await workspaceService.updateMemberRole(req.params.workspaceId, req.params.userId, role);
+
+        auditService.recordAuditLog(req, {
+            workspaceId: req.params.workspaceId,
+            action: auditService.AUDIT_ACTIONS.MEMBER_ROLE_UPDATED,
+            resourceType: 'user',
+            resourceId: req.params.userId,
+            metadata: { role },
+        });
+
         res.json(success(member, 'Member role updated successfully'));
     } catch (error) {
         if (error.statusCode) {
@@ -172,6 +191,91 @@ const updateMemberRole = async (req, res, next) => {
     }
 };
 
+/**
+ * Get workspace storage usage by channel, user and file type
+ * GET /api/v1/workspaces/:workspaceId/storage
+ */
+const getStorageUsage = async (req, res, next) => {
+    try {
+        const report = await quotaService.getStorageReport(req.params.workspaceId);
+        res.json(success(report, 'Storage usage retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Get workspace audit logs
+ * GET /api/v1/workspaces/:workspaceId/audit-logs
+ */
+const getAuditLogs = async (req, res, next) => {
+    try {
+        const pagination = parsePagination(req.query);
+        const { action, userId, resourceType, resourceId, from, to } = req.query;
+        const result = await auditService.getAuditLogs(req.params.workspaceId, {
+            action,
+            userId,
+            resourceType,
+            resourceId,
+            from,
+            to,
+            ...pagination,
+        });
+
+        res.json(paginated(result.logs, {
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+        }, 'Audit logs retrieved successfully'));
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
+/**
+ * Export workspace audit logs as CSV
+ * GET /api/v1/workspaces/:workspaceId/audit-logs/export
+ */
+const exportAuditLogs = async (req, res, next) => {
+    try {
+        const { action, userId, resourceType, resourceId, from, to } = req.query;
+        const csv = await auditService.exportAuditLogsCsv(req.params.workspaceId, {
+            action,
+            userId,
+            resourceType,
+            resourceId,
+            from,
+            to,
+        });
+
+        const filename = `audit-logs-${req.params.workspaceId}-${new Date().toISOString().slice(0, 10)}.csv`;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(csv);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message,
+            });
+        }
+        next(error);
+    }
+};
+
 module.exports = {
     createWorkspace,
     getWorkspaces,
@@ -182,4 +286,7 @@ module.exports = {
     inviteMember,
     removeMember,
     updateMemberRole,
+    getStorageUsage,
+    getAuditLogs,
+    exportAuditLogs,
 };
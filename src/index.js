@@ -87,6 +87,13 @@ const startServer = async () => {
             break;
         }
 
+        case 'scheduler': {
+            // Scheduled message delivery only (no HTTP server)
+            const { startScheduler } = require('./services/scheduler.service');
+            startScheduler();
+            break;
+        }
+
         case 'api':
         default: {
             // Full API server with WebSocket (for development or single-instance)
@@ -96,6 +103,10 @@ const startServer = async () => {
             // Only attach WebSocket if not in production multi-service mode
             if (process.env.NODE_ENV !== 'production' || !process.env.SEPARATE_SERVICES) {
                 initializeSocketServer(server);
+
+                // Likewise run the scheduler in-process unless it has its own service
+                const { startScheduler } = require('./services/scheduler.service');
+                startScheduler();
             }
 
             server.listen(PORT, '0.0.0.0', () => {
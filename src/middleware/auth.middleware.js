@@ -1,10 +1,12 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/environment');
 const { supabase } = require('../config/supabase');
+const { isAccessToken } = require('../utils/jwt.utils');
+const sessionService = require('../services/session.service');
 
 /**
  * Authentication middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token and its session, and attaches user to request
  */
 const authenticate = async (req, res, next) => {
     try {
@@ -22,12 +24,22 @@ const authenticate = async (req, res, next) => {
         try {
             const decoded = jwt.verify(token, config.jwt.secret);
 
-            // Get user from database
-            const { data: user, error } = await supabase
-                .from('users')
-                .select('*')
-                .eq('id', decoded.userId)
-                .single();
+            if (!isAccessToken(decoded)) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid token.',
+                });
+            }
+
+            // Get user and session from database
+            const [{ data: user, error }, session] = await Promise.all([
+                supabase
+                    .from('users')
+                    .select('*')
+                    .eq('id', decoded.userId)
+                    .single(),
+                sessionService.getActiveSession(decoded.sid, decoded.userId),
+            ]);
 
             if (error || !user) {
                 return res.status(401).json({
@@ -43,8 +55,19 @@ const authenticate = async (req, res, next) => {
                 });
             }
 
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Session has been revoked. Please sign in again.',
+                    code: 'SESSION_REVOKED',
+                });
+            }
+
+            sessionService.touchSession(session, req.ip);
+
             req.user = user;
             req.userId = user.id;
+            req.sessionId = session.id;
             next();
         } catch (jwtError) {
             if (jwtError.name === 'TokenExpiredError') {
@@ -80,6 +103,7 @@ const optionalAuth = async (req, res, next) => {
         if (!authHeader || !authHeader.startsWith('Bearer ')) {
             req.user = null;
             req.userId = null;
+            req.sessionId = null;
             return next();
         }
 
@@ -88,23 +112,32 @@ const optionalAuth = async (req, res, next) => {
         try {
             const decoded = jwt.verify(token, config.jwt.secret);
 
-            const { data: user } = await supabase
-                .from('users')
-                .select('*')
-                .eq('id', decoded.userId)
-                .single();
-
-            req.user = user || null;
-            req.userId = user?.id || null;
+            const [{ data: user }, session] = await Promise.all([
+                supabase
+                    .from('users')
+                    .select('*')
+                    .eq('id', decoded.userId)
+                    .single(),
+                isAccessToken(decoded) ? sessionService.getActiveSession(decoded.sid, decoded.userId) : null,
+            ]);
+
+            // A token whose session was revoked counts as anonymous
+            const activeUser = session ? user || null : null;
+
+            req.user = activeUser;
+            req.userId = activeUser?.id || null;
+            req.sessionId = activeUser ? session.id : null;
         } catch {
             req.user = null;
             req.userId = null;
+            req.sessionId = null;
         }
 
         next();
     } catch (error) {
         req.user = null;
         req.userId = null;
+        req.sessionId = null;
         next();
     }
 };
@@ -3,10 +3,12 @@ const config = require('../config/environment');
 
 /**
  * General API rate limiter
+ * Resumable upload chunks have their own limiter, a large file needs hundreds of them
  */
 const apiLimiter = rateLimit({
     windowMs: config.rateLimit.windowMs,
     max: config.rateLimit.max,
+    skip: (req) => req.method === 'PATCH' && req.path.startsWith('/v1/files/uploads/'),
     message: {
         success: false,
         error: 'Too many requests, please try again later.',
@@ -43,6 +45,22 @@ const uploadLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+/**
+ * Rate limiter for resumable upload chunks
+ * Keyed by upload session so parallel uploads don't share a budget
+ */
+const uploadChunkLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 120, // 120 chunks per minute per upload
+    keyGenerator: (req) => `upload:${req.params.uploadId}`,
+    message: {
+        success: false,
+        error: 'Upload chunk rate limit reached, please slow down.',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 /**
  * Rate limiter for message sending
  */
@@ -57,9 +75,46 @@ const messageLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+/**
+ * Rate limiter for incoming webhooks
+ * Keyed by webhook token so each hook has its own budget regardless of caller IP
+ */
+const incomingWebhookLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 30, // 30 messages per minute per hook
+    keyGenerator: (req) => `hook:${req.params.token}`,
+    message: {
+        success: false,
+        error: 'Webhook rate limit reached, please slow down.',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+/**
+ * Rate limiter for unknown incoming webhook tokens
+ * Keyed by IP and counting only lookups that miss, since the per-hook
+ * limiter gives every guessed token a fresh budget
+ */
+const incomingWebhookLookupLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20, // 20 unknown tokens per window
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 404,
+    message: {
+        success: false,
+        error: 'Too many invalid webhook requests, please try again later.',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 module.exports = {
     apiLimiter,
     authLimiter,
     uploadLimiter,
+    uploadChunkLimiter,
     messageLimiter,
+    incomingWebhookLimiter,
+    incomingWebhookLookupLimiter,
 };
@@ -1,4 +1,15 @@
 const { supabase } = require('../config/supabase');
+const { TWO_FACTOR_REQUIRED_MESSAGE, isTwoFactorMissing } = require('../services/two-factor.service');
+
+/**
+ * Response for members of a workspace that requires 2FA they haven't set up
+ * @param {Object} res - Express response
+ */
+const twoFactorRequired = (res) => res.status(403).json({
+    success: false,
+    error: TWO_FACTOR_REQUIRED_MESSAGE,
+    code: 'TWO_FACTOR_REQUIRED',
+});
 
 /**
  * Workspace access middleware
@@ -31,6 +42,10 @@ const workspaceAccess = async (req, res, next) => {
             });
         }
 
+        if (isTwoFactorMissing(membership.workspaces, req.user)) {
+            return twoFactorRequired(res);
+        }
+
         // Attach workspace and role to request
         req.workspace = membership.workspaces;
         req.workspaceRole = membership.role;
@@ -75,20 +90,14 @@ const ownerAccess = async (req, res, next) => {
 };
 
 /**
- * Channel access middleware
- * Verifies user has access to the specified channel
+ * Verify the user can access a channel and attach it to the request
+ * @param {string} channelId - Channel ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next
  */
-const channelAccess = async (req, res, next) => {
+const checkChannel = async (channelId, req, res, next) => {
     try {
-        const channelId = req.params.channelId || req.body.channelId;
-
-        if (!channelId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Channel ID is required',
-            });
-        }
-
         // Get channel info
         const { data: channel, error: channelError } = await supabase
             .from('channels')
@@ -103,6 +112,16 @@ const channelAccess = async (req, res, next) => {
             });
         }
 
+        const { data: workspace } = await supabase
+            .from('workspaces')
+            .select('settings')
+            .eq('id', channel.workspace_id)
+            .single();
+
+        if (isTwoFactorMissing(workspace, req.user)) {
+            return twoFactorRequired(res);
+        }
+
         // For public channels, just check workspace membership
         if (!channel.is_private) {
             // Verify workspace access
@@ -152,9 +171,56 @@ const channelAccess = async (req, res, next) => {
     }
 };
 
+/**
+ * Channel access middleware
+ * Verifies user has access to the specified channel
+ */
+const channelAccess = async (req, res, next) => {
+    const channelId = req.params.channelId || req.body.channelId;
+
+    if (!channelId) {
+        return res.status(400).json({
+            success: false,
+            error: 'Channel ID is required',
+        });
+    }
+
+    return checkChannel(channelId, req, res, next);
+};
+
+/**
+ * Task access middleware
+ * Verifies user has access to the channel the task (:id) belongs to
+ */
+const taskAccess = async (req, res, next) => {
+    try {
+        const { data: task } = await supabase
+            .from('tasks')
+            .select('id, channel_id')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                error: 'Task not found.',
+            });
+        }
+
+        return checkChannel(task.channel_id, req, res, next);
+    } catch (error) {
+        console.error('Task access middleware error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error.',
+        });
+    }
+};
+
 module.exports = {
     workspaceAccess,
     adminAccess,
     ownerAccess,
     channelAccess,
+    taskAccess,
 };
@@ -11,6 +11,9 @@ const {
     resetPasswordValidator,
     refreshTokenValidator,
     googleAuthValidator,
+    sendCodeValidator,
+    verifyCodeValidator,
+    verifyTwoFactorValidator,
 } = require('../validators/auth.validator');
 
 // Public routes (no auth required)
@@ -22,9 +25,12 @@ router.post('/reset-password', resetPasswordValidator, validate, authController.
 router.get('/verify-email/:token', authController.verifyEmail);
 router.post('/google', googleAuthValidator, validate, authController.googleAuth);
 
+// Second step of sign-in for users with two-factor authentication
+router.post('/2fa/verify', authLimiter, verifyTwoFactorValidator, validate, authController.verifyTwoFactor);
+
 // Passwordless authentication (Slack-like)
-router.post('/send-code', authLimiter, authController.sendCode);
-router.post('/verify-code', authLimiter, authController.verifyCode);
+router.post('/send-code', authLimiter, sendCodeValidator, validate, authController.sendCode);
+router.post('/verify-code', authLimiter, verifyCodeValidator, validate, authController.verifyCode);
 
 // Authenticated routes
 const { authenticate } = require('../middleware/auth.middleware');
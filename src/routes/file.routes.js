@@ -2,9 +2,18 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 
+const config = require('../config/environment');
 const fileController = require('../controllers/file.controller');
 const { authenticate } = require('../middleware/auth.middleware');
-const { uploadLimiter } = require('../middleware/rate-limit.middleware');
+const { workspaceAccess, channelAccess } = require('../middleware/workspace-access.middleware');
+const { uploadLimiter, uploadChunkLimiter } = require('../middleware/rate-limit.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { isUploadableMimeType } = require('../utils/file.utils');
+const {
+    createUploadValidator,
+    uploadIdValidator,
+    completeUploadValidator,
+} = require('../validators/file.validator');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -15,16 +24,7 @@ const upload = multer({
     },
     fileFilter: (req, file, cb) => {
         // Allow most file types
-        const allowedTypes = [
-            'image/', 'video/', 'audio/', 'application/pdf',
-            'application/msword', 'application/vnd.openxmlformats',
-            'application/vnd.ms-', 'text/', 'application/zip',
-            'application/x-rar', 'application/json',
-        ];
-
-        const isAllowed = allowedTypes.some((type) => file.mimetype.startsWith(type));
-
-        if (isAllowed) {
+        if (isUploadableMimeType(file.mimetype)) {
             cb(null, true);
         } else {
             cb(new Error('File type not allowed'), false);
@@ -32,23 +32,40 @@ const upload = multer({
     },
 });
 
+// Stream file content (the signed link is the credential)
+router.get('/:id/content', fileController.streamFile);
+
 // All file routes require authentication
 router.use(authenticate);
 
 // Upload file
 router.post('/upload', uploadLimiter, upload.single('file'), fileController.uploadFile);
 
+// Resumable uploads: start, check offset, append chunks, complete, abort
+router.post('/uploads', uploadLimiter, createUploadValidator, validate, fileController.createUpload);
+router.get('/uploads/:uploadId', uploadIdValidator, validate, fileController.getUpload);
+router.patch(
+    '/uploads/:uploadId',
+    uploadChunkLimiter,
+    uploadIdValidator,
+    validate,
+    express.raw({ type: 'application/octet-stream', limit: config.upload.resumable.maxChunkSize }),
+    fileController.appendUploadChunk
+);
+router.post('/uploads/:uploadId/complete', completeUploadValidator, validate, fileController.completeUpload);
+router.delete('/uploads/:uploadId', uploadIdValidator, validate, fileController.abortUpload);
+
 // Get file by ID
 router.get('/:id', fileController.getFile);
 
-// Get download URL
+// Get a short-lived signed download URL
 router.get('/:id/download', fileController.getDownloadUrl);
 
 // Get files for a channel
-router.get('/channel/:channelId', fileController.getChannelFiles);
+router.get('/channel/:channelId', channelAccess, fileController.getChannelFiles);
 
 // Get files for a workspace
-router.get('/workspace/:workspaceId', fileController.getWorkspaceFiles);
+router.get('/workspace/:workspaceId', workspaceAccess, fileController.getWorkspaceFiles);
 
 // Delete a file
 router.delete('/:id', fileController.deleteFile);
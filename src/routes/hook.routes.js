@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+
+const hookController = require('../controllers/hook.controller');
+const { incomingWebhookLimiter, incomingWebhookLookupLimiter } = require('../middleware/rate-limit.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const { incomingWebhookValidator } = require('../validators/webhook.validator');
+
+// Public route - the token in the URL is the credential
+router.post('/:token', incomingWebhookLookupLimiter, incomingWebhookLimiter, incomingWebhookValidator, validate, hookController.postMessage);
+
+module.exports = router;
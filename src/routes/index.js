@@ -11,6 +11,10 @@ const fileRoutes = require('./file.routes');
 const searchRoutes = require('./search.routes');
 const notificationRoutes = require('./notification.routes');
 const huddleRoutes = require('./huddle.routes');
+const taskRoutes = require('./task.routes');
+const webhookRoutes = require('./webhook.routes');
+const hookRoutes = require('./hook.routes');
+const reminderRoutes = require('./reminder.routes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -32,5 +36,9 @@ router.use('/files', fileRoutes);
 router.use('/search', searchRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/huddles', huddleRoutes);
+router.use('/tasks', taskRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/hooks', hookRoutes);
+router.use('/reminders', reminderRoutes);
 
 module.exports = router;
@@ -3,7 +3,7 @@ const router = express.Router();
 
 const messageController = require('../controllers/message.controller');
 const { authenticate } = require('../middleware/auth.middleware');
-const { channelAccess } = require('../middleware/workspace-access.middleware');
+const { workspaceAccess, channelAccess } = require('../middleware/workspace-access.middleware');
 const { messageLimiter } = require('../middleware/rate-limit.middleware');
 const { validate } = require('../middleware/validation.middleware');
 const {
@@ -14,6 +14,17 @@ const {
     addReactionValidator,
     removeReactionValidator,
     threadMessageValidator,
+    syncMessagesValidator,
+    createDmValidator,
+    sendDmMessageValidator,
+    renameDmValidator,
+    addDmParticipantsValidator,
+    removeDmParticipantValidator,
+    convertDmValidator,
+    scheduleMessageValidator,
+    getScheduledMessagesValidator,
+    updateScheduledMessageValidator,
+    scheduledMessageIdValidator,
 } = require('../validators/message.validator');
 
 // All message routes require authentication
@@ -23,6 +34,18 @@ router.use(authenticate);
 router.get('/channel/:channelId/messages', channelAccess, getMessagesValidator, validate, messageController.getMessages);
 router.post('/channel/:channelId/messages', channelAccess, messageLimiter, sendMessageValidator, validate, messageController.sendMessage);
 router.get('/channel/:channelId/pins', channelAccess, messageController.getPinnedMessages);
+router.get('/channel/:channelId/sync', channelAccess, syncMessagesValidator, validate, messageController.syncMessages);
+router.post('/channel/:channelId/scheduled', channelAccess, scheduleMessageValidator, validate, messageController.scheduleMessage);
+router.get('/channel/:channelId/commands', channelAccess, messageController.getCommands);
+router.get('/channel/:channelId/ephemeral', channelAccess, messageController.getEphemeralMessages);
+
+// Scheduled messages (must come before /:id)
+router.get('/scheduled', getScheduledMessagesValidator, validate, messageController.getScheduledMessages);
+router.patch('/scheduled/:scheduledId', updateScheduledMessageValidator, validate, messageController.updateScheduledMessage);
+router.delete('/scheduled/:scheduledId', scheduledMessageIdValidator, validate, messageController.cancelScheduledMessage);
+
+// Ephemeral messages (must come before /:id)
+router.delete('/ephemeral/:ephemeralId', messageController.dismissEphemeralMessage);
 
 // Individual message routes
 router.get('/:id', messageIdValidator, validate, messageController.getMessage);
@@ -42,10 +65,17 @@ router.post('/:id/pin', messageIdValidator, validate, messageController.pinMessa
 router.delete('/:id/pin', messageIdValidator, validate, messageController.unpinMessage);
 
 // DM (Direct Message) routes
-router.get('/workspace/:workspaceId/dms', messageController.getDmConversations);
-router.post('/workspace/:workspaceId/dms', messageController.createDmConversation);
+router.get('/workspace/:workspaceId/dms', workspaceAccess, messageController.getDmConversations);
+router.post('/workspace/:workspaceId/dms', workspaceAccess, createDmValidator, validate, messageController.createDmConversation);
 router.get('/dm/:conversationId', messageController.getDmMessages);
-router.post('/dm/:conversationId', messageLimiter, messageController.sendDmMessage);
+router.post('/dm/:conversationId', messageLimiter, sendDmMessageValidator, validate, messageController.sendDmMessage);
+router.post('/dm/:conversationId/scheduled', scheduleMessageValidator, validate, messageController.scheduleDmMessage);
+
+// Group DM management
+router.patch('/dm/:conversationId', renameDmValidator, validate, messageController.renameDmConversation);
+router.post('/dm/:conversationId/participants', addDmParticipantsValidator, validate, messageController.addDmParticipants);
+router.delete('/dm/:conversationId/participants/:userId', removeDmParticipantValidator, validate, messageController.removeDmParticipant);
+router.post('/dm/:conversationId/convert', convertDmValidator, validate, messageController.convertDmToChannel);
 
 module.exports = router;
 
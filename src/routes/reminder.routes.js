@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+
+const reminderController = require('../controllers/reminder.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const {
+    createReminderValidator,
+    getRemindersValidator,
+    reminderIdValidator,
+    snoozeReminderValidator,
+} = require('../validators/reminder.validator');
+
+// All reminder routes require authentication
+router.use(authenticate);
+
+router.get('/', getRemindersValidator, validate, reminderController.getReminders);
+router.post('/', createReminderValidator, validate, reminderController.createReminder);
+router.delete('/:id', reminderIdValidator, validate, reminderController.deleteReminder);
+
+// Snooze / complete
+router.post('/:id/snooze', snoozeReminderValidator, validate, reminderController.snoozeReminder);
+router.post('/:id/complete', reminderIdValidator, validate, reminderController.completeReminder);
+
+module.exports = router;
@@ -3,15 +3,16 @@ const router = express.Router();
 
 const searchController = require('../controllers/search.controller');
 const { authenticate } = require('../middleware/auth.middleware');
+const { workspaceAccess, adminAccess } = require('../middleware/workspace-access.middleware');
 
 // All search routes require authentication
 router.use(authenticate);
 
 // Global search
-router.get('/', searchController.globalSearch);
+router.get('/', workspaceAccess, searchController.globalSearch);
 
 // Search messages
-router.get('/messages', searchController.searchMessages);
+router.get('/messages', workspaceAccess, searchController.searchMessages);
 
 // Search channels
 router.get('/channels', searchController.searchChannels);
@@ -22,4 +23,7 @@ router.get('/users', searchController.searchUsers);
 // Search files
 router.get('/files', searchController.searchFiles);
 
+// Rebuild message search index (admin only)
+router.post('/reindex', workspaceAccess, adminAccess, searchController.reindexMessages);
+
 module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+
+const taskController = require('../controllers/task.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { workspaceAccess, channelAccess, taskAccess } = require('../middleware/workspace-access.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const {
+    createTaskValidator,
+    updateTaskValidator,
+    moveTaskValidator,
+    getTasksValidator,
+    taskIdValidator,
+} = require('../validators/task.validator');
+
+// All task routes require authentication
+router.use(authenticate);
+
+// Channel task routes
+router.get('/channel/:channelId/tasks', channelAccess, getTasksValidator, validate, taskController.getChannelTasks);
+router.post('/channel/:channelId/tasks', channelAccess, createTaskValidator, validate, taskController.createTask);
+router.get('/channel/:channelId/board', channelAccess, getTasksValidator, validate, taskController.getChannelBoard);
+
+// Workspace task routes
+router.get('/workspace/:workspaceId/tasks', workspaceAccess, getTasksValidator, validate, taskController.getWorkspaceTasks);
+
+// Individual task routes (access is checked through the task's channel)
+router.get('/:id', taskIdValidator, validate, taskAccess, taskController.getTask);
+router.patch('/:id', updateTaskValidator, validate, taskAccess, taskController.updateTask);
+router.delete('/:id', taskIdValidator, validate, taskAccess, taskController.deleteTask);
+
+// Ordering
+router.post('/:id/move', moveTaskValidator, validate, taskAccess, taskController.moveTask);
+
+// Subtasks
+router.get('/:id/subtasks', taskIdValidator, validate, taskAccess, taskController.getSubtasks);
+router.post('/:id/subtasks', taskIdValidator, createTaskValidator, validate, taskAccess, taskController.createSubtask);
+
+module.exports = router;
@@ -8,8 +8,14 @@ const {
     updateProfileValidator,
     updateStatusValidator,
     updatePresenceValidator,
+    providerValidator,
+    linkProviderValidator,
+    sessionIdValidator,
+    revokeAllSessionsValidator,
+    enableTwoFactorValidator,
     userIdValidator,
 } = require('../validators/user.validator');
+const { secondFactorValidator } = require('../validators/auth.validator');
 
 // All user routes require authentication
 router.use(authenticate);
@@ -20,6 +26,23 @@ router.patch('/me', updateProfileValidator, validate, userController.updateMe);
 router.patch('/me/status', updateStatusValidator, validate, userController.updateStatus);
 router.patch('/me/presence', updatePresenceValidator, validate, userController.updatePresence);
 
+// Linked sign-in methods
+router.get('/me/providers', userController.getProviders);
+router.post('/me/providers/:provider', linkProviderValidator, validate, userController.linkProvider);
+router.delete('/me/providers/:provider', providerValidator, validate, userController.unlinkProvider);
+
+// Sessions (signed-in devices)
+router.get('/me/sessions', userController.getSessions);
+router.delete('/me/sessions', revokeAllSessionsValidator, validate, userController.revokeAllSessions);
+router.delete('/me/sessions/:sessionId', sessionIdValidator, validate, userController.revokeSession);
+
+// Two-factor authentication
+router.get('/me/2fa', userController.getTwoFactorStatus);
+router.post('/me/2fa/setup', userController.setupTwoFactor);
+router.post('/me/2fa/enable', enableTwoFactorValidator, validate, userController.enableTwoFactor);
+router.post('/me/2fa/disable', secondFactorValidator, validate, userController.disableTwoFactor);
+router.post('/me/2fa/recovery-codes', secondFactorValidator, validate, userController.regenerateRecoveryCodes);
+
 // FCM Token for push notifications
 router.post('/fcm-token', userController.saveFcmToken);
 router.delete('/fcm-token', userController.deleteFcmToken);
@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+
+const webhookController = require('../controllers/webhook.controller');
+const { authenticate } = require('../middleware/auth.middleware');
+const { workspaceAccess, adminAccess } = require('../middleware/workspace-access.middleware');
+const { validate } = require('../middleware/validation.middleware');
+const {
+    createWebhookValidator,
+    updateWebhookValidator,
+    webhookIdValidator,
+} = require('../validators/webhook.validator');
+
+// All webhook management routes require authentication
+router.use(authenticate);
+
+// Available events
+router.get('/events', webhookController.getEvents);
+
+// Workspace webhooks (admin only)
+router.get('/workspace/:workspaceId/webhooks', workspaceAccess, adminAccess, webhookController.getWebhooks);
+router.post('/workspace/:workspaceId/webhooks', workspaceAccess, adminAccess, createWebhookValidator, validate, webhookController.createWebhook);
+
+// Individual webhook routes
+router.get('/workspace/:workspaceId/webhooks/:id', workspaceAccess, adminAccess, webhookIdValidator, validate, webhookController.getWebhook);
+router.patch('/workspace/:workspaceId/webhooks/:id', workspaceAccess, adminAccess, updateWebhookValidator, validate, webhookController.updateWebhook);
+router.delete('/workspace/:workspaceId/webhooks/:id', workspaceAccess, adminAccess, webhookIdValidator, validate, webhookController.deleteWebhook);
+
+// Secret rotation, test delivery and delivery log
+router.post('/workspace/:workspaceId/webhooks/:id/rotate-secret', workspaceAccess, adminAccess, webhookIdValidator, validate, webhookController.rotateSecret);
+router.post('/workspace/:workspaceId/webhooks/:id/test', workspaceAccess, adminAccess, webhookIdValidator, validate, webhookController.testWebhook);
+router.get('/workspace/:workspaceId/webhooks/:id/deliveries', workspaceAccess, adminAccess, webhookIdValidator, validate, webhookController.getDeliveries);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const {
     updateWorkspaceValidator,
     inviteMemberValidator,
     updateMemberRoleValidator,
+    auditLogsValidator,
 } = require('../validators/workspace.validator');
 
 // All workspace routes require authentication
@@ -19,13 +20,20 @@ router.use(authenticate);
 router.get('/', workspaceController.getWorkspaces);
 router.post('/', createWorkspaceValidator, validate, workspaceController.createWorkspace);
 router.get('/:id', workspaceController.getWorkspace);
-router.patch('/:id', workspaceAccess, adminAccess, updateWorkspaceValidator, validate, workspaceController.updateWorkspace);
-router.delete('/:id', workspaceAccess, ownerAccess, workspaceController.deleteWorkspace);
+router.patch('/:workspaceId', workspaceAccess, adminAccess, updateWorkspaceValidator, validate, workspaceController.updateWorkspace);
+router.delete('/:workspaceId', workspaceAccess, ownerAccess, workspaceController.deleteWorkspace);
 
 // Member management
-router.get('/:id/members', workspaceAccess, workspaceController.getMembers);
-router.post('/:id/members', workspaceAccess, adminAccess, inviteMemberValidator, validate, workspaceController.inviteMember);
-router.patch('/:id/members/:userId', workspaceAccess, adminAccess, updateMemberRoleValidator, validate, workspaceController.updateMemberRole);
-router.delete('/:id/members/:userId', workspaceAccess, adminAccess, workspaceController.removeMember);
+router.get('/:workspaceId/members', workspaceAccess, workspaceController.getMembers);
+router.post('/:workspaceId/members', workspaceAccess, adminAccess, inviteMemberValidator, validate, workspaceController.inviteMember);
+router.patch('/:workspaceId/members/:userId', workspaceAccess, adminAccess, updateMemberRoleValidator, validate, workspaceController.updateMemberRole);
+router.delete('/:workspaceId/members/:userId', workspaceAccess, adminAccess, workspaceController.removeMember);
+
+// Storage usage (admin only)
+router.get('/:workspaceId/storage', workspaceAccess, adminAccess, workspaceController.getStorageUsage);
+
+// Audit logs (admin only)
+router.get('/:workspaceId/audit-logs', workspaceAccess, adminAccess, auditLogsValidator, validate, workspaceController.getAuditLogs);
+router.get('/:workspaceId/audit-logs/export', workspaceAccess, adminAccess, auditLogsValidator, validate, workspaceController.exportAuditLogs);
 
 module.exports = router;
@@ -0,0 +1,217 @@
+const { supabase } = require('../config/supabase');
+
+// Audited actions
+const AUDIT_ACTIONS = {
+    USER_LOGIN: 'user.login',
+    MEMBER_ROLE_UPDATED: 'member.role_updated',
+    MEMBER_REMOVED: 'member.removed',
+    CHANNEL_DELETED: 'channel.deleted',
+    CHANNEL_ARCHIVED: 'channel.archived',
+    CHANNEL_UNARCHIVED: 'channel.unarchived',
+    FILE_DELETED: 'file.deleted',
+};
+
+// Hard cap on rows in a single CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+    'created_at',
+    'action',
+    'user_id',
+    'user_email',
+    'resource_type',
+    'resource_id',
+    'ip_address',
+    'user_agent',
+    'metadata',
+];
+
+/**
+ * Extract client details from an Express request
+ * @param {Object} req - Express request
+ * @returns {Object} IP address and user agent
+ */
+const getRequestContext = (req) => ({
+    ipAddress: req?.ip || null,
+    userAgent: req?.get?.('user-agent') || null,
+});
+
+/**
+ * Record an audit log entry
+ * Never throws - a failed audit write must not fail the audited action
+ * @param {Object} req - Express request (for actor, IP and user agent)
+ * @param {Object} entry - Audit entry
+ */
+const recordAuditLog = async (req, entry) => {
+    const { workspaceId, action, resourceType, resourceId, metadata, userId } = entry;
+    const { ipAddress, userAgent } = getRequestContext(req);
+
+    try {
+        const { error } = await supabase
+            .from('audit_logs')
+            .insert({
+                workspace_id: workspaceId || null,
+                user_id: userId || req?.userId || null,
+                action,
+                resource_type: resourceType || null,
+                resource_id: resourceId || null,
+                metadata: metadata || {},
+                ip_address: ipAddress,
+                user_agent: userAgent,
+            });
+
+        if (error) {
+            console.error('Record audit log error:', error);
+        }
+    } catch (error) {
+        console.error('Record audit log error:', error);
+    }
+};
+
+/**
+ * Record a login in every workspace the user is an active member of
+ * @param {Object} req - Express request
+ * @param {string} userId - User who logged in
+ * @param {string} method - Login method (password, magic_code, ...)
+ */
+const recordLogin = async (req, userId, method) => {
+    const { ipAddress, userAgent } = getRequestContext(req);
+
+    try {
+        const { data: memberships } = await supabase
+            .from('workspace_members')
+            .select('workspace_id')
+            .eq('user_id', userId)
+            .eq('is_active', true);
+
+        if (!memberships || memberships.length === 0) return;
+
+        const { error } = await supabase
+            .from('audit_logs')
+            .insert(memberships.map((m) => ({
+                workspace_id: m.workspace_id,
+                user_id: userId,
+                action: AUDIT_ACTIONS.USER_LOGIN,
+                resource_type: 'user',
+                resource_id: userId,
+                metadata: { method },
+                ip_address: ipAddress,
+                user_agent: userAgent,
+            })));
+
+        if (error) {
+            console.error('Record login audit log error:', error);
+        }
+    } catch (error) {
+        console.error('Record login audit log error:', error);
+    }
+};
+
+/**
+ * Build an audit log query with filters applied
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} filters - Filter options
+ * @param {Object} selectOptions - Supabase select options
+ * @returns {Object} Supabase query
+ */
+const buildAuditQuery = (workspaceId, filters, selectOptions) => {
+    const { action, userId, resourceType, resourceId, from, to } = filters;
+
+    let query = supabase
+        .from('audit_logs')
+        .select('*, user:user_id(id, email, username, full_name)', selectOptions)
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false });
+
+    if (action) query = query.eq('action', action);
+    if (userId) query = query.eq('user_id', userId);
+    if (resourceType) query = query.eq('resource_type', resourceType);
+    if (resourceId) query = query.eq('resource_id', resourceId);
+    if (from) query = query.gte('created_at', new Date(from).toISOString());
+    if (to) query = query.lte('created_at', new Date(to).toISOString());
+
+    return query;
+};
+
+/**
+ * Get audit logs for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} filters - Filter and pagination options
+ * @returns {Object} Paginated audit logs
+ */
+const getAuditLogs = async (workspaceId, filters = {}) => {
+    const { page = 1, limit = 20 } = filters;
+    const offset = (page - 1) * limit;
+
+    const { data, error, count } = await buildAuditQuery(workspaceId, filters, { count: 'exact' })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        console.error('Get audit logs error:', error);
+        throw { statusCode: 500, message: 'Failed to get audit logs' };
+    }
+
+    return {
+        logs: data || [],
+        total: count,
+        page,
+        limit,
+    };
+};
+
+/**
+ * Escape a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    // Neutralise spreadsheet formula injection
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export audit logs for a workspace as CSV
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} filters - Filter options
+ * @returns {string} CSV document
+ */
+const exportAuditLogsCsv = async (workspaceId, filters = {}) => {
+    const { data, error } = await buildAuditQuery(workspaceId, filters)
+        .range(0, MAX_EXPORT_ROWS - 1);
+
+    if (error) {
+        console.error('Export audit logs error:', error);
+        throw { statusCode: 500, message: 'Failed to export audit logs' };
+    }
+
+    const rows = (data || []).map((log) => [
+        log.created_at,
+        log.action,
+        log.user_id,
+        log.user?.email,
+        log.resource_type,
+        log.resource_id,
+        log.ip_address,
+        log.user_agent,
+        log.metadata,
+    ].map(toCsvCell).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    getRequestContext,
+    recordAuditLog,
+    recordLogin,
+    getAuditLogs,
+    exportAuditLogsCsv,
+};
@@ -1,15 +1,20 @@
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
-const { generateTokenPair, verifyToken } = require('../utils/jwt.utils');
+const { auth: firebaseAuth } = require('../config/firebase');
+const config = require('../config/environment');
 const emailService = require('./email.service');
+const magicCodeService = require('./magic-code.service');
+const sessionService = require('./session.service');
+const twoFactorService = require('./two-factor.service');
 
 /**
  * Register a new user
  * @param {Object} userData - User registration data
+ * @param {Object} context - Client { ipAddress, userAgent } for the session
  * @returns {Object} User and tokens
  */
-const register = async ({ email, password, username, fullName }) => {
+const register = async ({ email, password, username, fullName }, context) => {
     // Check if email already exists
     const { data: existingEmail } = await supabase
         .from('users')
@@ -56,7 +61,7 @@ const register = async ({ email, password, username, fullName }) => {
     }
 
     // Generate tokens
-    const tokens = generateTokenPair(user);
+    const tokens = await sessionService.createSession(user, context);
 
     // Remove sensitive data
     delete user.password_hash;
@@ -67,9 +72,10 @@ const register = async ({ email, password, username, fullName }) => {
 /**
  * Login user
  * @param {Object} credentials - Login credentials
+ * @param {Object} context - Client { ipAddress, userAgent } for the session
  * @returns {Object} User and tokens
  */
-const login = async ({ email, password }) => {
+const login = async ({ email, password }, context) => {
     // Get user by email
     const { data: user, error } = await supabase
         .from('users')
@@ -85,12 +91,22 @@ const login = async ({ email, password }) => {
         throw { statusCode: 401, message: 'Account is deactivated' };
     }
 
+    // Accounts created through Google or a magic code have no password
+    if (!user.password_hash) {
+        throw { statusCode: 401, message: 'Invalid email or password' };
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
         throw { statusCode: 401, message: 'Invalid email or password' };
     }
 
+    // Users with 2FA finish signing in through verifyTwoFactorLogin
+    if (user.two_factor_enabled) {
+        return twoFactorService.createChallenge(user, 'password');
+    }
+
     // Update last seen
     await supabase
         .from('users')
@@ -98,7 +114,7 @@ const login = async ({ email, password }) => {
         .eq('id', user.id);
 
     // Generate tokens
-    const tokens = generateTokenPair(user);
+    const tokens = await sessionService.createSession(user, context);
 
     // Remove sensitive data
     delete user.password_hash;
@@ -109,30 +125,11 @@ const login = async ({ email, password }) => {
 /**
  * Refresh access token
  * @param {string} refreshToken - Refresh token
+ * @param {Object} context - Client { ipAddress, userAgent }
  * @returns {Object} New tokens
  */
-const refreshToken = async (refreshToken) => {
-    try {
-        const decoded = verifyToken(refreshToken);
-
-        // Get user
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('*')
-            .eq('id', decoded.userId)
-            .single();
-
-        if (error || !user || !user.is_active) {
-            throw { statusCode: 401, message: 'Invalid refresh token' };
-        }
-
-        // Generate new tokens
-        const tokens = generateTokenPair(user);
-
-        return tokens;
-    } catch (error) {
-        throw { statusCode: 401, message: 'Invalid refresh token' };
-    }
+const refreshToken = async (refreshToken, context) => {
+    return sessionService.refreshSession(refreshToken, context);
 };
 
 /**
@@ -208,6 +205,9 @@ const resetPassword = async ({ token, password }) => {
         })
         .eq('id', user.id);
 
+    // Whoever knew the old password may still hold a session
+    await sessionService.revokeAllSessions(user.id, { reason: 'password_reset' });
+
     return { success: true };
 };
 
@@ -243,114 +243,463 @@ const verifyEmail = async (token) => {
     return { success: true };
 };
 
+// Sign-in providers that can be linked to an account, keyed by our name
+// with the Firebase sign_in_provider they correspond to
+const AUTH_PROVIDERS = {
+    google: 'google.com',
+};
+
 /**
- * Google Sign-In authentication
- * @param {string} idToken - Google ID token
- * @returns {Object} User and tokens
+ * Verify a provider ID token with Firebase Admin
+ * @param {string} provider - Provider name (google)
+ * @param {string} idToken - Firebase ID token
+ * @returns {Object} { providerUserId, email, emailVerified, name, picture }
  */
-const googleAuth = async (idToken) => {
-    // TODO: Verify Google ID token with Firebase Admin
-    // For now, this is a placeholder
+const verifyProviderToken = async (provider, idToken) => {
+    let decoded;
+    try {
+        decoded = await firebaseAuth.verifyIdToken(idToken);
+    } catch (error) {
+        throw { statusCode: 401, message: 'Invalid or expired ID token' };
+    }
 
-    throw { statusCode: 501, message: 'Google authentication not implemented yet' };
+    const signInProvider = AUTH_PROVIDERS[provider];
+    if (decoded.firebase?.sign_in_provider !== signInProvider) {
+        throw { statusCode: 401, message: `ID token was not issued for ${provider} sign-in` };
+    }
+
+    // Prefer the provider's own account ID so it survives Firebase project changes
+    const identities = decoded.firebase.identities?.[signInProvider];
+
+    return {
+        providerUserId: String((identities && identities[0]) || decoded.uid),
+        email: decoded.email ? decoded.email.toLowerCase() : null,
+        emailVerified: decoded.email_verified === true,
+        name: decoded.name || null,
+        picture: decoded.picture || null,
+    };
 };
 
 /**
- * Send magic code for passwordless login
- * @param {string} email - User email
- * @returns {Object} Success status
+ * Build a free username from an email address
+ * @param {string} email - Email address
+ * @returns {string} Username
  */
-const sendMagicCode = async (email) => {
-    // Generate 6-digit code
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
-    const codeExpiry = new Date(Date.now() + 10 * 60 * 1000).toISOString(); // 10 minutes
+const generateUsername = async (email) => {
+    const base = (email.split('@')[0].replace(/[^a-zA-Z0-9_]/g, '') || 'user').slice(0, 20);
 
-    // Check if user exists
-    const { data: existingUser } = await supabase
+    const { data: existing } = await supabase
         .from('users')
         .select('id')
-        .eq('email', email)
+        .eq('username', base)
         .single();
 
-    if (existingUser) {
-        // Update existing user with code
-        await supabase
+    return existing ? `${base}_${Date.now().toString(36)}` : base;
+};
+
+/**
+ * Take over an unverified account for whoever just proved they own its email
+ * Anyone can register an email they don't own, so everything set up on the
+ * account before verification - password, 2FA, linked sign-ins, sessions -
+ * is discarded rather than kept alongside the real owner's access.
+ * @param {Object} user - User row with email_verified false
+ * @returns {Object} Updated user row
+ */
+const claimUnverifiedAccount = async (user) => {
+    await sessionService.revokeAllSessions(user.id, { reason: 'account_claimed' });
+
+    await Promise.all([
+        supabase.from('user_auth_providers').delete().eq('user_id', user.id),
+        supabase.from('user_two_factor').delete().eq('user_id', user.id),
+        supabase.from('user_recovery_codes').delete().eq('user_id', user.id),
+    ]);
+
+    const { data: claimed, error } = await supabase
+        .from('users')
+        .update({
+            password_hash: null,
+            two_factor_enabled: false,
+            email_verified: true,
+            updated_at: new Date().toISOString(),
+        })
+        .eq('id', user.id)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Claim unverified account error:', error);
+        throw { statusCode: 500, message: 'Failed to sign in' };
+    }
+
+    return claimed;
+};
+
+/**
+ * Google Sign-In authentication
+ * Signs in the user linked to the Google account, otherwise links the account
+ * to the user with the same (Google-verified) email, otherwise creates a user.
+ * An unverified account with that email is claimed, not merged.
+ * @param {string} idToken - Google ID token
+ * @param {Object} context - Client { ipAddress, userAgent } for the session
+ * @returns {Object} User, tokens and whether the user was created
+ */
+const googleAuth = async (idToken, context) => {
+    const profile = await verifyProviderToken('google', idToken);
+
+    const { data: link } = await supabase
+        .from('user_auth_providers')
+        .select('id, user_id')
+        .eq('provider', 'google')
+        .eq('provider_user_id', profile.providerUserId)
+        .single();
+
+    let user = null;
+    let isNewUser = false;
+
+    if (link) {
+        const { data } = await supabase
             .from('users')
-            .update({
-                magic_code: code,
-                magic_code_expiry: codeExpiry,
-            })
-            .eq('id', existingUser.id);
+            .select('*')
+            .eq('id', link.user_id)
+            .single();
+        user = data;
     } else {
-        // Create new user with code (will complete profile later)
-        const username = email.split('@')[0] + '_' + Date.now().toString(36);
-        await supabase
+        // Only a verified email proves ownership of an existing account
+        if (!profile.email || !profile.emailVerified) {
+            throw { statusCode: 401, message: 'Google account email is not verified' };
+        }
+
+        const { data: existingUser } = await supabase
             .from('users')
+            .select('*')
+            .eq('email', profile.email)
+            .single();
+
+        user = existingUser;
+
+        if (user && !user.email_verified) {
+            user = await claimUnverifiedAccount(user);
+        }
+
+        if (!user) {
+            const { data: created, error } = await supabase
+                .from('users')
+                .insert({
+                    email: profile.email,
+                    username: await generateUsername(profile.email),
+                    full_name: profile.name,
+                    avatar_url: profile.picture,
+                    status: 'offline',
+                    is_active: true,
+                    email_verified: true,
+                })
+                .select()
+                .single();
+
+            if (error) {
+                console.error('Google sign-up error:', error);
+                throw { statusCode: 500, message: 'Failed to create user' };
+            }
+
+            user = created;
+            isNewUser = true;
+        }
+
+        const { error: linkError } = await supabase
+            .from('user_auth_providers')
             .insert({
-                email,
-                username,
-                magic_code: code,
-                magic_code_expiry: codeExpiry,
-                status: 'offline',
-                is_active: true,
-                email_verified: false,
+                user_id: user.id,
+                provider: 'google',
+                provider_user_id: profile.providerUserId,
+                email: profile.email,
             });
+
+        if (linkError) {
+            // A different Google account is already linked to this user
+            throw { statusCode: 409, message: 'Another Google account is linked to this user' };
+        }
+    }
+
+    if (!user) {
+        throw { statusCode: 401, message: 'Invalid Google account' };
+    }
+
+    if (!user.is_active) {
+        throw { statusCode: 401, message: 'Account is deactivated' };
+    }
+
+    if (user.two_factor_enabled) {
+        return twoFactorService.createChallenge(user, 'google');
+    }
+
+    const now = new Date().toISOString();
+
+    await supabase
+        .from('users')
+        .update({ last_seen_at: now })
+        .eq('id', user.id);
+
+    if (link) {
+        await supabase
+            .from('user_auth_providers')
+            .update({ last_used_at: now })
+            .eq('id', link.id);
+    }
+
+    // Generate tokens
+    const tokens = await sessionService.createSession(user, context);
+
+    // Remove sensitive data
+    delete user.password_hash;
+
+    return { user, isNewUser, ...tokens };
+};
+
+/**
+ * Get the sign-in providers linked to a user
+ * @param {string} userId - User ID
+ * @returns {Object} { hasPassword, providers }
+ */
+const getLinkedProviders = async (userId) => {
+    const [{ data: user }, { data: providers, error }] = await Promise.all([
+        supabase.from('users').select('password_hash').eq('id', userId).single(),
+        supabase
+            .from('user_auth_providers')
+            .select('provider, email, created_at, last_used_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true }),
+    ]);
+
+    if (error) {
+        console.error('Get auth providers error:', error);
+        throw { statusCode: 500, message: 'Failed to fetch sign-in methods' };
+    }
+
+    return {
+        hasPassword: Boolean(user?.password_hash),
+        providers: providers || [],
+    };
+};
+
+/**
+ * Link a provider account to the current user
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider name
+ * @param {string} idToken - Provider ID token
+ * @returns {Object} Linked provider
+ */
+const linkProvider = async (userId, provider, idToken) => {
+    if (!AUTH_PROVIDERS[provider]) {
+        throw { statusCode: 400, message: `Unsupported sign-in provider: ${provider}` };
+    }
+
+    const profile = await verifyProviderToken(provider, idToken);
+
+    const [{ data: owner }, { data: current }] = await Promise.all([
+        supabase
+            .from('user_auth_providers')
+            .select('user_id')
+            .eq('provider', provider)
+            .eq('provider_user_id', profile.providerUserId)
+            .single(),
+        supabase
+            .from('user_auth_providers')
+            .select('id')
+            .eq('provider', provider)
+            .eq('user_id', userId)
+            .single(),
+    ]);
+
+    if (owner && owner.user_id !== userId) {
+        throw { statusCode: 409, message: 'This account is already linked to another user' };
+    }
+    if (owner || current) {
+        throw { statusCode: 409, message: `A ${provider} account is already linked, unlink it first` };
+    }
+
+    const { data: linked, error } = await supabase
+        .from('user_auth_providers')
+        .insert({
+            user_id: userId,
+            provider,
+            provider_user_id: profile.providerUserId,
+            email: profile.email,
+        })
+        .select('provider, email, created_at, last_used_at')
+        .single();
+
+    if (error) {
+        console.error('Link auth provider error:', error);
+        throw { statusCode: 409, message: 'Failed to link account' };
+    }
+
+    return linked;
+};
+
+/**
+ * Unlink a provider from the current user
+ * The user must keep a password or another provider to sign in with
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider name
+ */
+const unlinkProvider = async (userId, provider) => {
+    const { hasPassword, providers } = await getLinkedProviders(userId);
+
+    if (!providers.some((linked) => linked.provider === provider)) {
+        throw { statusCode: 404, message: `No ${provider} account is linked` };
+    }
+
+    if (!hasPassword && providers.length === 1) {
+        throw { statusCode: 400, message: 'Set a password or link another sign-in method before unlinking this one' };
+    }
+
+    const { error } = await supabase
+        .from('user_auth_providers')
+        .delete()
+        .eq('user_id', userId)
+        .eq('provider', provider);
+
+    if (error) {
+        console.error('Unlink auth provider error:', error);
+        throw { statusCode: 500, message: 'Failed to unlink account' };
+    }
+};
+
+/**
+ * Send magic code for passwordless login
+ * The response never reveals whether the email has an account; the user is
+ * only created once the code is verified
+ * @param {string} email - User email
+ * @returns {Object} Success status
+ */
+const sendMagicCode = async (email) => {
+    const normalizedEmail = email.trim().toLowerCase();
+    const code = await magicCodeService.issueCode(normalizedEmail);
+
+    // Logged first so local sign-in works without a mail server
+    if (config.nodeEnv === 'development') {
+        console.log(`🔐 Magic code for ${normalizedEmail}: ${code}`);
     }
 
     // Send verification code email
     try {
-        await emailService.sendVerificationCode(email, code);
+        await emailService.sendVerificationCode(normalizedEmail, code);
     } catch (emailError) {
         console.error('Failed to send email:', emailError);
-        // Continue anyway - code is still logged for development
-    }
 
-    // Also log for development debugging
-    console.log(`🔐 Magic code for ${email}: ${code}`);
+        if (config.nodeEnv !== 'development') {
+            throw { statusCode: 500, message: 'Failed to send verification code' };
+        }
+    }
 
     return { success: true };
 };
 
 /**
- * Verify magic code and login
+ * Verify magic code and login, creating the account on first sign-in
  * @param {string} email - User email
  * @param {string} code - Magic code
+ * @param {Object} context - Client { ipAddress, userAgent } for the session
  * @returns {Object} User and tokens
  */
-const verifyMagicCode = async (email, code) => {
-    // Find user with valid code
+const verifyMagicCode = async (email, code, context) => {
+    const normalizedEmail = email.trim().toLowerCase();
+    await magicCodeService.consumeCode(normalizedEmail, code);
+
+    const { data: existingUser } = await supabase
+        .from('users')
+        .select('*')
+        .eq('email', normalizedEmail)
+        .single();
+
+    let user = existingUser;
+    let isNewUser = false;
+
+    // The code proves ownership of the email
+    if (user && !user.email_verified) {
+        user = await claimUnverifiedAccount(user);
+    }
+
+    if (!user) {
+        const { data: created, error } = await supabase
+            .from('users')
+            .insert({
+                email: normalizedEmail,
+                username: await generateUsername(normalizedEmail),
+                status: 'offline',
+                is_active: true,
+                email_verified: true,
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Magic code sign-up error:', error);
+            throw { statusCode: 500, message: 'Failed to create user' };
+        }
+
+        user = created;
+        isNewUser = true;
+    }
+
+    if (!user.is_active) {
+        throw { statusCode: 401, message: 'Account is deactivated' };
+    }
+
+    await supabase
+        .from('users')
+        .update({ last_seen_at: new Date().toISOString() })
+        .eq('id', user.id);
+
+    if (user.two_factor_enabled) {
+        return twoFactorService.createChallenge(user, 'magic_code');
+    }
+
+    // Generate tokens
+    const tokens = await sessionService.createSession(user, context);
+
+    // Remove sensitive data
+    delete user.password_hash;
+
+    return { user, isNewUser, ...tokens };
+};
+
+/**
+ * Complete a two-factor sign-in
+ * @param {string} challengeToken - Token returned by the first sign-in step
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} context - Client { ipAddress, userAgent } for the session
+ * @returns {Object} User, tokens and the combined sign-in method
+ */
+const verifyTwoFactorLogin = async (challengeToken, factor, context) => {
+    const challenge = await twoFactorService.verifyChallenge(challengeToken);
+
     const { data: user, error } = await supabase
         .from('users')
         .select('*')
-        .eq('email', email)
-        .eq('magic_code', code)
-        .gt('magic_code_expiry', new Date().toISOString())
+        .eq('id', challenge.userId)
         .single();
 
-    if (error || !user) {
-        throw { statusCode: 401, message: 'Invalid or expired verification code' };
+    if (error || !user || !user.is_active || !user.two_factor_enabled) {
+        throw { statusCode: 401, message: 'Invalid or expired sign-in challenge, please sign in again' };
     }
 
-    // Clear magic code and update last seen
+    const secondFactor = await twoFactorService.verifySecondFactor(user.id, factor);
+    await twoFactorService.consumeChallenge(challenge.challengeId);
+
+    // Update last seen
     await supabase
         .from('users')
-        .update({
-            magic_code: null,
-            magic_code_expiry: null,
-            email_verified: true,
-            last_seen_at: new Date().toISOString(),
-        })
+        .update({ last_seen_at: new Date().toISOString() })
         .eq('id', user.id);
 
     // Generate tokens
-    const tokens = generateTokenPair(user);
+    const tokens = await sessionService.createSession(user, context);
 
     // Remove sensitive data
     delete user.password_hash;
-    delete user.magic_code;
-    delete user.magic_code_expiry;
 
-    return { user, ...tokens };
+    return { user, method: `${challenge.method}+${secondFactor}`, ...tokens };
 };
 
 module.exports = {
@@ -360,7 +709,12 @@ module.exports = {
     forgotPassword,
     resetPassword,
     verifyEmail,
+    AUTH_PROVIDERS,
     googleAuth,
+    getLinkedProviders,
+    linkProvider,
+    unlinkProvider,
     sendMagicCode,
     verifyMagicCode,
+    verifyTwoFactorLogin,
 };
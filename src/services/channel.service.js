@@ -1,4 +1,6 @@
 const { supabase } = require('../config/supabase');
+const webhookService = require('./webhook.service');
+const { assertWorkspaceTwoFactor } = require('./two-factor.service');
 
 /**
  * Create a new channel
@@ -55,6 +57,8 @@ const createChannel = async (channelData, workspaceId, creatorId) => {
             });
     }
 
+    webhookService.dispatchEvent(workspaceId, 'channel.created', channel, { channelId: channel.id });
+
     return channel;
 };
 
@@ -117,6 +121,36 @@ const getWorkspaceChannels = async (workspaceId, userId) => {
     return rootChannels;
 };
 
+/**
+ * IDs of a workspace's public channels and the private ones the user belongs to
+ * For filtering workspace-wide listings down to what the user can see
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Array} Channel IDs
+ */
+const getVisibleChannelIds = async (workspaceId, userId) => {
+    const { data: channels, error } = await supabase
+        .from('channels')
+        .select('id, is_private')
+        .eq('workspace_id', workspaceId);
+
+    if (error) {
+        console.error('Get visible channels error:', error);
+        throw { statusCode: 500, message: 'Failed to get channels' };
+    }
+
+    const { data: memberships } = await supabase
+        .from('channel_members')
+        .select('channel_id')
+        .eq('user_id', userId);
+
+    const memberOf = new Set((memberships || []).map((m) => m.channel_id));
+
+    return (channels || [])
+        .filter((channel) => !channel.is_private || memberOf.has(channel.id))
+        .map((channel) => channel.id);
+};
+
 /**
  * Get channel by ID
  * @param {string} channelId - Channel ID
@@ -146,6 +180,54 @@ const getChannelById = async (channelId) => {
     return channel;
 };
 
+/**
+ * Check that a user can read and post in a channel
+ * Mirrors the channelAccess middleware for callers without a request (e.g. sockets)
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - User ID
+ * @returns {Object} Channel
+ */
+const checkChannelAccess = async (channelId, userId) => {
+    const { data: channel, error } = await supabase
+        .from('channels')
+        .select('*')
+        .eq('id', channelId)
+        .single();
+
+    if (error || !channel) {
+        throw { statusCode: 404, message: 'Channel not found' };
+    }
+
+    if (channel.is_private) {
+        const { data: channelMember } = await supabase
+            .from('channel_members')
+            .select('id')
+            .eq('channel_id', channelId)
+            .eq('user_id', userId)
+            .single();
+
+        if (!channelMember) {
+            throw { statusCode: 403, message: 'Access denied. You are not a member of this private channel.' };
+        }
+    } else {
+        const { data: workspaceMember } = await supabase
+            .from('workspace_members')
+            .select('id')
+            .eq('workspace_id', channel.workspace_id)
+            .eq('user_id', userId)
+            .eq('is_active', true)
+            .single();
+
+        if (!workspaceMember) {
+            throw { statusCode: 403, message: 'Access denied.' };
+        }
+    }
+
+    await assertWorkspaceTwoFactor(channel.workspace_id, userId);
+
+    return channel;
+};
+
 /**
  * Update channel
  * @param {string} channelId - Channel ID
@@ -174,6 +256,8 @@ const updateChannel = async (channelId, updateData) => {
         throw { statusCode: 500, message: 'Failed to update channel' };
     }
 
+    webhookService.dispatchEvent(channel.workspace_id, 'channel.updated', channel, { channelId });
+
     return channel;
 };
 
@@ -185,7 +269,7 @@ const updateChannel = async (channelId, updateData) => {
 const deleteChannel = async (channelId) => {
     const { data: channel } = await supabase
         .from('channels')
-        .select('name')
+        .select('name, workspace_id, is_private')
         .eq('id', channelId)
         .single();
 
@@ -203,6 +287,11 @@ const deleteChannel = async (channelId) => {
         throw { statusCode: 500, message: 'Failed to delete channel' };
     }
 
+    webhookService.dispatchEvent(channel?.workspace_id, 'channel.deleted', { id: channelId, name: channel?.name }, {
+        channelId,
+        isPrivate: channel?.is_private,
+    });
+
     return true;
 };
 
@@ -224,6 +313,8 @@ const archiveChannel = async (channelId) => {
         throw { statusCode: 500, message: 'Failed to archive channel' };
     }
 
+    webhookService.dispatchEvent(channel.workspace_id, 'channel.archived', channel, { channelId });
+
     return channel;
 };
 
@@ -245,6 +336,8 @@ const unarchiveChannel = async (channelId) => {
         throw { statusCode: 500, message: 'Failed to unarchive channel' };
     }
 
+    webhookService.dispatchEvent(channel.workspace_id, 'channel.unarchived', channel, { channelId });
+
     return channel;
 };
 
@@ -345,7 +438,9 @@ const removeChannelMember = async (channelId, userId) => {
 module.exports = {
     createChannel,
     getWorkspaceChannels,
+    getVisibleChannelIds,
     getChannelById,
+    checkChannelAccess,
     updateChannel,
     deleteChannel,
     archiveChannel,
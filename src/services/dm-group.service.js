@@ -0,0 +1,470 @@
+const { supabase } = require('../config/supabase');
+const { admin, firestore } = require('../config/firebase');
+const { getIO } = require('../config/socket');
+const channelService = require('./channel.service');
+const searchService = require('./search.service');
+const { assertWorkspaceTwoFactor } = require('./two-factor.service');
+const { parseMessage } = require('../utils/markdown.utils');
+
+const dmConversationsCollection = firestore.collection('dm_conversations');
+const dmMessagesCollection = firestore.collection('dm_messages');
+const messagesCollection = firestore.collection('messages');
+
+// Including the creator
+const MAX_GROUP_DM_PARTICIPANTS = 9;
+const MIN_GROUP_DM_PARTICIPANTS = 3;
+
+// Firestore batch writes are capped at 500 operations
+const COPY_BATCH_SIZE = 400;
+
+/**
+ * Broadcast a group DM event to each participant's personal room
+ * @param {Array} userIds - Users to notify
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const broadcastGroupEvent = (userIds, event, payload) => {
+    try {
+        const io = getIO();
+        userIds.forEach((userId) => {
+            io.to(`user:${userId}`).emit(event, payload);
+        });
+    } catch (error) {
+        console.log('Socket not initialized, skipping broadcast');
+    }
+};
+
+/**
+ * Get active workspace members by ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {Array} userIds - User IDs
+ * @returns {Array} Users
+ */
+const getWorkspaceUsers = async (workspaceId, userIds) => {
+    const { data, error } = await supabase
+        .from('workspace_members')
+        .select('user_id, users(id, username, full_name, avatar_url)')
+        .eq('workspace_id', workspaceId)
+        .eq('is_active', true)
+        .in('user_id', userIds);
+
+    if (error) {
+        console.error('Get workspace users error:', error);
+        throw { statusCode: 500, message: 'Failed to look up participants' };
+    }
+
+    const users = (data || []).map((m) => m.users).filter(Boolean);
+
+    if (users.length !== userIds.length) {
+        throw { statusCode: 400, message: 'All participants must be members of this workspace' };
+    }
+
+    return users;
+};
+
+/**
+ * Build participant name and avatar maps for a conversation document
+ * @param {Array} users - Users
+ * @returns {Object} Firestore field updates
+ */
+const toParticipantFields = (users) => {
+    const fields = {};
+    users.forEach((user) => {
+        fields[`participant_names.${user.id}`] = user.full_name || user.username;
+        fields[`participant_avatars.${user.id}`] = user.avatar_url || null;
+        fields[`unread_counts.${user.id}`] = 0;
+    });
+    return fields;
+};
+
+/**
+ * Get a group DM conversation the user participates in
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Object} Conversation document
+ */
+const getGroupConversation = async (conversationId, userId) => {
+    const doc = await dmConversationsCollection.doc(conversationId).get();
+
+    if (!doc.exists || !doc.data().is_group) {
+        throw { statusCode: 404, message: 'Group conversation not found' };
+    }
+
+    const conversation = { id: doc.id, ...doc.data() };
+
+    if (!conversation.participant_ids.includes(userId)) {
+        throw { statusCode: 403, message: 'You are not a participant in this conversation' };
+    }
+
+    if (conversation.converted_channel_id) {
+        throw { statusCode: 400, message: 'This conversation has been converted to a channel' };
+    }
+
+    await assertWorkspaceTwoFactor(conversation.workspace_id, userId);
+
+    return conversation;
+};
+
+/**
+ * Create a group DM, or return the existing one with the same participants
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} creatorId - Creating user ID
+ * @param {Array} userIds - Other participant IDs
+ * @param {string} name - Optional conversation name
+ * @returns {Object} Group DM conversation
+ */
+const createGroupDm = async (workspaceId, creatorId, userIds, name) => {
+    const participantIds = [...new Set([creatorId, ...userIds])];
+
+    if (participantIds.length < MIN_GROUP_DM_PARTICIPANTS) {
+        throw { statusCode: 400, message: `Group DMs need at least ${MIN_GROUP_DM_PARTICIPANTS} participants` };
+    }
+
+    if (participantIds.length > MAX_GROUP_DM_PARTICIPANTS) {
+        throw { statusCode: 400, message: `Group DMs are limited to ${MAX_GROUP_DM_PARTICIPANTS} participants` };
+    }
+
+    const users = await getWorkspaceUsers(workspaceId, participantIds);
+
+    // Reopen an existing group with exactly these participants
+    const snapshot = await dmConversationsCollection
+        .where('workspace_id', '==', workspaceId)
+        .where('participant_ids', 'array-contains', creatorId)
+        .get();
+
+    let existing = null;
+    snapshot.forEach((doc) => {
+        const data = doc.data();
+        if (
+            data.is_group &&
+            !data.converted_channel_id &&
+            data.participant_ids.length === participantIds.length &&
+            participantIds.every((id) => data.participant_ids.includes(id))
+        ) {
+            existing = { id: doc.id, ...data };
+        }
+    });
+
+    if (existing) {
+        return existing;
+    }
+
+    const { data: group, error } = await supabase
+        .from('dm_groups')
+        .insert({
+            workspace_id: workspaceId,
+            is_group: true,
+            name: name || null,
+            creator_id: creatorId,
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Create group DM error:', error);
+        throw { statusCode: 500, message: 'Failed to create group conversation' };
+    }
+
+    const { error: membersError } = await supabase
+        .from('dm_group_members')
+        .insert(participantIds.map((userId) => ({ dm_group_id: group.id, user_id: userId })));
+
+    if (membersError) {
+        console.error('Add group DM members error:', membersError);
+        await supabase.from('dm_groups').delete().eq('id', group.id);
+        throw { statusCode: 500, message: 'Failed to create group conversation' };
+    }
+
+    const now = new Date();
+    const conversation = {
+        id: group.id,
+        workspace_id: workspaceId,
+        is_group: true,
+        name: name || null,
+        creator_id: creatorId,
+        participant_ids: participantIds,
+        participant_names: {},
+        participant_avatars: {},
+        participant_statuses: {},
+        last_message: null,
+        last_message_at: now,
+        unread_counts: {},
+        muted_by: [],
+        converted_channel_id: null,
+        created_at: now,
+    };
+
+    users.forEach((user) => {
+        conversation.participant_names[user.id] = user.full_name || user.username;
+        conversation.participant_avatars[user.id] = user.avatar_url || null;
+        conversation.unread_counts[user.id] = 0;
+    });
+
+    await dmConversationsCollection.doc(group.id).set(conversation);
+
+    broadcastGroupEvent(participantIds, 'dm:created', conversation);
+
+    return conversation;
+};
+
+/**
+ * Rename a group DM
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Requesting user ID
+ * @param {string|null} name - New name, or null to clear it
+ * @returns {Object} Updated conversation
+ */
+const renameGroupDm = async (conversationId, userId, name) => {
+    const conversation = await getGroupConversation(conversationId, userId);
+
+    const { error } = await supabase
+        .from('dm_groups')
+        .update({ name: name || null })
+        .eq('id', conversationId);
+
+    if (error) {
+        console.error('Rename group DM error:', error);
+        throw { statusCode: 500, message: 'Failed to rename conversation' };
+    }
+
+    await dmConversationsCollection.doc(conversationId).update({ name: name || null });
+
+    const updated = { ...conversation, name: name || null };
+    broadcastGroupEvent(conversation.participant_ids, 'dm:updated', updated);
+
+    return updated;
+};
+
+/**
+ * Add participants to a group DM
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Requesting user ID
+ * @param {Array} userIds - Users to add
+ * @returns {Object} Updated conversation
+ */
+const addGroupParticipants = async (conversationId, userId, userIds) => {
+    const conversation = await getGroupConversation(conversationId, userId);
+    const newIds = [...new Set(userIds)].filter((id) => !conversation.participant_ids.includes(id));
+
+    if (newIds.length === 0) {
+        return conversation;
+    }
+
+    if (conversation.participant_ids.length + newIds.length > MAX_GROUP_DM_PARTICIPANTS) {
+        throw { statusCode: 400, message: `Group DMs are limited to ${MAX_GROUP_DM_PARTICIPANTS} participants` };
+    }
+
+    const users = await getWorkspaceUsers(conversation.workspace_id, newIds);
+
+    const { error } = await supabase
+        .from('dm_group_members')
+        .insert(newIds.map((id) => ({ dm_group_id: conversationId, user_id: id })));
+
+    if (error) {
+        console.error('Add group DM participants error:', error);
+        throw { statusCode: 500, message: 'Failed to add participants' };
+    }
+
+    await dmConversationsCollection.doc(conversationId).update({
+        participant_ids: admin.firestore.FieldValue.arrayUnion(...newIds),
+        ...toParticipantFields(users),
+    });
+
+    const updated = {
+        ...conversation,
+        participant_ids: [...conversation.participant_ids, ...newIds],
+    };
+
+    broadcastGroupEvent(updated.participant_ids, 'dm:participant_added', {
+        conversationId,
+        userIds: newIds,
+        addedBy: userId,
+    });
+
+    return updated;
+};
+
+/**
+ * Remove a participant from a group DM
+ * Participants can leave; only the creator can remove others
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Requesting user ID
+ * @param {string} targetUserId - User to remove
+ * @returns {Object} Updated conversation
+ */
+const removeGroupParticipant = async (conversationId, userId, targetUserId) => {
+    const conversation = await getGroupConversation(conversationId, userId);
+
+    if (targetUserId !== userId && conversation.creator_id !== userId) {
+        throw { statusCode: 403, message: 'Only the conversation creator can remove other participants' };
+    }
+
+    if (!conversation.participant_ids.includes(targetUserId)) {
+        throw { statusCode: 404, message: 'User is not a participant in this conversation' };
+    }
+
+    const { error } = await supabase
+        .from('dm_group_members')
+        .delete()
+        .eq('dm_group_id', conversationId)
+        .eq('user_id', targetUserId);
+
+    if (error) {
+        console.error('Remove group DM participant error:', error);
+        throw { statusCode: 500, message: 'Failed to remove participant' };
+    }
+
+    await dmConversationsCollection.doc(conversationId).update({
+        participant_ids: admin.firestore.FieldValue.arrayRemove(targetUserId),
+        [`unread_counts.${targetUserId}`]: admin.firestore.FieldValue.delete(),
+    });
+
+    // The removed user is still in participant_ids here, so they hear about it too
+    broadcastGroupEvent(conversation.participant_ids, 'dm:participant_removed', {
+        conversationId,
+        userId: targetUserId,
+        removedBy: userId,
+    });
+
+    return {
+        ...conversation,
+        participant_ids: conversation.participant_ids.filter((id) => id !== targetUserId),
+    };
+};
+
+/**
+ * Copy a conversation's messages into a channel
+ * @param {Object} conversation - Conversation document
+ * @param {Object} channel - Target channel
+ * @returns {Array} Copied channel messages
+ */
+const copyMessagesToChannel = async (conversation, channel) => {
+    const copied = [];
+    let lastDoc = null;
+    let hasMore = true;
+
+    while (hasMore) {
+        let query = dmMessagesCollection
+            .where('conversation_id', '==', conversation.id)
+            .limit(COPY_BATCH_SIZE);
+
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        if (snapshot.empty) break;
+
+        const batch = firestore.batch();
+
+        snapshot.forEach((doc) => {
+            const dm = doc.data();
+            if (dm.is_deleted) return;
+
+            const message = {
+                id: dm.id,
+                channelId: channel.id,
+                dmGroupId: null,
+                workspaceId: conversation.workspace_id,
+                userId: dm.sender_id,
+                userName: conversation.participant_names?.[dm.sender_id] || 'User',
+                userAvatar: conversation.participant_avatars?.[dm.sender_id] || null,
+                content: dm.content,
+                richText: dm.rich_text || parseMessage(dm.content).richText,
+                type: 'text',
+                fileIds: [],
+                mentions: [],
+                attachments: [],
+                blocks: [],
+                replyToId: null,
+                replyCount: 0,
+                reactions: dm.reactions || [],
+                isEdited: dm.is_edited || false,
+                isDeleted: false,
+                isPinned: false,
+                metadata: { convertedFromDm: conversation.id },
+                createdAt: dm.created_at,
+                updatedAt: dm.updated_at,
+            };
+
+            batch.set(messagesCollection.doc(message.id), message);
+            copied.push(message);
+        });
+
+        await batch.commit();
+
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        hasMore = snapshot.size === COPY_BATCH_SIZE;
+    }
+
+    return copied;
+};
+
+/**
+ * Convert a group DM into a private channel, keeping its history
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - Requesting user ID
+ * @param {Object} channelData - { name, description }
+ * @returns {Object} Created channel
+ */
+const convertToPrivateChannel = async (conversationId, userId, channelData) => {
+    const conversation = await getGroupConversation(conversationId, userId);
+
+    const channel = await channelService.createChannel(
+        {
+            name: channelData.name,
+            description: channelData.description,
+            isPrivate: true,
+        },
+        conversation.workspace_id,
+        userId
+    );
+
+    // The creator is added by createChannel
+    const otherIds = conversation.participant_ids.filter((id) => id !== userId);
+
+    if (otherIds.length > 0) {
+        const { error } = await supabase
+            .from('channel_members')
+            .insert(otherIds.map((id) => ({ channel_id: channel.id, user_id: id, role: 'member' })));
+
+        if (error) {
+            console.error('Add converted channel members error:', error);
+            throw { statusCode: 500, message: 'Failed to add participants to the new channel' };
+        }
+    }
+
+    const copied = await copyMessagesToChannel(conversation, channel);
+    searchService.indexMessages(copied);
+
+    // Files shared in the conversation now belong to the channel
+    await supabase
+        .from('files')
+        .update({ channel_id: channel.id })
+        .eq('dm_group_id', conversationId);
+
+    await supabase
+        .from('dm_groups')
+        .update({ converted_channel_id: channel.id })
+        .eq('id', conversationId);
+
+    await dmConversationsCollection.doc(conversationId).update({
+        converted_channel_id: channel.id,
+    });
+
+    broadcastGroupEvent(conversation.participant_ids, 'dm:converted', {
+        conversationId,
+        channel,
+    });
+
+    return channel;
+};
+
+module.exports = {
+    MAX_GROUP_DM_PARTICIPANTS,
+    createGroupDm,
+    renameGroupDm,
+    addGroupParticipants,
+    removeGroupParticipant,
+    convertToPrivateChannel,
+};
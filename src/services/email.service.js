@@ -29,13 +29,18 @@ if (process.env.NODE_ENV === 'production') {
         });
     } else {
         // Fallback: Console logging in development
+        // Emails carry sign-in codes and links, so their content is only printed in development
+        const showContent = (process.env.NODE_ENV || 'development') === 'development';
+
         transporter = {
             sendMail: async (mailOptions) => {
                 console.log('\n📧 ========== EMAIL DEBUG ==========');
                 console.log(`To: ${mailOptions.to}`);
                 console.log(`Subject: ${mailOptions.subject}`);
-                console.log(`----- HTML Content -----`);
-                console.log(mailOptions.html || mailOptions.text);
+                if (showContent) {
+                    console.log(`----- HTML Content -----`);
+                    console.log(mailOptions.html || mailOptions.text);
+                }
                 console.log('====================================\n');
                 return { messageId: 'dev-' + Date.now() };
             },
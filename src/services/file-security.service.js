@@ -0,0 +1,347 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+const storage = require('./storage');
+const previewService = require('./preview.service');
+const { getScanner } = require('./scanner');
+const { detectMimeType, matchesFileTypePattern } = require('../utils/file-type.utils');
+
+// files.metadata.scan_status values
+const SCAN_STATUSES = {
+    PENDING: 'pending',
+    CLEAN: 'clean',
+    INFECTED: 'infected',
+    ERROR: 'error',
+    SKIPPED: 'skipped',
+};
+
+// file_processing_jobs.kind values
+const JOB_KINDS = {
+    SCAN: 'scan',
+    PREVIEWS: 'previews',
+};
+
+const MAX_SCAN_ATTEMPTS = 3;
+const SCAN_RETRY_DELAY_MS = 10000;
+
+// Jobs live in file_processing_jobs so a restart never strands a pending file.
+// Each worker runs them one at a time to keep scans and image decoding cheap.
+let running = false;
+
+/**
+ * Get a workspace's file type lists from settings.fileTypes
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object} { allow, deny }
+ */
+const getWorkspaceFileTypes = async (workspaceId) => {
+    const { data: workspace } = await supabase
+        .from('workspaces')
+        .select('settings')
+        .eq('id', workspaceId)
+        .single();
+
+    const fileTypes = workspace?.settings?.fileTypes || {};
+
+    return {
+        allow: Array.isArray(fileTypes.allow) ? fileTypes.allow : [],
+        deny: Array.isArray(fileTypes.deny) ? fileTypes.deny : [],
+    };
+};
+
+/**
+ * Check a file against the global and workspace allow/deny lists
+ * Deny entries match the effective type, the declared type or the extension;
+ * a non-empty allow list must match the effective type or the extension
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} fileName - File name
+ * @param {string} mimeType - Effective MIME type
+ * @param {string} declaredMimeType - Client-declared MIME type
+ */
+const assertFileTypeAllowed = async (workspaceId, fileName, mimeType, declaredMimeType) => {
+    const { allow, deny } = await getWorkspaceFileTypes(workspaceId);
+
+    const denied = [...config.upload.deniedFileTypes, ...deny].some((pattern) => {
+        return matchesFileTypePattern(pattern, mimeType, fileName)
+            || matchesFileTypePattern(pattern, declaredMimeType, fileName);
+    });
+
+    const allowed = !allow.length || allow.some((pattern) => matchesFileTypePattern(pattern, mimeType, fileName));
+
+    if (denied || !allowed) {
+        throw { statusCode: 415, message: `File type not allowed: ${mimeType}` };
+    }
+};
+
+/**
+ * Sniff a file's real type from its content and check it is allowed
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} fileInfo - { fileName, declaredMimeType, head }
+ * @returns {Object} { mimeType, detectedMimeType }
+ */
+const checkFileType = async (workspaceId, { fileName, declaredMimeType, head }) => {
+    const { mimeType, detectedMimeType } = await detectMimeType(head, declaredMimeType);
+    await assertFileTypeAllowed(workspaceId, fileName, mimeType, declaredMimeType);
+
+    return { mimeType, detectedMimeType };
+};
+
+/**
+ * Check a declared type before any content exists (e.g. when a resumable upload starts)
+ * The content is still sniffed when the upload completes
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} fileInfo - { fileName, declaredMimeType }
+ */
+const checkDeclaredFileType = async (workspaceId, { fileName, declaredMimeType }) => {
+    await assertFileTypeAllowed(workspaceId, fileName, declaredMimeType, declaredMimeType);
+};
+
+/**
+ * Initial scan status for a new file
+ * @returns {string} pending when a scanner is configured, otherwise skipped
+ */
+const getInitialScanStatus = () => {
+    return getScanner() ? SCAN_STATUSES.PENDING : SCAN_STATUSES.SKIPPED;
+};
+
+/**
+ * Ensure a file may be downloaded
+ * Files from before scanning existed have no scan_status and stay downloadable
+ * @param {Object} file - File record
+ */
+const assertDownloadable = (file) => {
+    const status = file.metadata?.scan_status;
+
+    if (status === SCAN_STATUSES.PENDING) {
+        throw { statusCode: 409, message: 'File is still being scanned, try again shortly' };
+    }
+    if (status === SCAN_STATUSES.INFECTED) {
+        throw { statusCode: 403, message: 'File has been quarantined' };
+    }
+    if (status === SCAN_STATUSES.ERROR) {
+        throw { statusCode: 409, message: 'File could not be scanned and is unavailable' };
+    }
+};
+
+/**
+ * Merge fields into a file's metadata (and optionally other columns)
+ * @param {Object} file - File record
+ * @param {Object} fields - Metadata fields
+ * @param {Object} columns - Extra columns to update
+ */
+const updateFile = async (file, fields, columns = {}) => {
+    file.metadata = { ...(file.metadata || {}), ...fields };
+    Object.assign(file, columns);
+
+    const { error } = await supabase
+        .from('files')
+        .update({ metadata: file.metadata, ...columns })
+        .eq('id', file.id);
+
+    if (error) throw error;
+};
+
+/**
+ * Move an infected file out of its normal location
+ * @param {Object} file - File record
+ * @param {string} threat - Detected signature
+ */
+const quarantineFile = async (file, threat) => {
+    const { driver, key } = storage.getFileLocation(file);
+    const stored = await driver.put(
+        `quarantine/${file.workspace_id}/${file.id}`,
+        await driver.get(key),
+        { mimeType: 'application/octet-stream', size: Number(file.file_size_bytes) || undefined }
+    );
+    await driver.delete(key);
+
+    await updateFile(file, {
+        scan_status: SCAN_STATUSES.INFECTED,
+        scan_threat: threat,
+        scanned_at: new Date().toISOString(),
+        quarantined_at: new Date().toISOString(),
+        preview_status: undefined, // previews are never generated for infected files
+    }, {
+        storage_key: stored.key,
+        google_drive_url: null,
+    });
+};
+
+/**
+ * Queue a scan or preview job for a file
+ * @param {string} fileId - File ID
+ * @param {string} kind - Job kind (JOB_KINDS)
+ * @param {Object} options - { attempt, delayMs }
+ */
+const enqueueJob = async (fileId, kind, { attempt = 1, delayMs = 0 } = {}) => {
+    const { error } = await supabase
+        .from('file_processing_jobs')
+        .insert({
+            file_id: fileId,
+            kind,
+            attempt,
+            run_at: new Date(Date.now() + delayMs).toISOString(),
+        });
+
+    if (error) throw error;
+};
+
+/**
+ * Scan a file, quarantining it when infected and queueing previews when clean
+ * @param {Object} file - File record
+ */
+const scanFile = async (file) => {
+    const { driver, key } = storage.getFileLocation(file);
+    const result = await getScanner().scan(await driver.get(key));
+
+    if (!result.clean) {
+        console.warn(`Quarantined file ${file.id}: ${result.threat}`);
+        await quarantineFile(file, result.threat);
+        return;
+    }
+
+    // Queued before the status flips so a crash in between re-runs the scan instead of losing previews
+    if (file.metadata?.preview_status === 'pending') {
+        await enqueueJob(file.id, JOB_KINDS.PREVIEWS);
+    }
+
+    await updateFile(file, {
+        scan_status: SCAN_STATUSES.CLEAN,
+        scanned_at: new Date().toISOString(),
+    });
+};
+
+/**
+ * Run a scan job, queueing a retry (or giving up) on scanner failures
+ * @param {Object} job - file_processing_jobs row
+ * @param {Object} file - File record
+ */
+const runScanJob = async (job, file) => {
+    try {
+        await scanFile(file);
+    } catch (error) {
+        console.error('Scan file error:', error);
+
+        if (job.attempt < MAX_SCAN_ATTEMPTS) {
+            await enqueueJob(file.id, JOB_KINDS.SCAN, {
+                attempt: job.attempt + 1,
+                delayMs: SCAN_RETRY_DELAY_MS * job.attempt,
+            });
+        } else {
+            await updateFile(file, { scan_status: SCAN_STATUSES.ERROR, scan_error: error.message });
+        }
+    }
+};
+
+/**
+ * Claim a due job so only one worker runs it
+ * Conditional on the lease it was read with; a lapsed lease can be re-claimed.
+ * @param {Object} row - file_processing_jobs row as read
+ * @returns {Object|null} Claimed job, or null if another worker got it
+ */
+const claimJob = async (row) => {
+    let query = supabase
+        .from('file_processing_jobs')
+        .update({ locked_until: new Date(Date.now() + config.scheduler.fileJobLeaseMs).toISOString() })
+        .eq('id', row.id);
+
+    query = row.locked_until ? query.eq('locked_until', row.locked_until) : query.is('locked_until', null);
+
+    const { data: claimed } = await query.select('*').single();
+    return claimed || null;
+};
+
+/**
+ * Run due scan and preview jobs
+ * Run by the scheduler and right after each upload. A job interrupted by a
+ * crash is picked up again once its lease expires.
+ * @returns {number} Jobs processed
+ */
+const runDueJobs = async () => {
+    if (running) return 0;
+    running = true;
+
+    try {
+        const now = new Date().toISOString();
+
+        const { data: due, error } = await supabase
+            .from('file_processing_jobs')
+            .select('*')
+            .lte('run_at', now)
+            .or(`locked_until.is.null,locked_until.lt.${now}`)
+            .order('run_at', { ascending: true })
+            .limit(config.scheduler.batchSize);
+
+        if (error) {
+            console.error('Fetch due file jobs error:', error);
+            return 0;
+        }
+
+        let processed = 0;
+
+        for (const row of due || []) {
+            const job = await claimJob(row);
+            if (!job) continue;
+
+            const { data: file } = await supabase
+                .from('files')
+                .select('*')
+                .eq('id', job.file_id)
+                .single();
+
+            // Deleted, quarantined or already handled since the job was queued: drop it
+            try {
+                if (job.kind === JOB_KINDS.SCAN && file?.metadata?.scan_status === SCAN_STATUSES.PENDING) {
+                    await runScanJob(job, file);
+                } else if (job.kind === JOB_KINDS.PREVIEWS && file?.metadata?.preview_status === 'pending') {
+                    await previewService.processPreviews(file);
+                }
+            } catch (jobError) {
+                // Left in place; the lease expiring makes it due again
+                console.error('File job error:', jobError);
+                continue;
+            }
+
+            await supabase
+                .from('file_processing_jobs')
+                .delete()
+                .eq('id', job.id);
+
+            processed += 1;
+        }
+
+        return processed;
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start post-upload processing: scan first when a scanner is configured,
+ * previews only once the file is known to be clean
+ * Never throws - the upload has already been stored
+ * @param {Object} file - File record
+ */
+const processUpload = async (file) => {
+    try {
+        if (file.metadata?.scan_status === SCAN_STATUSES.PENDING) {
+            await enqueueJob(file.id, JOB_KINDS.SCAN);
+        } else if (file.metadata?.preview_status === 'pending') {
+            await enqueueJob(file.id, JOB_KINDS.PREVIEWS);
+        } else {
+            return;
+        }
+
+        setImmediate(runDueJobs);
+    } catch (error) {
+        console.error('Queue file processing error:', error);
+    }
+};
+
+module.exports = {
+    SCAN_STATUSES,
+    checkFileType,
+    checkDeclaredFileType,
+    getInitialScanStatus,
+    assertDownloadable,
+    processUpload,
+    runDueJobs,
+};
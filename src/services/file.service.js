@@ -1,47 +1,78 @@
-const { google } = require('googleapis');
-const { drive, getDriveAuth } = require('../config/google-drive');
+const path = require('path');
 const { supabase } = require('../config/supabase');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config/environment');
+const storage = require('./storage');
+const channelService = require('./channel.service');
+const messageService = require('./message.service');
+const previewService = require('./preview.service');
+const fileSecurityService = require('./file-security.service');
+const quotaService = require('./quota.service');
+const { assertWorkspaceTwoFactor } = require('./two-factor.service');
+const { signValue, verifySignature } = require('../utils/signed-url.utils');
+const { canDisplayInline } = require('../utils/file.utils');
+const { SNIFF_BYTES, peekStream } = require('../utils/file-type.utils');
+
+const DISPOSITIONS = ['attachment', 'inline'];
+
+// Where a file lives in storage; never sent to clients, who download through signed URLs
+const STORAGE_FIELDS = ['storage_key', 'google_drive_id', 'google_drive_url', 'supabase_path'];
+
+// files.metadata fields clients may see (scan results and storage keys stay server-side)
+const PUBLIC_METADATA_FIELDS = ['scan_status', 'preview_status', 'width', 'height', 'blurhash'];
 
 /**
  * File Service - Handles file uploads, downloads, and management
- * Uses Google Drive for storage
+ * Storage is delegated to a driver (local, S3, Google Drive, Supabase)
  */
 class FileService {
     /**
-     * Upload a file to Google Drive
-     * @param {Buffer} fileBuffer - File buffer
+     * Upload a file to the workspace's storage driver
+     * The real type is sniffed from the content; the declared type is only a hint
+     * @param {Buffer|Readable} fileBuffer - File contents (streams need metadata.size)
      * @param {string} fileName - Original file name
-     * @param {string} mimeType - File MIME type
+     * @param {string} declaredMimeType - Client-declared MIME type
      * @param {Object} metadata - File metadata
      * @returns {Object} File record
      */
-    async uploadFile(fileBuffer, fileName, mimeType, metadata = {}) {
+    async uploadFile(fileBuffer, fileName, declaredMimeType, metadata = {}) {
         const { workspaceId, channelId, dmGroupId, uploaderId } = metadata;
+        const size = Buffer.isBuffer(fileBuffer) ? fileBuffer.length : metadata.size;
         const fileId = uuidv4();
+        let driver = null;
+        let stored = null;
+
+        await this.checkUploadTarget({ workspaceId, channelId, dmGroupId }, uploaderId);
+        await quotaService.assertWithinQuota(workspaceId, uploaderId, size);
+
+        let head = fileBuffer;
+        if (!Buffer.isBuffer(fileBuffer)) {
+            ({ head, stream: fileBuffer } = await peekStream(fileBuffer, SNIFF_BYTES));
+        }
+
+        const { mimeType, detectedMimeType } = await fileSecurityService.checkFileType(workspaceId, {
+            fileName,
+            declaredMimeType,
+            head: head.subarray(0, SNIFF_BYTES),
+        });
+
+        const fileMetadata = { scan_status: fileSecurityService.getInitialScanStatus() };
+        if (mimeType !== declaredMimeType) {
+            fileMetadata.declared_mime_type = declaredMimeType;
+            fileMetadata.detected_mime_type = detectedMimeType;
+        }
+        if (previewService.isPreviewable(mimeType)) {
+            fileMetadata.preview_status = 'pending';
+        }
 
         try {
-            // Create file in Google Drive
-            const auth = getDriveAuth();
-            const driveClient = google.drive({ version: 'v3', auth });
-
-            const driveResponse = await driveClient.files.create({
-                requestBody: {
-                    name: `${fileId}_${fileName}`,
-                    mimeType: mimeType,
-                    parents: [config.googleDrive.folderId],
-                },
-                media: {
-                    mimeType: mimeType,
-                    body: require('stream').Readable.from(fileBuffer),
-                },
-                fields: 'id, webViewLink, webContentLink',
+            driver = await storage.getWorkspaceDriver(workspaceId);
+            stored = await driver.put(this._buildStorageKey(workspaceId, fileId, fileName), fileBuffer, {
+                mimeType,
+                fileName,
+                size,
             });
 
-            const googleDriveId = driveResponse.data.id;
-            const googleDriveUrl = driveResponse.data.webContentLink || driveResponse.data.webViewLink;
-
             // Store file metadata in Supabase
             const fileRecord = {
                 id: fileId,
@@ -51,14 +82,16 @@ class FileService {
                 uploader_id: uploaderId,
                 original_name: fileName,
                 file_type: this._getFileCategory(mimeType),
-                file_size_bytes: fileBuffer.length,
+                file_size_bytes: size,
                 mime_type: mimeType,
-                storage_provider: 'google_drive',
-                google_drive_id: googleDriveId,
-                google_drive_url: googleDriveUrl,
+                storage_provider: driver.name,
+                storage_key: stored.key,
+                google_drive_id: driver.name === 'google_drive' ? stored.key : null,
+                google_drive_url: driver.name === 'google_drive' ? stored.url : null,
+                supabase_path: driver.name === 'supabase' ? stored.key : null,
                 thumbnail_url: null,
                 is_public: false,
-                metadata: {},
+                metadata: fileMetadata,
                 created_at: new Date(),
             };
 
@@ -70,14 +103,23 @@ class FileService {
 
             if (error) throw error;
 
+            // Scanning and thumbnails run in the background
+            fileSecurityService.processUpload(data);
+
             return data;
         } catch (error) {
             console.error('Upload file error:', error);
+
+            // Don't leave orphaned objects behind when the record insert fails
+            if (stored) {
+                driver.delete(stored.key).catch((err) => console.error('Storage cleanup error:', err));
+            }
+
             throw { statusCode: 500, message: 'Failed to upload file' };
         }
     }
 
-    /**
+/**
      * Get file by ID
      * @param {string} fileId - File ID
      * @returns {Object} File record
@@ -96,6 +138,19 @@ class FileService {
         return data;
     }
 
+    /**
+     * Get a file the user can see
+     * @param {string} fileId - File ID
+     * @param {string} userId - Requesting user ID
+     * @returns {Object} File record
+     */
+    async getFileForUser(fileId, userId) {
+        const file = await this.getFileById(fileId);
+        await this.checkFileAccess(file, userId);
+
+        return file;
+    }
+
     /**
      * Get files for a channel
      * @param {string} channelId - Channel ID
@@ -127,18 +182,27 @@ class FileService {
 
     /**
      * Get files for a workspace
+     * Only files in channels the user can see, plus their own uploads
      * @param {string} workspaceId - Workspace ID
+     * @param {string} userId - Requesting user ID
      * @param {Object} options - Filter and pagination options
      * @returns {Array} File records
      */
-    async getWorkspaceFiles(workspaceId, options = {}) {
+    async getWorkspaceFiles(workspaceId, userId, options = {}) {
         const { page = 1, limit = 20, fileType } = options;
         const offset = (page - 1) * limit;
 
+        const channelIds = await channelService.getVisibleChannelIds(workspaceId, userId);
+        const visible = [`uploader_id.eq.${userId}`];
+        if (channelIds.length > 0) {
+            visible.push(`channel_id.in.(${channelIds.join(',')})`);
+        }
+
         let query = supabase
             .from('files')
             .select('*, uploader:uploader_id(id, username, full_name, avatar_url)', { count: 'exact' })
             .eq('workspace_id', workspaceId)
+            .or(visible.join(','))
             .order('created_at', { ascending: false });
 
         if (fileType) {
@@ -159,6 +223,35 @@ class FileService {
         };
     }
 
+    /**
+     * Client-facing shape of a file record
+     * @param {Object} file - File record
+     * @returns {Object} File without storage locations or scan details
+     */
+    serializeFile(file) {
+        const serialized = { ...file };
+        STORAGE_FIELDS.forEach((field) => delete serialized[field]);
+
+        const metadata = file.metadata || {};
+        serialized.metadata = {};
+        PUBLIC_METADATA_FIELDS
+            .filter((field) => metadata[field] !== undefined)
+            .forEach((field) => { serialized.metadata[field] = metadata[field]; });
+
+        // Variants are fetched through the download endpoint, not by storage key
+        if (metadata.thumbnails) {
+            serialized.metadata.thumbnails = metadata.thumbnails.map(({ size, width, height, bytes, mime_type }) => ({
+                size, width, height, bytes, mime_type,
+            }));
+        }
+        if (metadata.preview) {
+            const { width, height, bytes, mime_type } = metadata.preview;
+            serialized.metadata.preview = { width, height, bytes, mime_type };
+        }
+
+        return serialized;
+    }
+
     /**
      * Delete a file
      * @param {string} fileId - File ID
@@ -174,11 +267,14 @@ class FileService {
         }
 
         try {
-            // Delete from Google Drive
-            if (file.google_drive_id) {
-                const auth = getDriveAuth();
-                const driveClient = google.drive({ version: 'v3', auth });
-                await driveClient.files.delete({ fileId: file.google_drive_id });
+            // Delete from storage
+            const { driver, key } = storage.getFileLocation(file);
+            if (key) {
+                await driver.delete(key);
+            }
+
+            for (const variantKey of previewService.getVariantKeys(file)) {
+                await driver.delete(variantKey);
             }
 
             // Delete from Supabase
@@ -189,7 +285,7 @@ class FileService {
 
             if (error) throw error;
 
-            return { success: true };
+            return { success: true, file };
         } catch (error) {
             console.error('Delete file error:', error);
             throw { statusCode: 500, message: 'Failed to delete file' };
@@ -197,27 +293,202 @@ class FileService {
     }
 
     /**
-     * Get download URL for a file
+     * Check that a user can see a file
+     * Channel files follow channel access, DM files require participation
+     * @param {Object} file - File record
+     * @param {string} userId - User ID
+     */
+    async checkFileAccess(file, userId) {
+        await assertWorkspaceTwoFactor(file.workspace_id, userId);
+
+        if (file.uploader_id === userId) {
+            return;
+        }
+
+        if (file.channel_id) {
+            await channelService.checkChannelAccess(file.channel_id, userId);
+            return;
+        }
+
+        if (file.dm_group_id) {
+            await messageService.getDmConversationForUser(file.dm_group_id, userId);
+            return;
+        }
+
+        const { data: member } = await supabase
+            .from('workspace_members')
+            .select('id')
+            .eq('workspace_id', file.workspace_id)
+            .eq('user_id', userId)
+            .eq('is_active', true)
+            .single();
+
+        if (!member) {
+            throw { statusCode: 403, message: 'Access denied.' };
+        }
+    }
+
+    /**
+     * Check that a user can upload to a workspace, channel or DM
+     * The channel or DM must belong to the workspace, since the workspace's
+     * quota and storage driver are the ones used
+     * @param {Object} target - { workspaceId, channelId, dmGroupId }
+     * @param {string} userId - Uploader ID
+     */
+    async checkUploadTarget({ workspaceId, channelId, dmGroupId }, userId) {
+        if (!workspaceId) {
+            throw { statusCode: 400, message: 'Workspace ID is required' };
+        }
+
+        await this.checkFileAccess({ workspace_id: workspaceId, channel_id: null, dm_group_id: null }, userId);
+
+        if (channelId) {
+            const channel = await channelService.checkChannelAccess(channelId, userId);
+            if (channel.workspace_id !== workspaceId) {
+                throw { statusCode: 400, message: 'Channel does not belong to this workspace' };
+            }
+        }
+
+        if (dmGroupId) {
+            const conversation = await messageService.getDmConversationForUser(dmGroupId, userId);
+            if (conversation.workspace_id !== workspaceId) {
+                throw { statusCode: 400, message: 'Conversation does not belong to this workspace' };
+            }
+        }
+    }
+
+    /**
+     * Issue a short-lived signed URL for streaming a file through the API
      * @param {string} fileId - File ID
-     * @returns {string} Download URL
+     * @param {string} userId - Requesting user ID
+     * @param {Object} options - { disposition: 'attachment' | 'inline', variant: 'thumb_{size}' | 'preview' }
+     * @returns {Object} { url, expiresAt, disposition, variant }
      */
-    async getDownloadUrl(fileId) {
+    async getDownloadUrl(fileId, userId, options = {}) {
         const file = await this.getFileById(fileId);
+        await this.checkFileAccess(file, userId);
+        fileSecurityService.assertDownloadable(file);
 
-        if (file.google_drive_url) {
-            return file.google_drive_url;
+        const variant = options.variant || null;
+        const target = this._getDownloadTarget(file, variant);
+        let disposition = options.disposition || 'attachment';
+
+        if (!DISPOSITIONS.includes(disposition)) {
+            throw { statusCode: 400, message: `Disposition must be one of: ${DISPOSITIONS.join(', ')}` };
         }
 
-        // Generate temporary URL from Google Drive
-        const auth = getDriveAuth();
-        const driveClient = google.drive({ version: 'v3', auth });
+        if (!canDisplayInline(target.mimeType)) {
+            disposition = 'attachment';
+        }
 
-        const response = await driveClient.files.get({
-            fileId: file.google_drive_id,
-            fields: 'webContentLink',
-        });
+        const { expires, signature } = signValue(
+            this._downloadSignatureValue(file.id, disposition, variant),
+            config.storage.downloadUrlExpiresIn
+        );
+        const query = new URLSearchParams({ disposition, ...(variant && { variant }), expires, signature });
+
+        return {
+            url: `${config.storage.downloadBaseUrl}/${file.id}/content?${query}`,
+            expiresAt: new Date(expires * 1000).toISOString(),
+            disposition,
+            variant,
+        };
+    }
+
+    /**
+     * Verify a signed download link
+     * @param {string} fileId - File ID
+     * @param {Object} params - { disposition, variant, expires, signature } from the URL
+     * @returns {Object} Download target { key, mimeType, size, fileName, driver }
+     */
+    async verifyDownloadLink(fileId, params) {
+        const { disposition, variant, expires, signature } = params;
+        const value = this._downloadSignatureValue(fileId, disposition, variant || null);
+
+        if (!DISPOSITIONS.includes(disposition) || !verifySignature(value, expires, signature)) {
+            throw { statusCode: 403, message: 'Invalid or expired download link' };
+        }
+
+        const file = await this.getFileById(fileId);
+        fileSecurityService.assertDownloadable(file);
+
+        return this._getDownloadTarget(file, variant || null);
+    }
+
+    /**
+     * Open the content of a download target from its storage driver
+     * @param {Object} target - Download target from verifyDownloadLink
+     * @param {Object} range - Optional inclusive byte range { start, end }
+     * @returns {Readable} File stream
+     */
+    async openFileStream(target, range = null) {
+        return target.driver.get(target.key, range);
+    }
+
+    /**
+     * Resolve what a download serves: the original file or a generated variant
+     * @param {Object} file - File record
+     * @param {string|null} variant - Variant name
+     * @returns {Object} { key, mimeType, size, fileName, driver }
+     */
+    _getDownloadTarget(file, variant) {
+        const { driver, key } = storage.getFileLocation(file);
+
+        if (variant) {
+            const generated = previewService.getVariant(file, variant);
+
+            if (!generated) {
+                throw { statusCode: 404, message: 'Preview not available' };
+            }
+
+            const baseName = path.parse(file.original_name).name;
+
+            return {
+                driver,
+                key: generated.key,
+                mimeType: generated.mime_type,
+                size: generated.bytes,
+                fileName: `${baseName}_${variant}${path.extname(generated.key)}`,
+            };
+        }
+
+        if (!key) {
+            throw { statusCode: 404, message: 'File not found in storage' };
+        }
 
-        return response.data.webContentLink;
+        return {
+            driver,
+            key,
+            mimeType: file.mime_type,
+            size: Number(file.file_size_bytes) || 0,
+            fileName: file.original_name,
+        };
+    }
+
+    /**
+     * Value signed into download links
+     * @param {string} fileId - File ID
+     * @param {string} disposition - Content disposition
+     * @param {string|null} variant - Variant name
+     * @returns {string} Signed value
+     */
+    _downloadSignatureValue(fileId, disposition, variant) {
+        return variant ? `${fileId}:${disposition}:${variant}` : `${fileId}:${disposition}`;
+    }
+
+    /**
+     * Build a storage key for a new file
+     * @param {string} workspaceId - Workspace ID
+     * @param {string} fileId - File ID
+     * @param {string} fileName - Original file name
+     * @returns {string} Storage key
+     */
+    _buildStorageKey(workspaceId, fileId, fileName) {
+        const safeName = path.basename(fileName)
+            .replace(/[^\w.-]+/g, '_')
+            .replace(/^\.+/, '')
+            .slice(-200);
+        return `${workspaceId}/${fileId}/${safeName || 'file'}`;
     }
 
     /**
@@ -0,0 +1,106 @@
+const { supabase } = require('../config/supabase');
+const messageService = require('./message.service');
+const channelService = require('./channel.service');
+
+/**
+ * Build the fallback text for a message that only has attachments
+ * @param {Array} attachments - Message attachments
+ * @returns {string} Fallback text
+ */
+const getAttachmentFallback = (attachments = []) => {
+    const first = attachments.find((a) => a && (a.fallback || a.title || a.text));
+    if (!first) return '';
+    return first.fallback || first.title || first.text;
+};
+
+/**
+ * Post a message to a channel through an incoming webhook
+ * With ephemeralUserId the message is shown only to that user
+ * @param {string} token - Incoming webhook token
+ * @param {Object} payload - Message payload
+ * @returns {Object} Created message
+ */
+const postMessage = async (token, payload) => {
+    const { text, attachments, blocks, username, iconUrl, channelId, ephemeralUserId } = payload;
+
+    const { data: webhook } = await supabase
+        .from('webhooks')
+        .select('*')
+        .eq('token', token)
+        .eq('type', 'incoming')
+        .single();
+
+    if (!webhook || !webhook.is_active) {
+        throw { statusCode: 404, message: 'Webhook not found' };
+    }
+
+    // Incoming webhooks can only post to the channel they were created for
+    if (channelId && channelId !== webhook.channel_id) {
+        throw { statusCode: 403, message: 'This webhook cannot post to that channel' };
+    }
+
+    const { data: channel } = await supabase
+        .from('channels')
+        .select('id, workspace_id, is_archived')
+        .eq('id', webhook.channel_id)
+        .single();
+
+    if (!channel || channel.workspace_id !== webhook.workspace_id) {
+        throw { statusCode: 404, message: 'Webhook channel no longer exists' };
+    }
+
+    if (channel.is_archived) {
+        throw { statusCode: 400, message: 'Cannot post to an archived channel' };
+    }
+
+    const content = text || getAttachmentFallback(attachments);
+
+    if (!content) {
+        throw { statusCode: 400, message: 'Message text or an attachment with fallback text is required' };
+    }
+
+    // Bot identity - not a row in users, so IDs are namespaced to avoid collisions
+    const bot = {
+        id: `webhook:${webhook.id}`,
+        username: webhook.name,
+        full_name: username || webhook.name,
+        avatar_url: iconUrl || null,
+        is_bot: true,
+    };
+
+    const messageData = {
+        content,
+        attachments,
+        blocks,
+        workspaceId: webhook.workspace_id,
+    };
+
+    let message;
+
+    if (ephemeralUserId) {
+        // Only someone who can see the channel can be shown a message in it
+        try {
+            await channelService.checkChannelAccess(channel.id, ephemeralUserId);
+        } catch (error) {
+            throw { statusCode: 400, message: 'That user cannot see this webhook\'s channel' };
+        }
+
+        message = await messageService.sendEphemeralMessage(channel.id, ephemeralUserId, { ...messageData, sender: bot });
+    } else {
+        message = await messageService.sendMessage(messageData, channel.id, bot);
+    }
+
+    await supabase
+        .from('webhooks')
+        .update({
+            trigger_count: (webhook.trigger_count || 0) + 1,
+            last_triggered_at: new Date().toISOString(),
+        })
+        .eq('id', webhook.id);
+
+    return message;
+};
+
+module.exports = {
+    postMessage,
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+
+const INVALID_CODE_MESSAGE = 'Invalid or expired verification code';
+const LOCKED_MESSAGE = 'Too many attempts, please request a new code later';
+
+/**
+ * Hash a code for storage
+ * Keyed with the server secret: a bare hash of 6 digits is trivially reversed
+ * @param {string} email - Normalized email
+ * @param {string} code - 6-digit code
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const hashCode = (email, code) => {
+    return crypto
+        .createHmac('sha256', config.jwt.secret)
+        .update(`magic-code:${email}:${code}`)
+        .digest('hex');
+};
+
+/**
+ * Get the code record for an email
+ * @param {string} email - Normalized email
+ * @returns {Object|null} Record
+ */
+const getRecord = async (email) => {
+    const { data } = await supabase
+        .from('magic_codes')
+        .select('email, code_hash, expires_at, attempts, locked_until, sent_at')
+        .eq('email', email)
+        .single();
+
+    return data || null;
+};
+
+/**
+ * Whether an email is locked out
+ * @param {Object} record - Code record
+ * @returns {boolean} True while the lockout lasts
+ */
+const isLocked = (record) => Boolean(record?.locked_until) && new Date(record.locked_until) > new Date();
+
+/**
+ * Issue a new code for an email, replacing any previous one
+ * Failed attempts carry over to the new code until the lockout has passed,
+ * so requesting codes repeatedly doesn't buy more guesses
+ * @param {string} email - Normalized email
+ * @returns {string} The code (to be emailed, never stored)
+ */
+const issueCode = async (email) => {
+    const record = await getRecord(email);
+    const now = Date.now();
+
+    if (isLocked(record)) {
+        throw { statusCode: 429, message: LOCKED_MESSAGE };
+    }
+
+    if (record && now - new Date(record.sent_at).getTime() < config.magicCode.resendIntervalMs) {
+        throw { statusCode: 429, message: 'Please wait before requesting another code' };
+    }
+
+    // A lockout that has passed, or a code that expired unguessed, starts a fresh count
+    const carriesAttempts = record && !record.locked_until && new Date(record.expires_at).getTime() > now;
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    const { error } = await supabase
+        .from('magic_codes')
+        .upsert({
+            email,
+            code_hash: hashCode(email, code),
+            expires_at: new Date(now + config.magicCode.ttlMs).toISOString(),
+            attempts: carriesAttempts ? record.attempts : 0,
+            locked_until: null,
+            sent_at: new Date(now).toISOString(),
+        }, { onConflict: 'email' });
+
+    if (error) {
+        console.error('Issue magic code error:', error);
+        throw { statusCode: 500, message: 'Failed to create verification code' };
+    }
+
+    return code;
+};
+
+/**
+ * Check and consume a code; each code works once
+ * Wrong guesses count against the email, and reaching the limit locks it out
+ * and invalidates the outstanding code
+ * @param {string} email - Normalized email
+ * @param {string} code - Code entered by the user
+ */
+const consumeCode = async (email, code) => {
+    const record = await getRecord(email);
+
+    if (isLocked(record)) {
+        throw { statusCode: 429, message: LOCKED_MESSAGE };
+    }
+
+    if (!record?.code_hash || new Date(record.expires_at) < new Date()) {
+        throw { statusCode: 401, message: INVALID_CODE_MESSAGE };
+    }
+
+    const expected = Buffer.from(record.code_hash, 'hex');
+    const provided = Buffer.from(hashCode(email, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, provided)) {
+        const { data: failure, error } = await supabase
+            .rpc('record_magic_code_failure', {
+                p_email: email,
+                p_max_attempts: config.magicCode.maxAttempts,
+                p_lockout_seconds: Math.ceil(config.magicCode.lockoutMs / 1000),
+            })
+            .single();
+
+        if (error) {
+            console.error('Record magic code failure error:', error);
+        }
+
+        throw failure?.locked
+            ? { statusCode: 429, message: LOCKED_MESSAGE }
+            : { statusCode: 401, message: INVALID_CODE_MESSAGE };
+    }
+
+    // Deleting only the row holding this code makes it single-use under concurrency
+    const { data: consumed } = await supabase
+        .from('magic_codes')
+        .delete()
+        .eq('email', email)
+        .eq('code_hash', record.code_hash)
+        .select('email');
+
+    if (!consumed || consumed.length === 0) {
+        throw { statusCode: 401, message: INVALID_CODE_MESSAGE };
+    }
+};
+
+module.exports = {
+    issueCode,
+    consumeCode,
+};
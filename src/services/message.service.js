@@ -1,22 +1,160 @@
-const { firestore } = require('../config/firebase');
-const { v4: uuidv4 } = require('uuid');
+const { admin, firestore } = require('../config/firebase');
+const { supabase } = require('../config/supabase');
+const { v4: uuidv4, v5: uuidv5 } = require('uuid');
 const { getIO } = require('../config/socket');
 const notificationService = require('./notification.service');
+const webhookService = require('./webhook.service');
+const searchService = require('./search.service');
+const { assertWorkspaceTwoFactor } = require('./two-factor.service');
+const { parseMessage, toPlainText } = require('../utils/markdown.utils');
 
 // Firestore collection references
 const messagesCollection = firestore.collection('messages');
+const ephemeralMessagesCollection = firestore.collection('ephemeral_messages');
+
+// Namespace for deriving message IDs from client-supplied idempotency keys
+const CLIENT_MESSAGE_NAMESPACE = '6f2d8c1e-4b7a-4f0e-9a53-2c8e1d7b9f40';
+
+// Retries with the same clientMessageId within this window return the original message
+const DEDUPE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Kept ephemeral messages disappear after this
+const EPHEMERAL_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Maximum messages returned by a single sync request
+const SYNC_LIMIT = 200;
+
+// gRPC status code Firestore uses when create() finds an existing document
+const ALREADY_EXISTS = 6;
+
+/**
+ * Convert a Firestore timestamp or Date to a Date
+ * @param {Object|Date} value - Timestamp
+ * @returns {Date} Date
+ */
+const toDate = (value) => (typeof value?.toDate === 'function' ? value.toDate() : new Date(value));
+
+/**
+ * Parse a sync cursor of the form <ISO timestamp>_<message ID>
+ * A bare timestamp (older clients) resumes at that instant instead of after a message
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} { since, afterId }
+ */
+const parseSyncCursor = (cursor) => {
+    const separator = String(cursor).indexOf('_');
+    const timestamp = separator === -1 ? cursor : cursor.slice(0, separator);
+    const afterId = separator === -1 ? null : cursor.slice(separator + 1);
+    const since = new Date(timestamp);
+
+    if (Number.isNaN(since.getTime()) || afterId === '') {
+        throw { statusCode: 400, message: 'Invalid sync cursor' };
+    }
+
+    return { since, afterId };
+};
+
+/**
+ * Ensure a stored message is recent enough to be returned for a retry
+ * Older sends with the same clientMessageId are treated as key reuse
+ * @param {Object|Date} createdAt - Stored creation timestamp
+ */
+const assertWithinDedupeWindow = (createdAt) => {
+    if (Date.now() - toDate(createdAt).getTime() > DEDUPE_WINDOW_MS) {
+        throw { statusCode: 409, message: 'clientMessageId has already been used' };
+    }
+};
+
+/**
+ * Resolve a retried send to the message it already created
+ * @param {string} messageId - Derived message ID
+ * @param {string} userId - Sending user ID
+ * @param {string} channelId - Channel the retry targets
+ * @returns {Object} Existing message
+ */
+const getDuplicateMessage = async (messageId, userId, channelId) => {
+    const doc = await messagesCollection.doc(messageId).get();
+    const existing = doc.data();
+
+    if (!existing || existing.userId !== userId || existing.channelId !== channelId) {
+        throw { statusCode: 409, message: 'clientMessageId conflicts with another message' };
+    }
+
+    assertWithinDedupeWindow(existing.createdAt);
+
+    return existing;
+};
+
+/**
+ * Parse message content into rich text and resolve its mentions
+ * Mentions are derived from the text only; users and channels that are not
+ * in the workspace are dropped, and private channels are never resolved.
+ * @param {string} content - Raw message content
+ * @param {string} workspaceId - Workspace the message belongs to
+ * @returns {Object} { richText, mentions, channelMentions, broadcast, plainText }
+ */
+const formatContent = async (content, workspaceId) => {
+    const { richText, mentions } = parseMessage(content);
+    const names = { users: {}, channels: {} };
+
+    if (workspaceId && mentions.users.length > 0) {
+        const { data, error } = await supabase
+            .from('workspace_members')
+            .select('user_id, users(id, username)')
+            .eq('workspace_id', workspaceId)
+            .eq('is_active', true)
+            .in('user_id', mentions.users);
+
+        if (error) {
+            console.error('Resolve mentions error:', error);
+        }
+
+        (data || []).forEach((m) => {
+            if (m.users) names.users[m.user_id] = m.users.username;
+        });
+    }
+
+    if (workspaceId && mentions.channels.length > 0) {
+        const { data, error } = await supabase
+            .from('channels')
+            .select('id, name')
+            .eq('workspace_id', workspaceId)
+            .eq('is_private', false)
+            .in('id', mentions.channels);
+
+        if (error) {
+            console.error('Resolve channel mentions error:', error);
+        }
+
+        (data || []).forEach((c) => {
+            names.channels[c.id] = c.name;
+        });
+    }
+
+    return {
+        richText,
+        mentions: mentions.users.filter((id) => names.users[id]),
+        channelMentions: mentions.channels.filter((id) => names.channels[id]),
+        broadcast: mentions.broadcast,
+        plainText: toPlainText(richText, names),
+    };
+};
 
 /**
  * Send a message to a channel
+ * A clientMessageId makes the send idempotent: retries within the dedupe
+ * window return the originally persisted message without side effects.
  * @param {Object} messageData - Message data
  * @param {string} channelId - Channel ID
  * @param {Object} user - User object
  * @returns {Object} Created message
  */
 const sendMessage = async (messageData, channelId, user) => {
-    const { content, replyToId, fileIds, mentions } = messageData;
+    const { content, replyToId, fileIds, attachments, blocks, clientMessageId } = messageData;
+    const formatted = await formatContent(content, messageData.workspaceId);
 
-    const messageId = uuidv4();
+    const messageId = clientMessageId
+        ? uuidv5(`${user.id}:${clientMessageId}`, CLIENT_MESSAGE_NAMESPACE)
+        : uuidv4();
     const now = new Date();
 
     const message = {
@@ -28,22 +166,35 @@ const sendMessage = async (messageData, channelId, user) => {
         userName: user.full_name || user.username,
         userAvatar: user.avatar_url,
         content,
-        type: fileIds?.length > 0 ? 'file' : 'text',
+        richText: formatted.richText,
+        type: user.is_bot ? 'bot' : fileIds?.length > 0 ? 'file' : 'text',
         fileIds: fileIds || [],
-        mentions: mentions || [],
+        mentions: formatted.mentions,
+        channelMentions: formatted.channelMentions,
+        broadcast: formatted.broadcast,
+        attachments: attachments || [],
+        blocks: blocks || [],
         replyToId: replyToId || null,
+        clientMessageId: clientMessageId || null,
         replyCount: 0,
         reactions: [],
         isEdited: false,
         isDeleted: false,
         isPinned: false,
-        metadata: {},
+        metadata: user.is_bot ? { bot: { id: user.id, name: user.full_name || user.username } } : {},
         createdAt: now,
         updatedAt: now,
     };
 
-    // Save to Firestore
-    await messagesCollection.doc(messageId).set(message);
+    // Save to Firestore - create() fails if a retry already persisted this message
+    try {
+        await messagesCollection.doc(messageId).create(message);
+    } catch (error) {
+        if (error.code === ALREADY_EXISTS) {
+            return getDuplicateMessage(messageId, user.id, channelId);
+        }
+        throw error;
+    }
 
     // If this is a reply, increment reply count on parent
     if (replyToId) {
@@ -52,7 +203,7 @@ const sendMessage = async (messageData, channelId, user) => {
             const parentDoc = await transaction.get(parentRef);
             if (parentDoc.exists) {
                 const currentCount = parentDoc.data().replyCount || 0;
-                transaction.update(parentRef, { replyCount: currentCount + 1 });
+                transaction.update(parentRef, { replyCount: currentCount + 1, updatedAt: new Date() });
             }
         });
     }
@@ -65,18 +216,22 @@ const sendMessage = async (messageData, channelId, user) => {
         console.log('Socket not initialized, skipping broadcast');
     }
 
+    searchService.indexMessage(message);
+    webhookService.dispatchEvent(message.workspaceId, 'message.created', message, { channelId });
+
     // Send push notifications to channel members (except sender)
+    const { plainText } = formatted;
     try {
         await notificationService.notifyChannelMembers(channelId, {
-            type: mentions?.length > 0 ? 'mention' : 'message',
+            type: 'message',
             title: `${user.full_name || user.username} in #${channelId.substring(0, 8)}`,
-            body: content.length > 100 ? content.substring(0, 100) + '...' : content,
+            body: plainText.length > 100 ? plainText.substring(0, 100) + '...' : plainText,
             data: {
                 channelId,
                 messageId,
-                preview: content.substring(0, 50),
+                preview: plainText.substring(0, 50),
             },
-        }, [user.id]);
+        }, [user.id], { userIds: formatted.mentions, broadcast: formatted.broadcast });
     } catch (error) {
         console.log('Push notification failed:', error.message);
     }
@@ -84,6 +239,136 @@ const sendMessage = async (messageData, channelId, user) => {
     return message;
 };
 
+/**
+ * Show a message in a channel to a single user
+ * Emitted to the user's own room only, so it never reaches other members,
+ * history or search. With persist it is also kept (separately from channel
+ * messages) until dismissed or expired, so it survives a reload.
+ * @param {string} channelId - Channel the message appears in
+ * @param {string} userId - The only user who sees it
+ * @param {Object} messageData - { content, attachments, blocks, workspaceId, sender }
+ * @param {Object} options - { persist }
+ * @returns {Object} Ephemeral message
+ */
+const sendEphemeralMessage = async (channelId, userId, messageData, { persist = false } = {}) => {
+    const { content, attachments, blocks, workspaceId, sender } = messageData;
+    const now = new Date();
+
+    const message = {
+        id: uuidv4(),
+        channelId,
+        workspaceId: workspaceId || null,
+        recipientId: userId,
+        // System notices have no sender; bots pass their identity
+        userId: sender?.id || null,
+        userName: sender ? sender.full_name || sender.username : 'Nextus',
+        userAvatar: sender?.avatar_url || null,
+        content,
+        richText: parseMessage(content).richText,
+        type: 'ephemeral',
+        attachments: attachments || [],
+        blocks: blocks || [],
+        isEphemeral: true,
+        isPersisted: persist,
+        createdAt: now,
+        expiresAt: persist ? new Date(now.getTime() + EPHEMERAL_TTL_MS) : null,
+    };
+
+    if (persist) {
+        await ephemeralMessagesCollection.doc(message.id).set(message);
+    }
+
+    try {
+        const io = getIO();
+        io.to(`user:${userId}`).emit('message:ephemeral', message);
+    } catch (error) {
+        console.log('Socket not initialized, skipping ephemeral message');
+    }
+
+    return message;
+};
+
+/**
+ * Get a user's kept ephemeral messages in a channel, oldest first
+ * @param {string} channelId - Channel ID
+ * @param {string} userId - Recipient user ID
+ * @returns {Array} Ephemeral messages
+ */
+const getEphemeralMessages = async (channelId, userId) => {
+    const snapshot = await ephemeralMessagesCollection
+        .where('recipientId', '==', userId)
+        .where('channelId', '==', channelId)
+        .get();
+
+    const now = new Date();
+    const messages = [];
+
+    snapshot.forEach((doc) => {
+        const message = doc.data();
+        if (toDate(message.expiresAt) > now) {
+            messages.push(message);
+        }
+    });
+
+    return messages.sort((a, b) => toDate(a.createdAt) - toDate(b.createdAt));
+};
+
+/**
+ * Dismiss a kept ephemeral message
+ * @param {string} messageId - Ephemeral message ID
+ * @param {string} userId - Recipient user ID
+ */
+const dismissEphemeralMessage = async (messageId, userId) => {
+    const doc = await ephemeralMessagesCollection.doc(messageId).get();
+
+    if (!doc.exists || doc.data().recipientId !== userId) {
+        throw { statusCode: 404, message: 'Message not found' };
+    }
+
+    await ephemeralMessagesCollection.doc(messageId).delete();
+};
+
+/**
+ * Make sure a user may post in a channel
+ * Tells the user why not with an ephemeral message before rejecting, so
+ * clients that send over the socket see the reason in the channel
+ * @param {Object} channel - Channel row
+ * @param {Object} user - Sender
+ * @param {Object} options - { persist } to keep the notice for users who may be offline
+ */
+const assertCanPost = async (channel, user, { persist = false } = {}) => {
+    let reason = null;
+
+    if (channel.is_archived) {
+        reason = 'This channel has been archived, so no new messages can be posted.';
+    } else if (channel.settings?.announcementOnly) {
+        const [{ data: workspaceMember }, { data: channelMember }] = await Promise.all([
+            supabase
+                .from('workspace_members')
+                .select('role')
+                .eq('workspace_id', channel.workspace_id)
+                .eq('user_id', user.id)
+                .single(),
+            supabase
+                .from('channel_members')
+                .select('role')
+                .eq('channel_id', channel.id)
+                .eq('user_id', user.id)
+                .single(),
+        ]);
+
+        const isAdmin = ['owner', 'admin'].includes(workspaceMember?.role) || channelMember?.role === 'admin';
+        if (!isAdmin) {
+            reason = 'Only admins can post in this announcement channel.';
+        }
+    }
+
+    if (reason) {
+        await sendEphemeralMessage(channel.id, user.id, { content: reason, workspaceId: channel.workspace_id }, { persist });
+        throw { statusCode: 403, message: reason };
+    }
+};
+
 /**
  * Get messages for a channel
  * @param {string} channelId - Channel ID
@@ -123,6 +408,64 @@ const getMessages = async (channelId, { limit = 50, before, after }) => {
     return messages.reverse();
 };
 
+/**
+ * Get everything that changed in a channel since a message the client has seen
+ * Includes new messages as well as edits, deletions, reactions and pins, oldest change first.
+ * When hasMore is set, call again with the returned cursor.
+ * @param {string} channelId - Channel ID
+ * @param {Object} position - { lastMessageId } or { cursor } from a previous page
+ * @param {Object} options - Query options
+ * @returns {Object} { messages, hasMore, cursor }
+ */
+const getMessagesSince = async (channelId, { lastMessageId, cursor }, { limit = SYNC_LIMIT } = {}) => {
+    let since;
+    let afterId = null;
+
+    if (cursor) {
+        ({ since, afterId } = parseSyncCursor(cursor));
+    } else {
+        const lastDoc = await messagesCollection.doc(lastMessageId).get();
+
+        if (!lastDoc.exists || lastDoc.data().channelId !== channelId) {
+            throw { statusCode: 404, message: 'Last seen message not found in this channel' };
+        }
+
+        since = toDate(lastDoc.data().createdAt);
+        afterId = lastMessageId;
+    }
+
+    const pageSize = Math.min(limit, SYNC_LIMIT);
+
+    // Ties on updatedAt are broken by ID so a page boundary never skips a change
+    let query = messagesCollection
+        .where('channelId', '==', channelId)
+        .where('updatedAt', '>=', since)
+        .orderBy('updatedAt', 'asc')
+        .orderBy(admin.firestore.FieldPath.documentId(), 'asc');
+
+    query = afterId ? query.startAfter(since, afterId) : query.startAt(since);
+
+    const snapshot = await query
+        .limit(pageSize + 1)
+        .get();
+
+    const messages = [];
+    snapshot.forEach((doc) => {
+        messages.push(doc.data());
+    });
+
+    const page = messages.slice(0, pageSize);
+    const last = page[page.length - 1];
+
+    return {
+        messages: page,
+        hasMore: messages.length > pageSize,
+        cursor: last
+            ? `${toDate(last.updatedAt).toISOString()}_${last.id}`
+            : cursor || `${since.toISOString()}_${lastMessageId}`,
+    };
+};
+
 /**
  * Get a message by ID
  * @param {string} messageId - Message ID
@@ -158,18 +501,24 @@ const updateMessage = async (messageId, content, userId) => {
         throw { statusCode: 403, message: 'You can only edit your own messages' };
     }
 
-    const updatedMessage = {
-        ...message,
+    const formatted = await formatContent(content, message.workspaceId);
+
+    const updates = {
         content,
+        richText: formatted.richText,
+        mentions: formatted.mentions,
+        channelMentions: formatted.channelMentions,
+        broadcast: formatted.broadcast,
         isEdited: true,
         updatedAt: new Date(),
     };
 
-    await messagesCollection.doc(messageId).update({
-        content,
-        isEdited: true,
-        updatedAt: new Date(),
-    });
+    const updatedMessage = {
+        ...message,
+        ...updates,
+    };
+
+    await messagesCollection.doc(messageId).update(updates);
 
     // Broadcast update
     try {
@@ -179,6 +528,12 @@ const updateMessage = async (messageId, content, userId) => {
         console.log('Socket not initialized, skipping broadcast');
     }
 
+    searchService.indexMessage(updatedMessage);
+
+    webhookService.dispatchEvent(message.workspaceId, 'message.updated', updatedMessage, {
+        channelId: message.channelId,
+    });
+
     return updatedMessage;
 };
 
@@ -204,6 +559,10 @@ const deleteMessage = async (messageId, userId) => {
     await messagesCollection.doc(messageId).update({
         isDeleted: true,
         content: 'This message has been deleted',
+        richText: [],
+        mentions: [],
+        channelMentions: [],
+        broadcast: null,
         updatedAt: new Date(),
     });
 
@@ -215,6 +574,12 @@ const deleteMessage = async (messageId, userId) => {
         console.log('Socket not initialized, skipping broadcast');
     }
 
+    searchService.removeMessage(messageId);
+
+    webhookService.dispatchEvent(message.workspaceId, 'message.deleted', { id: messageId }, {
+        channelId: message.channelId,
+    });
+
     return true;
 };
 
@@ -255,7 +620,9 @@ const addReaction = async (messageId, emoji, userId) => {
         });
     }
 
-    await messagesCollection.doc(messageId).update({ reactions });
+    await messagesCollection.doc(messageId).update({ reactions, updatedAt: new Date() });
+
+    searchService.indexMessage({ ...message, reactions });
 
     // Broadcast reaction
     try {
@@ -269,6 +636,10 @@ const addReaction = async (messageId, emoji, userId) => {
         console.log('Socket not initialized, skipping broadcast');
     }
 
+    webhookService.dispatchEvent(message.workspaceId, 'reaction.added', { messageId, emoji, userId }, {
+        channelId: message.channelId,
+    });
+
     return { ...message, reactions };
 };
 
@@ -310,7 +681,9 @@ const removeReaction = async (messageId, emoji, userId) => {
         reactions.splice(existingIndex, 1);
     }
 
-    await messagesCollection.doc(messageId).update({ reactions });
+    await messagesCollection.doc(messageId).update({ reactions, updatedAt: new Date() });
+
+    searchService.indexMessage({ ...message, reactions });
 
     // Broadcast reaction removal
     try {
@@ -362,9 +735,13 @@ const pinMessage = async (messageId) => {
         throw { statusCode: 404, message: 'Message not found' };
     }
 
-    await messagesCollection.doc(messageId).update({ isPinned: true });
+    const updatedAt = new Date();
+    await messagesCollection.doc(messageId).update({ isPinned: true, updatedAt });
+
+    const message = { ...doc.data(), isPinned: true, updatedAt };
+    searchService.indexMessage(message);
 
-    return { ...doc.data(), isPinned: true };
+    return message;
 };
 
 /**
@@ -379,9 +756,13 @@ const unpinMessage = async (messageId) => {
         throw { statusCode: 404, message: 'Message not found' };
     }
 
-    await messagesCollection.doc(messageId).update({ isPinned: false });
+    const updatedAt = new Date();
+    await messagesCollection.doc(messageId).update({ isPinned: false, updatedAt });
 
-    return { ...doc.data(), isPinned: false };
+    const message = { ...doc.data(), isPinned: false, updatedAt };
+    searchService.indexMessage(message);
+
+    return message;
 };
 
 /**
@@ -428,6 +809,31 @@ const getDmConversations = async (workspaceId, userId) => {
 
     snapshot.forEach((doc) => {
         const data = doc.data();
+
+        // Converted group DMs live on as private channels
+        if (data.converted_channel_id) return;
+
+        if (data.is_group) {
+            conversations.push({
+                id: doc.id,
+                workspace_id: data.workspace_id,
+                is_group: true,
+                name: data.name || null,
+                creator_id: data.creator_id,
+                participants: data.participant_ids.map((id) => ({
+                    id,
+                    full_name: data.participant_names?.[id] || 'User',
+                    avatar_url: data.participant_avatars?.[id],
+                    status: data.participant_statuses?.[id] || 'offline',
+                })),
+                last_message: data.last_message,
+                last_message_at: data.last_message_at,
+                unread_count: data.unread_counts?.[userId] || 0,
+                is_muted: data.muted_by?.includes(userId) || false,
+            });
+            return;
+        }
+
         // Get the other user's info
         const otherUserId = data.participant_ids.find(id => id !== userId);
         conversations.push({
@@ -467,7 +873,7 @@ const getOrCreateDmConversation = async (workspaceId, userId, otherUserId) => {
 
     snapshot.forEach((doc) => {
         const data = doc.data();
-        if (data.participant_ids.includes(otherUserId)) {
+        if (!data.is_group && data.participant_ids.includes(otherUserId)) {
             existingConversation = { id: doc.id, ...data };
         }
     });
@@ -499,6 +905,49 @@ const getOrCreateDmConversation = async (workspaceId, userId, otherUserId) => {
     return conversation;
 };
 
+/**
+ * Get a DM conversation the user participates in
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Object} Conversation document
+ */
+const getDmConversationForUser = async (conversationId, userId) => {
+    const doc = await dmConversationsCollection.doc(conversationId).get();
+
+    if (!doc.exists) {
+        throw { statusCode: 404, message: 'Conversation not found' };
+    }
+
+    const conversation = doc.data();
+
+    if (!conversation.participant_ids.includes(userId)) {
+        throw { statusCode: 403, message: 'You are not a participant in this conversation' };
+    }
+
+    await assertWorkspaceTwoFactor(conversation.workspace_id, userId);
+
+    return conversation;
+};
+
+/**
+ * Get a DM message from a conversation the user participates in
+ * @param {string} messageId - DM message ID
+ * @param {string} userId - User ID
+ * @returns {Object} DM message with its conversation
+ */
+const getDmMessageForUser = async (messageId, userId) => {
+    const doc = await dmMessagesCollection.doc(messageId).get();
+
+    if (!doc.exists || doc.data().is_deleted) {
+        throw { statusCode: 404, message: 'Message not found' };
+    }
+
+    const message = doc.data();
+    const conversation = await getDmConversationForUser(message.conversation_id, userId);
+
+    return { message, conversation };
+};
+
 /**
  * Get DM messages
  * @param {string} conversationId - Conversation ID
@@ -507,6 +956,8 @@ const getOrCreateDmConversation = async (workspaceId, userId, otherUserId) => {
  * @returns {Array} List of DM messages
  */
 const getDmMessages = async (conversationId, userId, { limit = 50, before }) => {
+    const conversation = await getDmConversationForUser(conversationId, userId);
+
     let query = dmMessagesCollection
         .where('conversation_id', '==', conversationId)
         .where('is_deleted', '==', false)
@@ -532,18 +983,55 @@ const getDmMessages = async (conversationId, userId, { limit = 50, before }) =>
         [`unread_counts.${userId}`]: 0,
     });
 
+    if (conversation.is_group) {
+        await supabase
+            .from('dm_group_members')
+            .update({ last_read_at: new Date().toISOString() })
+            .eq('dm_group_id', conversationId)
+            .eq('user_id', userId);
+    }
+
     return messages.reverse();
 };
 
+/**
+ * Resolve a retried DM send to the message it already created
+ * @param {string} messageId - Derived message ID
+ * @param {string} userId - Sending user ID
+ * @param {string} conversationId - Conversation the retry targets
+ * @returns {Object} Existing DM message
+ */
+const getDuplicateDmMessage = async (messageId, userId, conversationId) => {
+    const doc = await dmMessagesCollection.doc(messageId).get();
+    const existing = doc.data();
+
+    if (!existing || existing.sender_id !== userId || existing.conversation_id !== conversationId) {
+        throw { statusCode: 409, message: 'clientMessageId conflicts with another message' };
+    }
+
+    assertWithinDedupeWindow(existing.created_at);
+
+    return existing;
+};
+
 /**
  * Send a DM message
  * @param {string} conversationId - Conversation ID
  * @param {string} userId - Sender user ID
  * @param {string} content - Message content
+ * @param {Object} options - { clientMessageId } to make retries idempotent
  * @returns {Object} Created message
  */
-const sendDmMessage = async (conversationId, userId, content) => {
-    const messageId = uuidv4();
+const sendDmMessage = async (conversationId, userId, content, { clientMessageId } = {}) => {
+    const conversation = await getDmConversationForUser(conversationId, userId);
+
+    if (conversation.converted_channel_id) {
+        throw { statusCode: 400, message: 'This conversation has been converted to a channel' };
+    }
+
+    const messageId = clientMessageId
+        ? uuidv5(`${userId}:${clientMessageId}`, CLIENT_MESSAGE_NAMESPACE)
+        : uuidv4();
     const now = new Date();
 
     const message = {
@@ -551,6 +1039,7 @@ const sendDmMessage = async (conversationId, userId, content) => {
         conversation_id: conversationId,
         sender_id: userId,
         content,
+        rich_text: parseMessage(content).richText,
         is_edited: false,
         is_deleted: false,
         reactions: [],
@@ -558,22 +1047,29 @@ const sendDmMessage = async (conversationId, userId, content) => {
         updated_at: now,
     };
 
-    await dmMessagesCollection.doc(messageId).set(message);
-
-    // Update conversation
-    const conversationRef = dmConversationsCollection.doc(conversationId);
-    const conversationDoc = await conversationRef.get();
-
-    if (conversationDoc.exists) {
-        const data = conversationDoc.data();
-        const otherUserId = data.participant_ids.find(id => id !== userId);
+    // create() fails if a retry already persisted this message
+    try {
+        await dmMessagesCollection.doc(messageId).create(message);
+    } catch (error) {
+        if (error.code === ALREADY_EXISTS) {
+            return getDuplicateDmMessage(messageId, userId, conversationId);
+        }
+        throw error;
+    }
 
-        await conversationRef.update({
-            last_message: content,
-            last_message_at: now,
-            [`unread_counts.${otherUserId}`]: (data.unread_counts?.[otherUserId] || 0) + 1,
+    // Update conversation, bumping unread counts for everyone but the sender
+    const unreadUpdates = {};
+    conversation.participant_ids
+        .filter((id) => id !== userId)
+        .forEach((id) => {
+            unreadUpdates[`unread_counts.${id}`] = admin.firestore.FieldValue.increment(1);
         });
-    }
+
+    await dmConversationsCollection.doc(conversationId).update({
+        last_message: content,
+        last_message_at: now,
+        ...unreadUpdates,
+    });
 
     // Broadcast via WebSocket
     try {
@@ -588,8 +1084,13 @@ const sendDmMessage = async (conversationId, userId, content) => {
 
 module.exports = {
     sendMessage,
+    sendEphemeralMessage,
+    getEphemeralMessages,
+    dismissEphemeralMessage,
+    assertCanPost,
     getMessages,
     getMessageById,
+    getMessagesSince,
     updateMessage,
     deleteMessage,
     addReaction,
@@ -600,6 +1101,8 @@ module.exports = {
     getPinnedMessages,
     getDmConversations,
     getOrCreateDmConversation,
+    getDmConversationForUser,
+    getDmMessageForUser,
     getDmMessages,
     sendDmMessage,
 };
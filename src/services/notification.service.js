@@ -1,6 +1,7 @@
 const { supabase } = require('../config/supabase');
 const { sendPushNotification } = require('../config/firebase');
 const { getIO } = require('../config/socket');
+const redis = require('../config/redis');
 
 /**
  * Notification Service - Handles push notifications and in-app notifications
@@ -220,11 +221,17 @@ class NotificationService {
 
     /**
      * Notify channel members
+     * Members named in mentions, or covered by @channel (everyone) or @here
+     * (everyone currently online), get a 'mention' notification instead.
+     * Mentions must come from the parsed message, never from the client.
      * @param {string} channelId - Channel ID
      * @param {Object} notification - Notification data
      * @param {Array} excludeUserIds - User IDs to exclude
+     * @param {Object} mentions - { userIds, broadcast } parsed from the message
      */
-    async notifyChannelMembers(channelId, notification, excludeUserIds = []) {
+    async notifyChannelMembers(channelId, notification, excludeUserIds = [], mentions = {}) {
+        const { userIds: mentionedUserIds = [], broadcast = null } = mentions;
+
         // Get channel with workspace
         const { data: channel } = await supabase
             .from('channels')
@@ -246,12 +253,27 @@ class NotificationService {
             .map((m) => m.user_id)
             .filter((id) => !excludeUserIds.includes(id));
 
+        let onlineUserIds = new Set();
+        if (broadcast === 'here') {
+            try {
+                const online = await redis.getOnlineUsers(channel.workspace_id);
+                onlineUserIds = new Set(online.filter((p) => p.status === 'online').map((p) => p.userId));
+            } catch (error) {
+                console.error('Presence unavailable, @here notifies no one:', error);
+            }
+        }
+
         // Create notifications for all members
         for (const userId of userIds) {
+            const isMentioned = mentionedUserIds.includes(userId)
+                || broadcast === 'channel'
+                || (broadcast === 'here' && onlineUserIds.has(userId));
+
             await this.createNotification({
                 userId,
                 workspaceId: channel.workspace_id,
                 ...notification,
+                type: isMentioned ? 'mention' : notification.type,
             });
         }
     }
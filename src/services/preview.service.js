@@ -0,0 +1,244 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sharp = require('sharp');
+const { encode: encodeBlurhash } = require('blurhash');
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+const storage = require('./storage');
+
+const execFileAsync = promisify(execFile);
+
+// Thumbnail widths/heights (longest side fits inside the box)
+const THUMBNAIL_SIZES = [64, 360, 720];
+const DEFAULT_THUMBNAIL_SIZE = 360;
+
+// Formats sharp can decode safely (SVG is excluded, it can reference external resources)
+const IMAGE_MIME_TYPES = [
+    'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/tiff',
+];
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Largest rendered PDF page side, in pixels
+const PDF_PREVIEW_SIZE = 1280;
+
+/**
+ * Whether previews can be generated for a MIME type
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean} Whether the type is supported
+ */
+const isPreviewable = (mimeType) => {
+    return IMAGE_MIME_TYPES.includes(mimeType) || mimeType === PDF_MIME_TYPE;
+};
+
+/**
+ * Read a readable stream into a buffer
+ * @param {Readable} stream - Stream
+ * @returns {Buffer} Contents
+ */
+const streamToBuffer = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Render the first page of a PDF to PNG with poppler's pdftoppm
+ * @param {Buffer} buffer - PDF contents
+ * @returns {Buffer|null} PNG contents, or null when pdftoppm is not installed
+ */
+const renderPdfFirstPage = async (buffer) => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nextus-preview-'));
+    const input = path.join(dir, 'input.pdf');
+    const output = path.join(dir, 'page');
+
+    try {
+        await fs.promises.writeFile(input, buffer);
+        await execFileAsync('pdftoppm', [
+            '-f', '1', '-l', '1', '-png', '-singlefile',
+            '-scale-to', String(PDF_PREVIEW_SIZE),
+            input, output,
+        ], { timeout: 30000 });
+
+        return await fs.promises.readFile(`${output}.png`);
+    } catch (error) {
+        if (error.code === 'ENOENT' && error.path === 'pdftoppm') {
+            return null;
+        }
+        throw error;
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+};
+
+/**
+ * Compute a blurhash placeholder for an image
+ * @param {Buffer} buffer - Image contents
+ * @returns {string} Blurhash
+ */
+const computeBlurhash = async (buffer) => {
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(32, 32, { fit: 'inside' })
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    return encodeBlurhash(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+/**
+ * Merge preview fields into a file's metadata
+ * @param {Object} file - File record
+ * @param {Object} fields - Metadata fields
+ * @param {Object} columns - Extra columns to update
+ */
+const updateFileMetadata = async (file, fields, columns = {}) => {
+    file.metadata = { ...(file.metadata || {}), ...fields };
+
+    const { error } = await supabase
+        .from('files')
+        .update({ metadata: file.metadata, ...columns })
+        .eq('id', file.id);
+
+    if (error) throw error;
+};
+
+/**
+ * Storage key for a generated variant
+ * Kept under their own prefix (like quarantine/) so an original can never share,
+ * and be overwritten by, a variant's key whatever its file name
+ * @param {Object} file - File record
+ * @param {string} name - Variant file name
+ * @returns {string} Storage key
+ */
+const getVariantStorageKey = (file, name) => `variants/${file.workspace_id}/${file.id}/${name}`;
+
+/**
+ * Generate thumbnails, dimensions and a blurhash for a file
+ * Results are stored next to the original in the same storage driver
+ * @param {Object} file - File record
+ */
+const generatePreviews = async (file) => {
+    const { driver, key } = storage.getFileLocation(file);
+    const original = await streamToBuffer(await driver.get(key));
+
+    // PDFs are previewed through an image of their first page
+    let source = original;
+    const metadata = {};
+
+    if (file.mime_type === PDF_MIME_TYPE) {
+        source = await renderPdfFirstPage(original);
+
+        if (!source) {
+            await updateFileMetadata(file, { preview_status: 'unsupported' });
+            return;
+        }
+
+        const page = await sharp(source).metadata();
+        const stored = await driver.put(getVariantStorageKey(file, 'preview.png'), source, { mimeType: 'image/png' });
+        metadata.preview = {
+            key: stored.key,
+            width: page.width,
+            height: page.height,
+            bytes: source.length,
+            mime_type: 'image/png',
+        };
+    } else {
+        // EXIF orientations 5-8 are rotated by 90 degrees when displayed
+        const { width, height, orientation } = await sharp(original).metadata();
+        const rotated = orientation >= 5;
+        metadata.width = rotated ? height : width;
+        metadata.height = rotated ? width : height;
+    }
+
+    metadata.blurhash = await computeBlurhash(source);
+    metadata.thumbnails = [];
+
+    for (const size of THUMBNAIL_SIZES) {
+        const { data, info } = await sharp(source)
+            .rotate()
+            .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: 80 })
+            .toBuffer({ resolveWithObject: true });
+
+        const stored = await driver.put(getVariantStorageKey(file, `thumb_${size}.webp`), data, {
+            mimeType: 'image/webp',
+        });
+
+        metadata.thumbnails.push({
+            size,
+            key: stored.key,
+            width: info.width,
+            height: info.height,
+            bytes: data.length,
+            mime_type: 'image/webp',
+        });
+    }
+
+    metadata.preview_status = 'ready';
+
+    await updateFileMetadata(file, metadata, {
+        thumbnail_url: `${config.storage.downloadBaseUrl}/${file.id}/download?variant=thumb_${DEFAULT_THUMBNAIL_SIZE}`,
+    });
+};
+
+/**
+ * Generate previews for a file, marking it failed instead of throwing
+ * Run from the file processing queue, off the request path
+ * @param {Object} file - File record
+ */
+const processPreviews = async (file) => {
+    try {
+        await generatePreviews(file);
+    } catch (error) {
+        console.error('Generate previews error:', error);
+        await updateFileMetadata(file, { preview_status: 'failed' });
+    }
+};
+
+/**
+ * Storage keys of all generated variants for a file
+ * @param {Object} file - File record
+ * @returns {Array} Storage keys
+ */
+const getVariantKeys = (file) => {
+    const metadata = file.metadata || {};
+    const keys = (metadata.thumbnails || []).map((thumbnail) => thumbnail.key);
+
+    if (metadata.preview) {
+        keys.push(metadata.preview.key);
+    }
+
+    return keys;
+};
+
+/**
+ * Find a generated variant (thumb_{size} or preview) of a file
+ * @param {Object} file - File record
+ * @param {string} variant - Variant name
+ * @returns {Object|null} Variant { key, mime_type, width, height, bytes }
+ */
+const getVariant = (file, variant) => {
+    const metadata = file.metadata || {};
+
+    if (variant === 'preview') {
+        return metadata.preview || null;
+    }
+
+    const size = parseInt(String(variant).replace(/^thumb_/, ''));
+    return (metadata.thumbnails || []).find((thumbnail) => thumbnail.size === size) || null;
+};
+
+module.exports = {
+    THUMBNAIL_SIZES,
+    isPreviewable,
+    processPreviews,
+    generatePreviews,
+    getVariant,
+    getVariantKeys,
+};
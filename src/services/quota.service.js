@@ -0,0 +1,180 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+const { formatFileSize } = require('../utils/file.utils');
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/**
+ * Convert a GB quota to bytes
+ * @param {number} gb - Quota in GB (0 or empty means unlimited)
+ * @returns {number|null} Quota in bytes, or null when unlimited
+ */
+const gbToBytes = (gb) => {
+    const value = Number(gb);
+    return value > 0 ? Math.floor(value * BYTES_PER_GB) : null;
+};
+
+/**
+ * Get a workspace's quotas
+ * The workspace quota is storage_quota_gb; the per-user cap is settings.userStorageQuotaGb
+ * falling back to the configured default
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object} { workspaceQuotaBytes, userQuotaBytes } (null = unlimited)
+ */
+const getQuotas = async (workspaceId) => {
+    const { data: workspace, error } = await supabase
+        .from('workspaces')
+        .select('storage_quota_gb, settings')
+        .eq('id', workspaceId)
+        .single();
+
+    if (error || !workspace) {
+        throw { statusCode: 404, message: 'Workspace not found' };
+    }
+
+    const userQuotaGb = workspace.settings?.userStorageQuotaGb ?? config.upload.userQuotaGb;
+
+    return {
+        workspaceQuotaBytes: gbToBytes(workspace.storage_quota_gb),
+        userQuotaBytes: gbToBytes(userQuotaGb),
+    };
+};
+
+/**
+ * Get current usage, including resumable uploads in progress
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @returns {Object} { workspaceBytes, userBytes }
+ */
+const getUsage = async (workspaceId, userId = null) => {
+    const { data, error } = await supabase
+        .rpc('get_storage_usage', { p_workspace_id: workspaceId, p_user_id: userId })
+        .single();
+
+    if (error) {
+        console.error('Get storage usage error:', error);
+        throw { statusCode: 500, message: 'Failed to check storage usage' };
+    }
+
+    return {
+        workspaceBytes: Number(data?.workspace_bytes) || 0,
+        userBytes: Number(data?.user_bytes) || 0,
+    };
+};
+
+/**
+ * Reject an upload that would exceed the workspace quota or the user's cap
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Uploader ID
+ * @param {number} bytes - Size of the new upload
+ */
+const assertWithinQuota = async (workspaceId, userId, bytes) => {
+    const { workspaceQuotaBytes, userQuotaBytes } = await getQuotas(workspaceId);
+
+    if (workspaceQuotaBytes === null && userQuotaBytes === null) {
+        return;
+    }
+
+    const { workspaceBytes, userBytes } = await getUsage(workspaceId, userId);
+
+    if (workspaceQuotaBytes !== null && workspaceBytes + bytes > workspaceQuotaBytes) {
+        throw {
+            statusCode: 413,
+            message: `Workspace storage quota exceeded: ${formatFileSize(workspaceBytes)} of `
+                + `${formatFileSize(workspaceQuotaBytes)} used, upload is ${formatFileSize(bytes)}`,
+        };
+    }
+
+    if (userQuotaBytes !== null && userBytes + bytes > userQuotaBytes) {
+        throw {
+            statusCode: 413,
+            message: `Your storage limit in this workspace is exceeded: ${formatFileSize(userBytes)} of `
+                + `${formatFileSize(userQuotaBytes)} used, upload is ${formatFileSize(bytes)}`,
+        };
+    }
+};
+
+/**
+ * Get a workspace's storage usage broken down by channel, user and file type
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object} Storage report
+ */
+const getStorageReport = async (workspaceId) => {
+    const [quotas, { data: rows, error }] = await Promise.all([
+        getQuotas(workspaceId),
+        supabase.rpc('get_storage_breakdown', { p_workspace_id: workspaceId }),
+    ]);
+
+    if (error) {
+        console.error('Get storage breakdown error:', error);
+        throw { statusCode: 500, message: 'Failed to fetch storage usage' };
+    }
+
+    const byDimension = { channel: [], user: [], type: [] };
+    (rows || []).forEach((row) => {
+        byDimension[row.dimension]?.push({
+            key: row.key,
+            files: Number(row.file_count),
+            bytes: Number(row.bytes),
+        });
+    });
+
+    const channelIds = byDimension.channel.map((row) => row.key).filter(Boolean);
+    const userIds = byDimension.user.map((row) => row.key).filter(Boolean);
+
+    const [{ data: channels }, { data: users }] = await Promise.all([
+        channelIds.length
+            ? supabase.from('channels').select('id, name').in('id', channelIds)
+            : { data: [] },
+        userIds.length
+            ? supabase.from('users').select('id, username, full_name, avatar_url').in('id', userIds)
+            : { data: [] },
+    ]);
+
+    const channelMap = new Map((channels || []).map((channel) => [channel.id, channel]));
+    const userMap = new Map((users || []).map((user) => [user.id, user]));
+
+    const usedBytes = byDimension.type.reduce((sum, row) => sum + row.bytes, 0);
+    const totalFiles = byDimension.type.reduce((sum, row) => sum + row.files, 0);
+
+    return {
+        quota: {
+            bytes: quotas.workspaceQuotaBytes,
+            usedBytes,
+            remainingBytes: quotas.workspaceQuotaBytes === null
+                ? null
+                : Math.max(quotas.workspaceQuotaBytes - usedBytes, 0),
+            percentUsed: quotas.workspaceQuotaBytes
+                ? Math.round((usedBytes / quotas.workspaceQuotaBytes) * 10000) / 100
+                : null,
+            userQuotaBytes: quotas.userQuotaBytes,
+        },
+        totals: {
+            files: totalFiles,
+            bytes: usedBytes,
+        },
+        // A null channelId covers DM and unattached files
+        byChannel: byDimension.channel.map((row) => ({
+            channelId: row.key,
+            name: row.key ? channelMap.get(row.key)?.name || null : null,
+            files: row.files,
+            bytes: row.bytes,
+        })),
+        byUser: byDimension.user.map((row) => ({
+            userId: row.key,
+            user: userMap.get(row.key) || null,
+            files: row.files,
+            bytes: row.bytes,
+        })),
+        byType: byDimension.type.map((row) => ({
+            fileType: row.key,
+            files: row.files,
+            bytes: row.bytes,
+        })),
+    };
+};
+
+module.exports = {
+    assertWithinQuota,
+    getStorageReport,
+};
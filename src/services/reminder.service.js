@@ -0,0 +1,383 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+const { parseDuration } = require('../utils/duration.utils');
+const messageService = require('./message.service');
+const channelService = require('./channel.service');
+const notificationService = require('./notification.service');
+
+const REMINDER_STATUSES = {
+    PENDING: 'pending',
+    FIRED: 'fired',
+    COMPLETED: 'completed',
+};
+
+// Reminders that still need the user's attention
+const OPEN_STATUSES = [REMINDER_STATUSES.PENDING, REMINDER_STATUSES.FIRED];
+
+const REMINDER_FIELDS = 'id, user_id, workspace_id, message_id, channel_id, dm_conversation_id, text, '
+    + 'remind_at, status, fired_at, completed_at, created_at, updated_at';
+
+/**
+ * Shape a reminder for API responses
+ * @param {Object} row - reminders row
+ * @returns {Object} Reminder
+ */
+const formatReminder = (row) => ({
+    id: row.id,
+    workspaceId: row.workspace_id,
+    messageId: row.message_id,
+    channelId: row.channel_id,
+    conversationId: row.dm_conversation_id,
+    text: row.text,
+    remindAt: row.remind_at,
+    status: row.status,
+    firedAt: row.fired_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+});
+
+/**
+ * Work out when a reminder is due
+ * @param {Object} when - { remindAt } (ISO date) or { in } (offset such as "30m", "2 hours")
+ * @returns {string} ISO date
+ */
+const resolveRemindAt = ({ remindAt, in: offset }) => {
+    let date;
+
+    if (offset !== undefined && offset !== null) {
+        const ms = parseDuration(offset);
+        if (!ms) {
+            throw { statusCode: 400, message: 'Reminder offset must look like "30m", "2 hours" or "1d"' };
+        }
+        date = new Date(Date.now() + ms);
+    } else {
+        date = new Date(remindAt);
+        if (isNaN(date.getTime()) || date <= new Date()) {
+            throw { statusCode: 400, message: 'Reminder time must be in the future' };
+        }
+    }
+
+    const maxAhead = config.scheduler.maxReminderAheadDays * 24 * 60 * 60 * 1000;
+    if (date.getTime() - Date.now() > maxAhead) {
+        throw { statusCode: 400, message: `Reminders can be set at most ${config.scheduler.maxReminderAheadDays} days ahead` };
+    }
+
+    return date.toISOString();
+};
+
+/**
+ * Look up a message the user can see, in a channel or a DM
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @returns {Object} { messageId, channelId, conversationId, workspaceId, content }
+ */
+const getMessageTarget = async (messageId, userId) => {
+    let message = null;
+    try {
+        message = await messageService.getMessageById(messageId);
+    } catch (error) {
+        if (error.statusCode !== 404) throw error;
+    }
+
+    if (message && !message.isDeleted) {
+        await channelService.checkChannelAccess(message.channelId, userId);
+
+        return {
+            messageId,
+            channelId: message.channelId,
+            conversationId: null,
+            workspaceId: message.workspaceId,
+            content: message.content,
+        };
+    }
+
+    const { message: dmMessage, conversation } = await messageService.getDmMessageForUser(messageId, userId);
+
+    return {
+        messageId,
+        channelId: null,
+        conversationId: dmMessage.conversation_id,
+        workspaceId: conversation.workspace_id,
+        content: dmMessage.content,
+    };
+};
+
+/**
+ * Create a reminder
+ * @param {string} userId - User ID
+ * @param {Object} data - { messageId | text, workspaceId, remindAt | in }
+ * @returns {Object} Reminder
+ */
+const createReminder = async (userId, data) => {
+    const remindAt = resolveRemindAt(data);
+
+    let target = { messageId: null, channelId: null, conversationId: null, workspaceId: data.workspaceId || null };
+    let text = data.text;
+
+    if (data.messageId) {
+        target = await getMessageTarget(data.messageId, userId);
+        // The note defaults to the message itself
+        text = text || target.content;
+    } else if (target.workspaceId) {
+        const { data: member } = await supabase
+            .from('workspace_members')
+            .select('id')
+            .eq('workspace_id', target.workspaceId)
+            .eq('user_id', userId)
+            .eq('is_active', true)
+            .single();
+
+        if (!member) {
+            throw { statusCode: 403, message: 'Access denied. You are not a member of this workspace.' };
+        }
+    }
+
+    if (!text) {
+        throw { statusCode: 400, message: 'Reminder text or a message is required' };
+    }
+
+    const { data: row, error } = await supabase
+        .from('reminders')
+        .insert({
+            user_id: userId,
+            workspace_id: target.workspaceId,
+            message_id: target.messageId,
+            channel_id: target.channelId,
+            dm_conversation_id: target.conversationId,
+            text: text.substring(0, 1000),
+            remind_at: remindAt,
+        })
+        .select(REMINDER_FIELDS)
+        .single();
+
+    if (error) {
+        console.error('Create reminder error:', error);
+        throw { statusCode: 500, message: 'Failed to create reminder' };
+    }
+
+    return formatReminder(row);
+};
+
+/**
+ * List a user's reminders, soonest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { status: 'open' (default), 'all' or a single status, workspaceId }
+ * @returns {Array} Reminders
+ */
+const getReminders = async (userId, { status = 'open', workspaceId } = {}) => {
+    let query = supabase
+        .from('reminders')
+        .select(REMINDER_FIELDS)
+        .eq('user_id', userId)
+        .order('remind_at', { ascending: true });
+
+    if (status === 'open') {
+        query = query.in('status', OPEN_STATUSES);
+    } else if (status !== 'all') {
+        query = query.eq('status', status);
+    }
+    if (workspaceId) query = query.eq('workspace_id', workspaceId);
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error('Get reminders error:', error);
+        throw { statusCode: 500, message: 'Failed to fetch reminders' };
+    }
+
+    return (data || []).map(formatReminder);
+};
+
+/**
+ * Get an open reminder owned by a user
+ * @param {string} id - Reminder ID
+ * @param {string} userId - User ID
+ * @returns {Object} Row
+ */
+const getOpenReminder = async (id, userId) => {
+    const { data: row, error } = await supabase
+        .from('reminders')
+        .select(REMINDER_FIELDS)
+        .eq('id', id)
+        .single();
+
+    if (error || !row || row.user_id !== userId) {
+        throw { statusCode: 404, message: 'Reminder not found' };
+    }
+
+    if (!OPEN_STATUSES.includes(row.status)) {
+        throw { statusCode: 409, message: 'Reminder is already completed' };
+    }
+
+    return row;
+};
+
+/**
+ * Update an open reminder, conditional on it not having changed since it was read
+ * @param {Object} row - Reminder as read
+ * @param {Object} fields - Columns to set
+ * @returns {Object} Reminder
+ */
+const updateOpenReminder = async (row, fields) => {
+    const { data: updated } = await supabase
+        .from('reminders')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .eq('status', row.status)
+        .eq('updated_at', row.updated_at)
+        .select(REMINDER_FIELDS)
+        .single();
+
+    if (!updated) {
+        throw { statusCode: 409, message: 'Reminder was changed, please try again' };
+    }
+
+    return formatReminder(updated);
+};
+
+/**
+ * Snooze a reminder (pending or already fired) until a new time
+ * @param {string} id - Reminder ID
+ * @param {string} userId - User ID
+ * @param {Object} when - { remindAt } or { in }
+ * @returns {Object} Reminder
+ */
+const snoozeReminder = async (id, userId, when) => {
+    const remindAt = resolveRemindAt(when);
+    const row = await getOpenReminder(id, userId);
+
+    return updateOpenReminder(row, {
+        remind_at: remindAt,
+        status: REMINDER_STATUSES.PENDING,
+        fired_at: null,
+    });
+};
+
+/**
+ * Mark a reminder as done; it won't fire (again)
+ * @param {string} id - Reminder ID
+ * @param {string} userId - User ID
+ * @returns {Object} Reminder
+ */
+const completeReminder = async (id, userId) => {
+    const row = await getOpenReminder(id, userId);
+
+    return updateOpenReminder(row, {
+        status: REMINDER_STATUSES.COMPLETED,
+        completed_at: new Date().toISOString(),
+    });
+};
+
+/**
+ * Delete a reminder
+ * @param {string} id - Reminder ID
+ * @param {string} userId - User ID
+ */
+const deleteReminder = async (id, userId) => {
+    const { data: deleted, error } = await supabase
+        .from('reminders')
+        .delete()
+        .eq('id', id)
+        .eq('user_id', userId)
+        .select('id');
+
+    if (error) {
+        console.error('Delete reminder error:', error);
+        throw { statusCode: 500, message: 'Failed to delete reminder' };
+    }
+
+    if (!deleted || deleted.length === 0) {
+        throw { statusCode: 404, message: 'Reminder not found' };
+    }
+};
+
+/**
+ * Notify the user that a reminder is due, in-app and by push
+ * @param {Object} row - Fired reminder
+ */
+const notifyReminder = async (row) => {
+    const data = { reminderId: row.id };
+    if (row.message_id) data.messageId = row.message_id;
+    if (row.channel_id) data.channelId = row.channel_id;
+    if (row.dm_conversation_id) data.conversationId = row.dm_conversation_id;
+
+    const notification = {
+        type: 'reminder',
+        title: row.message_id ? 'Reminder about a message' : 'Reminder',
+        body: row.text.length > 100 ? row.text.substring(0, 100) + '...' : row.text,
+        data,
+    };
+
+    await notificationService.createNotification({
+        userId: row.user_id,
+        workspaceId: row.workspace_id,
+        ...notification,
+    });
+
+    await notificationService.sendPush(row.user_id, notification);
+};
+
+/**
+ * Fire every reminder that is due (called by the scheduler worker)
+ * Each reminder is claimed with a conditional update first, so only one
+ * worker notifies; if notifying fails it goes back to pending for the next tick
+ * @returns {number} Number of reminders fired
+ */
+const fireDueReminders = async () => {
+    const now = new Date().toISOString();
+
+    const { data: due, error } = await supabase
+        .from('reminders')
+        .select(REMINDER_FIELDS)
+        .eq('status', REMINDER_STATUSES.PENDING)
+        .lte('remind_at', now)
+        .order('remind_at', { ascending: true })
+        .limit(config.scheduler.batchSize);
+
+    if (error) {
+        console.error('Fetch due reminders error:', error);
+        return 0;
+    }
+
+    let fired = 0;
+
+    for (const row of due || []) {
+        const { data: claimed } = await supabase
+            .from('reminders')
+            .update({ status: REMINDER_STATUSES.FIRED, fired_at: now, updated_at: now })
+            .eq('id', row.id)
+            .eq('status', REMINDER_STATUSES.PENDING)
+            .eq('remind_at', row.remind_at)
+            .select(REMINDER_FIELDS)
+            .single();
+
+        if (!claimed) continue;
+
+        try {
+            await notifyReminder(claimed);
+            fired += 1;
+        } catch (notifyError) {
+            console.error('Fire reminder error:', notifyError);
+            await supabase
+                .from('reminders')
+                .update({ status: REMINDER_STATUSES.PENDING, fired_at: null })
+                .eq('id', row.id)
+                .eq('status', REMINDER_STATUSES.FIRED)
+                .eq('fired_at', now);
+        }
+    }
+
+    return fired;
+};
+
+module.exports = {
+    REMINDER_STATUSES,
+    resolveRemindAt,
+    createReminder,
+    getReminders,
+    snoozeReminder,
+    completeReminder,
+    deleteReminder,
+    fireDueReminders,
+};
@@ -0,0 +1,110 @@
+const net = require('net');
+
+// clamd rejects INSTREAM chunks above StreamMaxLength; keep them small
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * ClamAV scanner using clamd's INSTREAM command
+ */
+class ClamAvScanner {
+    /**
+     * @param {Object} options - { socket, host, port, timeoutMs }
+     */
+    constructor(options) {
+        this.name = 'clamav';
+        this.options = options;
+    }
+
+    /**
+     * Open a connection to clamd (TCP when a host is configured, otherwise the local socket)
+     * @returns {net.Socket} Connection
+     */
+    _connect() {
+        const { socket, host, port, timeoutMs } = this.options;
+        const connection = host
+            ? net.createConnection({ host, port })
+            : net.createConnection({ path: socket });
+
+        connection.setTimeout(timeoutMs);
+        return connection;
+    }
+
+    /**
+     * Write to the connection, waiting when its buffer is full
+     * @param {net.Socket} connection - clamd connection
+     * @param {Buffer} data - Data to write
+     */
+    async _write(connection, data) {
+        if (!connection.write(data)) {
+            await new Promise((resolve, reject) => {
+                const onClose = () => reject(new Error('ClamAV connection closed'));
+                connection.once('close', onClose);
+                connection.once('drain', () => {
+                    connection.off('close', onClose);
+                    resolve();
+                });
+            });
+        }
+    }
+
+    /**
+     * Scan a stream
+     * @param {Readable} stream - File contents
+     * @returns {Object} { clean, threat }
+     */
+    async scan(stream) {
+        const connection = this._connect();
+
+        const reply = new Promise((resolve, reject) => {
+            const chunks = [];
+            connection.on('data', (data) => chunks.push(data));
+            connection.on('end', () => resolve(Buffer.concat(chunks).toString().replace(/\0/g, '').trim()));
+            connection.on('timeout', () => connection.destroy(new Error('ClamAV scan timed out')));
+            connection.on('error', reject);
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                connection.once('connect', resolve);
+                connection.once('error', reject);
+            });
+
+            await this._write(connection, Buffer.from('zINSTREAM\0'));
+
+            for await (const data of stream) {
+                const buffer = Buffer.from(data);
+
+                for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+                    const part = buffer.subarray(offset, offset + CHUNK_SIZE);
+                    const size = Buffer.alloc(4);
+                    size.writeUInt32BE(part.length);
+                    await this._write(connection, Buffer.concat([size, part]));
+                }
+            }
+
+            // A zero-length chunk ends the stream
+            connection.end(Buffer.alloc(4));
+        } catch (error) {
+            // The reply promise rejects with the same error; don't leave it unhandled
+            reply.catch(() => {});
+            connection.destroy();
+            throw error;
+        }
+
+        const result = await reply;
+
+        // "stream: OK" or "stream: <signature> FOUND"
+        if (result.endsWith('OK')) {
+            return { clean: true, threat: null };
+        }
+
+        const found = result.match(/^stream: (.+) FOUND$/);
+        if (found) {
+            return { clean: false, threat: found[1] };
+        }
+
+        throw new Error(`Unexpected ClamAV response: ${result}`);
+    }
+}
+
+module.exports = ClamAvScanner;
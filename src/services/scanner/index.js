@@ -0,0 +1,35 @@
+const config = require('../../config/environment');
+const ClamAvScanner = require('./clamav.scanner');
+
+/**
+ * Scanners implement:
+ *   scan(Readable) -> { clean, threat }
+ * and throw when the file could not be scanned
+ */
+const SCANNERS = {
+    clamav: () => new ClamAvScanner(config.scanner.clamav),
+};
+
+let scanner;
+
+/**
+ * Get the configured malware scanner
+ * @returns {Object|null} Scanner, or null when scanning is disabled
+ */
+const getScanner = () => {
+    if (scanner === undefined) {
+        const factory = SCANNERS[config.scanner.driver];
+
+        if (!factory && config.scanner.driver !== 'none') {
+            console.error(`Unknown file scanner "${config.scanner.driver}", uploads will not be scanned`);
+        }
+
+        scanner = factory ? factory() : null;
+    }
+
+    return scanner;
+};
+
+module.exports = {
+    getScanner,
+};
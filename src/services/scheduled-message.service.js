@@ -0,0 +1,422 @@
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+const { getIO } = require('../config/socket');
+const messageService = require('./message.service');
+const channelService = require('./channel.service');
+
+const SCHEDULED_STATUSES = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+const SCHEDULED_FIELDS = 'id, workspace_id, user_id, channel_id, dm_conversation_id, content, payload, '
+    + 'send_at, status, attempts, locked_until, last_error, message_id, sent_at, created_at, updated_at';
+
+// Wait between delivery retries grows with each attempt
+const RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Shape a scheduled message for API responses
+ * @param {Object} row - scheduled_messages row
+ * @returns {Object} Scheduled message
+ */
+const formatScheduledMessage = (row) => ({
+    id: row.id,
+    workspaceId: row.workspace_id,
+    channelId: row.channel_id,
+    conversationId: row.dm_conversation_id,
+    content: row.content,
+    ...row.payload,
+    sendAt: row.send_at,
+    status: row.status,
+    lastError: row.last_error,
+    messageId: row.message_id,
+    sentAt: row.sent_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+});
+
+/**
+ * Ensure a send time is in the future and not too far ahead
+ * @param {string} sendAt - ISO date
+ * @returns {string} Normalized ISO date
+ */
+const parseSendAt = (sendAt) => {
+    const date = new Date(sendAt);
+
+    if (isNaN(date.getTime()) || date <= new Date()) {
+        throw { statusCode: 400, message: 'sendAt must be in the future' };
+    }
+
+    const maxAhead = config.scheduler.maxScheduleAheadDays * 24 * 60 * 60 * 1000;
+    if (date.getTime() - Date.now() > maxAhead) {
+        throw { statusCode: 400, message: `Messages can be scheduled at most ${config.scheduler.maxScheduleAheadDays} days ahead` };
+    }
+
+    return date.toISOString();
+};
+
+/**
+ * Tell the sender's devices about a scheduled message outcome
+ * @param {string} event - Event name
+ * @param {Object} row - scheduled_messages row
+ * @param {Object} extra - Extra payload
+ */
+const notifySender = (event, row, extra = {}) => {
+    try {
+        const io = getIO();
+        io.to(`user:${row.user_id}`).emit(event, { scheduledMessage: formatScheduledMessage(row), ...extra });
+    } catch (error) {
+        console.log('Socket not initialized, skipping broadcast');
+    }
+};
+
+/**
+ * Schedule a message
+ * The channel (or DM conversation) access is checked now and again at send time
+ * @param {Object} data - { channelId | conversationId, workspaceId, content, sendAt, replyToId, fileIds }
+ * @param {Object} user - Sender
+ * @returns {Object} Scheduled message
+ */
+const createScheduledMessage = async (data, user) => {
+    const { channelId, conversationId, content, replyToId, fileIds } = data;
+    const sendAt = parseSendAt(data.sendAt);
+
+    let workspaceId = data.workspaceId;
+
+    if (conversationId) {
+        const conversation = await messageService.getDmConversationForUser(conversationId, user.id);
+
+        if (conversation.converted_channel_id) {
+            throw { statusCode: 400, message: 'This conversation has been converted to a channel' };
+        }
+
+        workspaceId = conversation.workspace_id;
+    }
+
+    // DMs only carry text; the rest applies to channel messages.
+    // Attachments and blocks are for integrations, as on immediate sends.
+    const payload = {};
+    if (!conversationId) {
+        if (replyToId) payload.replyToId = replyToId;
+        if (fileIds?.length) payload.fileIds = fileIds;
+    }
+
+    const { data: row, error } = await supabase
+        .from('scheduled_messages')
+        .insert({
+            workspace_id: workspaceId,
+            user_id: user.id,
+            channel_id: conversationId ? null : channelId,
+            dm_conversation_id: conversationId || null,
+            content,
+            payload,
+            send_at: sendAt,
+        })
+        .select(SCHEDULED_FIELDS)
+        .single();
+
+    if (error) {
+        console.error('Create scheduled message error:', error);
+        throw { statusCode: 500, message: 'Failed to schedule message' };
+    }
+
+    return formatScheduledMessage(row);
+};
+
+/**
+ * List a user's scheduled messages, soonest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { workspaceId, channelId, conversationId, status }
+ * @returns {Array} Scheduled messages
+ */
+const getScheduledMessages = async (userId, { workspaceId, channelId, conversationId, status = SCHEDULED_STATUSES.PENDING } = {}) => {
+    let query = supabase
+        .from('scheduled_messages')
+        .select(SCHEDULED_FIELDS)
+        .eq('user_id', userId)
+        .order('send_at', { ascending: true });
+
+    if (status !== 'all') {
+        // A send in progress is still "pending" from the user's point of view
+        query = status === SCHEDULED_STATUSES.PENDING
+            ? query.in('status', [SCHEDULED_STATUSES.PENDING, SCHEDULED_STATUSES.SENDING])
+            : query.eq('status', status);
+    }
+    if (workspaceId) query = query.eq('workspace_id', workspaceId);
+    if (channelId) query = query.eq('channel_id', channelId);
+    if (conversationId) query = query.eq('dm_conversation_id', conversationId);
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error('Get scheduled messages error:', error);
+        throw { statusCode: 500, message: 'Failed to fetch scheduled messages' };
+    }
+
+    return (data || []).map(formatScheduledMessage);
+};
+
+/**
+ * Get a scheduled message owned by a user
+ * @param {string} id - Scheduled message ID
+ * @param {string} userId - User ID
+ * @returns {Object} Row
+ */
+const getOwnedScheduledMessage = async (id, userId) => {
+    const { data: row, error } = await supabase
+        .from('scheduled_messages')
+        .select(SCHEDULED_FIELDS)
+        .eq('id', id)
+        .single();
+
+    if (error || !row || row.user_id !== userId) {
+        throw { statusCode: 404, message: 'Scheduled message not found' };
+    }
+
+    return row;
+};
+
+/**
+ * Edit and/or reschedule a pending message
+ * @param {string} id - Scheduled message ID
+ * @param {string} userId - User ID
+ * @param {Object} updates - { content, sendAt }
+ * @returns {Object} Scheduled message
+ */
+const updateScheduledMessage = async (id, userId, { content, sendAt }) => {
+    const row = await getOwnedScheduledMessage(id, userId);
+
+    if (row.status !== SCHEDULED_STATUSES.PENDING) {
+        throw { statusCode: 409, message: `Scheduled message is ${row.status}` };
+    }
+
+    const updateFields = { updated_at: new Date().toISOString() };
+    if (content !== undefined) updateFields.content = content;
+    if (sendAt !== undefined) {
+        // A new time also clears any retry backoff from a failed attempt
+        updateFields.send_at = parseSendAt(sendAt);
+        updateFields.attempts = 0;
+        updateFields.locked_until = null;
+        updateFields.last_error = null;
+    }
+
+    // Conditional on pending so a send that just started wins
+    const { data: updated } = await supabase
+        .from('scheduled_messages')
+        .update(updateFields)
+        .eq('id', id)
+        .eq('status', SCHEDULED_STATUSES.PENDING)
+        .select(SCHEDULED_FIELDS)
+        .single();
+
+    if (!updated) {
+        throw { statusCode: 409, message: 'Scheduled message is already being sent' };
+    }
+
+    return formatScheduledMessage(updated);
+};
+
+/**
+ * Cancel a pending message
+ * @param {string} id - Scheduled message ID
+ * @param {string} userId - User ID
+ */
+const cancelScheduledMessage = async (id, userId) => {
+    const row = await getOwnedScheduledMessage(id, userId);
+
+    if (row.status !== SCHEDULED_STATUSES.PENDING) {
+        throw { statusCode: 409, message: `Scheduled message is ${row.status}` };
+    }
+
+    const { data: cancelled } = await supabase
+        .from('scheduled_messages')
+        .update({ status: SCHEDULED_STATUSES.CANCELLED, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .eq('status', SCHEDULED_STATUSES.PENDING)
+        .select('id')
+        .single();
+
+    if (!cancelled) {
+        throw { statusCode: 409, message: 'Scheduled message is already being sent' };
+    }
+};
+
+/**
+ * Claim a due message for delivery
+ * Conditional on the row being unchanged since it was read, so only one
+ * worker (across instances) sends it
+ * @param {Object} row - Row as read
+ * @returns {Object|null} Claimed row
+ */
+const claimScheduledMessage = async (row) => {
+    const now = Date.now();
+
+    const { data: claimed } = await supabase
+        .from('scheduled_messages')
+        .update({
+            status: SCHEDULED_STATUSES.SENDING,
+            attempts: row.attempts + 1,
+            locked_until: new Date(now + config.scheduler.leaseMs).toISOString(),
+            updated_at: new Date(now).toISOString(),
+        })
+        .eq('id', row.id)
+        .eq('status', row.status)
+        .eq('updated_at', row.updated_at)
+        .select(SCHEDULED_FIELDS)
+        .single();
+
+    return claimed || null;
+};
+
+/**
+ * Send a claimed message through the normal message path
+ * The scheduled ID doubles as the clientMessageId, so re-sending after a
+ * crash mid-delivery returns the message that was already created
+ * @param {Object} row - Claimed row
+ * @returns {Object} Sent message
+ */
+const sendScheduledMessage = async (row) => {
+    const { data: user } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', row.user_id)
+        .single();
+
+    if (!user || !user.is_active) {
+        throw { statusCode: 403, message: 'Sender is no longer active' };
+    }
+
+    const clientMessageId = `scheduled:${row.id}`;
+
+    if (row.dm_conversation_id) {
+        return messageService.sendDmMessage(row.dm_conversation_id, user.id, row.content, { clientMessageId });
+    }
+
+    // Membership may have changed since the message was scheduled
+    const channel = await channelService.checkChannelAccess(row.channel_id, user.id);
+    // The sender may be offline when this fires, so keep the notice
+    await messageService.assertCanPost(channel, user, { persist: true });
+
+    // Only the fields users may send; older rows can still hold attachments or blocks
+    const { replyToId, fileIds } = row.payload || {};
+
+    return messageService.sendMessage(
+        { replyToId, fileIds, content: row.content, clientMessageId, workspaceId: channel.workspace_id },
+        row.channel_id,
+        user
+    );
+};
+
+/**
+ * Deliver one claimed message and record the outcome
+ * Access errors fail permanently; other errors are retried with backoff
+ * @param {Object} row - Claimed row
+ */
+const deliverScheduledMessage = async (row) => {
+    try {
+        const message = await sendScheduledMessage(row);
+
+        const { data: sent } = await supabase
+            .from('scheduled_messages')
+            .update({
+                status: SCHEDULED_STATUSES.SENT,
+                message_id: message.id,
+                sent_at: new Date().toISOString(),
+                locked_until: null,
+                last_error: null,
+                updated_at: new Date().toISOString(),
+            })
+            .eq('id', row.id)
+            .select(SCHEDULED_FIELDS)
+            .single();
+
+        notifySender('scheduled_message:sent', sent || row, { message });
+    } catch (error) {
+        const permanent = error.statusCode && error.statusCode < 500;
+        const exhausted = row.attempts >= config.scheduler.maxAttempts;
+
+        if (!permanent) {
+            console.error('Send scheduled message error:', error);
+        }
+
+        const { data: updated } = await supabase
+            .from('scheduled_messages')
+            .update(permanent || exhausted
+                ? {
+                    status: SCHEDULED_STATUSES.FAILED,
+                    locked_until: null,
+                    last_error: error.message || 'Failed to send message',
+                    updated_at: new Date().toISOString(),
+                }
+                : {
+                    status: SCHEDULED_STATUSES.PENDING,
+                    locked_until: new Date(Date.now() + RETRY_DELAY_MS * row.attempts).toISOString(),
+                    last_error: error.message || 'Failed to send message',
+                    updated_at: new Date().toISOString(),
+                })
+            .eq('id', row.id)
+            .select(SCHEDULED_FIELDS)
+            .single();
+
+        if (permanent || exhausted) {
+            notifySender('scheduled_message:failed', updated || row);
+        }
+    }
+};
+
+/**
+ * Send every message that is due (called by the scheduler worker)
+ * Picks up pending messages past their send time and sends whose claim
+ * lease ran out, which is how deliveries survive a restart
+ * @returns {number} Number of messages processed
+ */
+const deliverDueMessages = async () => {
+    const now = new Date().toISOString();
+
+    const [{ data: due, error: dueError }, { data: stale, error: staleError }] = await Promise.all([
+        supabase
+            .from('scheduled_messages')
+            .select(SCHEDULED_FIELDS)
+            .eq('status', SCHEDULED_STATUSES.PENDING)
+            .lte('send_at', now)
+            .or(`locked_until.is.null,locked_until.lt.${now}`)
+            .order('send_at', { ascending: true })
+            .limit(config.scheduler.batchSize),
+        supabase
+            .from('scheduled_messages')
+            .select(SCHEDULED_FIELDS)
+            .eq('status', SCHEDULED_STATUSES.SENDING)
+            .lt('locked_until', now)
+            .limit(config.scheduler.batchSize),
+    ]);
+
+    if (dueError || staleError) {
+        console.error('Fetch due scheduled messages error:', dueError || staleError);
+        return 0;
+    }
+
+    let processed = 0;
+
+    for (const row of [...(stale || []), ...(due || [])]) {
+        const claimed = await claimScheduledMessage(row);
+        if (claimed) {
+            await deliverScheduledMessage(claimed);
+            processed += 1;
+        }
+    }
+
+    return processed;
+};
+
+module.exports = {
+    SCHEDULED_STATUSES,
+    createScheduledMessage,
+    getScheduledMessages,
+    updateScheduledMessage,
+    cancelScheduledMessage,
+    deliverDueMessages,
+};
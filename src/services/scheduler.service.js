@@ -0,0 +1,68 @@
+const config = require('../config/environment');
+const { logger } = require('../middleware/error-handler.middleware');
+const scheduledMessageService = require('./scheduled-message.service');
+const reminderService = require('./reminder.service');
+const webhookService = require('./webhook.service');
+const fileSecurityService = require('./file-security.service');
+const uploadService = require('./upload.service');
+
+// Work run on every tick. State lives in the database, so any number of
+// workers can run these and a restart picks up where the last one stopped.
+const JOBS = [
+    { name: 'scheduled-messages', run: scheduledMessageService.deliverDueMessages },
+    { name: 'reminders', run: reminderService.fireDueReminders },
+    { name: 'webhook-retries', run: webhookService.retryDueDeliveries },
+    { name: 'file-processing', run: fileSecurityService.runDueJobs },
+    { name: 'expired-uploads', run: uploadService.expireStaleUploads },
+];
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Run every job once
+ * Skipped if the previous tick is still running
+ */
+const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        for (const job of JOBS) {
+            try {
+                await job.run();
+            } catch (error) {
+                console.error(`Scheduler job ${job.name} error:`, error);
+            }
+        }
+    } finally {
+        ticking = false;
+    }
+};
+
+/**
+ * Start polling for due work
+ */
+const startScheduler = () => {
+    if (timer) return;
+
+    timer = setInterval(tick, config.scheduler.pollIntervalMs);
+    tick();
+
+    logger.info(`⏰ Scheduler running every ${config.scheduler.pollIntervalMs}ms`);
+};
+
+/**
+ * Stop polling
+ */
+const stopScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    startScheduler,
+    stopScheduler,
+};
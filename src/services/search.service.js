@@ -1,61 +1,293 @@
 const { supabase } = require('../config/supabase');
 const { firestore } = require('../config/firebase');
+const { parseSearchQuery } = require('../utils/search-query.utils');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const LINK_PATTERN = /https?:\/\/\S+/i;
+
+// Firestore page size when rebuilding the index
+const REINDEX_BATCH_SIZE = 500;
+
+/**
+ * Convert a Firestore timestamp or Date to an ISO string
+ * @param {Object|Date} value - Timestamp
+ * @returns {string} ISO date string
+ */
+const toISOString = (value) => {
+    if (!value) return new Date().toISOString();
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    return new Date(value).toISOString();
+};
+
+/**
+ * Build a search index row from a message document
+ * @param {Object} message - Message document
+ * @returns {Object} message_search_index row
+ */
+const toIndexRow = (message) => ({
+    message_id: message.id,
+    workspace_id: message.workspaceId,
+    channel_id: message.channelId,
+    user_id: message.userId,
+    content: message.content || '',
+    reply_to_id: message.replyToId || null,
+    has_file: (message.fileIds || []).length > 0,
+    has_link: LINK_PATTERN.test(message.content || ''),
+    is_pinned: Boolean(message.isPinned),
+    reaction_count: (message.reactions || []).reduce((sum, reaction) => sum + (reaction.count || 0), 0),
+    created_at: toISOString(message.createdAt),
+    updated_at: toISOString(message.updatedAt),
+});
 
 /**
  * Search Service - Handles search across messages, channels, and users
  */
 class SearchService {
+    /**
+     * Add or refresh a channel message in the search index
+     * Never throws - a failed index write must not fail the message operation
+     * @param {Object} message - Message document
+     */
+    async indexMessage(message) {
+        // Only channel messages are searchable
+        if (!message.channelId) return;
+
+        try {
+            const { error } = await supabase
+                .from('message_search_index')
+                .upsert(toIndexRow(message), { onConflict: 'message_id' });
+
+            if (error) {
+                console.error('Index message error:', error);
+            }
+        } catch (error) {
+            console.error('Index message error:', error);
+        }
+    }
+
+    /**
+     * Add or refresh several channel messages in the search index
+     * Never throws - a failed index write must not fail the calling operation
+     * @param {Array} messages - Message documents
+     */
+    async indexMessages(messages) {
+        const rows = messages.filter((message) => message.channelId).map(toIndexRow);
+        if (rows.length === 0) return;
+
+        try {
+            const { error } = await supabase
+                .from('message_search_index')
+                .upsert(rows, { onConflict: 'message_id' });
+
+            if (error) {
+                console.error('Index messages error:', error);
+            }
+        } catch (error) {
+            console.error('Index messages error:', error);
+        }
+    }
+
+    /**
+     * Remove a message from the search index
+     * Never throws - a failed index write must not fail the message operation
+     * @param {string} messageId - Message ID
+     */
+    async removeMessage(messageId) {
+        try {
+            const { error } = await supabase
+                .from('message_search_index')
+                .delete()
+                .eq('message_id', messageId);
+
+            if (error) {
+                console.error('Remove message from index error:', error);
+            }
+        } catch (error) {
+            console.error('Remove message from index error:', error);
+        }
+    }
+
+    /**
+     * Rebuild the search index for a workspace from Firestore
+     * @param {string} workspaceId - Workspace ID
+     * @returns {Object} Number of messages indexed
+     */
+    async reindexWorkspace(workspaceId) {
+        let indexed = 0;
+        let lastDoc = null;
+        let hasMore = true;
+
+        try {
+            while (hasMore) {
+                let batchQuery = firestore
+                    .collection('messages')
+                    .where('workspaceId', '==', workspaceId)
+                    .limit(REINDEX_BATCH_SIZE);
+
+                if (lastDoc) {
+                    batchQuery = batchQuery.startAfter(lastDoc);
+                }
+
+                const snapshot = await batchQuery.get();
+                if (snapshot.empty) break;
+
+                const rows = [];
+                snapshot.forEach((doc) => {
+                    const message = doc.data();
+                    if (!message.isDeleted && message.channelId) {
+                        rows.push(toIndexRow({ id: doc.id, ...message }));
+                    }
+                });
+
+                if (rows.length > 0) {
+                    const { error } = await supabase
+                        .from('message_search_index')
+                        .upsert(rows, { onConflict: 'message_id' });
+
+                    if (error) throw error;
+                    indexed += rows.length;
+                }
+
+                lastDoc = snapshot.docs[snapshot.docs.length - 1];
+                hasMore = snapshot.size === REINDEX_BATCH_SIZE;
+            }
+        } catch (error) {
+            console.error('Reindex workspace error:', error);
+            throw { statusCode: 500, message: 'Failed to rebuild search index' };
+        }
+
+        return { indexed };
+    }
+
+    /**
+     * Resolve from: values (usernames, "me" or user IDs) to user IDs
+     * @param {Array} values - from: values
+     * @param {string} viewerId - Searching user's ID
+     * @returns {Array} User IDs
+     */
+    async resolveUsers(values, viewerId) {
+        const ids = [];
+        const usernames = [];
+
+        for (const value of values) {
+            if (value.toLowerCase() === 'me' && viewerId) {
+                ids.push(viewerId);
+            } else if (UUID_PATTERN.test(value)) {
+                ids.push(value);
+            } else {
+                usernames.push(value.toLowerCase());
+            }
+        }
+
+        if (usernames.length > 0) {
+            const { data } = await supabase
+                .from('users')
+                .select('id')
+                .in('username', usernames);
+
+            ids.push(...(data || []).map((u) => u.id));
+        }
+
+        return ids;
+    }
+
+    /**
+     * Resolve in: values (channel names or IDs) to channel IDs
+     * @param {string} workspaceId - Workspace ID
+     * @param {Array} values - in: values
+     * @returns {Array} Channel IDs
+     */
+    async resolveChannels(workspaceId, values) {
+        const ids = values.filter((value) => UUID_PATTERN.test(value));
+        const names = values.filter((value) => !UUID_PATTERN.test(value)).map((value) => value.toLowerCase());
+
+        if (names.length > 0) {
+            const { data } = await supabase
+                .from('channels')
+                .select('id')
+                .eq('workspace_id', workspaceId)
+                .in('name', names);
+
+            ids.push(...(data || []).map((c) => c.id));
+        }
+
+        return ids;
+    }
+
     /**
      * Search messages
+     * Supports free text (stemmed, ranked, "quoted phrases") plus the
+     * modifiers understood by parseSearchQuery (from:, in:, has:, is:, dates)
      * @param {string} workspaceId - Workspace ID
-     * @param {string} query - Search query
+     * @param {string|Object} query - Raw search query, or an already parsed one
      * @param {Object} options - Search options
-     * @returns {Array} Search results
+     * @returns {Array} Search results, best match first
      */
     async searchMessages(workspaceId, query, options = {}) {
-        const { limit = 20, channelId, userId, before, after } = options;
+        const { limit = 20, offset = 0, channelId, userId, before, after, viewerId, sort = 'relevance' } = options;
+        const { text, filters } = typeof query === 'string' ? parseSearchQuery(query) : query;
 
         try {
-            // Search in Firestore messages
-            let messagesQuery = firestore
-                .collection('messages')
-                .where('workspaceId', '==', workspaceId)
-                .where('isDeleted', '==', false)
-                .orderBy('createdAt', 'desc')
-                .limit(limit);
-
-            if (channelId) {
-                messagesQuery = messagesQuery.where('channelId', '==', channelId);
-            }
+            let authorIds = userId ? [userId] : null;
+            let channelIds = channelId ? [channelId] : null;
 
-            if (userId) {
-                messagesQuery = messagesQuery.where('userId', '==', userId);
+            if (filters.from.length > 0) {
+                const resolved = await this.resolveUsers(filters.from, viewerId);
+                authorIds = authorIds ? authorIds.filter((id) => resolved.includes(id)) : resolved;
+                if (authorIds.length === 0) return [];
             }
 
-            if (before) {
-                messagesQuery = messagesQuery.where('createdAt', '<', new Date(before));
+            if (filters.in.length > 0) {
+                const resolved = await this.resolveChannels(workspaceId, filters.in);
+                channelIds = channelIds ? channelIds.filter((id) => resolved.includes(id)) : resolved;
+                if (channelIds.length === 0) return [];
             }
 
-            if (after) {
-                messagesQuery = messagesQuery.where('createdAt', '>', new Date(after));
-            }
+            const beforeDate = filters.before || (before ? new Date(before) : null);
+            const afterDate = filters.after || (after ? new Date(after) : null);
+
+            const { data: hits, error } = await supabase.rpc('search_messages', {
+                p_workspace_id: workspaceId,
+                p_user_id: viewerId || null,
+                p_query: text || null,
+                p_channel_ids: channelIds,
+                p_author_ids: authorIds,
+                p_before: beforeDate ? beforeDate.toISOString() : null,
+                p_after: afterDate ? afterDate.toISOString() : null,
+                p_has_file: filters.has.includes('file') ? true : null,
+                p_has_link: filters.has.includes('link') ? true : null,
+                p_has_reaction: filters.has.includes('reaction') ? true : null,
+                p_is_pinned: filters.is.includes('pinned') ? true : null,
+                p_is_thread: filters.is.includes('thread') ? true : null,
+                p_sort: sort,
+                p_limit: limit,
+                p_offset: offset,
+            });
+
+            if (error) throw error;
+            if (!hits || hits.length === 0) return [];
 
-            const snapshot = await messagesQuery.get();
-
-            const results = [];
-            snapshot.forEach((doc) => {
-                const message = doc.data();
-                // Simple text matching (in production, use Algolia or Elasticsearch)
-                if (message.content.toLowerCase().includes(query.toLowerCase())) {
-                    results.push({
-                        id: doc.id,
-                        ...message,
-                        _type: 'message',
-                    });
+            // Hydrate full messages from Firestore, preserving rank order
+            const refs = hits.map((hit) => firestore.collection('messages').doc(hit.message_id));
+            const docs = await firestore.getAll(...refs);
+            const messagesById = new Map();
+
+            docs.forEach((doc) => {
+                if (doc.exists && !doc.data().isDeleted) {
+                    messagesById.set(doc.id, doc.data());
                 }
             });
 
-            return results;
+            return hits
+                .filter((hit) => messagesById.has(hit.message_id))
+                .map((hit) => ({
+                    id: hit.message_id,
+                    ...messagesById.get(hit.message_id),
+                    _type: 'message',
+                    _rank: hit.rank,
+                    // HTML-escaped snippet with matches wrapped in <mark>
+                    _highlight: hit.headline,
+                }));
         } catch (error) {
             console.error('Search messages error:', error);
             return [];
@@ -182,31 +414,34 @@ class SearchService {
 
     /**
      * Global search across all types
+     * Modifiers only apply to messages; other types match the free text
      * @param {string} workspaceId - Workspace ID
-     * @param {string} query - Search query
+     * @param {string|Object} query - Raw search query, or an already parsed one
      * @param {string} userId - User ID
      * @param {Object} options - Search options
      * @returns {Object} Search results by type
      */
     async globalSearch(workspaceId, query, userId, options = {}) {
         const { types = ['messages', 'channels', 'users', 'files'], limit = 10 } = options;
+        const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+        const { plainText } = parsed;
 
         const results = {};
 
         if (types.includes('messages')) {
-            results.messages = await this.searchMessages(workspaceId, query, { limit });
+            results.messages = await this.searchMessages(workspaceId, parsed, { limit, viewerId: userId });
         }
 
         if (types.includes('channels')) {
-            results.channels = await this.searchChannels(workspaceId, query, userId);
+            results.channels = plainText ? await this.searchChannels(workspaceId, plainText, userId) : [];
         }
 
         if (types.includes('users')) {
-            results.users = await this.searchUsers(workspaceId, query, limit);
+            results.users = plainText ? await this.searchUsers(workspaceId, plainText, limit) : [];
         }
 
         if (types.includes('files')) {
-            results.files = await this.searchFiles(workspaceId, query, { limit });
+            results.files = plainText ? await this.searchFiles(workspaceId, plainText, { limit }) : [];
         }
 
         return results;
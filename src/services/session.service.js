@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/supabase');
+const { getIO } = require('../config/socket');
+const { generateTokenPair, verifyToken } = require('../utils/jwt.utils');
+
+const SESSION_FIELDS = 'id, user_id, refresh_token_hash, device, user_agent, ip_address, '
+    + 'created_at, last_used_at, expires_at, revoked_at';
+
+// last_used_at is only written when older than this, not on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Rough "Browser on OS" labels; the full user agent is kept alongside
+const BROWSERS = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /(Firefox|FxiOS)\//],
+    ['Chrome', /(Chrome|CriOS)\//],
+    ['Safari', /Version\/.*Safari\//],
+];
+const OPERATING_SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+];
+
+/**
+ * Hash a refresh token ID for storage
+ * @param {string} tokenId - Refresh token jti
+ * @returns {string} SHA-256 hex digest
+ */
+const hashTokenId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+/**
+ * Describe the device a session was created from
+ * @param {string} userAgent - User agent header
+ * @returns {string|null} e.g. "Chrome on macOS"
+ */
+const describeDevice = (userAgent) => {
+    if (!userAgent) return null;
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || userAgent.split(/[\s/]/)[0].slice(0, 50);
+};
+
+/**
+ * Expiry of a refresh token as an ISO string
+ * @param {string} refreshToken - Signed refresh token
+ * @returns {string} Expiry
+ */
+const getTokenExpiry = (refreshToken) => new Date(jwt.decode(refreshToken).exp * 1000).toISOString();
+
+/**
+ * Disconnect a session's live sockets (best effort)
+ * @param {Array<string>} sessionIds - Session IDs
+ */
+const disconnectSessions = (sessionIds) => {
+    try {
+        const io = getIO();
+        sessionIds.forEach((sessionId) => io.in(`session:${sessionId}`).disconnectSockets(true));
+    } catch (error) {
+        console.log('Socket not initialized, skipping session disconnect');
+    }
+};
+
+/**
+ * Start a session and issue its tokens
+ * @param {Object} user - User row
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Object} Token pair
+ */
+const createSession = async (user, context = {}) => {
+    const refreshTokenId = crypto.randomUUID();
+    const sessionId = crypto.randomUUID();
+    const tokens = generateTokenPair(user, { id: sessionId, refreshTokenId });
+
+    const { error } = await supabase
+        .from('user_sessions')
+        .insert({
+            id: sessionId,
+            user_id: user.id,
+            refresh_token_hash: hashTokenId(refreshTokenId),
+            device: describeDevice(context.userAgent),
+            user_agent: context.userAgent || null,
+            ip_address: context.ipAddress || null,
+            expires_at: getTokenExpiry(tokens.refreshToken),
+        });
+
+    if (error) {
+        console.error('Create session error:', error);
+        throw { statusCode: 500, message: 'Failed to start session' };
+    }
+
+    return tokens;
+};
+
+/**
+ * Revoke sessions matching a query
+ * @param {Function} scope - Adds filters to the update query
+ * @param {string} reason - Why the sessions were revoked
+ * @returns {Array<string>} Revoked session IDs
+ */
+const revokeWhere = async (scope, reason) => {
+    const { data, error } = await scope(
+        supabase
+            .from('user_sessions')
+            .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+            .is('revoked_at', null)
+    ).select('id');
+
+    if (error) {
+        console.error('Revoke session error:', error);
+        throw { statusCode: 500, message: 'Failed to revoke session' };
+    }
+
+    const sessionIds = (data || []).map((session) => session.id);
+    disconnectSessions(sessionIds);
+
+    return sessionIds;
+};
+
+/**
+ * Rotate a refresh token
+ * Each refresh token works once. Presenting one that was already rotated
+ * means it leaked (or the client replayed it), so the whole session is revoked.
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Object} New token pair
+ */
+const refreshSession = async (refreshToken, context = {}) => {
+    let decoded;
+    try {
+        decoded = verifyToken(refreshToken);
+    } catch (error) {
+        throw { statusCode: 401, message: 'Invalid refresh token' };
+    }
+
+    if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+        throw { statusCode: 401, message: 'Invalid refresh token' };
+    }
+
+    const { data: session } = await supabase
+        .from('user_sessions')
+        .select(SESSION_FIELDS)
+        .eq('id', decoded.sid)
+        .single();
+
+    if (!session || session.user_id !== decoded.userId || session.revoked_at) {
+        throw { statusCode: 401, message: 'Session has been revoked' };
+    }
+
+    const presentedHash = hashTokenId(decoded.jti);
+
+    if (session.refresh_token_hash !== presentedHash) {
+        console.warn(`Refresh token reuse detected, revoking session ${session.id}`);
+        await revokeWhere((query) => query.eq('id', session.id), 'refresh_token_reused');
+        throw { statusCode: 401, message: 'Session has been revoked' };
+    }
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', session.user_id)
+        .single();
+
+    if (!user || !user.is_active) {
+        throw { statusCode: 401, message: 'Invalid refresh token' };
+    }
+
+    const refreshTokenId = crypto.randomUUID();
+    const tokens = generateTokenPair(user, { id: session.id, refreshTokenId });
+
+    // Conditional on the old hash so two concurrent refreshes can't both rotate
+    const { data: rotated } = await supabase
+        .from('user_sessions')
+        .update({
+            refresh_token_hash: hashTokenId(refreshTokenId),
+            ip_address: context.ipAddress || session.ip_address,
+            last_used_at: new Date().toISOString(),
+            expires_at: getTokenExpiry(tokens.refreshToken),
+        })
+        .eq('id', session.id)
+        .eq('refresh_token_hash', presentedHash)
+        .is('revoked_at', null)
+        .select('id')
+        .single();
+
+    if (!rotated) {
+        throw { statusCode: 401, message: 'Refresh token has already been used' };
+    }
+
+    return tokens;
+};
+
+/**
+ * Get a session if it is still active
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Expected owner
+ * @returns {Object|null} Session row
+ */
+const getActiveSession = async (sessionId, userId) => {
+    const { data: session } = await supabase
+        .from('user_sessions')
+        .select(SESSION_FIELDS)
+        .eq('id', sessionId)
+        .single();
+
+    if (!session || session.user_id !== userId || session.revoked_at) {
+        return null;
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+        return null;
+    }
+
+    return session;
+};
+
+/**
+ * Find which of the given sessions are no longer active
+ * For servers that can't be reached when a session is revoked and check periodically
+ * @param {Array<string>} sessionIds - Session IDs
+ * @returns {Array<string>} Revoked or expired session IDs
+ */
+const getInactiveSessionIds = async (sessionIds) => {
+    if (sessionIds.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('user_sessions')
+        .select('id')
+        .in('id', sessionIds)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString());
+
+    if (error) {
+        console.error('Check sessions error:', error);
+        return [];
+    }
+
+    const active = new Set((data || []).map((session) => session.id));
+    return sessionIds.filter((sessionId) => !active.has(sessionId));
+};
+
+/**
+ * Record that a session was used (throttled, never throws)
+ * @param {Object} session - Session row
+ * @param {string} ipAddress - Current IP address
+ */
+const touchSession = (session, ipAddress) => {
+    if (Date.now() - new Date(session.last_used_at).getTime() < TOUCH_INTERVAL_MS) {
+        return;
+    }
+
+    supabase
+        .from('user_sessions')
+        .update({ last_used_at: new Date().toISOString(), ip_address: ipAddress || session.ip_address })
+        .eq('id', session.id)
+        .then(({ error }) => {
+            if (error) console.error('Touch session error:', error);
+        });
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session making the request
+ * @returns {Array} Sessions
+ */
+const listSessions = async (userId, currentSessionId) => {
+    const { data, error } = await supabase
+        .from('user_sessions')
+        .select(SESSION_FIELDS)
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false });
+
+    if (error) {
+        console.error('List sessions error:', error);
+        throw { statusCode: 500, message: 'Failed to fetch sessions' };
+    }
+
+    return (data || []).map((session) => ({
+        id: session.id,
+        device: session.device,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === currentSessionId,
+    }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why it was revoked
+ */
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    const revoked = await revokeWhere(
+        (query) => query.eq('id', sessionId).eq('user_id', userId),
+        reason
+    );
+
+    if (revoked.length === 0) {
+        throw { statusCode: 404, message: 'Session not found' };
+    }
+};
+
+/**
+ * Revoke all of a user's sessions ("sign out everywhere")
+ * @param {string} userId - User ID
+ * @param {Object} options - { exceptSessionId, reason }
+ * @returns {number} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, { exceptSessionId = null, reason = 'signed_out_everywhere' } = {}) => {
+    const revoked = await revokeWhere((query) => {
+        const scoped = query.eq('user_id', userId);
+        return exceptSessionId ? scoped.neq('id', exceptSessionId) : scoped;
+    }, reason);
+
+    return revoked.length;
+};
+
+module.exports = {
+    createSession,
+    refreshSession,
+    getActiveSession,
+    getInactiveSessionIds,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions,
+};
@@ -8,6 +8,8 @@ const { Server } = require('socket.io');
 const jwt = require('jsonwebtoken');
 const config = require('../config/environment');
 const { supabase } = require('../config/supabase');
+const { isAccessToken } = require('../utils/jwt.utils');
+const sessionService = require('./session.service');
 
 // Active huddles: huddleId -> { participants, type, roomId, createdAt }
 const activeHuddles = new Map();
@@ -15,6 +17,9 @@ const activeHuddles = new Map();
 // User socket mapping: socketId -> { userId, huddleId }
 const userSockets = new Map();
 
+// Revocations can't reach this server directly, so connected sessions are re-checked
+const SESSION_CHECK_INTERVAL_MS = 60 * 1000;
+
 /**
  * Start signaling server
  * @param {number} port - Port to listen on
@@ -51,19 +56,31 @@ const startSignalingServer = (port = 3002) => {
 
             const decoded = jwt.verify(token, config.jwt.secret);
 
-            // Verify user exists
-            const { data: user, error } = await supabase
-                .from('users')
-                .select('id, username, full_name')
-                .eq('id', decoded.userId)
-                .single();
+            if (!isAccessToken(decoded)) {
+                return next(new Error('Invalid token'));
+            }
+
+            // Verify user exists and the session is still active
+            const [{ data: user, error }, session] = await Promise.all([
+                supabase
+                    .from('users')
+                    .select('id, username, full_name')
+                    .eq('id', decoded.userId)
+                    .single(),
+                sessionService.getActiveSession(decoded.sid, decoded.userId),
+            ]);
 
             if (error || !user) {
                 return next(new Error('Invalid user'));
             }
 
+            if (!session) {
+                return next(new Error('Session has been revoked'));
+            }
+
             socket.userId = user.id;
             socket.user = user;
+            socket.sessionId = session.id;
             next();
         } catch (err) {
             next(new Error('Authentication failed'));
@@ -240,6 +257,8 @@ const startSignalingServer = (port = 3002) => {
         });
     });
 
+    setInterval(() => disconnectRevokedSessions(io), SESSION_CHECK_INTERVAL_MS).unref();
+
     server.listen(port, '0.0.0.0', () => {
         console.log(`📡 WebRTC Signaling server running on port ${port}`);
     });
@@ -278,6 +297,23 @@ const handleUserLeave = (socket, io) => {
     userSockets.delete(socket.id);
 };
 
+/**
+ * Disconnect sockets whose session has been revoked since they connected
+ * @param {Object} io - Socket.IO server
+ */
+const disconnectRevokedSessions = async (io) => {
+    const sockets = [...io.sockets.sockets.values()];
+    const sessionIds = [...new Set(sockets.map((socket) => socket.sessionId))];
+    const revoked = new Set(await sessionService.getInactiveSessionIds(sessionIds));
+
+    sockets
+        .filter((socket) => revoked.has(socket.sessionId))
+        .forEach((socket) => {
+            console.log(`📡 Signaling: Session of user ${socket.userId} revoked, disconnecting`);
+            socket.disconnect(true);
+        });
+};
+
 /**
  * Find huddle by room ID
  */
@@ -0,0 +1,426 @@
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const messageService = require('./message.service');
+const channelService = require('./channel.service');
+const huddleService = require('./huddle.service');
+const reminderService = require('./reminder.service');
+const webhookService = require('./webhook.service');
+const auditService = require('./audit.service');
+const { postJson } = require('../utils/outbound-http.utils');
+const { normalizeAttachments, normalizeBlocks } = require('../utils/message-attachments.utils');
+
+// How a command's reply is shown
+const RESPONSE_TYPES = {
+    EPHEMERAL: 'ephemeral',
+    IN_CHANNEL: 'in_channel',
+};
+
+// integrations.type for workspace-installed commands
+const COMMAND_INTEGRATION_TYPE = 'slash_command';
+
+// External commands must answer quickly; the user is waiting on the composer
+const EXTERNAL_TIMEOUT_MS = 3000;
+
+// Largest command reply read; longer replies are cut off and fail to parse
+const MAX_REPLY_BYTES = 64 * 1024;
+
+const MAX_POLL_OPTIONS = 10;
+const POLL_EMOJI = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+// "/name rest of text"; "/usr/bin" or "/ foo" are plain text
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9_-]{0,31})(?:\s+([\s\S]*))?$/i;
+
+/**
+ * Parse a message into a slash command
+ * @param {string} content - Message content
+ * @returns {Object|null} { name, text } or null if the message isn't a command
+ */
+const parseCommand = (content) => {
+    const match = COMMAND_PATTERN.exec(String(content || '').trim());
+    if (!match) return null;
+
+    return { name: match[1].toLowerCase(), text: (match[2] || '').trim() };
+};
+
+/**
+ * Reply only the user who ran the command sees
+ * @param {string} text - Reply text
+ * @param {Object} extra - { attachments, blocks, data }
+ * @returns {Object} Reply
+ */
+const ephemeral = (text, extra = {}) => ({ responseType: RESPONSE_TYPES.EPHEMERAL, text, ...extra });
+
+/**
+ * Reply posted to the channel as a normal message
+ * @param {string} text - Reply text
+ * @param {Object} extra - { attachments, blocks, data }
+ * @returns {Object} Reply
+ */
+const inChannel = (text, extra = {}) => ({ responseType: RESPONSE_TYPES.IN_CHANNEL, text, ...extra });
+
+/**
+ * Resolve "<@id>" or "@username" to a member of the workspace
+ * @param {string} token - Mention token
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object|null} User
+ */
+const resolveWorkspaceUser = async (token, workspaceId) => {
+    const idMatch = /^<@([0-9a-f-]{36})>$/i.exec(token);
+    const username = token.replace(/^@/, '');
+
+    let query = supabase.from('users').select('id, username, full_name');
+    query = idMatch ? query.eq('id', idMatch[1]) : query.eq('username', username);
+    const { data: user } = await query.single();
+
+    if (!user) return null;
+
+    const { data: member } = await supabase
+        .from('workspace_members')
+        .select('id')
+        .eq('workspace_id', workspaceId)
+        .eq('user_id', user.id)
+        .eq('is_active', true)
+        .single();
+
+    return member ? user : null;
+};
+
+/**
+ * Split quoted arguments: "What's for lunch?" "Pizza" "Tacos"
+ * @param {string} text - Argument text
+ * @returns {Array<string>} Arguments
+ */
+const splitQuoted = (text) => {
+    const args = [];
+    const pattern = /"([^"]*)"|“([^”]*)”|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const arg = (match[1] ?? match[2] ?? match[3]).trim();
+        if (arg) args.push(arg);
+    }
+
+    return args;
+};
+
+// Built-in commands. Each handler gets { text, user, channel, req } and returns a reply.
+const BUILT_IN_COMMANDS = {
+    topic: {
+        description: 'Set the channel topic',
+        usage: '/topic [text]',
+        handler: async ({ text, channel }) => {
+            if (!text) {
+                return ephemeral(channel.topic ? `The topic is: ${channel.topic}` : 'This channel has no topic. Use /topic [text] to set one.');
+            }
+
+            await channelService.updateChannel(channel.id, { topic: text.substring(0, 250) });
+            return inChannel(`set the channel topic: ${text.substring(0, 250)}`);
+        },
+    },
+
+    invite: {
+        description: 'Add someone to this channel',
+        usage: '/invite @user',
+        handler: async ({ text, channel }) => {
+            const [token] = text.split(/\s+/);
+            if (!token) {
+                return ephemeral('Usage: /invite @user');
+            }
+
+            const invitee = await resolveWorkspaceUser(token, channel.workspace_id);
+            if (!invitee) {
+                return ephemeral(`${token} isn't a member of this workspace.`);
+            }
+
+            await channelService.addChannelMember(channel.id, invitee.id);
+            return inChannel(`added @${invitee.username} to the channel`);
+        },
+    },
+
+    archive: {
+        description: 'Archive this channel',
+        usage: '/archive',
+        handler: async ({ user, channel, req }) => {
+            if (channel.name === 'general') {
+                return ephemeral('The general channel cannot be archived.');
+            }
+            if (channel.is_archived) {
+                return ephemeral('This channel is already archived.');
+            }
+
+            await channelService.archiveChannel(channel.id);
+
+            auditService.recordAuditLog(req, {
+                userId: user.id,
+                workspaceId: channel.workspace_id,
+                action: auditService.AUDIT_ACTIONS.CHANNEL_ARCHIVED,
+                resourceType: 'channel',
+                resourceId: channel.id,
+                metadata: { name: channel.name, via: 'slash_command' },
+            });
+
+            return inChannel('archived the channel');
+        },
+    },
+
+    remind: {
+        description: 'Set a reminder',
+        usage: '/remind me [what] in [30m, 2 hours, 1d] | at [ISO time]',
+        handler: async ({ text, user, channel }) => {
+            // Greedy so "check in with Sam in 2h" splits at the last "in"
+            const match = /^(?:me\s+)?(?:to\s+)?([\s\S]+)\s+(in|at)\s+(\S[\s\S]*)$/i.exec(text);
+            if (!match) {
+                return ephemeral('Usage: /remind me [what] in [30m, 2 hours, 1d]');
+            }
+
+            const [, what, mode, when] = match;
+            const reminder = await reminderService.createReminder(user.id, {
+                text: what,
+                workspaceId: channel.workspace_id,
+                ...(mode.toLowerCase() === 'in' ? { in: when } : { remindAt: when }),
+            });
+
+            return ephemeral(`I'll remind you "${reminder.text}" at ${reminder.remindAt}.`, { data: { reminder } });
+        },
+    },
+
+    huddle: {
+        description: 'Start a huddle in this channel',
+        usage: '/huddle [video]',
+        handler: async ({ text, user, channel }) => {
+            const existing = await huddleService.getChannelHuddle(channel.id);
+            if (existing) {
+                return ephemeral('There is already an active huddle in this channel.', { data: { huddle: existing } });
+            }
+
+            const huddle = await huddleService.createHuddle({
+                channelId: channel.id,
+                workspaceId: channel.workspace_id,
+                creatorId: user.id,
+                type: text.toLowerCase() === 'video' ? 'video' : 'audio',
+            });
+
+            return inChannel(`started a ${huddle.type} huddle`, { data: { huddle } });
+        },
+    },
+
+    poll: {
+        description: 'Create a poll; members vote with reactions',
+        usage: '/poll "Question" "Option 1" "Option 2"',
+        handler: async ({ text }) => {
+            const [question, ...options] = splitQuoted(text);
+
+            if (!question || options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+                return ephemeral(`Usage: /poll "Question" "Option 1" "Option 2" (2 to ${MAX_POLL_OPTIONS} options)`);
+            }
+
+            const lines = options.map((option, i) => `${POLL_EMOJI[i]} ${option}`);
+
+            return inChannel(`📊 **${question}**\n${lines.join('\n')}`, {
+                blocks: [{
+                    type: 'poll',
+                    question,
+                    options: options.map((option, i) => ({ id: String(i + 1), text: option, emoji: POLL_EMOJI[i] })),
+                }],
+            });
+        },
+    },
+};
+
+/**
+ * Find a workspace-installed command
+ * integrations rows with type 'slash_command' and
+ * config { command, url, secret, description, usage, iconUrl }
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} name - Command name without the slash
+ * @returns {Object|null} Integration row
+ */
+const getInstalledCommand = async (workspaceId, name) => {
+    const { data: integration } = await supabase
+        .from('integrations')
+        .select('id, name, config')
+        .eq('workspace_id', workspaceId)
+        .eq('type', COMMAND_INTEGRATION_TYPE)
+        .eq('is_active', true)
+        .eq('config->>command', name)
+        .limit(1)
+        .single();
+
+    return integration?.config?.url ? integration : null;
+};
+
+/**
+ * POST an installed command to its URL and read the reply
+ * Signed like outgoing webhooks so the receiver can verify it came from us
+ * @param {Object} integration - Integration row
+ * @param {Object} invocation - { name, text, user, channel }
+ * @returns {Object|null} Reply, or null if the command sent none
+ */
+const runInstalledCommand = async (integration, { name, text, user, channel }) => {
+    const body = JSON.stringify({
+        id: uuidv4(),
+        command: `/${name}`,
+        text,
+        workspaceId: channel.workspace_id,
+        channelId: channel.id,
+        channelName: channel.name,
+        userId: user.id,
+        userName: user.username,
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Nextus-Commands/1.0',
+        'X-Nextus-Timestamp': timestamp,
+    };
+    if (integration.config.secret) {
+        headers['X-Nextus-Signature'] = webhookService.signPayload(integration.config.secret, timestamp, body);
+    }
+
+    // Command URLs are user-configured: only public addresses, no redirects
+    let response;
+    try {
+        response = await postJson(integration.config.url, {
+            headers,
+            body,
+            timeoutMs: EXTERNAL_TIMEOUT_MS,
+            maxResponseBytes: MAX_REPLY_BYTES,
+        });
+    } catch (error) {
+        return ephemeral(error.code === 'ETIMEDOUT' ? `/${name} didn't respond in time.` : `/${name} couldn't be reached.`);
+    }
+
+    if (!response.ok) {
+        return ephemeral(`/${name} failed with status ${response.status}.`);
+    }
+
+    let reply;
+    try {
+        reply = JSON.parse(response.body);
+    } catch (error) {
+        reply = null;
+    }
+    if (!reply || (!reply.text && !reply.attachments?.length && !reply.blocks?.length)) {
+        return null;
+    }
+
+    let attachments;
+    let blocks;
+    try {
+        attachments = reply.attachments ? normalizeAttachments(reply.attachments) : undefined;
+        blocks = reply.blocks ? normalizeBlocks(reply.blocks) : undefined;
+    } catch (error) {
+        return ephemeral(`/${name} sent an invalid reply: ${error.message}`);
+    }
+
+    return {
+        responseType: reply.responseType === RESPONSE_TYPES.IN_CHANNEL ? RESPONSE_TYPES.IN_CHANNEL : RESPONSE_TYPES.EPHEMERAL,
+        text: String(reply.text || ''),
+        attachments,
+        blocks,
+        // Public replies are posted by the integration, not the user who typed the command
+        author: {
+            id: `integration:${integration.id}`,
+            username: integration.name,
+            full_name: integration.name,
+            avatar_url: integration.config.iconUrl || null,
+            is_bot: true,
+        },
+    };
+};
+
+/**
+ * Run a slash command typed in a channel
+ * Errors a user can act on (permissions, bad input) come back as ephemeral
+ * replies rather than failing the request
+ * @param {string} content - Message content starting with "/"
+ * @param {Object} context - { user, channel, req }
+ * @returns {Object} { command, responseType, message }
+ */
+const executeCommand = async (content, { user, channel, req = null }) => {
+    const { name, text } = parseCommand(content);
+    let reply;
+
+    // Commands post or change things in the channel, so they follow its posting
+    // rules whoever ends up authoring the reply; assertCanPost tells the user why
+    try {
+        await messageService.assertCanPost(channel, user);
+    } catch (error) {
+        if (error.statusCode !== 403) throw error;
+        return { command: name, responseType: RESPONSE_TYPES.EPHEMERAL, message: null };
+    }
+
+    try {
+        const builtIn = BUILT_IN_COMMANDS[name];
+        const installed = builtIn ? null : await getInstalledCommand(channel.workspace_id, name);
+
+        if (builtIn) {
+            reply = await builtIn.handler({ text, user, channel, req });
+        } else if (installed) {
+            reply = await runInstalledCommand(installed, { name, text, user, channel });
+        } else {
+            reply = ephemeral(`/${name} is not a valid command.`);
+        }
+    } catch (error) {
+        if (!error.statusCode || error.statusCode >= 500) throw error;
+        reply = ephemeral(error.message);
+    }
+
+    if (!reply) {
+        return { command: name, responseType: null, message: null };
+    }
+
+    const messageData = {
+        content: reply.text,
+        attachments: reply.attachments,
+        blocks: reply.blocks,
+        workspaceId: channel.workspace_id,
+    };
+
+    const message = reply.responseType === RESPONSE_TYPES.IN_CHANNEL
+        ? await messageService.sendMessage(messageData, channel.id, reply.author || user)
+        : await messageService.sendEphemeralMessage(channel.id, user.id, { ...messageData, sender: reply.author });
+
+    return { command: name, responseType: reply.responseType, message, data: reply.data };
+};
+
+/**
+ * List the commands available in a workspace, for composer autocomplete
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Array} Commands
+ */
+const getAvailableCommands = async (workspaceId) => {
+    const builtIn = Object.entries(BUILT_IN_COMMANDS).map(([name, command]) => ({
+        command: `/${name}`,
+        description: command.description,
+        usage: command.usage,
+        source: 'built_in',
+    }));
+
+    const { data: integrations } = await supabase
+        .from('integrations')
+        .select('id, name, config')
+        .eq('workspace_id', workspaceId)
+        .eq('type', COMMAND_INTEGRATION_TYPE)
+        .eq('is_active', true);
+
+    const installed = (integrations || [])
+        .filter((integration) => integration.config?.command && !BUILT_IN_COMMANDS[integration.config.command])
+        .map((integration) => ({
+            command: `/${integration.config.command}`,
+            description: integration.config.description || integration.name,
+            usage: integration.config.usage || `/${integration.config.command}`,
+            source: 'integration',
+            integrationId: integration.id,
+        }));
+
+    return [...builtIn, ...installed];
+};
+
+module.exports = {
+    RESPONSE_TYPES,
+    parseCommand,
+    executeCommand,
+    getAvailableCommands,
+};
@@ -0,0 +1,94 @@
+const { Readable } = require('stream');
+const { google } = require('googleapis');
+const { oauth2Client } = require('../../config/google-drive');
+
+/**
+ * Google Drive storage driver
+ * The storage key is the Drive file ID
+ */
+class GoogleDriveStorageDriver {
+    /**
+     * @param {Object} options - { folderId }
+     */
+    constructor(options) {
+        this.name = 'google_drive';
+        this.folderId = options.folderId;
+        this.drive = google.drive({ version: 'v3', auth: oauth2Client });
+    }
+
+    /**
+     * Upload a file to Drive
+     * @param {string} key - Requested key, used as the Drive file name
+     * @param {Buffer|Readable} body - File contents
+     * @param {Object} options - { mimeType }
+     * @returns {Object} { key, url } where key is the Drive file ID
+     */
+    async put(key, body, options = {}) {
+        const response = await this.drive.files.create({
+            requestBody: {
+                name: key.split('/').join('_'),
+                mimeType: options.mimeType,
+                parents: this.folderId ? [this.folderId] : undefined,
+            },
+            media: {
+                mimeType: options.mimeType,
+                body: Buffer.isBuffer(body) ? Readable.from(body) : body,
+            },
+            fields: 'id, webViewLink, webContentLink',
+        });
+
+        return {
+            key: response.data.id,
+            url: response.data.webContentLink || response.data.webViewLink,
+        };
+    }
+
+    /**
+     * Open a read stream for a file
+     * @param {string} key - Drive file ID
+     * @param {Object} range - Optional inclusive byte range { start, end }
+     * @returns {Readable} File stream
+     */
+    async get(key, range = null) {
+        try {
+            const response = await this.drive.files.get(
+                { fileId: key, alt: 'media' },
+                {
+                    responseType: 'stream',
+                    headers: range ? { Range: `bytes=${range.start}-${range.end}` } : undefined,
+                }
+            );
+            return response.data;
+        } catch (error) {
+            if (error.code === 404) {
+                throw { statusCode: 404, message: 'File not found in storage' };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a file from Drive
+     * @param {string} key - Drive file ID
+     */
+    async delete(key) {
+        await this.drive.files.delete({ fileId: key });
+    }
+
+    /**
+     * Get a download link
+     * Drive has no expiring URLs, so this is the file's content link
+     * @param {string} key - Drive file ID
+     * @returns {string} Download URL
+     */
+    async signedUrl(key) {
+        const response = await this.drive.files.get({
+            fileId: key,
+            fields: 'webContentLink',
+        });
+
+        return response.data.webContentLink;
+    }
+}
+
+module.exports = GoogleDriveStorageDriver;
@@ -0,0 +1,83 @@
+const { supabase } = require('../../config/supabase');
+const config = require('../../config/environment');
+const LocalStorageDriver = require('./local.driver');
+const S3StorageDriver = require('./s3.driver');
+const GoogleDriveStorageDriver = require('./google-drive.driver');
+const SupabaseStorageDriver = require('./supabase.driver');
+
+/**
+ * Storage drivers implement:
+ *   put(key, Buffer | Readable, { mimeType, fileName, size }) -> { key, url }
+ *   get(key, { start, end }?) -> Readable
+ *   delete(key)
+ *   signedUrl(key, { expiresIn, fileName }) -> string | null (no direct URL)
+ */
+const DRIVERS = {
+    local: () => new LocalStorageDriver(config.storage.local),
+    s3: () => new S3StorageDriver(config.storage.s3),
+    google_drive: () => new GoogleDriveStorageDriver(config.googleDrive),
+    supabase: () => new SupabaseStorageDriver(config.storage.supabase),
+};
+
+const STORAGE_PROVIDERS = Object.keys(DRIVERS);
+
+// Driver instances, created on first use
+const instances = new Map();
+
+/**
+ * Get a storage driver by provider name
+ * @param {string} provider - Provider name (local, s3, google_drive, supabase)
+ * @returns {Object} Storage driver
+ */
+const getDriver = (provider = config.storage.driver) => {
+    if (!DRIVERS[provider]) {
+        throw { statusCode: 500, message: `Unknown storage provider: ${provider}` };
+    }
+
+    if (!instances.has(provider)) {
+        instances.set(provider, DRIVERS[provider]());
+    }
+
+    return instances.get(provider);
+};
+
+/**
+ * Get the driver new uploads to a workspace should use
+ * Workspaces can override the configured driver with settings.storageProvider
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Object} Storage driver
+ */
+const getWorkspaceDriver = async (workspaceId) => {
+    const { data: workspace } = await supabase
+        .from('workspaces')
+        .select('settings')
+        .eq('id', workspaceId)
+        .single();
+
+    const provider = workspace?.settings?.storageProvider;
+
+    return getDriver(DRIVERS[provider] ? provider : config.storage.driver);
+};
+
+/**
+ * Get the driver and key an existing file record is stored under
+ * Files stored before storage_key existed fall back to their provider's column
+ * @param {Object} file - File record
+ * @returns {Object} { driver, key }
+ */
+const getFileLocation = (file) => {
+    const provider = file.storage_provider || 'google_drive';
+    let key = file.storage_key;
+
+    if (!key && provider === 'google_drive') key = file.google_drive_id;
+    if (!key && provider === 'supabase') key = file.supabase_path;
+
+    return { driver: getDriver(provider), key };
+};
+
+module.exports = {
+    STORAGE_PROVIDERS,
+    getDriver,
+    getWorkspaceDriver,
+    getFileLocation,
+};
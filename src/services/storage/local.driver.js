@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local filesystem storage driver
+ * Files are written under a root directory and streamed by the files API
+ */
+class LocalStorageDriver {
+    /**
+     * @param {Object} options - { root }
+     */
+    constructor(options) {
+        this.name = 'local';
+        this.root = path.resolve(options.root);
+    }
+
+    /**
+     * Resolve a storage key to an absolute path inside the root directory
+     * @param {string} key - Storage key
+     * @returns {string} Absolute file path
+     */
+    _resolve(key) {
+        const filePath = path.resolve(this.root, key);
+
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw { statusCode: 400, message: 'Invalid storage key' };
+        }
+
+        return filePath;
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - Storage key
+     * @param {Buffer|Readable} body - File contents
+     * @returns {Object} { key, url }
+     */
+    async put(key, body) {
+        const filePath = this._resolve(key);
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        if (Buffer.isBuffer(body)) {
+            await fs.promises.writeFile(filePath, body);
+        } else {
+            await pipeline(body, fs.createWriteStream(filePath));
+        }
+
+        return { key, url: null };
+    }
+
+    /**
+     * Open a read stream for a file
+     * @param {string} key - Storage key
+     * @param {Object} range - Optional inclusive byte range { start, end }
+     * @returns {Readable} File stream
+     */
+    async get(key, range = null) {
+        const filePath = this._resolve(key);
+
+        try {
+            await fs.promises.access(filePath);
+        } catch (error) {
+            throw { statusCode: 404, message: 'File not found in storage' };
+        }
+
+        return fs.createReadStream(filePath, range ? { start: range.start, end: range.end } : undefined);
+    }
+
+    /**
+     * Delete a file (missing files are ignored)
+     * @param {string} key - Storage key
+     */
+    async delete(key) {
+        try {
+            await fs.promises.unlink(this._resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Local files have no direct URL; they are only reachable through the files API
+     * @returns {null}
+     */
+    async signedUrl() {
+        return null;
+    }
+}
+
+module.exports = LocalStorageDriver;
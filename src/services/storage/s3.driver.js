@@ -0,0 +1,101 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, R2, ...)
+ */
+class S3StorageDriver {
+    /**
+     * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }
+     */
+    constructor(options) {
+        this.name = 's3';
+        this.bucket = options.bucket;
+        this.client = new S3Client({
+            endpoint: options.endpoint || undefined,
+            region: options.region,
+            forcePathStyle: options.forcePathStyle,
+            credentials: {
+                accessKeyId: options.accessKeyId,
+                secretAccessKey: options.secretAccessKey,
+            },
+        });
+    }
+
+    /**
+     * Store a file
+     * @param {string} key - Object key
+     * @param {Buffer|Readable} body - File contents
+     * @param {Object} options - { mimeType, size (required for streams) }
+     * @returns {Object} { key, url }
+     */
+    async put(key, body, options = {}) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: body,
+            ContentType: options.mimeType,
+            ContentLength: Buffer.isBuffer(body) ? body.length : options.size,
+        }));
+
+        return { key, url: null };
+    }
+
+    /**
+     * Open a read stream for a file
+     * @param {string} key - Object key
+     * @param {Object} range - Optional inclusive byte range { start, end }
+     * @returns {Readable} File stream
+     */
+    async get(key, range = null) {
+        try {
+            const response = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: key,
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+            }));
+            return response.Body;
+        } catch (error) {
+            if (error.name === 'NoSuchKey') {
+                throw { statusCode: 404, message: 'File not found in storage' };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a file
+     * @param {string} key - Object key
+     */
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+        }));
+    }
+
+    /**
+     * Create a presigned download URL
+     * @param {string} key - Object key
+     * @param {Object} options - { expiresIn, fileName }
+     * @returns {string} Presigned URL
+     */
+    async signedUrl(key, options = {}) {
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            ResponseContentDisposition: options.fileName
+                ? `attachment; filename*=UTF-8''${encodeURIComponent(options.fileName)}`
+                : undefined,
+        });
+
+        return getSignedUrl(this.client, command, { expiresIn: options.expiresIn });
+    }
+}
+
+module.exports = S3StorageDriver;
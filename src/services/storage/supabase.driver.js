@@ -0,0 +1,95 @@
+const { Readable } = require('stream');
+const { supabase } = require('../../config/supabase');
+
+/**
+ * Supabase Storage driver
+ * The storage key is the object path inside the bucket
+ */
+class SupabaseStorageDriver {
+    /**
+     * @param {Object} options - { bucket }
+     */
+    constructor(options) {
+        this.name = 'supabase';
+        this.bucket = options.bucket;
+    }
+
+    /**
+     * Store a file
+     * Streams are buffered because the Supabase client uploads whole objects
+     * @param {string} key - Object path
+     * @param {Buffer|Readable} body - File contents
+     * @param {Object} options - { mimeType }
+     * @returns {Object} { key, url }
+     */
+    async put(key, body, options = {}) {
+        let buffer = body;
+
+        if (!Buffer.isBuffer(body)) {
+            const chunks = [];
+            for await (const chunk of body) {
+                chunks.push(Buffer.from(chunk));
+            }
+            buffer = Buffer.concat(chunks);
+        }
+
+        const { error } = await supabase.storage
+            .from(this.bucket)
+            .upload(key, buffer, { contentType: options.mimeType });
+
+        if (error) throw error;
+
+        return { key, url: null };
+    }
+
+    /**
+     * Open a read stream for a file
+     * Supabase downloads whole objects, so ranges are sliced in memory
+     * @param {string} key - Object path
+     * @param {Object} range - Optional inclusive byte range { start, end }
+     * @returns {Readable} File stream
+     */
+    async get(key, range = null) {
+        const { data, error } = await supabase.storage
+            .from(this.bucket)
+            .download(key);
+
+        if (error || !data) {
+            throw { statusCode: 404, message: 'File not found in storage' };
+        }
+
+        const buffer = Buffer.from(await data.arrayBuffer());
+
+        return Readable.from(range ? buffer.subarray(range.start, range.end + 1) : buffer);
+    }
+
+    /**
+     * Delete a file
+     * @param {string} key - Object path
+     */
+    async delete(key) {
+        const { error } = await supabase.storage
+            .from(this.bucket)
+            .remove([key]);
+
+        if (error) throw error;
+    }
+
+    /**
+     * Create a signed download URL
+     * @param {string} key - Object path
+     * @param {Object} options - { expiresIn, fileName }
+     * @returns {string} Signed URL
+     */
+    async signedUrl(key, options = {}) {
+        const { data, error } = await supabase.storage
+            .from(this.bucket)
+            .createSignedUrl(key, options.expiresIn, { download: options.fileName || true });
+
+        if (error) throw error;
+
+        return data.signedUrl;
+    }
+}
+
+module.exports = SupabaseStorageDriver;
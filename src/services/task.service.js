@@ -0,0 +1,452 @@
+const { supabase } = require('../config/supabase');
+const { getIO } = require('../config/socket');
+const channelService = require('./channel.service');
+
+// Board columns, in display order
+const TASK_STATUSES = ['todo', 'in_progress', 'in_review', 'done'];
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Broadcast a task event to the task's channel room
+ * @param {string} event - Event name
+ * @param {string} channelId - Channel ID
+ * @param {Object} payload - Event payload
+ */
+const broadcastTaskEvent = (event, channelId, payload) => {
+    if (!channelId) return;
+
+    try {
+        const io = getIO();
+        io.to(`channel:${channelId}`).emit(event, payload);
+    } catch (error) {
+        console.log('Socket not initialized, skipping broadcast');
+    }
+};
+
+/**
+ * Get the next position at the bottom of a board column
+ * @param {string} channelId - Channel ID
+ * @param {string} status - Column status
+ * @param {string|null} parentTaskId - Parent task ID (subtasks are ordered separately)
+ * @returns {number} Next position
+ */
+const getNextPosition = async (channelId, status, parentTaskId = null) => {
+    let query = supabase
+        .from('tasks')
+        .select('position')
+        .eq('channel_id', channelId)
+        .eq('status', status)
+        .order('position', { ascending: false, nullsFirst: false })
+        .limit(1);
+
+    query = parentTaskId ? query.eq('parent_task_id', parentTaskId) : query.is('parent_task_id', null);
+
+    const { data } = await query;
+    const last = data?.[0]?.position;
+
+    return last === null || last === undefined ? 0 : last + 1;
+};
+
+/**
+ * Create a task in a channel
+ * @param {Object} taskData - Task data
+ * @param {Object} channel - Channel the task belongs to
+ * @param {string} creatorId - Creator user ID
+ * @returns {Object} Created task
+ */
+const createTask = async (taskData, channel, creatorId) => {
+    const {
+        title,
+        description,
+        status = 'todo',
+        priority = 'medium',
+        assigneeId,
+        dueDate,
+        labels,
+        parentTaskId,
+        timeEstimateMinutes,
+        metadata,
+    } = taskData;
+
+    if (parentTaskId) {
+        const { data: parent } = await supabase
+            .from('tasks')
+            .select('id, channel_id, parent_task_id')
+            .eq('id', parentTaskId)
+            .single();
+
+        if (!parent || parent.channel_id !== channel.id) {
+            throw { statusCode: 400, message: 'Parent task not found in this channel' };
+        }
+
+        if (parent.parent_task_id) {
+            throw { statusCode: 400, message: 'Subtasks cannot have their own subtasks' };
+        }
+    }
+
+    const position = await getNextPosition(channel.id, status, parentTaskId);
+
+    const { data: task, error } = await supabase
+        .from('tasks')
+        .insert({
+            workspace_id: channel.workspace_id,
+            channel_id: channel.id,
+            title,
+            description: description || null,
+            status,
+            priority,
+            assignee_id: assigneeId || null,
+            creator_id: creatorId,
+            due_date: dueDate || null,
+            labels: labels || [],
+            position,
+            parent_task_id: parentTaskId || null,
+            time_estimate_minutes: timeEstimateMinutes ?? null,
+            time_spent_minutes: 0,
+            metadata: metadata || {},
+            completed_at: status === 'done' ? new Date().toISOString() : null,
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Create task error:', error);
+        throw { statusCode: 500, message: 'Failed to create task' };
+    }
+
+    broadcastTaskEvent('task:created', channel.id, task);
+
+    return task;
+};
+
+/**
+ * Get tasks for a channel
+ * @param {string} channelId - Channel ID
+ * @param {Object} filters - Filter options
+ * @returns {Array} List of tasks ordered by position
+ */
+const getChannelTasks = async (channelId, filters = {}) => {
+    const { assigneeId, status, label, parentTaskId, includeSubtasks = false } = filters;
+
+    let query = supabase
+        .from('tasks')
+        .select('*, assignee:assignee_id(id, username, full_name, avatar_url)')
+        .eq('channel_id', channelId)
+        .order('status', { ascending: true })
+        .order('position', { ascending: true, nullsFirst: false });
+
+    if (assigneeId) query = query.eq('assignee_id', assigneeId);
+    if (status) query = query.eq('status', status);
+    if (label) query = query.contains('labels', [label]);
+
+    if (parentTaskId) {
+        query = query.eq('parent_task_id', parentTaskId);
+    } else if (!includeSubtasks) {
+        query = query.is('parent_task_id', null);
+    }
+
+    const { data: tasks, error } = await query;
+
+    if (error) {
+        console.error('Get channel tasks error:', error);
+        throw { statusCode: 500, message: 'Failed to get tasks' };
+    }
+
+    return tasks;
+};
+
+/**
+ * Get tasks across a workspace (e.g. "my tasks")
+ * Only workspace-level tasks and tasks in channels the user can see
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - Requesting user ID
+ * @param {Object} filters - Filter options
+ * @returns {Object} Paginated tasks
+ */
+const getWorkspaceTasks = async (workspaceId, userId, filters = {}) => {
+    const { assigneeId, status, label, page = 1, limit = 20 } = filters;
+    const offset = (page - 1) * limit;
+
+    const channelIds = await channelService.getVisibleChannelIds(workspaceId, userId);
+    const visible = ['channel_id.is.null'];
+    if (channelIds.length > 0) {
+        visible.push(`channel_id.in.(${channelIds.join(',')})`);
+    }
+
+    let query = supabase
+        .from('tasks')
+        .select('*, assignee:assignee_id(id, username, full_name, avatar_url)', { count: 'exact' })
+        .eq('workspace_id', workspaceId)
+        .or(visible.join(','))
+        .order('due_date', { ascending: true, nullsFirst: false })
+        .order('created_at', { ascending: false });
+
+    if (assigneeId) query = query.eq('assignee_id', assigneeId);
+    if (status) query = query.eq('status', status);
+    if (label) query = query.contains('labels', [label]);
+
+    const { data: tasks, error, count } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+        console.error('Get workspace tasks error:', error);
+        throw { statusCode: 500, message: 'Failed to get tasks' };
+    }
+
+    return {
+        tasks: tasks || [],
+        total: count,
+        page,
+        limit,
+    };
+};
+
+/**
+ * Get a channel board: top-level tasks grouped into status columns
+ * @param {string} channelId - Channel ID
+ * @param {Object} filters - Filter options
+ * @returns {Object} Board columns keyed by status
+ */
+const getChannelBoard = async (channelId, filters = {}) => {
+    const tasks = await getChannelTasks(channelId, { ...filters, status: undefined });
+
+    const columns = TASK_STATUSES.map((status) => ({
+        status,
+        tasks: tasks.filter((t) => t.status === status),
+    }));
+
+    // Keep tasks with custom statuses visible instead of dropping them
+    const otherTasks = tasks.filter((t) => !TASK_STATUSES.includes(t.status));
+    if (otherTasks.length > 0) {
+        columns.push({ status: 'other', tasks: otherTasks });
+    }
+
+    return { channelId, columns };
+};
+
+/**
+ * Get task by ID, including its subtasks
+ * @param {string} taskId - Task ID
+ * @returns {Object} Task details
+ */
+const getTaskById = async (taskId) => {
+    const { data: task, error } = await supabase
+        .from('tasks')
+        .select('*, assignee:assignee_id(id, username, full_name, avatar_url), creator:creator_id(id, username, full_name, avatar_url)')
+        .eq('id', taskId)
+        .single();
+
+    if (error || !task) {
+        throw { statusCode: 404, message: 'Task not found' };
+    }
+
+    const { data: subtasks } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('parent_task_id', taskId)
+        .order('position', { ascending: true, nullsFirst: false });
+
+    return { ...task, subtasks: subtasks || [] };
+};
+
+/**
+ * Update a task
+ * @param {string} taskId - Task ID
+ * @param {Object} updateData - Update data
+ * @returns {Object} Updated task
+ */
+const updateTask = async (taskId, updateData) => {
+    const {
+        title,
+        description,
+        status,
+        priority,
+        assigneeId,
+        dueDate,
+        labels,
+        timeEstimateMinutes,
+        timeSpentMinutes,
+        metadata,
+    } = updateData;
+
+    const { data: existing } = await supabase
+        .from('tasks')
+        .select('id, channel_id, status, parent_task_id')
+        .eq('id', taskId)
+        .single();
+
+    if (!existing) {
+        throw { statusCode: 404, message: 'Task not found' };
+    }
+
+    const updateFields = {};
+    if (title) updateFields.title = title;
+    if (description !== undefined) updateFields.description = description;
+    if (priority) updateFields.priority = priority;
+    if (assigneeId !== undefined) updateFields.assignee_id = assigneeId;
+    if (dueDate !== undefined) updateFields.due_date = dueDate;
+    if (labels) updateFields.labels = labels;
+    if (timeEstimateMinutes !== undefined) updateFields.time_estimate_minutes = timeEstimateMinutes;
+    if (timeSpentMinutes !== undefined) updateFields.time_spent_minutes = timeSpentMinutes;
+    if (metadata) updateFields.metadata = metadata;
+
+    if (status && status !== existing.status) {
+        updateFields.status = status;
+        updateFields.position = await getNextPosition(existing.channel_id, status, existing.parent_task_id);
+        updateFields.completed_at = status === 'done' ? new Date().toISOString() : null;
+    }
+
+    updateFields.updated_at = new Date().toISOString();
+
+    const { data: task, error } = await supabase
+        .from('tasks')
+        .update(updateFields)
+        .eq('id', taskId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Update task error:', error);
+        throw { statusCode: 500, message: 'Failed to update task' };
+    }
+
+    broadcastTaskEvent('task:updated', task.channel_id, task);
+
+    return task;
+};
+
+/**
+ * Move a task to a status column and position
+ * Re-numbers the target column so positions stay contiguous
+ * @param {string} taskId - Task ID
+ * @param {Object} moveData - Target status and position
+ * @returns {Object} Moved task
+ */
+const moveTask = async (taskId, { status, position }) => {
+    const { data: task } = await supabase
+        .from('tasks')
+        .select('*')
+        .eq('id', taskId)
+        .single();
+
+    if (!task) {
+        throw { statusCode: 404, message: 'Task not found' };
+    }
+
+    const targetStatus = status || task.status;
+
+    let columnQuery = supabase
+        .from('tasks')
+        .select('id, position')
+        .eq('channel_id', task.channel_id)
+        .eq('status', targetStatus)
+        .neq('id', taskId)
+        .order('position', { ascending: true, nullsFirst: false });
+
+    columnQuery = task.parent_task_id
+        ? columnQuery.eq('parent_task_id', task.parent_task_id)
+        : columnQuery.is('parent_task_id', null);
+
+    const { data: column, error: columnError } = await columnQuery;
+
+    if (columnError) {
+        console.error('Move task error:', columnError);
+        throw { statusCode: 500, message: 'Failed to move task' };
+    }
+
+    const ordered = column || [];
+    const index = Math.max(0, Math.min(position ?? ordered.length, ordered.length));
+    ordered.splice(index, 0, { id: taskId, position: null });
+
+    // Only write rows whose position actually changed
+    const updates = ordered
+        .map((t, i) => ({ id: t.id, position: i, changed: t.position !== i }))
+        .filter((t) => t.changed && t.id !== taskId);
+
+    for (const update of updates) {
+        await supabase
+            .from('tasks')
+            .update({ position: update.position })
+            .eq('id', update.id);
+    }
+
+    const updateFields = {
+        status: targetStatus,
+        position: index,
+        updated_at: new Date().toISOString(),
+    };
+
+    if (targetStatus !== task.status) {
+        updateFields.completed_at = targetStatus === 'done' ? new Date().toISOString() : null;
+    }
+
+    const { data: moved, error } = await supabase
+        .from('tasks')
+        .update(updateFields)
+        .eq('id', taskId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Move task error:', error);
+        throw { statusCode: 500, message: 'Failed to move task' };
+    }
+
+    broadcastTaskEvent('task:moved', moved.channel_id, {
+        task: moved,
+        fromStatus: task.status,
+        toStatus: targetStatus,
+        position: index,
+    });
+
+    return moved;
+};
+
+/**
+ * Delete a task and its subtasks
+ * @param {string} taskId - Task ID
+ * @returns {boolean} Success status
+ */
+const deleteTask = async (taskId) => {
+    const { data: task } = await supabase
+        .from('tasks')
+        .select('id, channel_id')
+        .eq('id', taskId)
+        .single();
+
+    if (!task) {
+        throw { statusCode: 404, message: 'Task not found' };
+    }
+
+    // parent_task_id has no ON DELETE CASCADE, so remove subtasks first
+    await supabase
+        .from('tasks')
+        .delete()
+        .eq('parent_task_id', taskId);
+
+    const { error } = await supabase
+        .from('tasks')
+        .delete()
+        .eq('id', taskId);
+
+    if (error) {
+        console.error('Delete task error:', error);
+        throw { statusCode: 500, message: 'Failed to delete task' };
+    }
+
+    broadcastTaskEvent('task:deleted', task.channel_id, { id: taskId, channelId: task.channel_id });
+
+    return true;
+};
+
+module.exports = {
+    TASK_STATUSES,
+    TASK_PRIORITIES,
+    createTask,
+    getChannelTasks,
+    getWorkspaceTasks,
+    getChannelBoard,
+    getTaskById,
+    updateTask,
+    moveTask,
+    deleteTask,
+};
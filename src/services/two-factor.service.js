@@ -0,0 +1,528 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+const { generateChallengeToken, verifyToken } = require('../utils/jwt.utils');
+const { generateSecret, verifyCode, buildProvisioningUri } = require('../utils/totp.utils');
+
+// Recovery codes look like ABCDE-FGHJK; ambiguous characters are left out
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const RECOVERY_CODE_LENGTH = 10;
+
+const CHALLENGE_ERROR = 'Invalid or expired sign-in challenge, please sign in again';
+const LOCKED_MESSAGE = 'Too many failed attempts, please try again later';
+const TWO_FACTOR_REQUIRED_MESSAGE = 'This workspace requires two-factor authentication. Enable it in your account settings.';
+
+/**
+ * Key for encrypting TOTP secrets at rest
+ * @returns {Buffer} 256-bit key
+ */
+const getEncryptionKey = () => {
+    return crypto.createHash('sha256')
+        .update(config.twoFactor.encryptionKey || `two-factor:${config.jwt.secret}`)
+        .digest();
+};
+
+/**
+ * Encrypt a TOTP secret (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext, base64 encoded
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} value - Encrypted secret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (value) => {
+    const [iv, tag, ciphertext] = value.split('.').map((part) => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code for storage (dashes, spaces and case are ignored)
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => {
+    const normalized = String(code).toUpperCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate a single recovery code
+ * @returns {string} Code formatted as XXXXX-XXXXX
+ */
+const generateRecoveryCode = () => {
+    const chars = Array.from({ length: RECOVERY_CODE_LENGTH }, () => {
+        return RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+    }).join('');
+
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+/**
+ * Get a user's two-factor record
+ * @param {string} userId - User ID
+ * @returns {Object|null} Record
+ */
+const getRecord = async (userId) => {
+    const { data } = await supabase
+        .from('user_two_factor')
+        .select('user_id, secret_encrypted, pending_secret_encrypted, last_used_step, enabled_at, locked_until')
+        .eq('user_id', userId)
+        .single();
+
+    return data || null;
+};
+
+/**
+ * Workspaces the user belongs to that require two-factor authentication
+ * @param {string} userId - User ID
+ * @returns {Array} Workspaces { id, name }
+ */
+const getEnforcingWorkspaces = async (userId) => {
+    const { data: memberships, error } = await supabase
+        .from('workspace_members')
+        .select('workspaces(id, name, settings)')
+        .eq('user_id', userId)
+        .eq('is_active', true);
+
+    if (error) {
+        console.error('Get enforcing workspaces error:', error);
+        throw { statusCode: 500, message: 'Failed to check workspace requirements' };
+    }
+
+    return (memberships || [])
+        .map((membership) => membership.workspaces)
+        .filter((workspace) => workspace?.settings?.requireTwoFactor === true)
+        .map(({ id, name }) => ({ id, name }));
+};
+
+/**
+ * Whether a workspace requires two-factor authentication that the user lacks
+ * @param {Object} workspace - Workspace row (with settings)
+ * @param {Object} user - User row
+ * @returns {boolean} True when access must be refused
+ */
+const isTwoFactorMissing = (workspace, user) => {
+    return workspace?.settings?.requireTwoFactor === true && !user?.two_factor_enabled;
+};
+
+/**
+ * Refuse access to a workspace that requires 2FA the user hasn't set up
+ * Shared by every access check so sockets and services enforce it like routes do
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} userId - User ID
+ * @throws {Object} 403 with code TWO_FACTOR_REQUIRED
+ */
+const assertWorkspaceTwoFactor = async (workspaceId, userId) => {
+    const { data: workspace } = await supabase
+        .from('workspaces')
+        .select('settings')
+        .eq('id', workspaceId)
+        .single();
+
+    if (workspace?.settings?.requireTwoFactor !== true) return;
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('two_factor_enabled')
+        .eq('id', userId)
+        .single();
+
+    if (isTwoFactorMissing(workspace, user)) {
+        throw { statusCode: 403, message: TWO_FACTOR_REQUIRED_MESSAGE, code: 'TWO_FACTOR_REQUIRED' };
+    }
+};
+
+/**
+ * Replace a user's recovery codes with a new set
+ * @param {string} userId - User ID
+ * @returns {Array<string>} Plain recovery codes (only ever shown once)
+ */
+const replaceRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, generateRecoveryCode);
+
+    await supabase.from('user_recovery_codes').delete().eq('user_id', userId);
+
+    const { error } = await supabase
+        .from('user_recovery_codes')
+        .insert(codes.map((code) => ({ user_id: userId, code_hash: hashRecoveryCode(code) })));
+
+    if (error) {
+        console.error('Create recovery codes error:', error);
+        throw { statusCode: 500, message: 'Failed to create recovery codes' };
+    }
+
+    return codes;
+};
+
+/**
+ * Get a user's two-factor status
+ * @param {Object} user - User row
+ * @returns {Object} { enabled, enabledAt, recoveryCodesRemaining, requiredBy }
+ */
+const getStatus = async (user) => {
+    const [record, requiredBy, { count }] = await Promise.all([
+        getRecord(user.id),
+        getEnforcingWorkspaces(user.id),
+        supabase
+            .from('user_recovery_codes')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', user.id)
+            .is('used_at', null),
+    ]);
+
+    return {
+        enabled: Boolean(user.two_factor_enabled),
+        enabledAt: user.two_factor_enabled ? record?.enabled_at || null : null,
+        recoveryCodesRemaining: user.two_factor_enabled ? count || 0 : 0,
+        requiredBy,
+    };
+};
+
+/**
+ * Start enrollment: create a secret for the user's authenticator app
+ * Nothing changes for sign-in until the first code is confirmed
+ * @param {Object} user - User row
+ * @returns {Object} { secret, otpauthUrl } (render otpauthUrl as a QR code)
+ */
+const startEnrollment = async (user) => {
+    if (user.two_factor_enabled) {
+        throw { statusCode: 409, message: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = generateSecret();
+
+    const { error } = await supabase
+        .from('user_two_factor')
+        .upsert({
+            user_id: user.id,
+            pending_secret_encrypted: encryptSecret(secret),
+            updated_at: new Date().toISOString(),
+        }, { onConflict: 'user_id' });
+
+    if (error) {
+        console.error('Start two-factor enrollment error:', error);
+        throw { statusCode: 500, message: 'Failed to start two-factor setup' };
+    }
+
+    return {
+        secret,
+        otpauthUrl: buildProvisioningUri(secret, user.email, config.twoFactor.issuer),
+    };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {Object} user - User row
+ * @param {string} code - Current TOTP code
+ * @returns {Object} { recoveryCodes }
+ */
+const confirmEnrollment = async (user, code) => {
+    if (user.two_factor_enabled) {
+        throw { statusCode: 409, message: 'Two-factor authentication is already enabled' };
+    }
+
+    const record = await getRecord(user.id);
+    if (!record?.pending_secret_encrypted) {
+        throw { statusCode: 400, message: 'Start two-factor setup first' };
+    }
+
+    const step = verifyCode(decryptSecret(record.pending_secret_encrypted), code);
+    if (step === null) {
+        throw { statusCode: 400, message: 'Invalid verification code' };
+    }
+
+    const now = new Date().toISOString();
+
+    const { error } = await supabase
+        .from('user_two_factor')
+        .update({
+            secret_encrypted: record.pending_secret_encrypted,
+            pending_secret_encrypted: null,
+            last_used_step: step,
+            enabled_at: now,
+            updated_at: now,
+        })
+        .eq('user_id', user.id);
+
+    if (error) {
+        console.error('Enable two-factor error:', error);
+        throw { statusCode: 500, message: 'Failed to enable two-factor authentication' };
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(user.id);
+
+    await supabase
+        .from('users')
+        .update({ two_factor_enabled: true, updated_at: now })
+        .eq('id', user.id);
+
+    return { recoveryCodes };
+};
+
+/**
+ * Check a TOTP code or recovery code
+ * @param {string} userId - User ID
+ * @param {Object|null} record - Two-factor record
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {string} Method used (totp or recovery_code)
+ */
+const checkSecondFactor = async (userId, record, { code, recoveryCode }) => {
+    if (recoveryCode) {
+        const { data: used } = await supabase
+            .from('user_recovery_codes')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .eq('code_hash', hashRecoveryCode(recoveryCode))
+            .is('used_at', null)
+            .select('id');
+
+        if (!used || used.length === 0) {
+            throw { statusCode: 401, message: 'Invalid recovery code' };
+        }
+
+        return 'recovery_code';
+    }
+
+    if (!record?.secret_encrypted) {
+        throw { statusCode: 400, message: 'Two-factor authentication is not enabled' };
+    }
+
+    const step = verifyCode(decryptSecret(record.secret_encrypted), code);
+    if (step === null || (record.last_used_step !== null && step <= Number(record.last_used_step))) {
+        throw { statusCode: 401, message: 'Invalid verification code' };
+    }
+
+    // Conditional so the same code can't be accepted twice concurrently
+    const { data: accepted } = await supabase
+        .from('user_two_factor')
+        .update({ last_used_step: step, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+        .select('user_id');
+
+    if (!accepted || accepted.length === 0) {
+        throw { statusCode: 401, message: 'Invalid verification code' };
+    }
+
+    return 'totp';
+};
+
+/**
+ * Count a wrong code against the user
+ * @param {string} userId - User ID
+ * @returns {Object} Error to throw (429 once the user is locked out)
+ */
+const recordFailure = async (userId) => {
+    const { data: failure, error } = await supabase
+        .rpc('record_two_factor_failure', {
+            p_user_id: userId,
+            p_max_attempts: config.twoFactor.maxAttempts,
+            p_lockout_seconds: Math.ceil(config.twoFactor.lockoutMs / 1000),
+        })
+        .single();
+
+    if (error) {
+        console.error('Record two-factor failure error:', error);
+    }
+
+    if (failure?.locked) {
+        // Outstanding sign-ins have to start over after the lockout
+        await supabase.from('two_factor_challenges').delete().eq('user_id', userId);
+        return { statusCode: 429, message: LOCKED_MESSAGE };
+    }
+
+    return null;
+};
+
+/**
+ * Verify a second factor: a TOTP code or an unused recovery code
+ * Each TOTP code and recovery code is accepted only once. Wrong codes count
+ * against the user, and reaching the limit locks second-factor checks out.
+ * @param {string} userId - User ID
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {string} Method used (totp or recovery_code)
+ */
+const verifySecondFactor = async (userId, factor) => {
+    const record = await getRecord(userId);
+
+    if (record?.locked_until && new Date(record.locked_until) > new Date()) {
+        throw { statusCode: 429, message: LOCKED_MESSAGE };
+    }
+
+    let method;
+    try {
+        method = await checkSecondFactor(userId, record, factor);
+    } catch (error) {
+        if (error.statusCode === 401) {
+            throw (await recordFailure(userId)) || error;
+        }
+        throw error;
+    }
+
+    await supabase
+        .from('user_two_factor')
+        .update({ failed_attempts: 0, locked_until: null })
+        .eq('user_id', userId);
+
+    return method;
+};
+
+/**
+ * Turn off two-factor authentication
+ * Not allowed while a workspace the user belongs to requires it
+ * @param {Object} user - User row
+ * @param {Object} factor - { code } or { recoveryCode }
+ */
+const disable = async (user, factor) => {
+    if (!user.two_factor_enabled) {
+        throw { statusCode: 400, message: 'Two-factor authentication is not enabled' };
+    }
+
+    const requiredBy = await getEnforcingWorkspaces(user.id);
+    if (requiredBy.length > 0) {
+        throw {
+            statusCode: 403,
+            message: `Two-factor authentication is required by ${requiredBy.map((w) => w.name).join(', ')}`,
+        };
+    }
+
+    await verifySecondFactor(user.id, factor);
+
+    await supabase
+        .from('users')
+        .update({ two_factor_enabled: false, updated_at: new Date().toISOString() })
+        .eq('id', user.id);
+
+    await supabase.from('user_two_factor').delete().eq('user_id', user.id);
+    await supabase.from('user_recovery_codes').delete().eq('user_id', user.id);
+};
+
+/**
+ * Replace the user's recovery codes after verifying a second factor
+ * @param {Object} user - User row
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Object} { recoveryCodes }
+ */
+const regenerateRecoveryCodes = async (user, factor) => {
+    if (!user.two_factor_enabled) {
+        throw { statusCode: 400, message: 'Two-factor authentication is not enabled' };
+    }
+
+    await verifySecondFactor(user.id, factor);
+
+    return { recoveryCodes: await replaceRecoveryCodes(user.id) };
+};
+
+/**
+ * Start the second step of a sign-in
+ * @param {Object} user - User who passed the first factor
+ * @param {string} method - First-factor method
+ * @returns {Object} Challenge response
+ */
+const createChallenge = async (user, method) => {
+    const challengeId = crypto.randomUUID();
+    const challengeToken = generateChallengeToken(user, method, challengeId);
+
+    // Expired challenges are cleared as new ones are issued
+    await supabase
+        .from('two_factor_challenges')
+        .delete()
+        .eq('user_id', user.id)
+        .lt('expires_at', new Date().toISOString());
+
+    const { error } = await supabase
+        .from('two_factor_challenges')
+        .insert({
+            id: challengeId,
+            user_id: user.id,
+            method,
+            expires_at: new Date(verifyToken(challengeToken).exp * 1000).toISOString(),
+        });
+
+    if (error) {
+        console.error('Create two-factor challenge error:', error);
+        throw { statusCode: 500, message: 'Failed to start two-factor sign-in' };
+    }
+
+    return {
+        twoFactorRequired: true,
+        challengeToken,
+        expiresIn: config.twoFactor.challengeExpiresIn,
+    };
+};
+
+/**
+ * Read a challenge token that hasn't been used yet
+ * @param {string} challengeToken - Token from createChallenge
+ * @returns {Object} { userId, method, challengeId }
+ */
+const verifyChallenge = async (challengeToken) => {
+    let decoded;
+    try {
+        decoded = verifyToken(challengeToken);
+    } catch (error) {
+        throw { statusCode: 401, message: CHALLENGE_ERROR };
+    }
+
+    if (decoded.type !== 'two_factor_challenge' || !decoded.jti) {
+        throw { statusCode: 401, message: CHALLENGE_ERROR };
+    }
+
+    const { data: challenge } = await supabase
+        .from('two_factor_challenges')
+        .select('id')
+        .eq('id', decoded.jti)
+        .eq('user_id', decoded.userId)
+        .single();
+
+    if (!challenge) {
+        throw { statusCode: 401, message: CHALLENGE_ERROR };
+    }
+
+    return { userId: decoded.userId, method: decoded.method, challengeId: decoded.jti };
+};
+
+/**
+ * Use up a challenge once its sign-in has succeeded
+ * Conditional delete, so two requests racing with one token can't both win
+ * @param {string} challengeId - Challenge ID (token jti)
+ */
+const consumeChallenge = async (challengeId) => {
+    const { data: consumed } = await supabase
+        .from('two_factor_challenges')
+        .delete()
+        .eq('id', challengeId)
+        .select('id');
+
+    if (!consumed || consumed.length === 0) {
+        throw { statusCode: 401, message: CHALLENGE_ERROR };
+    }
+};
+
+module.exports = {
+    TWO_FACTOR_REQUIRED_MESSAGE,
+    isTwoFactorMissing,
+    assertWorkspaceTwoFactor,
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    disable,
+    regenerateRecoveryCodes,
+    createChallenge,
+    verifyChallenge,
+    consumeChallenge,
+};
@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { supabase } = require('../config/supabase');
+const config = require('../config/environment');
+const storage = require('./storage');
+const fileService = require('./file.service');
+const fileSecurityService = require('./file-security.service');
+const quotaService = require('./quota.service');
+
+const SESSION_FIELDS = 'id, workspace_id, channel_id, dm_group_id, uploader_id, file_name, mime_type, '
+    + 'total_size, received_bytes, checksum_sha256, storage_provider, status, file_id, expires_at, created_at';
+
+/**
+ * Shape an upload session for API responses
+ * @param {Object} session - Session row
+ * @returns {Object} Public session
+ */
+const formatSession = (session) => ({
+    id: session.id,
+    fileName: session.file_name,
+    mimeType: session.mime_type,
+    size: Number(session.total_size),
+    offset: Number(session.received_bytes),
+    status: session.status,
+    fileId: session.file_id,
+    maxChunkSize: config.upload.resumable.maxChunkSize,
+    expiresAt: session.expires_at,
+});
+
+/**
+ * Get an upload session owned by a user
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @returns {Object} Session row
+ */
+const getOwnedSession = async (sessionId, userId) => {
+    const { data: session, error } = await supabase
+        .from('file_upload_sessions')
+        .select(SESSION_FIELDS)
+        .eq('id', sessionId)
+        .single();
+
+    if (error || !session || session.uploader_id !== userId) {
+        throw { statusCode: 404, message: 'Upload not found' };
+    }
+
+    return session;
+};
+
+/**
+ * Ensure a session still accepts data
+ * @param {Object} session - Session row
+ */
+const assertUploading = (session) => {
+    if (session.status !== 'uploading') {
+        throw { statusCode: 409, message: `Upload is ${session.status}` };
+    }
+
+    if (new Date(session.expires_at) < new Date()) {
+        throw { statusCode: 410, message: 'Upload session has expired' };
+    }
+};
+
+/**
+ * Get the chunks of a session in offset order
+ * @param {string} sessionId - Session ID
+ * @returns {Array} Chunk rows
+ */
+const getChunks = async (sessionId) => {
+    const { data, error } = await supabase
+        .from('file_upload_chunks')
+        .select('byte_offset, size, storage_key')
+        .eq('session_id', sessionId)
+        .order('byte_offset', { ascending: true });
+
+    if (error) {
+        throw { statusCode: 500, message: 'Failed to fetch upload chunks' };
+    }
+
+    return data || [];
+};
+
+/**
+ * Stream the session's chunks back to back
+ * @param {Object} driver - Storage driver holding the chunks
+ * @param {Array} chunks - Chunk rows in offset order
+ * @returns {Readable} Assembled file stream
+ */
+const assembleChunks = (driver, chunks) => {
+    return Readable.from((async function* () {
+        for (const chunk of chunks) {
+            for await (const data of await driver.get(chunk.storage_key)) {
+                yield data;
+            }
+        }
+    })());
+};
+
+/**
+ * Delete stored chunk objects (best effort)
+ * @param {Object} driver - Storage driver
+ * @param {Array} chunks - Chunk rows
+ */
+const deleteChunkObjects = async (driver, chunks) => {
+    for (const chunk of chunks) {
+        await driver.delete(chunk.storage_key)
+            .catch((error) => console.error('Delete upload chunk error:', error));
+    }
+};
+
+/**
+ * Start a resumable upload
+ * @param {Object} uploadData - { workspaceId, channelId, dmGroupId, fileName, mimeType, size, checksum }
+ * @param {string} userId - Uploader ID
+ * @returns {Object} Upload session
+ */
+const createUploadSession = async (uploadData, userId) => {
+    const { workspaceId, channelId, dmGroupId, fileName, mimeType, size, checksum } = uploadData;
+
+    if (size > config.upload.resumable.maxFileSize) {
+        throw { statusCode: 413, message: 'File is too large' };
+    }
+
+    // The uploader must be able to see where the file is going
+    await fileService.checkUploadTarget({ workspaceId, channelId, dmGroupId }, userId);
+
+    // Reject disallowed types and over-quota uploads before any bytes are sent
+    await fileSecurityService.checkDeclaredFileType(workspaceId, { fileName, declaredMimeType: mimeType });
+    await quotaService.assertWithinQuota(workspaceId, userId, size);
+
+    const driver = await storage.getWorkspaceDriver(workspaceId);
+
+    const { data: session, error } = await supabase
+        .from('file_upload_sessions')
+        .insert({
+            workspace_id: workspaceId,
+            channel_id: channelId || null,
+            dm_group_id: dmGroupId || null,
+            uploader_id: userId,
+            file_name: fileName,
+            mime_type: mimeType,
+            total_size: size,
+            checksum_sha256: checksum ? checksum.toLowerCase() : null,
+            storage_provider: driver.name,
+            expires_at: new Date(Date.now() + config.upload.resumable.sessionTtlMs).toISOString(),
+        })
+        .select(SESSION_FIELDS)
+        .single();
+
+    if (error) {
+        console.error('Create upload session error:', error);
+        throw { statusCode: 500, message: 'Failed to start upload' };
+    }
+
+    return formatSession(session);
+};
+
+/**
+ * Get an upload session (clients call this to find the offset to resume from)
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @returns {Object} Upload session
+ */
+const getUploadSession = async (sessionId, userId) => {
+    return formatSession(await getOwnedSession(sessionId, userId));
+};
+
+/**
+ * Append a chunk at the given offset
+ * The offset must equal the bytes received so far; on mismatch the client
+ * should re-read the session and resume from its offset
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @param {number} offset - Byte offset of this chunk
+ * @param {Buffer} chunk - Chunk contents
+ * @param {string} chunkChecksum - Optional SHA-256 hex of the chunk
+ * @returns {Object} Upload session
+ */
+const appendChunk = async (sessionId, userId, offset, chunk, chunkChecksum) => {
+    const session = await getOwnedSession(sessionId, userId);
+    assertUploading(session);
+
+    const received = Number(session.received_bytes);
+    const total = Number(session.total_size);
+
+    if (offset !== received) {
+        throw { statusCode: 409, message: `Offset mismatch, expected ${received}`, offset: received };
+    }
+
+    if (!chunk.length || chunk.length > config.upload.resumable.maxChunkSize) {
+        throw { statusCode: 400, message: `Chunks must be between 1 and ${config.upload.resumable.maxChunkSize} bytes` };
+    }
+
+    if (received + chunk.length > total) {
+        throw { statusCode: 400, message: 'Chunk exceeds declared file size' };
+    }
+
+    if (chunkChecksum) {
+        const digest = crypto.createHash('sha256').update(chunk).digest('hex');
+        if (digest !== chunkChecksum.toLowerCase()) {
+            throw { statusCode: 422, message: 'Chunk checksum mismatch' };
+        }
+    }
+
+    const driver = storage.getDriver(session.storage_provider);
+    // Unique key so a losing duplicate request can't clobber the winner's chunk
+    const stored = await driver.put(`uploads/${session.id}/${offset}-${crypto.randomUUID()}`, chunk, {
+        mimeType: 'application/octet-stream',
+    });
+
+    // The primary key on (session_id, byte_offset) rejects a concurrent duplicate
+    const { error: chunkError } = await supabase
+        .from('file_upload_chunks')
+        .insert({ session_id: session.id, byte_offset: offset, size: chunk.length, storage_key: stored.key });
+
+    if (chunkError) {
+        await deleteChunkObjects(driver, [{ storage_key: stored.key }]);
+        throw { statusCode: 409, message: 'Chunk already received, re-read the upload offset' };
+    }
+
+    const { data: updated, error } = await supabase
+        .from('file_upload_sessions')
+        .update({ received_bytes: received + chunk.length, updated_at: new Date().toISOString() })
+        .eq('id', session.id)
+        .eq('received_bytes', received)
+        .select(SESSION_FIELDS)
+        .single();
+
+    if (error || !updated) {
+        throw { statusCode: 409, message: 'Upload changed concurrently, re-read the upload offset' };
+    }
+
+    return formatSession(updated);
+};
+
+/**
+ * Verify and finalize an upload into a file record
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @param {string} checksum - Optional SHA-256 hex of the whole file (overrides the one given at start)
+ * @returns {Object} File record
+ */
+const completeUpload = async (sessionId, userId, checksum) => {
+    const session = await getOwnedSession(sessionId, userId);
+    assertUploading(session);
+
+    if (Number(session.received_bytes) !== Number(session.total_size)) {
+        throw { statusCode: 409, message: `Upload incomplete, ${session.received_bytes} of ${session.total_size} bytes received` };
+    }
+
+    // Claim the session so a retried complete request doesn't finalize twice
+    const { data: claimed } = await supabase
+        .from('file_upload_sessions')
+        .update({ status: 'completing', updated_at: new Date().toISOString() })
+        .eq('id', session.id)
+        .eq('status', 'uploading')
+        .select('id')
+        .single();
+
+    if (!claimed) {
+        throw { statusCode: 409, message: 'Upload is already being completed' };
+    }
+
+    const driver = storage.getDriver(session.storage_provider);
+    const chunks = await getChunks(session.id);
+    const expected = (checksum || session.checksum_sha256 || '').toLowerCase();
+
+    try {
+        if (expected) {
+            const hash = crypto.createHash('sha256');
+            for await (const data of assembleChunks(driver, chunks)) {
+                hash.update(data);
+            }
+
+            if (hash.digest('hex') !== expected) {
+                throw { statusCode: 422, message: 'File checksum mismatch' };
+            }
+        }
+
+        const file = await fileService.uploadFile(
+            assembleChunks(driver, chunks),
+            session.file_name,
+            session.mime_type,
+            {
+                workspaceId: session.workspace_id,
+                channelId: session.channel_id,
+                dmGroupId: session.dm_group_id,
+                uploaderId: session.uploader_id,
+                size: Number(session.total_size),
+            }
+        );
+
+        await supabase
+            .from('file_upload_sessions')
+            .update({ status: 'completed', file_id: file.id, updated_at: new Date().toISOString() })
+            .eq('id', session.id);
+
+        await deleteChunkObjects(driver, chunks);
+        await supabase.from('file_upload_chunks').delete().eq('session_id', session.id);
+
+        return file;
+    } catch (error) {
+        await supabase
+            .from('file_upload_sessions')
+            .update({ status: 'failed', updated_at: new Date().toISOString() })
+            .eq('id', session.id);
+
+        await deleteChunkObjects(driver, chunks);
+
+        if (error.statusCode) throw error;
+        console.error('Complete upload error:', error);
+        throw { statusCode: 500, message: 'Failed to complete upload' };
+    }
+};
+
+/**
+ * Abort an upload and discard its chunks
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ */
+const abortUpload = async (sessionId, userId) => {
+    const session = await getOwnedSession(sessionId, userId);
+
+    if (session.status === 'completed') {
+        throw { statusCode: 409, message: 'Upload is already completed' };
+    }
+
+    const driver = storage.getDriver(session.storage_provider);
+    await deleteChunkObjects(driver, await getChunks(session.id));
+
+    await supabase
+        .from('file_upload_sessions')
+        .update({ status: 'aborted', updated_at: new Date().toISOString() })
+        .eq('id', session.id);
+
+    await supabase.from('file_upload_chunks').delete().eq('session_id', session.id);
+};
+
+/**
+ * Fail uploads that expired before completing and discard their chunks
+ * Run by the scheduler. Sessions are claimed by their status change, so any
+ * number of workers can run this.
+ * @returns {number} Sessions expired
+ */
+const expireStaleUploads = async () => {
+    const now = new Date().toISOString();
+
+    const { data: stale, error } = await supabase
+        .from('file_upload_sessions')
+        .select('id, storage_provider')
+        .eq('status', 'uploading')
+        .lt('expires_at', now)
+        .limit(config.scheduler.batchSize);
+
+    if (error) {
+        console.error('Fetch expired uploads error:', error);
+        return 0;
+    }
+
+    let expired = 0;
+
+    for (const session of stale || []) {
+        const { data: claimed } = await supabase
+            .from('file_upload_sessions')
+            .update({ status: 'failed', updated_at: now })
+            .eq('id', session.id)
+            .eq('status', 'uploading')
+            .select('id')
+            .single();
+
+        if (!claimed) continue;
+
+        await deleteChunkObjects(storage.getDriver(session.storage_provider), await getChunks(session.id));
+        await supabase.from('file_upload_chunks').delete().eq('session_id', session.id);
+
+        expired += 1;
+    }
+
+    return expired;
+};
+
+module.exports = {
+    createUploadSession,
+    getUploadSession,
+    appendChunk,
+    completeUpload,
+    abortUpload,
+    expireStaleUploads,
+};
@@ -0,0 +1,621 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/environment');
+const { supabase } = require('../config/supabase');
+const { assertPublicUrl, postJson } = require('../utils/outbound-http.utils');
+
+// Webhook directions: outgoing posts events out, incoming accepts messages in
+const WEBHOOK_TYPES = ['outgoing', 'incoming'];
+
+// Events that outgoing webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+    'message.created',
+    'message.updated',
+    'message.deleted',
+    'reaction.added',
+    'channel.created',
+    'channel.updated',
+    'channel.archived',
+    'channel.unarchived',
+    'channel.deleted',
+    'member.joined',
+    'member.left',
+];
+
+// Delivery settings
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 2000; // 2s, 4s, 8s, 16s
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Delivery log fields exposed through the API (never the receiver's response)
+const DELIVERY_FIELDS = 'id, webhook_id, delivery_id, event, attempt, status_code, success, error, duration_ms, next_retry_at, created_at';
+
+/**
+ * Generate a webhook signing secret
+ * @returns {string} Secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Generate an incoming webhook URL token
+ * @returns {string} Token
+ */
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Sign a webhook payload
+ * The signature covers the timestamp so receivers can reject replays
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix timestamp (seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+const signPayload = (secret, timestamp, body) => {
+    const hmac = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+
+    return `sha256=${hmac}`;
+};
+
+/**
+ * Remove credentials from a webhook record
+ * @param {Object} webhook - Webhook record
+ * @returns {Object} Webhook without secret or token
+ */
+const sanitizeWebhook = (webhook) => {
+    const { secret, token, ...rest } = webhook;
+    return rest;
+};
+
+/**
+ * Create a webhook
+ * Outgoing webhooks get a signing secret, incoming webhooks get a URL token
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} webhookData - Webhook data
+ * @param {string} createdBy - Creator user ID
+ * @returns {Object} Created webhook (credentials included once)
+ */
+const createWebhook = async (workspaceId, webhookData, createdBy) => {
+    const { name, description, url, events, channelId, type = 'outgoing' } = webhookData;
+    const isIncoming = type === 'incoming';
+
+    if (isIncoming && !channelId) {
+        throw { statusCode: 400, message: 'Incoming webhooks must be bound to a channel' };
+    }
+
+    if (!isIncoming) {
+        await assertPublicUrl(url);
+    }
+
+    if (channelId) {
+        const { data: channel } = await supabase
+            .from('channels')
+            .select('id')
+            .eq('id', channelId)
+            .eq('workspace_id', workspaceId)
+            .single();
+
+        if (!channel) {
+            throw { statusCode: 400, message: 'Channel not found in this workspace' };
+        }
+    }
+
+    const { data: webhook, error } = await supabase
+        .from('webhooks')
+        .insert({
+            workspace_id: workspaceId,
+            channel_id: channelId || null,
+            name,
+            description: description || null,
+            type,
+            url: isIncoming ? null : url,
+            token: isIncoming ? generateToken() : null,
+            secret: isIncoming ? null : generateSecret(),
+            events: isIncoming ? [] : events,
+            is_active: true,
+            created_by: createdBy,
+            trigger_count: 0,
+        })
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Create webhook error:', error);
+        throw { statusCode: 500, message: 'Failed to create webhook' };
+    }
+
+    // Credentials are only returned on creation and rotation
+    return webhook;
+};
+
+/**
+ * Get webhooks for a workspace
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} type - Optional type filter (outgoing/incoming)
+ * @returns {Array} List of webhooks
+ */
+const getWorkspaceWebhooks = async (workspaceId, type) => {
+    let query = supabase
+        .from('webhooks')
+        .select('*')
+        .eq('workspace_id', workspaceId)
+        .order('created_at', { ascending: false });
+
+    if (type) {
+        query = query.eq('type', type);
+    }
+
+    const { data: webhooks, error } = await query;
+
+    if (error) {
+        console.error('Get webhooks error:', error);
+        throw { statusCode: 500, message: 'Failed to get webhooks' };
+    }
+
+    return webhooks.map(sanitizeWebhook);
+};
+
+/**
+ * Get a webhook by ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Object} Webhook (with credentials, for internal use)
+ */
+const findWebhook = async (workspaceId, webhookId) => {
+    const { data: webhook, error } = await supabase
+        .from('webhooks')
+        .select('*')
+        .eq('id', webhookId)
+        .eq('workspace_id', workspaceId)
+        .single();
+
+    if (error || !webhook) {
+        throw { statusCode: 404, message: 'Webhook not found' };
+    }
+
+    return webhook;
+};
+
+/**
+ * Get a webhook by ID
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Object} Webhook
+ */
+const getWebhookById = async (workspaceId, webhookId) => {
+    const webhook = await findWebhook(workspaceId, webhookId);
+    return sanitizeWebhook(webhook);
+};
+
+/**
+ * Update a webhook
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} updateData - Update data
+ * @returns {Object} Updated webhook
+ */
+const updateWebhook = async (workspaceId, webhookId, updateData) => {
+    const { name, description, url, events, isActive } = updateData;
+
+    const existing = await findWebhook(workspaceId, webhookId);
+    const isIncoming = existing.type === 'incoming';
+
+    if (url && !isIncoming) {
+        await assertPublicUrl(url);
+    }
+
+    const updateFields = {};
+    if (name) updateFields.name = name;
+    if (description !== undefined) updateFields.description = description;
+    if (url && !isIncoming) updateFields.url = url;
+    if (events && !isIncoming) updateFields.events = events;
+    if (isActive !== undefined) updateFields.is_active = isActive;
+
+    const { data: webhook, error } = await supabase
+        .from('webhooks')
+        .update(updateFields)
+        .eq('id', webhookId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Update webhook error:', error);
+        throw { statusCode: 500, message: 'Failed to update webhook' };
+    }
+
+    return sanitizeWebhook(webhook);
+};
+
+/**
+ * Rotate webhook credentials
+ * Outgoing webhooks get a new signing secret, incoming webhooks a new URL token
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {Object} Webhook with new credentials
+ */
+const rotateSecret = async (workspaceId, webhookId) => {
+    const existing = await findWebhook(workspaceId, webhookId);
+
+    const updateFields = existing.type === 'incoming'
+        ? { token: generateToken() }
+        : { secret: generateSecret() };
+
+    const { data: webhook, error } = await supabase
+        .from('webhooks')
+        .update(updateFields)
+        .eq('id', webhookId)
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Rotate webhook secret error:', error);
+        throw { statusCode: 500, message: 'Failed to rotate webhook secret' };
+    }
+
+    return webhook;
+};
+
+/**
+ * Delete a webhook
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @returns {boolean} Success status
+ */
+const deleteWebhook = async (workspaceId, webhookId) => {
+    await findWebhook(workspaceId, webhookId);
+
+    const { error } = await supabase
+        .from('webhooks')
+        .delete()
+        .eq('id', webhookId);
+
+    if (error) {
+        console.error('Delete webhook error:', error);
+        throw { statusCode: 500, message: 'Failed to delete webhook' };
+    }
+
+    return true;
+};
+
+/**
+ * Get delivery attempts for a webhook
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} options - Pagination options
+ * @returns {Object} Paginated delivery attempts
+ */
+const getDeliveries = async (workspaceId, webhookId, { page = 1, limit = 20 }) => {
+    await findWebhook(workspaceId, webhookId);
+
+    const offset = (page - 1) * limit;
+
+    const { data, error, count } = await supabase
+        .from('webhook_deliveries')
+        .select(DELIVERY_FIELDS, { count: 'exact' })
+        .eq('webhook_id', webhookId)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        console.error('Get webhook deliveries error:', error);
+        throw { statusCode: 500, message: 'Failed to get webhook deliveries' };
+    }
+
+    return {
+        deliveries: data || [],
+        total: count,
+        page,
+        limit,
+    };
+};
+
+/**
+ * Record a delivery attempt
+ * @param {Object} attempt - Attempt details
+ */
+const logDeliveryAttempt = async (attempt) => {
+    const { error } = await supabase
+        .from('webhook_deliveries')
+        .insert(attempt);
+
+    if (error) {
+        console.error('Log webhook delivery error:', error);
+    }
+};
+
+/**
+ * POST a payload to a webhook URL once
+ * The receiver's response body is discarded; only status and timing are kept
+ * @param {Object} webhook - Webhook record
+ * @param {Object} payload - Event payload
+ * @returns {Object} Attempt result
+ */
+const sendRequest = async (webhook, payload) => {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+
+    try {
+        const response = await postJson(webhook.url, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Nextus-Webhooks/1.0',
+                'X-Nextus-Event': payload.event,
+                'X-Nextus-Delivery': payload.id,
+                'X-Nextus-Timestamp': timestamp,
+                'X-Nextus-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+            body,
+            timeoutMs: DELIVERY_TIMEOUT_MS,
+        });
+
+        return {
+            success: response.ok,
+            statusCode: response.status,
+            error: response.ok ? null : `HTTP ${response.status}`,
+            durationMs: Date.now() - startedAt,
+        };
+    } catch (error) {
+        return {
+            success: false,
+            statusCode: null,
+            error: error.code === 'EADDRBLOCKED' ? 'Webhook URL points to a non-public address' : error.message,
+            durationMs: Date.now() - startedAt,
+            // The address won't become public by retrying
+            blocked: error.code === 'EADDRBLOCKED',
+        };
+    }
+};
+
+/**
+ * Deliver a payload, scheduling failures for retry with exponential backoff
+ * Retries are stored in webhook_retries and picked up by the scheduler,
+ * so they survive restarts.
+ * @param {Object} webhook - Webhook record
+ * @param {Object} payload - Event payload
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {Object} Result of this attempt
+ */
+const deliver = async (webhook, payload, attempt = 1) => {
+    const result = await sendRequest(webhook, payload);
+
+    // 4xx other than 408/429 means the receiver rejected the payload; retrying won't help
+    const retryable = !result.success && !result.blocked
+        && (result.statusCode === null || result.statusCode >= 500 || [408, 429].includes(result.statusCode));
+    const willRetry = retryable && attempt < MAX_ATTEMPTS;
+    const retryAt = willRetry
+        ? new Date(Date.now() + BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1)).toISOString()
+        : null;
+
+    await logDeliveryAttempt({
+        webhook_id: webhook.id,
+        delivery_id: payload.id,
+        event: payload.event,
+        attempt,
+        status_code: result.statusCode,
+        success: result.success,
+        error: result.error,
+        duration_ms: result.durationMs,
+        next_retry_at: retryAt,
+    });
+
+    if (willRetry) {
+        const { error } = await supabase
+            .from('webhook_retries')
+            .insert({
+                webhook_id: webhook.id,
+                payload,
+                attempt: attempt + 1,
+                retry_at: retryAt,
+            });
+
+        if (error) {
+            console.error('Schedule webhook retry error:', error);
+        }
+    }
+
+    return {
+        success: result.success,
+        statusCode: result.statusCode,
+        error: result.error,
+        durationMs: result.durationMs,
+        attempt,
+        willRetry,
+    };
+};
+
+/**
+ * Claim a due retry by extending its lease
+ * Conditional on the lease seen when loading, so only one worker wins
+ * @param {Object} row - Retry row
+ * @returns {Object|null} Claimed row, or null if another worker got it
+ */
+const claimRetry = async (row) => {
+    let query = supabase
+        .from('webhook_retries')
+        .update({ locked_until: new Date(Date.now() + config.scheduler.leaseMs).toISOString() })
+        .eq('id', row.id);
+
+    query = row.locked_until ? query.eq('locked_until', row.locked_until) : query.is('locked_until', null);
+
+    const { data: claimed } = await query.select('*').single();
+    return claimed || null;
+};
+
+/**
+ * Re-deliver webhook payloads whose retry time has come
+ * Run by the scheduler. A retry interrupted by a crash is picked up again
+ * once its lease expires, so receivers may see a delivery ID twice.
+ * @returns {number} Retries processed
+ */
+const retryDueDeliveries = async () => {
+    const now = new Date().toISOString();
+
+    const { data: due, error } = await supabase
+        .from('webhook_retries')
+        .select('*')
+        .lte('retry_at', now)
+        .or(`locked_until.is.null,locked_until.lt.${now}`)
+        .order('retry_at', { ascending: true })
+        .limit(config.scheduler.batchSize);
+
+    if (error) {
+        console.error('Fetch due webhook retries error:', error);
+        return 0;
+    }
+
+    let processed = 0;
+
+    for (const row of due || []) {
+        const claimed = await claimRetry(row);
+        if (!claimed) continue;
+
+        const { data: webhook } = await supabase
+            .from('webhooks')
+            .select('*')
+            .eq('id', claimed.webhook_id)
+            .single();
+
+        // Disabled or deleted since the first attempt: drop the retry
+        if (webhook && webhook.is_active && webhook.type === 'outgoing') {
+            try {
+                await deliver(webhook, claimed.payload, claimed.attempt);
+            } catch (deliveryError) {
+                console.error('Webhook retry error:', deliveryError);
+            }
+        }
+
+        await supabase
+            .from('webhook_retries')
+            .delete()
+            .eq('id', claimed.id);
+
+        processed += 1;
+    }
+
+    return processed;
+};
+
+/**
+ * Dispatch an event to all matching outgoing webhooks
+ * Never throws - webhook failures must not break the calling request
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} event - Event name (e.g. message.created)
+ * @param {Object} data - Event data
+ * @param {Object} options - Dispatch options
+ * @param {string} options.channelId - Channel the event happened in
+ * @param {boolean} options.isPrivate - Whether that channel is private, when the caller already knows
+ */
+const dispatchEvent = async (workspaceId, event, data, { channelId, isPrivate } = {}) => {
+    if (!workspaceId) return;
+
+    try {
+        const { data: webhooks, error } = await supabase
+            .from('webhooks')
+            .select('*')
+            .eq('workspace_id', workspaceId)
+            .eq('type', 'outgoing')
+            .eq('is_active', true)
+            .contains('events', [event]);
+
+        if (error) {
+            console.error('Load webhooks error:', error);
+            return;
+        }
+
+        // Channel-bound webhooks only receive events from their channel
+        let targets = (webhooks || []).filter((w) => !w.channel_id || w.channel_id === channelId);
+
+        // Private channel events only go to webhooks bound to that channel
+        if (channelId && targets.some((w) => !w.channel_id)) {
+            let privateChannel = isPrivate;
+
+            if (privateChannel === undefined) {
+                const { data: channel } = await supabase
+                    .from('channels')
+                    .select('is_private')
+                    .eq('id', channelId)
+                    .single();
+
+                // Unknown channels are treated as private
+                privateChannel = channel ? channel.is_private === true : true;
+            }
+
+            if (privateChannel) {
+                targets = targets.filter((w) => w.channel_id === channelId);
+            }
+        }
+
+        for (const webhook of targets) {
+            const payload = {
+                id: uuidv4(),
+                event,
+                workspaceId,
+                channelId: channelId || null,
+                createdAt: new Date().toISOString(),
+                data,
+            };
+
+            await supabase
+                .from('webhooks')
+                .update({
+                    trigger_count: (webhook.trigger_count || 0) + 1,
+                    last_triggered_at: new Date().toISOString(),
+                })
+                .eq('id', webhook.id);
+
+            deliver(webhook, payload).catch((deliveryError) => {
+                console.error('Webhook delivery error:', deliveryError);
+            });
+        }
+    } catch (error) {
+        console.error('Dispatch webhook event error:', error);
+    }
+};
+
+/**
+ * Send a test event to a webhook and wait for the first attempt
+ * @param {string} workspaceId - Workspace ID
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} user - Requesting user
+ * @returns {Object} Result of the first attempt
+ */
+const sendTestEvent = async (workspaceId, webhookId, user) => {
+    const webhook = await findWebhook(workspaceId, webhookId);
+
+    if (webhook.type === 'incoming') {
+        throw { statusCode: 400, message: 'Only outgoing webhooks can be tested' };
+    }
+
+    const payload = {
+        id: uuidv4(),
+        event: 'webhook.test',
+        workspaceId,
+        channelId: webhook.channel_id,
+        createdAt: new Date().toISOString(),
+        data: {
+            message: 'This is a test event from Nextus',
+            triggeredBy: user.id,
+        },
+    };
+
+    return deliver(webhook, payload);
+};
+
+module.exports = {
+    WEBHOOK_TYPES,
+    WEBHOOK_EVENTS,
+    signPayload,
+    createWebhook,
+    getWorkspaceWebhooks,
+    getWebhookById,
+    updateWebhook,
+    rotateSecret,
+    deleteWebhook,
+    getDeliveries,
+    dispatchEvent,
+    sendTestEvent,
+    retryDueDeliveries,
+};
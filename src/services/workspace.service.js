@@ -1,5 +1,6 @@
 const { supabase } = require('../config/supabase');
 const { generateUniqueSlug, isValidSlug } = require('../utils/slug.utils');
+const webhookService = require('./webhook.service');
 
 /**
  * Create a new workspace
@@ -148,18 +149,34 @@ const getWorkspaceById = async (workspaceId) => {
  * Update workspace
  * @param {string} workspaceId - Workspace ID
  * @param {Object} updateData - Update data
+ * @param {Object} actor - User making the change
  * @returns {Object} Updated workspace
  */
-const updateWorkspace = async (workspaceId, updateData) => {
+const updateWorkspace = async (workspaceId, updateData, actor) => {
     const { name, description, avatarUrl, settings } = updateData;
 
+    // An admin without 2FA would lock themselves out by requiring it
+    if (settings?.requireTwoFactor === true && !actor?.two_factor_enabled) {
+        throw { statusCode: 400, message: 'Enable two-factor authentication on your account before requiring it' };
+    }
+
     const updateFields = {};
     if (name) updateFields.name = name;
     if (description !== undefined) updateFields.description = description;
     if (avatarUrl !== undefined) updateFields.avatar_url = avatarUrl;
-    if (settings) updateFields.settings = settings;
     updateFields.updated_at = new Date().toISOString();
 
+    // Settings are merged so changing one (e.g. requireTwoFactor) keeps the rest
+    if (settings) {
+        const { data: current } = await supabase
+            .from('workspaces')
+            .select('settings')
+            .eq('id', workspaceId)
+            .single();
+
+        updateFields.settings = { ...(current?.settings || {}), ...settings };
+    }
+
     const { data: workspace, error } = await supabase
         .from('workspaces')
         .update(updateFields)
@@ -287,6 +304,8 @@ const inviteMember = async (workspaceId, { email, role = 'member' }, invitedBy)
             })
             .eq('id', existing.id);
 
+        webhookService.dispatchEvent(workspaceId, 'member.joined', { user, role, invitedBy });
+
         return { user, reactivated: true };
     }
 
@@ -306,6 +325,8 @@ const inviteMember = async (workspaceId, { email, role = 'member' }, invitedBy)
         throw { statusCode: 500, message: 'Failed to invite member' };
     }
 
+    webhookService.dispatchEvent(workspaceId, 'member.joined', { user, role, invitedBy });
+
     return { user, invited: true };
 };
 
@@ -338,6 +359,8 @@ const removeMember = async (workspaceId, userId) => {
         throw { statusCode: 500, message: 'Failed to remove member' };
     }
 
+    webhookService.dispatchEvent(workspaceId, 'member.left', { userId });
+
     return true;
 };
 
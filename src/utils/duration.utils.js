@@ -0,0 +1,39 @@
+const UNIT_MS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// "30m", "2 hours", "1h30m", "1 day 4 hours"
+const PART_PATTERN = /(\d+)\s*(s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|wks?|weeks?)(?![a-z])/gi;
+
+/**
+ * Parse a human duration into milliseconds
+ * @param {string} input - e.g. "30m", "2 hours", "1h30m"
+ * @returns {number|null} Milliseconds, or null if the input isn't a duration
+ */
+const parseDuration = (input) => {
+    const text = String(input || '').trim();
+    if (!text) return null;
+
+    let total = 0;
+    let matched = '';
+
+    for (const [part, amount, unit] of text.matchAll(PART_PATTERN)) {
+        total += parseInt(amount, 10) * UNIT_MS[unit[0].toLowerCase()];
+        matched += part;
+    }
+
+    // Reject anything with leftover words, e.g. "2 hours or so"
+    if (!matched || matched.replace(/\s/g, '') !== text.replace(/[\s,]|and/gi, '')) {
+        return null;
+    }
+
+    return total > 0 ? total : null;
+};
+
+module.exports = {
+    parseDuration,
+};
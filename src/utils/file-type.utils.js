@@ -0,0 +1,106 @@
+const path = require('path');
+const { Readable } = require('stream');
+const FileType = require('file-type');
+
+// Bytes needed to recognise every format file-type knows about
+const SNIFF_BYTES = 4100;
+
+// Types without magic bytes that are trusted as declared
+const TEXT_MIME_TYPES = ['application/json', 'application/xml', 'text/csv'];
+
+/**
+ * Whether a sniffed container type is a legitimate encoding of the declared type
+ * Office formats are detected as their container (OLE compound file or zip)
+ * @param {string} detected - Sniffed MIME type
+ * @param {string} declared - Client-declared MIME type
+ * @returns {boolean} Whether the declared type should be kept
+ */
+const isContainerOf = (detected, declared) => {
+    if (detected === 'application/x-cfb') {
+        return declared === 'application/msword' || declared.startsWith('application/vnd.ms-');
+    }
+    if (detected === 'application/zip') {
+        return declared.startsWith('application/vnd.openxmlformats') || declared.startsWith('application/vnd.oasis');
+    }
+    return false;
+};
+
+/**
+ * Detect a file's real MIME type from its leading bytes
+ * @param {Buffer} head - First bytes of the file (SNIFF_BYTES is enough)
+ * @param {string} declaredMimeType - Client-declared MIME type
+ * @returns {Object} { mimeType, detectedMimeType } - detectedMimeType is null when there is no signature
+ */
+const detectMimeType = async (head, declaredMimeType = '') => {
+    const detected = await FileType.fromBuffer(head);
+
+    if (detected) {
+        const mimeType = isContainerOf(detected.mime, declaredMimeType) ? declaredMimeType : detected.mime;
+        return { mimeType, detectedMimeType: detected.mime };
+    }
+
+    // Plain text formats have no signature
+    const isText = declaredMimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(declaredMimeType);
+
+    return {
+        mimeType: isText ? declaredMimeType : 'application/octet-stream',
+        detectedMimeType: null,
+    };
+};
+
+/**
+ * Match a file against an allow/deny list entry
+ * Entries are extensions ('.exe'), MIME wildcards ('image/*') or exact MIME types
+ * @param {string} pattern - List entry
+ * @param {string} mimeType - MIME type to test
+ * @param {string} fileName - File name to test
+ * @returns {boolean} Whether the entry matches
+ */
+const matchesFileTypePattern = (pattern, mimeType, fileName) => {
+    const entry = pattern.toLowerCase();
+
+    if (entry.startsWith('.')) {
+        return path.extname(fileName || '').toLowerCase() === entry;
+    }
+    if (entry.endsWith('/*')) {
+        return (mimeType || '').toLowerCase().startsWith(entry.slice(0, -1));
+    }
+    return (mimeType || '').toLowerCase() === entry;
+};
+
+/**
+ * Read the first bytes of a stream without losing them
+ * @param {Readable} stream - Source stream
+ * @param {number} bytes - Bytes to read
+ * @returns {Object} { head, stream } - stream replays the head followed by the rest
+ */
+const peekStream = async (stream, bytes = SNIFF_BYTES) => {
+    const iterator = stream[Symbol.asyncIterator]();
+    const chunks = [];
+    let length = 0;
+
+    while (length < bytes) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+        chunks.push(Buffer.from(value));
+        length += value.length;
+    }
+
+    const buffered = Buffer.concat(chunks);
+
+    const replay = Readable.from((async function* () {
+        if (buffered.length) yield buffered;
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            yield next.value;
+        }
+    })());
+
+    return { head: buffered.subarray(0, bytes), stream: replay };
+};
+
+module.exports = {
+    SNIFF_BYTES,
+    detectMimeType,
+    matchesFileTypePattern,
+    peekStream,
+};
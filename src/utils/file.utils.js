@@ -1,6 +1,17 @@
 const path = require('path');
 const config = require('../config/environment');
 
+// MIME type prefixes accepted for upload
+const UPLOAD_MIME_PREFIXES = [
+    'image/', 'video/', 'audio/', 'application/pdf',
+    'application/msword', 'application/vnd.openxmlformats',
+    'application/vnd.ms-', 'text/', 'application/zip',
+    'application/x-rar', 'application/json',
+];
+
+// Types that are safe to render inline from the API origin
+const INLINE_MIME_PREFIXES = ['image/', 'video/', 'audio/', 'application/pdf', 'text/plain'];
+
 /**
  * Validate file type against allowed MIME types
  * @param {string} mimeType - File MIME type
@@ -10,6 +21,15 @@ const isAllowedFileType = (mimeType) => {
     return config.upload.allowedMimeTypes.includes(mimeType);
 };
 
+/**
+ * Whether a MIME type may be uploaded
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean} Whether uploads of this type are accepted
+ */
+const isUploadableMimeType = (mimeType = '') => {
+    return UPLOAD_MIME_PREFIXES.some((prefix) => mimeType.startsWith(prefix));
+};
+
 /**
  * Validate file size
  * @param {number} size - File size in bytes
@@ -68,11 +88,36 @@ const formatFileSize = (bytes) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+/**
+ * Whether a file may be rendered inline by the browser
+ * SVG and HTML are excluded because they can run scripts
+ * @param {string} mimeType - File MIME type
+ * @returns {boolean} Whether inline display is allowed
+ */
+const canDisplayInline = (mimeType = '') => {
+    if (mimeType === 'image/svg+xml') return false;
+    return INLINE_MIME_PREFIXES.some((prefix) => mimeType.startsWith(prefix));
+};
+
+/**
+ * Build a Content-Disposition header value
+ * @param {string} disposition - 'inline' or 'attachment'
+ * @param {string} fileName - File name to suggest
+ * @returns {string} Header value with ASCII fallback and UTF-8 file name
+ */
+const buildContentDisposition = (disposition, fileName) => {
+    const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
 module.exports = {
     isAllowedFileType,
+    isUploadableMimeType,
     isValidFileSize,
     getFileExtension,
     generateUniqueFilename,
     getFileCategory,
     formatFileSize,
+    canDisplayInline,
+    buildContentDisposition,
 };
@@ -33,27 +33,55 @@ const verifyToken = (token) => {
 };
 
 /**
- * Generate token pair (access + refresh)
+ * Generate token pair (access + refresh) for a session
+ * Both tokens carry the session ID; the refresh token also carries the ID
+ * of this rotation so a replayed, already-rotated token can be detected
  * @param {Object} user - User object
+ * @param {Object} session - { id, refreshTokenId }
  * @returns {Object} Token pair
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, session) => {
     const payload = {
         userId: user.id,
         email: user.email,
         username: user.username,
+        sid: session.id,
     };
 
     return {
-        accessToken: generateAccessToken(payload),
-        refreshToken: generateRefreshToken(payload),
+        accessToken: generateAccessToken({ ...payload, type: 'access' }),
+        refreshToken: generateRefreshToken({ ...payload, type: 'refresh', jti: session.refreshTokenId }),
         expiresIn: config.jwt.expiresIn,
     };
 };
 
+/**
+ * Generate a short-lived token proving the first sign-in factor succeeded
+ * It is exchanged for a session once the second factor is verified
+ * @param {Object} user - User object
+ * @param {string} method - First-factor method (password, google, magic_code)
+ * @param {string} challengeId - Stored challenge ID, so the token works once
+ * @returns {string} JWT challenge token
+ */
+const generateChallengeToken = (user, method, challengeId) => {
+    return jwt.sign({ userId: user.id, method, type: 'two_factor_challenge', jti: challengeId }, config.jwt.secret, {
+        expiresIn: config.twoFactor.challengeExpiresIn,
+    });
+};
+
+/**
+ * Check a decoded token is a session access token
+ * Refresh tokens, and tokens issued before sessions existed, are rejected
+ * @param {Object} decoded - Decoded token payload
+ * @returns {boolean} True for access tokens
+ */
+const isAccessToken = (decoded) => decoded?.type === 'access' && Boolean(decoded.sid);
+
 module.exports = {
     generateAccessToken,
     generateRefreshToken,
     verifyToken,
     generateTokenPair,
+    generateChallengeToken,
+    isAccessToken,
 };
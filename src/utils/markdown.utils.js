@@ -0,0 +1,300 @@
+// Message formatting: a markdown subset plus mention tokens, parsed into the
+// richText tree stored next to a message's raw content.
+//
+// Blocks:  paragraph { children }, code_block { language, text },
+//          quote { children }, list { ordered, items: [children] }
+// Inlines: text { text }, bold { children }, italic { children }, code { text },
+//          link { url, children }, user { userId }, channel { channelId },
+//          broadcast { range: 'here' | 'channel' }
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const USER_TOKEN = new RegExp(`^<@(${UUID})(?:\\|[^>]*)?>`, 'i');
+const CHANNEL_TOKEN = new RegExp(`^<#(${UUID})(?:\\|[^>]*)?>`, 'i');
+const BROADCAST_TOKEN = /^@(here|channel)(?![\w-])/;
+const MARKDOWN_LINK = /^\[([^\]\n]+)\]\(([^)\s]+)\)/;
+const BARE_URL = /^https?:\/\/[^\s<>]+/;
+const LIST_ITEM = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+const FENCE = /^\s*```/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+// Only these can become clickable links
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+// Characters a backslash can escape
+const ESCAPABLE = '\\`*_[]()<>#@>-+.!~|';
+
+/**
+ * Whether a character counts as part of a word (for _ and @ boundaries)
+ * @param {string} char - Character (may be undefined at the edges)
+ * @returns {boolean} True for letters and digits
+ */
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+
+/**
+ * Parse inline formatting
+ * @param {string} text - Text within a block
+ * @param {Object} mentions - Collector for mentions found
+ * @param {boolean} inLink - True inside link text (no nested links)
+ * @returns {Array} Inline nodes
+ */
+const parseInline = (text, mentions, inLink = false) => {
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+    // Per marker, the position from which no closer exists, so each unmatched
+    // opener doesn't rescan the rest of the text
+    const noCloserFrom = {};
+
+    const flush = () => {
+        if (buffer) {
+            nodes.push({ type: 'text', text: buffer });
+            buffer = '';
+        }
+    };
+    const push = (node) => {
+        flush();
+        nodes.push(node);
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+        let match;
+
+        if (char === '\\' && ESCAPABLE.includes(text[i + 1])) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (char === '`') {
+            const end = text.indexOf('`', i + 1);
+            if (end > i + 1) {
+                push({ type: 'code', text: text.slice(i + 1, end) });
+                i = end + 1;
+                continue;
+            }
+        }
+
+        if (char === '<' && (match = USER_TOKEN.exec(rest))) {
+            const userId = match[1].toLowerCase();
+            push({ type: 'user', userId });
+            mentions.users.add(userId);
+            i += match[0].length;
+            continue;
+        }
+
+        if (char === '<' && (match = CHANNEL_TOKEN.exec(rest))) {
+            const channelId = match[1].toLowerCase();
+            push({ type: 'channel', channelId });
+            mentions.channels.add(channelId);
+            i += match[0].length;
+            continue;
+        }
+
+        if (char === '@' && !isWordChar(text[i - 1]) && (match = BROADCAST_TOKEN.exec(rest))) {
+            push({ type: 'broadcast', range: match[1] });
+            // @channel covers everyone @here would
+            if (mentions.broadcast !== 'channel') mentions.broadcast = match[1];
+            i += match[0].length;
+            continue;
+        }
+
+        if (!inLink && char === '[' && (match = MARKDOWN_LINK.exec(rest)) && SAFE_URL.test(match[2])) {
+            push({ type: 'link', url: match[2], children: parseInline(match[1], mentions, true) });
+            i += match[0].length;
+            continue;
+        }
+
+        if (!inLink && char === 'h' && !isWordChar(text[i - 1]) && (match = BARE_URL.exec(rest))) {
+            // Trailing punctuation usually ends the sentence, not the URL
+            const url = match[0].replace(/[.,;:!?)'"]+$/, '');
+            push({ type: 'link', url, children: [{ type: 'text', text: url }] });
+            i += url.length;
+            continue;
+        }
+
+        if (char === '*' || char === '_') {
+            const double = text[i + 1] === char;
+            const marker = double ? char + char : char;
+            const start = i + marker.length;
+            const opensWord = text[start] && !/\s/.test(text[start]);
+            // _ inside words (snake_case) is literal
+            const boundaryOk = char === '*' || !isWordChar(text[i - 1]);
+
+            if (opensWord && boundaryOk && !(marker in noCloserFrom && start >= noCloserFrom[marker])) {
+                let end = text.indexOf(marker, start);
+                while (end !== -1 && (
+                    /\s/.test(text[end - 1])
+                    || (char === '_' && isWordChar(text[end + marker.length]))
+                    || (!double && text[end + 1] === char)
+                )) {
+                    end = text.indexOf(marker, end + 1);
+                }
+
+                if (end === -1) {
+                    noCloserFrom[marker] = start;
+                }
+
+                if (end > start) {
+                    push({
+                        type: double ? 'bold' : 'italic',
+                        children: parseInline(text.slice(start, end), mentions, inLink),
+                    });
+                    i = end + marker.length;
+                    continue;
+                }
+            }
+
+            buffer += marker;
+            i += marker.length;
+            continue;
+        }
+
+        buffer += char;
+        i += 1;
+    }
+
+    flush();
+    return nodes;
+};
+
+/**
+ * Parse a message into rich text blocks and the mentions it contains
+ * @param {string} content - Raw message content
+ * @returns {Object} { richText, mentions: { users, channels, broadcast } }
+ */
+const parseMessage = (content) => {
+    const lines = String(content || '').replace(/\r\n?/g, '\n').split('\n');
+    const collector = { users: new Set(), channels: new Set(), broadcast: null };
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n'), collector) });
+            paragraph = [];
+        }
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (FENCE.test(line)) {
+            flushParagraph();
+            const opening = line.trim().slice(3);
+
+            // ```one-liner```
+            if (opening.endsWith('```') && opening.length > 3) {
+                blocks.push({ type: 'code_block', language: null, text: opening.slice(0, -3) });
+                i += 1;
+                continue;
+            }
+
+            const codeLines = [];
+            i += 1;
+            while (i < lines.length && !FENCE.test(lines[i])) {
+                codeLines.push(lines[i]);
+                i += 1;
+            }
+            i += 1; // closing fence (or end of message)
+
+            blocks.push({
+                type: 'code_block',
+                language: /^[\w+#.-]{1,30}$/.test(opening.trim()) ? opening.trim().toLowerCase() : null,
+                text: codeLines.join('\n'),
+            });
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(QUOTE.exec(lines[i])[1]);
+                i += 1;
+            }
+            blocks.push({ type: 'quote', children: parseInline(quoted.join('\n'), collector) });
+            continue;
+        }
+
+        const item = LIST_ITEM.exec(line);
+        if (item) {
+            flushParagraph();
+            const ordered = Boolean(item[2]);
+            const items = [];
+            let current;
+            while (i < lines.length && (current = LIST_ITEM.exec(lines[i])) && Boolean(current[2]) === ordered) {
+                items.push(parseInline(current[3], collector));
+                i += 1;
+            }
+            blocks.push({ type: 'list', ordered, items });
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+        } else {
+            paragraph.push(line);
+        }
+        i += 1;
+    }
+
+    flushParagraph();
+
+    return {
+        richText: blocks,
+        mentions: {
+            users: [...collector.users],
+            channels: [...collector.channels],
+            broadcast: collector.broadcast,
+        },
+    };
+};
+
+/**
+ * Render inline nodes as plain text
+ * @param {Array} nodes - Inline nodes
+ * @param {Object} names - { users: { id: username }, channels: { id: name } }
+ * @returns {string} Plain text
+ */
+const inlineToPlainText = (nodes, names) => nodes.map((node) => {
+    switch (node.type) {
+        case 'text':
+        case 'code':
+            return node.text;
+        case 'user':
+            return `@${names.users?.[node.userId] || 'unknown'}`;
+        case 'channel':
+            return `#${names.channels?.[node.channelId] || 'unknown'}`;
+        case 'broadcast':
+            return `@${node.range}`;
+        default:
+            return inlineToPlainText(node.children || [], names);
+    }
+}).join('');
+
+/**
+ * Render rich text as plain text (for notifications and previews)
+ * @param {Array} richText - Blocks from parseMessage
+ * @param {Object} names - { users: { id: username }, channels: { id: name } }
+ * @returns {string} Plain text
+ */
+const toPlainText = (richText, names = {}) => richText.map((block) => {
+    switch (block.type) {
+        case 'code_block':
+            return block.text;
+        case 'list':
+            return block.items
+                .map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${inlineToPlainText(item, names)}`)
+                .join('\n');
+        default:
+            return inlineToPlainText(block.children, names);
+    }
+}).join('\n');
+
+module.exports = {
+    parseMessage,
+    toPlainText,
+};
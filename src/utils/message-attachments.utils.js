@@ -0,0 +1,162 @@
+// Limits for attachments and blocks posted by integrations
+const MAX_ATTACHMENTS = 20;
+const MAX_BLOCKS = 50;
+const MAX_ITEMS = 10; // fields per attachment or elements per block
+const MAX_TEXT_LENGTH = 3000;
+const MAX_URL_LENGTH = 2048;
+
+// Attachment fields clients render; anything else is dropped
+const ATTACHMENT_TEXT_FIELDS = ['fallback', 'color', 'pretext', 'title', 'text', 'authorName', 'footer'];
+const ATTACHMENT_URL_FIELDS = ['titleLink', 'imageUrl', 'thumbUrl', 'authorLink', 'authorIcon', 'footerIcon'];
+
+// Block types and the fields each one keeps
+const BLOCK_TYPES = {
+    header: { text: ['text'], urls: [] },
+    section: { text: ['text'], urls: [], items: 'fields' },
+    divider: { text: [], urls: [] },
+    image: { text: ['altText', 'title'], urls: ['imageUrl'] },
+    context: { text: [], urls: [], items: 'elements' },
+};
+
+/**
+ * Whether a value is an http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is a usable link or image URL
+ */
+const isHttpUrl = (value) => {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+        return false;
+    }
+
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Copy whitelisted text and URL fields from an object
+ * @param {Object} source - Object to read
+ * @param {Array} textFields - Plain text fields
+ * @param {Array} urlFields - Fields that must be http(s) URLs
+ * @param {string} label - Name used in error messages
+ * @returns {Object} Copied fields
+ */
+const pickFields = (source, textFields, urlFields, label) => {
+    const picked = {};
+
+    textFields.forEach((field) => {
+        if (source[field] === undefined || source[field] === null) return;
+        if (typeof source[field] !== 'string' || source[field].length > MAX_TEXT_LENGTH) {
+            throw new Error(`${label} ${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+        }
+        picked[field] = source[field];
+    });
+
+    urlFields.forEach((field) => {
+        if (source[field] === undefined || source[field] === null) return;
+        if (!isHttpUrl(source[field])) {
+            throw new Error(`${label} ${field} must be an http(s) URL`);
+        }
+        picked[field] = source[field];
+    });
+
+    return picked;
+};
+
+/**
+ * Validate a list of short text items (section fields, context elements)
+ * @param {*} items - Items to check
+ * @param {string} label - Name used in error messages
+ * @returns {Array} Items
+ */
+const pickTextItems = (items, label) => {
+    if (!Array.isArray(items) || items.length > MAX_ITEMS) {
+        throw new Error(`${label} must be an array of at most ${MAX_ITEMS} items`);
+    }
+
+    return items.map((item) => {
+        if (typeof item !== 'string' || item.length > MAX_TEXT_LENGTH) {
+            throw new Error(`${label} must contain strings of at most ${MAX_TEXT_LENGTH} characters`);
+        }
+        return item;
+    });
+};
+
+/**
+ * Check attachments and keep only the fields clients render
+ * @param {Array} attachments - Attachments from an integration
+ * @returns {Array} Cleaned attachments
+ * @throws {Error} Describing the first invalid attachment
+ */
+const normalizeAttachments = (attachments) => {
+    if (!Array.isArray(attachments) || attachments.length > MAX_ATTACHMENTS) {
+        throw new Error(`Attachments must be an array of at most ${MAX_ATTACHMENTS} items`);
+    }
+
+    return attachments.map((attachment) => {
+        if (!attachment || typeof attachment !== 'object' || Array.isArray(attachment)) {
+            throw new Error('Each attachment must be an object');
+        }
+
+        const cleaned = pickFields(attachment, ATTACHMENT_TEXT_FIELDS, ATTACHMENT_URL_FIELDS, 'Attachment');
+
+        if (attachment.fields !== undefined) {
+            if (!Array.isArray(attachment.fields) || attachment.fields.length > MAX_ITEMS) {
+                throw new Error(`Attachment fields must be an array of at most ${MAX_ITEMS} items`);
+            }
+
+            cleaned.fields = attachment.fields.map((field) => {
+                if (!field || typeof field !== 'object') {
+                    throw new Error('Each attachment field must be an object');
+                }
+                return {
+                    ...pickFields(field, ['title', 'value'], [], 'Attachment field'),
+                    short: field.short === true,
+                };
+            });
+        }
+
+        return cleaned;
+    });
+};
+
+/**
+ * Check blocks and keep only known types and their fields
+ * @param {Array} blocks - Blocks from an integration
+ * @returns {Array} Cleaned blocks
+ * @throws {Error} Describing the first invalid block
+ */
+const normalizeBlocks = (blocks) => {
+    if (!Array.isArray(blocks) || blocks.length > MAX_BLOCKS) {
+        throw new Error(`Blocks must be an array of at most ${MAX_BLOCKS} items`);
+    }
+
+    return blocks.map((block) => {
+        const spec = block && Object.prototype.hasOwnProperty.call(BLOCK_TYPES, block.type)
+            ? BLOCK_TYPES[block.type]
+            : null;
+
+        if (!spec) {
+            throw new Error(`Block type must be one of: ${Object.keys(BLOCK_TYPES).join(', ')}`);
+        }
+
+        const cleaned = {
+            type: block.type,
+            ...pickFields(block, spec.text, spec.urls, `${block.type} block`),
+        };
+
+        if (spec.items && block[spec.items] !== undefined) {
+            cleaned[spec.items] = pickTextItems(block[spec.items], `${block.type} block ${spec.items}`);
+        }
+
+        return cleaned;
+    });
+};
+
+module.exports = {
+    isHttpUrl,
+    normalizeAttachments,
+    normalizeBlocks,
+};
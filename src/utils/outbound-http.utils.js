@@ -0,0 +1,166 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Addresses user-configured URLs must never reach: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is non-public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests to it must be refused
+ */
+const isBlockedAddress = (address) => {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isBlockedAddress(mapped[1]);
+
+    const family = net.isIP(address);
+    if (!family) return true;
+
+    return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * dns.lookup that fails for non-public addresses
+ * Used as the socket lookup so the address checked is the one connected to
+ */
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find((a) => isBlockedAddress(a.address));
+        if (blocked || addresses.length === 0) {
+            const refused = new Error(`${hostname} resolves to a non-public address`);
+            refused.code = 'EADDRBLOCKED';
+            return callback(refused);
+        }
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Check that a URL is http(s) and resolves only to public addresses
+ * @param {string} url - URL to check
+ * @throws {Object} 400 if the URL is unusable
+ */
+const assertPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw { statusCode: 400, message: 'URL is invalid' };
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw { statusCode: 400, message: 'URL must use http or https' };
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+    await new Promise((resolve, reject) => {
+        publicLookup(hostname, { all: true }, (error) => {
+            if (!error) return resolve();
+            reject({
+                statusCode: 400,
+                message: error.code === 'EADDRBLOCKED'
+                    ? 'URL must point to a public address'
+                    : 'URL host could not be resolved',
+            });
+        });
+    });
+};
+
+/**
+ * POST JSON to a user-configured URL
+ * Connects only to public addresses and never follows redirects.
+ * @param {string} url - Target URL
+ * @param {Object} options - { headers, body, timeoutMs, maxResponseBytes }
+ * @returns {Object} { status, ok, body } - body is read only if maxResponseBytes > 0
+ */
+const postJson = (url, { headers = {}, body = '', timeoutMs = 10000, maxResponseBytes = 0 } = {}) => new Promise((resolve, reject) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return reject(error);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return reject(new Error('URL must use http or https'));
+    }
+
+    // IP literals never go through lookup, so check them here
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        const refused = new Error(`${hostname} is a non-public address`);
+        refused.code = 'EADDRBLOCKED';
+        return reject(refused);
+    }
+
+    const transport = parsed.protocol === 'https:' ? https : http;
+
+    const request = transport.request(parsed, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        timeout: timeoutMs,
+    }, (response) => {
+        const chunks = [];
+        let size = 0;
+
+        response.on('data', (chunk) => {
+            if (size < maxResponseBytes) {
+                chunks.push(chunk);
+            }
+            size += chunk.length;
+        });
+        response.on('end', () => {
+            resolve({
+                status: response.statusCode,
+                ok: response.statusCode >= 200 && response.statusCode < 300,
+                body: Buffer.concat(chunks).subarray(0, maxResponseBytes).toString('utf8'),
+            });
+        });
+        response.on('error', reject);
+    });
+
+    request.on('timeout', () => {
+        const timedOut = new Error('Request timed out');
+        timedOut.code = 'ETIMEDOUT';
+        request.destroy(timedOut);
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+module.exports = {
+    isBlockedAddress,
+    assertPublicUrl,
+    postJson,
+};
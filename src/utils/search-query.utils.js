@@ -0,0 +1,278 @@
+// Modifiers understood in search queries
+const SEARCH_MODIFIERS = ['from', 'in', 'before', 'after', 'during', 'has', 'is'];
+
+// Values accepted by has: and is:
+const HAS_VALUES = ['file', 'link', 'reaction'];
+const IS_VALUES = ['pinned', 'thread'];
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A modifier (key:value or key:"quoted value"), a quoted phrase, or a bare word
+const TOKEN_PATTERN = /([a-zA-Z]+):("[^"]*"|\S+)|"[^"]*"|\S+/g;
+
+/**
+ * Strip surrounding quotes and a leading sigil (@ or #) from a modifier value
+ * @param {string} value - Raw modifier value
+ * @returns {string} Clean value
+ */
+const cleanModifierValue = (value) => {
+    return value.replace(/^"|"$/g, '').replace(/^[@#]/, '').trim();
+};
+
+/**
+ * Start of a UTC day
+ * @param {Date} date - Any time within the day
+ * @returns {Date} Midnight UTC
+ */
+const startOfDay = (date) => {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Parse a date modifier value into a UTC range
+ * Accepts today, yesterday, month names, YYYY, YYYY-MM and YYYY-MM-DD
+ * @param {string} value - Date value
+ * @param {Date} now - Reference time
+ * @returns {Object|null} { start, end } (end exclusive), or null if invalid
+ */
+const parseDateRange = (value, now = new Date()) => {
+    const lower = value.toLowerCase();
+    const today = startOfDay(now);
+
+    if (lower === 'today') {
+        return { start: today, end: new Date(today.getTime() + DAY_MS) };
+    }
+
+    if (lower === 'yesterday') {
+        return { start: new Date(today.getTime() - DAY_MS), end: today };
+    }
+
+    const monthIndex = MONTHS.indexOf(lower);
+    if (monthIndex >= 0) {
+        // Most recent occurrence of that month
+        const year = monthIndex <= now.getUTCMonth() ? now.getUTCFullYear() : now.getUTCFullYear() - 1;
+        return {
+            start: new Date(Date.UTC(year, monthIndex, 1)),
+            end: new Date(Date.UTC(year, monthIndex + 1, 1)),
+        };
+    }
+
+    const match = value.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+    if (!match) return null;
+
+    const year = parseInt(match[1], 10);
+    const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+    const day = match[3] ? parseInt(match[3], 10) : null;
+
+    if (month !== null && (month < 0 || month > 11)) return null;
+
+    if (day !== null) {
+        const start = new Date(Date.UTC(year, month, day));
+        // Reject overflow such as 2026-02-31
+        if (start.getUTCMonth() !== month || start.getUTCDate() !== day) return null;
+        return { start, end: new Date(start.getTime() + DAY_MS) };
+    }
+
+    if (month !== null) {
+        return {
+            start: new Date(Date.UTC(year, month, 1)),
+            end: new Date(Date.UTC(year, month + 1, 1)),
+        };
+    }
+
+    return {
+        start: new Date(Date.UTC(year, 0, 1)),
+        end: new Date(Date.UTC(year + 1, 0, 1)),
+    };
+};
+
+/**
+ * Narrow the date window of a filter set
+ * @param {Object} filters - Parsed filters
+ * @param {Date|null} after - Inclusive lower bound
+ * @param {Date|null} before - Exclusive upper bound
+ */
+const narrowDateWindow = (filters, after, before) => {
+    if (after && (!filters.after || after > filters.after)) {
+        filters.after = after;
+    }
+    if (before && (!filters.before || before < filters.before)) {
+        filters.before = before;
+    }
+};
+
+/**
+ * Apply a single modifier to the filter set
+ * @param {Object} filters - Parsed filters
+ * @param {string} key - Modifier name
+ * @param {string} value - Clean modifier value
+ * @param {Date} now - Reference time
+ * @returns {string|null} Error message, or null if the modifier was understood
+ */
+const applyModifier = (filters, key, value, now) => {
+    if (!value) {
+        return `${key}: needs a value`;
+    }
+
+    switch (key) {
+        case 'from':
+        case 'in':
+            filters[key].push(value);
+            return null;
+
+        case 'before':
+        case 'after':
+        case 'during': {
+            const range = parseDateRange(value, now);
+            if (!range) {
+                return `Invalid date "${value}" for ${key}:. Use YYYY-MM-DD, YYYY-MM, YYYY, a month name, today or yesterday`;
+            }
+            if (key === 'before') narrowDateWindow(filters, null, range.start);
+            if (key === 'after') narrowDateWindow(filters, range.end, null);
+            if (key === 'during') narrowDateWindow(filters, range.start, range.end);
+            return null;
+        }
+
+        case 'has':
+        case 'is': {
+            const allowed = key === 'has' ? HAS_VALUES : IS_VALUES;
+            const lower = value.toLowerCase();
+            if (!allowed.includes(lower)) {
+                return `Unknown ${key}: value "${value}". Expected one of: ${allowed.join(', ')}`;
+            }
+            if (!filters[key].includes(lower)) {
+                filters[key].push(lower);
+            }
+            return null;
+        }
+
+        default:
+            return `Unknown modifier "${key}:"`;
+    }
+};
+
+/**
+ * Parse a Slack-style search query
+ * e.g. `deploy "release notes" from:@jane in:#eng during:2026-01 has:link is:thread`
+ * Words with an unknown prefix (such as URLs) are kept as free text.
+ * @param {string} query - Raw search query
+ * @param {Date} now - Reference time for relative dates
+ * @returns {Object} { text, plainText, terms, phrases, filters, modifiers, errors }
+ */
+const parseSearchQuery = (query = '', now = new Date()) => {
+    const terms = [];
+    const phrases = [];
+    const modifiers = [];
+    const errors = [];
+    const filters = {
+        from: [],
+        in: [],
+        before: null,
+        after: null,
+        has: [],
+        is: [],
+    };
+
+    let input = query;
+
+    // An odd number of quotes means a phrase was never closed
+    if ((input.match(/"/g) || []).length % 2 !== 0) {
+        const position = input.lastIndexOf('"');
+        errors.push({
+            token: input.slice(position),
+            position,
+            message: 'Unterminated quoted phrase',
+        });
+        input = input.slice(0, position) + input.slice(position + 1);
+    }
+
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while ((match = TOKEN_PATTERN.exec(input)) !== null) {
+        const token = match[0];
+        const key = match[1] ? match[1].toLowerCase() : null;
+
+        if (token.startsWith('"')) {
+            const phrase = token.slice(1, -1).trim();
+            if (phrase) phrases.push(phrase);
+            continue;
+        }
+
+        if (!key || !SEARCH_MODIFIERS.includes(key)) {
+            const bareKey = token.endsWith(':') ? token.slice(0, -1).toLowerCase() : null;
+
+            if (bareKey && SEARCH_MODIFIERS.includes(bareKey)) {
+                errors.push({ token, position: match.index, message: `${bareKey}: needs a value` });
+            } else {
+                terms.push(token);
+            }
+            continue;
+        }
+
+        const value = cleanModifierValue(match[2]);
+        const error = applyModifier(filters, key, value, now);
+
+        if (error) {
+            errors.push({ token, position: match.index, message: error });
+        } else {
+            modifiers.push({ key, value, token });
+        }
+    }
+
+    if (filters.after && filters.before && filters.after >= filters.before) {
+        errors.push({
+            token: null,
+            position: null,
+            message: 'The date filters do not overlap, so nothing can match',
+        });
+    }
+
+    return {
+        text: [...terms, ...phrases.map((phrase) => `"${phrase}"`)].join(' ').trim(),
+        plainText: [...terms.filter((term) => !term.startsWith('-')), ...phrases].join(' ').trim(),
+        terms,
+        phrases,
+        filters,
+        modifiers,
+        errors,
+    };
+};
+
+/**
+ * Describe which parts of a parsed query were understood, for API responses
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} Query summary
+ */
+const describeSearchQuery = (parsed) => ({
+    text: parsed.text,
+    terms: parsed.terms,
+    phrases: parsed.phrases,
+    modifiers: parsed.modifiers,
+    filters: {
+        ...parsed.filters,
+        before: parsed.filters.before ? parsed.filters.before.toISOString() : null,
+        after: parsed.filters.after ? parsed.filters.after.toISOString() : null,
+    },
+});
+
+/**
+ * Check whether a parsed query narrows results beyond free text
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {boolean} True if any modifier was applied
+ */
+const hasSearchModifiers = (parsed) => parsed.modifiers.length > 0;
+
+module.exports = {
+    SEARCH_MODIFIERS,
+    HAS_VALUES,
+    IS_VALUES,
+    parseSearchQuery,
+    describeSearchQuery,
+    hasSearchModifiers,
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const config = require('../config/environment');
+
+/**
+ * Sign a value so it can be handed out in a time-limited URL
+ * @param {string} value - Value to sign (e.g. a storage key)
+ * @param {number} expires - Expiry as a UNIX timestamp in seconds
+ * @returns {string} Hex HMAC signature
+ */
+const createSignature = (value, expires) => {
+    return crypto
+        .createHmac('sha256', config.jwt.secret)
+        .update(`${value}:${expires}`)
+        .digest('hex');
+};
+
+/**
+ * Build expiry and signature query parameters for a value
+ * @param {string} value - Value to sign
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Object} { expires, signature }
+ */
+const signValue = (value, expiresIn) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return { expires, signature: createSignature(value, expires) };
+};
+
+/**
+ * Verify a signature produced by signValue
+ * @param {string} value - Signed value
+ * @param {number|string} expires - Expiry as a UNIX timestamp in seconds
+ * @param {string} signature - Hex HMAC signature
+ * @returns {boolean} Whether the signature is valid and unexpired
+ */
+const verifySignature = (value, expires, signature) => {
+    const expiresAt = parseInt(expires);
+
+    if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) {
+        return false;
+    }
+
+    const expected = Buffer.from(createSignature(value, expiresAt), 'hex');
+    const provided = Buffer.from(String(signature), 'hex');
+
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+module.exports = {
+    signValue,
+    verifySignature,
+};
@@ -62,6 +62,46 @@ const googleAuthValidator = [
         .withMessage('Google ID token is required'),
 ];
 
+const sendCodeValidator = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail(),
+];
+
+const verifyCodeValidator = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail(),
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+];
+
+// One of code (authenticator app) or recoveryCode
+const secondFactorValidator = [
+    body('code')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .isLength({ min: 10, max: 20 })
+        .withMessage('Invalid recovery code'),
+    body()
+        .custom((value) => Boolean(value.code) !== Boolean(value.recoveryCode))
+        .withMessage('Provide either code or recoveryCode'),
+];
+
+const verifyTwoFactorValidator = [
+    body('challengeToken')
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    ...secondFactorValidator,
+];
+
 module.exports = {
     registerValidator,
     loginValidator,
@@ -69,4 +109,8 @@ module.exports = {
     resetPasswordValidator,
     refreshTokenValidator,
     googleAuthValidator,
+    sendCodeValidator,
+    verifyCodeValidator,
+    secondFactorValidator,
+    verifyTwoFactorValidator,
 };
@@ -45,6 +45,10 @@ const updateChannelValidator = [
         .optional()
         .isLength({ max: 250 })
         .withMessage('Topic cannot exceed 250 characters'),
+    body('settings.announcementOnly')
+        .optional()
+        .isBoolean()
+        .withMessage('settings.announcementOnly must be a boolean'),
 ];
 
 const addChannelMemberValidator = [
@@ -0,0 +1,52 @@
+const { body, param } = require('express-validator');
+const config = require('../config/environment');
+const { isUploadableMimeType } = require('../utils/file.utils');
+
+const createUploadValidator = [
+    body('workspaceId')
+        .isUUID()
+        .withMessage('Workspace ID must be a valid UUID'),
+    body('channelId')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Channel ID must be a valid UUID'),
+    body('dmGroupId')
+        .optional({ nullable: true })
+        .isString()
+        .withMessage('DM group ID must be a string'),
+    body('fileName')
+        .isLength({ min: 1, max: 255 })
+        .withMessage('File name must be between 1 and 255 characters')
+        .trim(),
+    body('mimeType')
+        .custom(isUploadableMimeType)
+        .withMessage('File type not allowed'),
+    body('size')
+        .isInt({ min: 1, max: config.upload.resumable.maxFileSize })
+        .withMessage(`Size must be between 1 and ${config.upload.resumable.maxFileSize} bytes`)
+        .toInt(),
+    body('checksum')
+        .optional()
+        .matches(/^[a-fA-F0-9]{64}$/)
+        .withMessage('Checksum must be a SHA-256 hex digest'),
+];
+
+const uploadIdValidator = [
+    param('uploadId')
+        .isUUID()
+        .withMessage('Invalid upload ID'),
+];
+
+const completeUploadValidator = [
+    ...uploadIdValidator,
+    body('checksum')
+        .optional()
+        .matches(/^[a-fA-F0-9]{64}$/)
+        .withMessage('Checksum must be a SHA-256 hex digest'),
+];
+
+module.exports = {
+    createUploadValidator,
+    uploadIdValidator,
+    completeUploadValidator,
+};
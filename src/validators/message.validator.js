@@ -1,4 +1,6 @@
 const { body, param, query } = require('express-validator');
+const { MAX_GROUP_DM_PARTICIPANTS } = require('../services/dm-group.service');
+const { SCHEDULED_STATUSES } = require('../services/scheduled-message.service');
 
 const sendMessageValidator = [
     body('content')
@@ -13,10 +15,11 @@ const sendMessageValidator = [
         .optional()
         .isArray()
         .withMessage('File IDs must be an array'),
-    body('mentions')
+    body('clientMessageId')
         .optional()
-        .isArray()
-        .withMessage('Mentions must be an array'),
+        .isString()
+        .isLength({ min: 1, max: 128 })
+        .withMessage('clientMessageId must be a string of at most 128 characters'),
 ];
 
 const updateMessageValidator = [
@@ -78,6 +81,174 @@ const threadMessageValidator = [
         .isLength({ min: 1, max: 10000 })
         .withMessage('Message content must be between 1 and 10000 characters')
         .trim(),
+    body('clientMessageId')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 128 })
+        .withMessage('clientMessageId must be a string of at most 128 characters'),
+];
+
+const syncMessagesValidator = [
+    query('lastMessageId')
+        .if(query('cursor').not().exists())
+        .isString()
+        .notEmpty()
+        .withMessage('lastMessageId or cursor is required'),
+    query('cursor')
+        .optional()
+        .custom((value) => !Number.isNaN(new Date(String(value).split('_')[0]).getTime()))
+        .withMessage('cursor must be a cursor returned by a previous sync'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('Limit must be between 1 and 200'),
+];
+
+const createDmValidator = [
+    param('workspaceId')
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+    body('user_id')
+        .if(body('user_ids').not().exists())
+        .isUUID()
+        .withMessage('user_id or user_ids is required'),
+    body('user_ids')
+        .optional()
+        .isArray({ min: 1, max: MAX_GROUP_DM_PARTICIPANTS - 1 })
+        .withMessage(`user_ids must list between 1 and ${MAX_GROUP_DM_PARTICIPANTS - 1} users`),
+    body('user_ids.*')
+        .isUUID()
+        .withMessage('Each user ID must be a valid UUID'),
+    body('name')
+        .optional({ nullable: true })
+        .isLength({ max: 100 })
+        .withMessage('Conversation name cannot exceed 100 characters')
+        .trim(),
+];
+
+const sendDmMessageValidator = [
+    param('conversationId')
+        .isString()
+        .withMessage('Invalid conversation ID'),
+    body('content')
+        .isLength({ min: 1, max: 10000 })
+        .withMessage('Message content must be between 1 and 10000 characters')
+        .trim(),
+    body('clientMessageId')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 128 })
+        .withMessage('clientMessageId must be a string of at most 128 characters'),
+];
+
+const renameDmValidator = [
+    param('conversationId')
+        .isString()
+        .withMessage('Invalid conversation ID'),
+    body('name')
+        .optional({ nullable: true })
+        .isLength({ max: 100 })
+        .withMessage('Conversation name cannot exceed 100 characters')
+        .trim(),
+];
+
+const addDmParticipantsValidator = [
+    param('conversationId')
+        .isString()
+        .withMessage('Invalid conversation ID'),
+    body('user_ids')
+        .isArray({ min: 1, max: MAX_GROUP_DM_PARTICIPANTS - 1 })
+        .withMessage(`user_ids must list between 1 and ${MAX_GROUP_DM_PARTICIPANTS - 1} users`),
+    body('user_ids.*')
+        .isUUID()
+        .withMessage('Each user ID must be a valid UUID'),
+];
+
+const removeDmParticipantValidator = [
+    param('conversationId')
+        .isString()
+        .withMessage('Invalid conversation ID'),
+    param('userId')
+        .isUUID()
+        .withMessage('Invalid user ID'),
+];
+
+const convertDmValidator = [
+    param('conversationId')
+        .isString()
+        .withMessage('Invalid conversation ID'),
+    body('name')
+        .isLength({ min: 1, max: 80 })
+        .withMessage('Channel name must be between 1 and 80 characters')
+        .matches(/^[a-z0-9-_]+$/)
+        .withMessage('Channel name can only contain lowercase letters, numbers, hyphens, and underscores')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim(),
+];
+
+const scheduleMessageValidator = [
+    body('content')
+        .isLength({ min: 1, max: 10000 })
+        .withMessage('Message content must be between 1 and 10000 characters')
+        .trim(),
+    body('sendAt')
+        .isISO8601()
+        .withMessage('sendAt must be an ISO 8601 timestamp'),
+    body('replyToId')
+        .optional()
+        .isString()
+        .withMessage('Reply to ID must be a string'),
+    body('fileIds')
+        .optional()
+        .isArray()
+        .withMessage('File IDs must be an array'),
+];
+
+const getScheduledMessagesValidator = [
+    query('status')
+        .optional()
+        .isIn([...Object.values(SCHEDULED_STATUSES), 'all'])
+        .withMessage('Invalid status'),
+    query('workspaceId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+    query('channelId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid channel ID'),
+    query('conversationId')
+        .optional()
+        .isString()
+        .withMessage('Invalid conversation ID'),
+];
+
+const updateScheduledMessageValidator = [
+    param('scheduledId')
+        .isUUID()
+        .withMessage('Invalid scheduled message ID'),
+    body('content')
+        .optional()
+        .isLength({ min: 1, max: 10000 })
+        .withMessage('Message content must be between 1 and 10000 characters')
+        .trim(),
+    body('sendAt')
+        .optional()
+        .isISO8601()
+        .withMessage('sendAt must be an ISO 8601 timestamp'),
+    body()
+        .custom((value) => value.content !== undefined || value.sendAt !== undefined)
+        .withMessage('content or sendAt is required'),
+];
+
+const scheduledMessageIdValidator = [
+    param('scheduledId')
+        .isUUID()
+        .withMessage('Invalid scheduled message ID'),
 ];
 
 module.exports = {
@@ -88,4 +259,15 @@ module.exports = {
     addReactionValidator,
     removeReactionValidator,
     threadMessageValidator,
+    syncMessagesValidator,
+    createDmValidator,
+    sendDmMessageValidator,
+    renameDmValidator,
+    addDmParticipantsValidator,
+    removeDmParticipantValidator,
+    convertDmValidator,
+    scheduleMessageValidator,
+    getScheduledMessagesValidator,
+    updateScheduledMessageValidator,
+    scheduledMessageIdValidator,
 };
@@ -0,0 +1,67 @@
+const { body, param, query } = require('express-validator');
+const { REMINDER_STATUSES } = require('../services/reminder.service');
+
+// Either an absolute time or a relative offset ("30m", "2 hours")
+const reminderTimeValidator = [
+    body('remindAt')
+        .if(body('in').not().exists())
+        .isISO8601()
+        .withMessage('remindAt or in is required'),
+    body('in')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('in must be an offset such as "30m" or "2 hours"'),
+];
+
+const createReminderValidator = [
+    body('text')
+        .if(body('messageId').not().exists())
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('text or messageId is required')
+        .trim(),
+    body('text')
+        .optional()
+        .isLength({ max: 1000 })
+        .withMessage('Reminder text cannot exceed 1000 characters')
+        .trim(),
+    body('messageId')
+        .optional()
+        .isString()
+        .notEmpty()
+        .withMessage('Message ID must be a string'),
+    body('workspaceId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+    ...reminderTimeValidator,
+];
+
+const getRemindersValidator = [
+    query('status')
+        .optional()
+        .isIn([...Object.values(REMINDER_STATUSES), 'open', 'all'])
+        .withMessage('Invalid status'),
+    query('workspaceId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+];
+
+const reminderIdValidator = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid reminder ID'),
+];
+
+const snoozeReminderValidator = [
+    ...reminderIdValidator,
+    ...reminderTimeValidator,
+];
+
+module.exports = {
+    createReminderValidator,
+    getRemindersValidator,
+    reminderIdValidator,
+    snoozeReminderValidator,
+};
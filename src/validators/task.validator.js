@@ -0,0 +1,126 @@
+const { body, param, query } = require('express-validator');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../services/task.service');
+
+const createTaskValidator = [
+    body('title')
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Task title must be between 1 and 255 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 10000 })
+        .withMessage('Description cannot exceed 10000 characters'),
+    body('status')
+        .optional()
+        .isIn(TASK_STATUSES)
+        .withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`),
+    body('priority')
+        .optional()
+        .isIn(TASK_PRIORITIES)
+        .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+    body('assigneeId')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Assignee ID must be a valid UUID'),
+    body('dueDate')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Due date must be a valid date'),
+    body('labels')
+        .optional()
+        .isArray()
+        .withMessage('Labels must be an array'),
+    body('parentTaskId')
+        .optional()
+        .isUUID()
+        .withMessage('Parent task ID must be a valid UUID'),
+    body('timeEstimateMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Time estimate must be a positive number of minutes'),
+];
+
+const updateTaskValidator = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid task ID'),
+    body('title')
+        .optional()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('Task title must be between 1 and 255 characters')
+        .trim(),
+    body('description')
+        .optional({ nullable: true })
+        .isLength({ max: 10000 })
+        .withMessage('Description cannot exceed 10000 characters'),
+    body('status')
+        .optional()
+        .isIn(TASK_STATUSES)
+        .withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`),
+    body('priority')
+        .optional()
+        .isIn(TASK_PRIORITIES)
+        .withMessage(`Priority must be one of: ${TASK_PRIORITIES.join(', ')}`),
+    body('assigneeId')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('Assignee ID must be a valid UUID'),
+    body('dueDate')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('Due date must be a valid date'),
+    body('labels')
+        .optional()
+        .isArray()
+        .withMessage('Labels must be an array'),
+    body('timeEstimateMinutes')
+        .optional({ nullable: true })
+        .isInt({ min: 0 })
+        .withMessage('Time estimate must be a positive number of minutes'),
+    body('timeSpentMinutes')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Time spent must be a positive number of minutes'),
+];
+
+const moveTaskValidator = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid task ID'),
+    body('status')
+        .optional()
+        .isIn(TASK_STATUSES)
+        .withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`),
+    body('position')
+        .isInt({ min: 0 })
+        .withMessage('Position must be a non-negative integer'),
+];
+
+const getTasksValidator = [
+    query('assigneeId')
+        .optional()
+        .isUUID()
+        .withMessage('Assignee ID must be a valid UUID'),
+    query('status')
+        .optional()
+        .isIn(TASK_STATUSES)
+        .withMessage(`Status must be one of: ${TASK_STATUSES.join(', ')}`),
+    query('label')
+        .optional()
+        .isString()
+        .withMessage('Label must be a string'),
+];
+
+const taskIdValidator = [
+    param('id')
+        .isUUID()
+        .withMessage('Invalid task ID'),
+];
+
+module.exports = {
+    createTaskValidator,
+    updateTaskValidator,
+    moveTaskValidator,
+    getTasksValidator,
+    taskIdValidator,
+};
@@ -1,4 +1,5 @@
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { AUTH_PROVIDERS } = require('../services/auth.service');
 
 const updateProfileValidator = [
     body('fullName')
@@ -62,6 +63,38 @@ const updatePresenceValidator = [
         .withMessage('Presence status must be online, away, dnd, or offline'),
 ];
 
+const providerValidator = [
+    param('provider')
+        .isIn(Object.keys(AUTH_PROVIDERS))
+        .withMessage(`Provider must be one of: ${Object.keys(AUTH_PROVIDERS).join(', ')}`),
+];
+
+const linkProviderValidator = [
+    ...providerValidator,
+    body('idToken')
+        .notEmpty()
+        .withMessage('ID token is required'),
+];
+
+const sessionIdValidator = [
+    param('sessionId')
+        .isUUID()
+        .withMessage('Invalid session ID'),
+];
+
+const revokeAllSessionsValidator = [
+    query('keepCurrent')
+        .optional()
+        .isBoolean()
+        .withMessage('keepCurrent must be a boolean'),
+];
+
+const enableTwoFactorValidator = [
+    body('code')
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+];
+
 const userIdValidator = [
     param('id')
         .isUUID()
@@ -72,5 +105,10 @@ module.exports = {
     updateProfileValidator,
     updateStatusValidator,
     updatePresenceValidator,
+    providerValidator,
+    linkProviderValidator,
+    sessionIdValidator,
+    revokeAllSessionsValidator,
+    enableTwoFactorValidator,
     userIdValidator,
 };
@@ -0,0 +1,132 @@
+const { body, param } = require('express-validator');
+const { WEBHOOK_TYPES, WEBHOOK_EVENTS } = require('../services/webhook.service');
+const { isHttpUrl, normalizeAttachments, normalizeBlocks } = require('../utils/message-attachments.utils');
+
+// Outgoing webhooks need a target URL and events; incoming ones only a channel
+const isOutgoing = () => body('type').not().equals('incoming');
+
+const createWebhookValidator = [
+    param('workspaceId')
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+    body('name')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Webhook name must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim(),
+    body('type')
+        .optional()
+        .isIn(WEBHOOK_TYPES)
+        .withMessage(`Type must be one of: ${WEBHOOK_TYPES.join(', ')}`),
+    body('url')
+        .if(isOutgoing())
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Webhook URL must be a valid http(s) URL'),
+    body('events')
+        .if(isOutgoing())
+        .isArray({ min: 1 })
+        .withMessage('At least one event is required'),
+    body('events.*')
+        .if(isOutgoing())
+        .isIn(WEBHOOK_EVENTS)
+        .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('channelId')
+        .if(body('type').equals('incoming'))
+        .isUUID()
+        .withMessage('Incoming webhooks require a valid channel ID'),
+    body('channelId')
+        .optional()
+        .isUUID()
+        .withMessage('Channel ID must be a valid UUID'),
+];
+
+const updateWebhookValidator = [
+    param('workspaceId')
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+    param('id')
+        .isUUID()
+        .withMessage('Invalid webhook ID'),
+    body('name')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Webhook name must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional({ nullable: true })
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters'),
+    body('url')
+        .optional()
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Webhook URL must be a valid http(s) URL'),
+    body('events')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('At least one event is required'),
+    body('events.*')
+        .isIn(WEBHOOK_EVENTS)
+        .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be a boolean'),
+];
+
+const webhookIdValidator = [
+    param('workspaceId')
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+    param('id')
+        .isUUID()
+        .withMessage('Invalid webhook ID'),
+];
+
+const incomingWebhookValidator = [
+    param('token')
+        .isLength({ min: 16, max: 255 })
+        .withMessage('Invalid webhook token'),
+    body('text')
+        .optional()
+        .isString()
+        .isLength({ max: 10000 })
+        .withMessage('Text cannot exceed 10000 characters'),
+    body('username')
+        .optional()
+        .isLength({ max: 80 })
+        .withMessage('Username cannot exceed 80 characters'),
+    body('iconUrl')
+        .optional()
+        .custom(isHttpUrl)
+        .withMessage('Icon URL must be an http(s) URL'),
+    body('channelId')
+        .optional()
+        .isUUID()
+        .withMessage('Channel ID must be a valid UUID'),
+    // Unknown fields are dropped; links and images must be http(s)
+    body('attachments')
+        .optional()
+        .custom((attachments) => normalizeAttachments(attachments) && true)
+        .bail()
+        .customSanitizer(normalizeAttachments),
+    body('blocks')
+        .optional()
+        .custom((blocks) => normalizeBlocks(blocks) && true)
+        .bail()
+        .customSanitizer(normalizeBlocks),
+    body('ephemeralUserId')
+        .optional()
+        .isUUID()
+        .withMessage('ephemeralUserId must be a valid UUID'),
+];
+
+module.exports = {
+    createWebhookValidator,
+    updateWebhookValidator,
+    webhookIdValidator,
+    incomingWebhookValidator,
+};
@@ -1,4 +1,6 @@
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
+const { AUDIT_ACTIONS } = require('../services/audit.service');
+const { STORAGE_PROVIDERS } = require('../services/storage');
 
 const createWorkspaceValidator = [
     body('name')
@@ -19,7 +21,7 @@ const createWorkspaceValidator = [
 ];
 
 const updateWorkspaceValidator = [
-    param('id')
+    param('workspaceId')
         .isUUID()
         .withMessage('Invalid workspace ID'),
     body('name')
@@ -36,10 +38,30 @@ const updateWorkspaceValidator = [
         .optional()
         .isURL()
         .withMessage('Avatar URL must be a valid URL'),
+    body('settings.storageProvider')
+        .optional()
+        .isIn(STORAGE_PROVIDERS)
+        .withMessage(`Storage provider must be one of: ${STORAGE_PROVIDERS.join(', ')}`),
+    body('settings.requireTwoFactor')
+        .optional()
+        .isBoolean({ strict: true })
+        .withMessage('requireTwoFactor must be a boolean'),
+    body('settings.userStorageQuotaGb')
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Per-user storage quota must be a non-negative number of GB (0 = no cap)'),
+    body(['settings.fileTypes.allow', 'settings.fileTypes.deny'])
+        .optional()
+        .isArray({ max: 100 })
+        .withMessage('File type lists must be arrays of at most 100 entries'),
+    body(['settings.fileTypes.allow.*', 'settings.fileTypes.deny.*'])
+        .isString()
+        .matches(/^(\.[\w-]+|[\w.+-]+\/(\*|[\w.+-]+))$/)
+        .withMessage('File type entries must be extensions (.pdf) or MIME types (image/png, image/*)'),
 ];
 
 const inviteMemberValidator = [
-    param('id')
+    param('workspaceId')
         .isUUID()
         .withMessage('Invalid workspace ID'),
     body('email')
@@ -53,7 +75,7 @@ const inviteMemberValidator = [
 ];
 
 const updateMemberRoleValidator = [
-    param('id')
+    param('workspaceId')
         .isUUID()
         .withMessage('Invalid workspace ID'),
     param('userId')
@@ -64,9 +86,40 @@ const updateMemberRoleValidator = [
         .withMessage('Role must be admin, member, or guest'),
 ];
 
+const auditLogsValidator = [
+    param('workspaceId')
+        .isUUID()
+        .withMessage('Invalid workspace ID'),
+    query('action')
+        .optional()
+        .isIn(Object.values(AUDIT_ACTIONS))
+        .withMessage(`Action must be one of: ${Object.values(AUDIT_ACTIONS).join(', ')}`),
+    query('userId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid user ID'),
+    query('resourceType')
+        .optional()
+        .isLength({ max: 50 })
+        .withMessage('Resource type cannot exceed 50 characters'),
+    query('resourceId')
+        .optional()
+        .isUUID()
+        .withMessage('Invalid resource ID'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date'),
+];
+
 module.exports = {
     createWorkspaceValidator,
     updateWorkspaceValidator,
     inviteMemberValidator,
     updateMemberRoleValidator,
+    auditLogsValidator,
 };
@@ -9,19 +9,35 @@ module.exports = {
     TYPING_START: 'typing:start',
     TYPING_STOP: 'typing:stop',
     PRESENCE_UPDATE: 'presence:update',
+    PRESENCE_HEARTBEAT: 'presence:heartbeat',
     CHANNEL_JOIN: 'channel:join',
     CHANNEL_LEAVE: 'channel:leave',
+    SYNC: 'sync',
 
     // Server → Client
     MESSAGE_NEW: 'message:new',
     MESSAGE_UPDATED: 'message:updated',
     MESSAGE_DELETED: 'message:deleted',
+    MESSAGE_EPHEMERAL: 'message:ephemeral',
+    SYNC_RESULT: 'sync:result',
     TYPING_USER: 'typing:user',
     PRESENCE_CHANGED: 'presence:changed',
+    PRESENCE_LIST: 'presence:list',
     CHANNEL_UPDATED: 'channel:updated',
     NOTIFICATION_NEW: 'notification:new',
     REACTION_ADDED: 'reaction:added',
     REACTION_REMOVED: 'reaction:removed',
+    TASK_CREATED: 'task:created',
+    TASK_UPDATED: 'task:updated',
+    TASK_MOVED: 'task:moved',
+    TASK_DELETED: 'task:deleted',
+    DM_CREATED: 'dm:created',
+    DM_UPDATED: 'dm:updated',
+    DM_PARTICIPANT_ADDED: 'dm:participant_added',
+    DM_PARTICIPANT_REMOVED: 'dm:participant_removed',
+    DM_CONVERTED: 'dm:converted',
+    SCHEDULED_MESSAGE_SENT: 'scheduled_message:sent',
+    SCHEDULED_MESSAGE_FAILED: 'scheduled_message:failed',
 
     // Connection events
     CONNECTED: 'connected',
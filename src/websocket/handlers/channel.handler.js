@@ -1,3 +1,5 @@
+const channelService = require('../../services/channel.service');
+
 /**
  * Handle channel:join event
  * @param {Object} socket - Socket instance
@@ -12,6 +14,14 @@ const handleChannelJoin = async (socket, data) => {
             return;
         }
 
+        // Same check as the REST routes, so a room never leaks a channel's messages
+        try {
+            await channelService.checkChannelAccess(channelId, socket.user.id);
+        } catch (error) {
+            socket.emit('error', { message: error.message, code: error.code });
+            return;
+        }
+
         // Join the socket room for this channel
         socket.join(`channel:${channelId}`);
         socket.currentChannelId = channelId;
@@ -1,31 +1,64 @@
 const messageService = require('../../services/message.service');
+const channelService = require('../../services/channel.service');
+const slashCommandService = require('../../services/slash-command.service');
+
+// Maximum channels a client can sync in one request
+const MAX_SYNC_CHANNELS = 50;
+
+/**
+ * Reply through the Socket.IO acknowledgement callback, if the client sent one
+ * @param {Function} ack - Acknowledgement callback
+ * @param {Object} payload - Response payload
+ */
+const reply = (ack, payload) => {
+    if (typeof ack === 'function') {
+        ack(payload);
+    }
+};
 
 /**
  * Handle message:send event
+ * Pass a clientMessageId so retries after a dropped connection don't duplicate
  * @param {Object} socket - Socket instance
  * @param {Object} data - Message data
+ * @param {Function} ack - Acknowledgement callback, receives the persisted message
  */
-const handleSendMessage = async (socket, data) => {
+const handleSendMessage = async (socket, data, ack) => {
     try {
-        const { channelId, content, replyToId, fileIds, mentions, workspaceId } = data;
+        const { channelId, content, replyToId, fileIds, clientMessageId } = data || {};
         const user = socket.user;
 
         if (!channelId || !content) {
-            socket.emit('error', { message: 'Channel ID and content are required' });
+            const message = 'Channel ID and content are required';
+            reply(ack, { success: false, error: message, clientMessageId });
+            socket.emit('error', { message });
+            return;
+        }
+
+        const channel = await channelService.checkChannelAccess(channelId, user.id);
+
+        if (slashCommandService.parseCommand(content)) {
+            const command = await slashCommandService.executeCommand(content, { user, channel });
+            reply(ack, { success: true, command, clientMessageId });
             return;
         }
 
+        await messageService.assertCanPost(channel, user);
+
         const message = await messageService.sendMessage(
-            { content, replyToId, fileIds, mentions, workspaceId },
+            { content, replyToId, fileIds, clientMessageId, workspaceId: channel.workspace_id },
             channelId,
             user
         );
 
         // Acknowledge to sender
-        socket.emit('message:sent', { success: true, message });
+        reply(ack, { success: true, message, clientMessageId });
+        socket.emit('message:sent', { success: true, message, clientMessageId });
     } catch (error) {
         console.error('Send message error:', error);
-        socket.emit('error', { message: error.message || 'Failed to send message' });
+        const message = error.message || 'Failed to send message';
+        reply(ack, { success: false, error: message, clientMessageId: data?.clientMessageId });
+        socket.emit('error', { message });
     }
 };
 
@@ -33,23 +66,29 @@ const handleSendMessage = async (socket, data) => {
  * Handle message:edit event
  * @param {Object} socket - Socket instance
  * @param {Object} data - Edit data
+ * @param {Function} ack - Acknowledgement callback
  */
-const handleEditMessage = async (socket, data) => {
+const handleEditMessage = async (socket, data, ack) => {
     try {
-        const { messageId, content } = data;
+        const { messageId, content } = data || {};
         const userId = socket.user.id;
 
         if (!messageId || !content) {
-            socket.emit('error', { message: 'Message ID and content are required' });
+            const message = 'Message ID and content are required';
+            reply(ack, { success: false, error: message });
+            socket.emit('error', { message });
             return;
         }
 
         const message = await messageService.updateMessage(messageId, content, userId);
 
+        reply(ack, { success: true, message });
         socket.emit('message:edited', { success: true, message });
     } catch (error) {
         console.error('Edit message error:', error);
-        socket.emit('error', { message: error.message || 'Failed to edit message' });
+        const message = error.message || 'Failed to edit message';
+        reply(ack, { success: false, error: message });
+        socket.emit('error', { message });
     }
 };
 
@@ -57,23 +96,72 @@ const handleEditMessage = async (socket, data) => {
  * Handle message:delete event
  * @param {Object} socket - Socket instance
  * @param {Object} data - Delete data
+ * @param {Function} ack - Acknowledgement callback
  */
-const handleDeleteMessage = async (socket, data) => {
+const handleDeleteMessage = async (socket, data, ack) => {
     try {
-        const { messageId } = data;
+        const { messageId } = data || {};
         const userId = socket.user.id;
 
         if (!messageId) {
-            socket.emit('error', { message: 'Message ID is required' });
+            const message = 'Message ID is required';
+            reply(ack, { success: false, error: message });
+            socket.emit('error', { message });
             return;
         }
 
         await messageService.deleteMessage(messageId, userId);
 
+        reply(ack, { success: true, messageId });
         socket.emit('message:deleted_ack', { success: true, messageId });
     } catch (error) {
         console.error('Delete message error:', error);
-        socket.emit('error', { message: error.message || 'Failed to delete message' });
+        const message = error.message || 'Failed to delete message';
+        reply(ack, { success: false, error: message });
+        socket.emit('error', { message });
+    }
+};
+
+/**
+ * Handle sync event from a reconnecting client
+ * data: { channels: [{ channelId, lastMessageId | cursor }] } or a single { channelId, lastMessageId | cursor }
+ * Replies with new, edited and deleted messages per channel
+ * @param {Object} socket - Socket instance
+ * @param {Object} data - Sync request
+ * @param {Function} ack - Acknowledgement callback
+ */
+const handleSync = async (socket, data, ack) => {
+    const requests = Array.isArray(data?.channels) ? data.channels : [data || {}];
+
+    if (requests.length > MAX_SYNC_CHANNELS) {
+        reply(ack, { success: false, error: `Cannot sync more than ${MAX_SYNC_CHANNELS} channels at once` });
+        return;
+    }
+
+    const channels = [];
+
+    for (const request of requests) {
+        const { channelId, lastMessageId, cursor } = request;
+
+        if (!channelId || (!lastMessageId && !cursor)) {
+            channels.push({ channelId, success: false, error: 'channelId and lastMessageId or cursor are required' });
+            continue;
+        }
+
+        try {
+            await channelService.checkChannelAccess(channelId, socket.user.id);
+            const result = await messageService.getMessagesSince(channelId, { lastMessageId, cursor });
+            channels.push({ channelId, success: true, ...result });
+        } catch (error) {
+            console.error('Sync error:', error);
+            channels.push({ channelId, success: false, error: error.message || 'Failed to sync channel' });
+        }
+    }
+
+    if (typeof ack === 'function') {
+        ack({ success: true, channels });
+    } else {
+        socket.emit('sync:result', { success: true, channels });
     }
 };
 
@@ -81,4 +169,5 @@ module.exports = {
     handleSendMessage,
     handleEditMessage,
     handleDeleteMessage,
+    handleSync,
 };
@@ -1,8 +1,42 @@
-const { firestore } = require('../../config/firebase');
+const redis = require('../../config/redis');
 const { getIO } = require('../../config/socket');
 
-// Firestore collection for presence
-const presenceCollection = firestore.collection('presence');
+/**
+ * Broadcast a presence change to workspace members
+ * @param {string} workspaceId - Workspace ID
+ * @param {Object} payload - Presence payload
+ */
+const broadcastPresence = (workspaceId, payload) => {
+    try {
+        const io = getIO();
+        io.to(`workspace:${workspaceId}`).emit('presence:changed', payload);
+    } catch (error) {
+        console.log('Socket broadcast error:', error.message);
+    }
+};
+
+/**
+ * Register a newly joined socket and send it the current online list
+ * Only the user's first device announces them as online
+ * @param {Object} socket - Socket instance
+ */
+const handlePresenceConnect = async (socket) => {
+    try {
+        const userId = socket.user.id;
+        const workspaceId = socket.workspaceId;
+        const lastSeen = new Date().toISOString();
+
+        const connections = await redis.setUserOnline(userId, workspaceId, { lastSeen }, socket.id);
+
+        if (connections === 1) {
+            broadcastPresence(workspaceId, { userId, status: 'online', lastSeen });
+        }
+
+        socket.emit('presence:list', await redis.getOnlineUsers(workspaceId));
+    } catch (error) {
+        console.error('Presence connect error:', error);
+    }
+};
 
 /**
  * Handle presence:update event
@@ -15,11 +49,14 @@ const handlePresenceUpdate = async (socket, data) => {
         const userId = socket.user.id;
         const workspaceId = socket.workspaceId;
 
+        if (!workspaceId) {
+            socket.emit('error', { message: 'Join a workspace before updating presence' });
+            return;
+        }
+
         const presenceData = {
-            userId,
-            workspaceId,
             status: status || 'online',
-            lastSeen: new Date(),
+            lastSeen: new Date().toISOString(),
             currentChannelId: currentChannelId || null,
             deviceInfo: {
                 platform: data.platform || 'unknown',
@@ -27,20 +64,13 @@ const handlePresenceUpdate = async (socket, data) => {
             },
         };
 
-        // Update Firestore
-        await presenceCollection.doc(userId).set(presenceData, { merge: true });
+        await redis.setUserOnline(userId, workspaceId, presenceData, socket.id);
 
-        // Broadcast to workspace members
-        try {
-            const io = getIO();
-            io.to(`workspace:${workspaceId}`).emit('presence:changed', {
-                userId,
-                status: presenceData.status,
-                lastSeen: presenceData.lastSeen,
-            });
-        } catch (error) {
-            console.log('Socket broadcast error:', error.message);
-        }
+        broadcastPresence(workspaceId, {
+            userId,
+            status: presenceData.status,
+            lastSeen: presenceData.lastSeen,
+        });
 
         socket.emit('presence:updated', { success: true });
     } catch (error) {
@@ -50,27 +80,43 @@ const handlePresenceUpdate = async (socket, data) => {
 };
 
 /**
- * Set user offline
+ * Handle presence:heartbeat event
+ * Clients should send this more often than every PRESENCE_TTL seconds
+ * @param {Object} socket - Socket instance
+ */
+const handlePresenceHeartbeat = async (socket) => {
+    try {
+        if (!socket.workspaceId) {
+            return;
+        }
+
+        const alive = await redis.refreshPresence(socket.user.id, socket.workspaceId, socket.id);
+
+        // Presence expired (e.g. missed heartbeats) - announce the user again
+        if (!alive) {
+            await handlePresenceConnect(socket);
+        }
+    } catch (error) {
+        console.error('Presence heartbeat error:', error);
+    }
+};
+
+/**
+ * Unregister a socket; the user goes offline when their last socket leaves
  * @param {string} userId - User ID
  * @param {string} workspaceId - Workspace ID
+ * @param {string} socketId - Disconnecting socket ID (omit to force offline)
  */
-const setUserOffline = async (userId, workspaceId) => {
+const setUserOffline = async (userId, workspaceId, socketId = null) => {
     try {
-        await presenceCollection.doc(userId).set({
-            status: 'offline',
-            lastSeen: new Date(),
-        }, { merge: true });
-
-        // Broadcast offline status
-        try {
-            const io = getIO();
-            io.to(`workspace:${workspaceId}`).emit('presence:changed', {
+        const remaining = await redis.setUserOffline(userId, workspaceId, socketId);
+
+        if (remaining === 0) {
+            broadcastPresence(workspaceId, {
                 userId,
                 status: 'offline',
-                lastSeen: new Date(),
+                lastSeen: new Date().toISOString(),
             });
-        } catch (error) {
-            console.log('Socket broadcast error:', error.message);
         }
     } catch (error) {
         console.error('Set user offline error:', error);
@@ -80,21 +126,11 @@ const setUserOffline = async (userId, workspaceId) => {
 /**
  * Get online users in workspace
  * @param {string} workspaceId - Workspace ID
- * @returns {Array} Online user IDs
+ * @returns {Array} Online users
  */
 const getOnlineUsers = async (workspaceId) => {
     try {
-        const snapshot = await presenceCollection
-            .where('workspaceId', '==', workspaceId)
-            .where('status', '==', 'online')
-            .get();
-
-        const onlineUsers = [];
-        snapshot.forEach((doc) => {
-            onlineUsers.push(doc.data());
-        });
-
-        return onlineUsers;
+        return await redis.getOnlineUsers(workspaceId);
     } catch (error) {
         console.error('Get online users error:', error);
         return [];
@@ -102,7 +138,9 @@ const getOnlineUsers = async (workspaceId) => {
 };
 
 module.exports = {
+    handlePresenceConnect,
     handlePresenceUpdate,
+    handlePresenceHeartbeat,
     setUserOffline,
     getOnlineUsers,
 };
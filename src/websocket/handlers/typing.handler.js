@@ -1,17 +1,33 @@
-const { firestore } = require('../../config/firebase');
+const redis = require('../../config/redis');
 const { getIO } = require('../../config/socket');
 
-// Firestore collection for typing indicators
-const typingCollection = firestore.collection('typing');
-
 // Typing timeout (user stops typing after 5 seconds of inactivity)
 const TYPING_TIMEOUT = 5000;
 
-// Store active typing timeouts
+// Active typing timeouts, keyed by socket and channel
 const typingTimeouts = new Map();
 
+/**
+ * Broadcast the current typing users for a channel
+ * @param {string} channelId - Channel ID
+ */
+const broadcastTypingUsers = async (channelId) => {
+    const typingUsers = await redis.getTypingUsers(channelId);
+
+    try {
+        const io = getIO();
+        io.to(`channel:${channelId}`).emit('typing:user', {
+            channelId,
+            users: typingUsers,
+        });
+    } catch (error) {
+        console.log('Socket broadcast error:', error.message);
+    }
+};
+
 /**
  * Handle typing:start event
+ * Repeated keystrokes only refresh the TTL; other users are notified once
  * @param {Object} socket - Socket instance
  * @param {Object} data - Typing data
  */
@@ -25,41 +41,17 @@ const handleTypingStart = async (socket, data) => {
             return;
         }
 
-        const typingKey = `${channelId}:${userId}`;
+        const typingKey = `${socket.id}:${channelId}`;
+        const alreadyTyping = typingTimeouts.has(typingKey);
 
-        // Clear existing timeout
-        if (typingTimeouts.has(typingKey)) {
+        if (alreadyTyping) {
             clearTimeout(typingTimeouts.get(typingKey));
         }
 
-        // Get current typing users
-        const typingDoc = await typingCollection.doc(channelId).get();
-        let typingUsers = typingDoc.exists ? typingDoc.data().users || [] : [];
-
-        // Add user if not already typing
-        const existingIndex = typingUsers.findIndex((u) => u.userId === userId);
-        if (existingIndex >= 0) {
-            typingUsers[existingIndex].timestamp = new Date();
-        } else {
-            typingUsers.push({
-                userId,
-                userName,
-                timestamp: new Date(),
-            });
-        }
+        await redis.setTyping(userId, channelId, userName);
 
-        // Update Firestore
-        await typingCollection.doc(channelId).set({ users: typingUsers });
-
-        // Broadcast to channel
-        try {
-            const io = getIO();
-            io.to(`channel:${channelId}`).emit('typing:user', {
-                channelId,
-                users: typingUsers,
-            });
-        } catch (error) {
-            console.log('Socket broadcast error:', error.message);
+        if (!alreadyTyping) {
+            await broadcastTypingUsers(channelId);
         }
 
         // Set timeout to remove typing indicator
@@ -87,7 +79,7 @@ const handleTypingStop = async (socket, data) => {
             return;
         }
 
-        const typingKey = `${channelId}:${userId}`;
+        const typingKey = `${socket.id}:${channelId}`;
 
         // Clear timeout
         if (typingTimeouts.has(typingKey)) {
@@ -95,51 +87,34 @@ const handleTypingStop = async (socket, data) => {
             typingTimeouts.delete(typingKey);
         }
 
-        // Get current typing users
-        const typingDoc = await typingCollection.doc(channelId).get();
-        if (!typingDoc.exists) {
-            return;
-        }
-
-        let typingUsers = typingDoc.data().users || [];
-
-        // Remove user from typing list
-        typingUsers = typingUsers.filter((u) => u.userId !== userId);
-
-        // Update Firestore
-        await typingCollection.doc(channelId).set({ users: typingUsers });
-
-        // Broadcast to channel
-        try {
-            const io = getIO();
-            io.to(`channel:${channelId}`).emit('typing:user', {
-                channelId,
-                users: typingUsers,
-            });
-        } catch (error) {
-            console.log('Socket broadcast error:', error.message);
-        }
+        await redis.clearTyping(userId, channelId);
+        await broadcastTypingUsers(channelId);
     } catch (error) {
         console.error('Typing stop error:', error);
     }
 };
 
 /**
- * Clear all typing indicators for a user (on disconnect)
- * @param {string} userId - User ID
+ * Clear all typing indicators for a socket (on disconnect)
+ * @param {Object} socket - Socket instance
  */
-const clearUserTyping = async (userId) => {
+const clearUserTyping = async (socket) => {
     try {
-        // Clear all timeouts for this user
+        const prefix = `${socket.id}:`;
+        const channelIds = [];
+
         for (const [key, timeout] of typingTimeouts.entries()) {
-            if (key.includes(userId)) {
+            if (key.startsWith(prefix)) {
                 clearTimeout(timeout);
                 typingTimeouts.delete(key);
+                channelIds.push(key.slice(prefix.length));
             }
         }
 
-        // Note: Firestore cleanup would require querying all typing docs
-        // For now, the typing indicators will naturally expire
+        for (const channelId of channelIds) {
+            await redis.clearTyping(socket.user.id, channelId);
+            await broadcastTypingUsers(channelId);
+        }
     } catch (error) {
         console.error('Clear user typing error:', error);
     }
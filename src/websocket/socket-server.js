@@ -3,10 +3,18 @@ const { initializeSocket, getIO } = require('../config/socket');
 const config = require('../config/environment');
 const { supabase } = require('../config/supabase');
 const events = require('./events');
+const { isAccessToken } = require('../utils/jwt.utils');
+const sessionService = require('../services/session.service');
+const { assertWorkspaceTwoFactor } = require('../services/two-factor.service');
 
 // Import handlers
-const { handleSendMessage, handleEditMessage, handleDeleteMessage } = require('./handlers/message.handler');
-const { handlePresenceUpdate, setUserOffline } = require('./handlers/presence.handler');
+const { handleSendMessage, handleEditMessage, handleDeleteMessage, handleSync } = require('./handlers/message.handler');
+const {
+    handlePresenceConnect,
+    handlePresenceUpdate,
+    handlePresenceHeartbeat,
+    setUserOffline,
+} = require('./handlers/presence.handler');
 const { handleTypingStart, handleTypingStop, clearUserTyping } = require('./handlers/typing.handler');
 const { handleChannelJoin, handleChannelLeave, joinWorkspace, leaveWorkspace } = require('./handlers/channel.handler');
 
@@ -29,12 +37,19 @@ const initializeSocketServer = (httpServer) => {
             // Verify JWT
             const decoded = jwt.verify(token, config.jwt.secret);
 
-            // Get user from database
-            const { data: user, error } = await supabase
-                .from('users')
-                .select('*')
-                .eq('id', decoded.userId)
-                .single();
+            if (!isAccessToken(decoded)) {
+                return next(new Error('Invalid token'));
+            }
+
+            // Get user and session from database
+            const [{ data: user, error }, session] = await Promise.all([
+                supabase
+                    .from('users')
+                    .select('*')
+                    .eq('id', decoded.userId)
+                    .single(),
+                sessionService.getActiveSession(decoded.sid, decoded.userId),
+            ]);
 
             if (error || !user) {
                 return next(new Error('Invalid token'));
@@ -44,8 +59,13 @@ const initializeSocketServer = (httpServer) => {
                 return next(new Error('Account is deactivated'));
             }
 
+            if (!session) {
+                return next(new Error('Session has been revoked'));
+            }
+
             // Attach user to socket
             socket.user = user;
+            socket.sessionId = session.id;
             next();
         } catch (error) {
             console.error('Socket auth error:', error.message);
@@ -57,6 +77,12 @@ const initializeSocketServer = (httpServer) => {
     io.on('connection', async (socket) => {
         console.log(`User connected: ${socket.user.id} (${socket.user.username})`);
 
+        // Every device of a user shares a personal room
+        socket.join(`user:${socket.user.id}`);
+
+        // Revoking the session disconnects this socket through its session room
+        socket.join(`session:${socket.sessionId}`);
+
         // Send connected event
         socket.emit(events.CONNECTED, {
             userId: socket.user.id,
@@ -66,16 +92,43 @@ const initializeSocketServer = (httpServer) => {
         // Handle workspace join (from client after connection)
         socket.on('workspace:join', async (data) => {
             const { workspaceId } = data;
-            if (workspaceId) {
+            if (workspaceId && workspaceId !== socket.workspaceId) {
+                const { data: membership } = await supabase
+                    .from('workspace_members')
+                    .select('id')
+                    .eq('workspace_id', workspaceId)
+                    .eq('user_id', socket.user.id)
+                    .eq('is_active', true)
+                    .single();
+
+                if (!membership) {
+                    socket.emit('error', { message: 'Access denied. You are not a member of this workspace.' });
+                    return;
+                }
+
+                try {
+                    await assertWorkspaceTwoFactor(workspaceId, socket.user.id);
+                } catch (error) {
+                    socket.emit('error', { message: error.message, code: error.code });
+                    return;
+                }
+
+                // Switching workspaces - this device leaves the previous one
+                if (socket.workspaceId) {
+                    await setUserOffline(socket.user.id, socket.workspaceId, socket.id);
+                    leaveWorkspace(socket);
+                }
+
                 joinWorkspace(socket, workspaceId);
-                await handlePresenceUpdate(socket, { status: 'online' });
+                await handlePresenceConnect(socket);
             }
         });
 
         // Message events
-        socket.on(events.MESSAGE_SEND, (data) => handleSendMessage(socket, data));
-        socket.on(events.MESSAGE_EDIT, (data) => handleEditMessage(socket, data));
-        socket.on(events.MESSAGE_DELETE, (data) => handleDeleteMessage(socket, data));
+        socket.on(events.MESSAGE_SEND, (data, ack) => handleSendMessage(socket, data, ack));
+        socket.on(events.MESSAGE_EDIT, (data, ack) => handleEditMessage(socket, data, ack));
+        socket.on(events.MESSAGE_DELETE, (data, ack) => handleDeleteMessage(socket, data, ack));
+        socket.on(events.SYNC, (data, ack) => handleSync(socket, data, ack));
 
         // Typing events
         socket.on(events.TYPING_START, (data) => handleTypingStart(socket, data));
@@ -83,6 +136,7 @@ const initializeSocketServer = (httpServer) => {
 
         // Presence events
         socket.on(events.PRESENCE_UPDATE, (data) => handlePresenceUpdate(socket, data));
+        socket.on(events.PRESENCE_HEARTBEAT, () => handlePresenceHeartbeat(socket));
 
         // Channel events
         socket.on(events.CHANNEL_JOIN, (data) => handleChannelJoin(socket, data));
@@ -92,13 +146,13 @@ const initializeSocketServer = (httpServer) => {
         socket.on('disconnect', async (reason) => {
             console.log(`User disconnected: ${socket.user.id} (${reason})`);
 
-            // Set user offline
+            // Set user offline once their last device disconnects
             if (socket.workspaceId) {
-                await setUserOffline(socket.user.id, socket.workspaceId);
+                await setUserOffline(socket.user.id, socket.workspaceId, socket.id);
             }
 
             // Clear typing indicators
-            await clearUserTyping(socket.user.id);
+            await clearUserTyping(socket);
 
             // Leave workspace room
             leaveWorkspace(socket);